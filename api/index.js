@@ -1,12 +1,17 @@
 import express from 'express';
 import cors from 'cors';
 import { Pool } from 'pg';
-import { hashPassword, verifyPassword, hasPassword } from '../lib/password.js';
 import { createAuthRouter } from '../server/routes/auth.js';
 import { createGymsRouter } from '../server/routes/gyms.js';
 import { createFeedbackRouter } from '../server/routes/feedback.js';
+import { createGymPagesRouter } from '../server/routes/gym-pages.js';
+import { createPostgresStore, getTrustProxySetting } from '../server/middleware/rate-limit.js';
+import { createPhotoStorageFromEnv } from '../server/lib/photo-storage.js';
 
 const app = express();
+// so req.ip uses X-Forwarded-For (rate limits are keyed by client IP); Vercel's edge is the one
+// proxy in front of the function, so only its entry is trusted
+app.set('trust proxy', getTrustProxySetting(1));
 
 // Middleware
 app.use(cors());
@@ -39,16 +44,27 @@ function getPool() {
 
 const pool = getPool();
 
+// Serverless instances don't share memory, so rate limit counters live in Postgres
+const rateLimitStore = createPostgresStore(pool);
+
+// Serverless functions have no persistent disk: photo uploads need a PHOTO_STORAGE backend
+// other than 'local' here (see server/lib/photo-storage.js)
+const photoStorage = createPhotoStorageFromEnv();
+
 // Routes - Vercel passes full path including /api prefix
-const authRouter = createAuthRouter(pool);
+const authRouter = createAuthRouter(pool, { rateLimitStore, photoStorage });
 app.use('/api/auth', authRouter);
 
-const gymsRouter = createGymsRouter(pool, hasPassword, verifyPassword);
+const gymsRouter = createGymsRouter(pool, { rateLimitStore, photoStorage });
 app.use('/api/gyms', gymsRouter);
 
-const feedbackRouter = createFeedbackRouter(pool);
+const feedbackRouter = createFeedbackRouter(pool, { rateLimitStore });
 app.use('/api/feedback', feedbackRouter);
 
+// Server-rendered gym pages - /gym/* is rewritten here (vercel.json)
+const gymPagesRouter = createGymPagesRouter(pool, { photoStorage });
+app.use('/gym', gymPagesRouter);
+
 // Config endpoint - returns Protomaps API key if available
 app.get('/config', (req, res) => {
   const protomapsKey = process.env.PROTOMAPS_API_KEY || "";
@@ -1,5 +1,5 @@
 // Main application orchestrator
-import { getConfig, fetchGymsByBbox, fetchVotedGymIds } from './services/api.js';
+import { getConfig, fetchGymsByBbox, fetchVotedGymIds, fetchGymById } from './services/api.js';
 import { createMapManager } from './components/MapManager.js';
 import { createGymList } from './components/GymList.js';
 import { initPasswordModal } from './components/PasswordModal.js';
@@ -7,9 +7,26 @@ import { createAccountModal } from './components/AccountModal.js';
 import { useAppStore, useAuth } from './store/index.js';
 import { createGymListToggle } from './components/GymListToggle.js';
 import { createGymListSort } from './components/GymListSort.js';
+import { createGymSearch } from './components/GymSearch.js';
+import { createGymFilters } from './components/GymFilters.js';
+import { createModeSwitcher } from './components/ModeSwitcher.js';
+import { createUrlSync } from './components/UrlSync.js';
+import { createOfflineSync } from './components/OfflineSync.js';
+import { createInstallPrompt } from './components/InstallPrompt.js';
+import { createAddGym } from './components/AddGym.js';
+import { createSuggestEdit } from './components/SuggestEdit.js';
+import { createStatusReport } from './components/StatusReport.js';
+import { createEditReview } from './components/EditReview.js';
+import { createPhotoUpload } from './components/PhotoUpload.js';
+import { createPhotoReview } from './components/PhotoReview.js';
+import { DEFAULT_MODE, isMapMode } from './components/map/MapModes.js';
 import { inject } from '@vercel/analytics';
 import { showLoading, hideLoading } from './components/LoadingIndicator.js';
 import { toast } from './components/Toast.js';
+import { MAP_CONFIG } from './lib/constants.js';
+import { EMPTY_FILTERS } from './lib/gym-filters.js';
+import { parseUrlState } from './lib/url-state.js';
+import { t, applyTranslations } from './lib/i18n.js';
 
 // Initialize Vercel Analytics
 inject();
@@ -21,15 +38,18 @@ function initGymListToggle() {
 
 async function initApp() {
   try {
+    // Static page text (data-i18n attributes) in the detected language
+    applyTranslations();
+
     // Show loading indicator
-    showLoading('Initializing map...');
+    showLoading(t('app.initializingMap'));
     
     // Ensure map container exists and is visible
     const mapContainer = document.getElementById('map');
     if (!mapContainer) {
       console.error('[App] Map container not found!');
       hideLoading();
-      toast.error('Map container not found. Please refresh the page.');
+      toast.error(t('app.mapContainerMissing'));
       return;
     }
     
@@ -41,13 +61,13 @@ async function initApp() {
       if (mapContainer.offsetWidth === 0 || mapContainer.offsetHeight === 0) {
         console.error('[App] Map container still has zero dimensions');
         hideLoading();
-        toast.error('Map container is not visible. Please refresh the page.');
+        toast.error(t('app.mapContainerHidden'));
         return;
       }
     }
     
     console.log('[App] Initializing app...');
-    showLoading('Loading map configuration...');
+    showLoading(t('app.loadingConfig'));
     
     // Get Protomaps API key from config (optional - can use demo PMTiles without key)
     let config;
@@ -58,14 +78,25 @@ async function initApp() {
       config = { protomapsKey: '' }; // Use default fallback
     }
     
-    showLoading('Creating map...');
+    // Deep link state (?lng=&lat=&z=&mode=&filters=#/gym/:id) - the map starts at its viewport
+    const initialUrlState = parseUrlState();
+
+    showLoading(t('app.creatingMap'));
     const mapManager = createMapManager({ 
-      protomapsApiKey: config.protomapsKey || ''
+      protomapsApiKey: config.protomapsKey || '',
+      center: initialUrlState.center,
+      zoom: initialUrlState.zoom,
     });
 
     // Initialize components
     const gymList = createGymList(mapManager.map);
 
+    // Service worker (offline map and gym data) and replay of votes made offline
+    createOfflineSync();
+
+    // "Add to home screen" prompt (mobile browsers only)
+    createInstallPrompt();
+
     // Wire up component interactions - clicking on list item shows map popup
     const onGymClick = (g) => {
       // Close any existing popup
@@ -81,6 +112,27 @@ async function initApp() {
     const toggleState = initGymListToggle();
     createGymListSort(gymList, toggleState);
 
+    // Search box - fly to the chosen gym, then open its popup once the map settles
+    createGymSearch({
+      onSelect: (g) => {
+        if (mapManager.gymPopup) {
+          mapManager.gymPopup.remove();
+        }
+        const isMobileView = window.innerWidth < 640;
+        mapManager.easeTo([g.lng, g.lat], isMobileView ? MAP_CONFIG.POPUP_ZOOM_MOBILE : MAP_CONFIG.POPUP_ZOOM);
+        mapManager.map.once('moveend', () => {
+          mapManager.showGymPopup(g.id, [g.lng, g.lat]);
+        });
+      },
+      // Rank nearby matches higher: the user's location if known, else the map center
+      getNear: () => {
+        const userLoc = useAppStore.getState().userLocation;
+        if (userLoc) return userLoc;
+        const center = mapManager.map.getCenter();
+        return [center.lng, center.lat];
+      },
+    });
+
     // Subscribe to viewport changes and update list
     function updateListForViewport() {
       // Preserve mobile expanded state during render
@@ -103,30 +155,85 @@ async function initApp() {
       });
     }
 
+    // Attribute filters - the map filters its layers, the list refetches with the filters as params
+    createGymFilters();
+    useAppStore.subscribe((state, prevState) => {
+      if (state.gymFilters !== prevState.gymFilters) {
+        mapManager.setFilters(state.gymFilters);
+        updateListForViewport();
+      }
+    });
+
     // Note: Viewport updates are now handled by handleViewportChange above
     // which calls updateListForViewport after loading gyms
 
-    // Mode switcher button
-    const modeSwitcher = document.getElementById('modeSwitcher');
-    const modeSwitcherIcon = document.getElementById('modeSwitcherIcon');
-    const modeSwitcherText = document.getElementById('modeSwitcherText');
-    
-    if (modeSwitcher) {
-      modeSwitcher.addEventListener('click', () => {
-        const currentMode = gymList.getMode();
-        const newMode = currentMode === 'stinky' ? 'difficulty' : 'stinky';
-        gymList.setMode(newMode);
-        mapManager.setMode(newMode); // Update map icons
-        
-        // Update button text and icon
-        if (newMode === 'stinky') {
-          modeSwitcherIcon.textContent = '💨';
-          modeSwitcherText.textContent = 'Stinky';
-        } else {
-          modeSwitcherIcon.textContent = '📊';
-          modeSwitcherText.textContent = 'Difficulty';
-        }
-      });
+    // Mode switcher - writes the mode to the store; the switcher, map circles/heatmap
+    // and the list follow the store (so deep links and back/forward can set it too)
+    const modeSwitcher = createModeSwitcher({
+      onChange: (mode) => {
+        useAppStore.getState().setMapMode(mode);
+      },
+    });
+    useAppStore.subscribe((state, prevState) => {
+      if (state.mapMode !== prevState.mapMode) {
+        modeSwitcher.setMode(state.mapMode);
+        gymList.setMode(state.mapMode);
+        mapManager.setMode(state.mapMode); // Update map icons
+      }
+    });
+
+    // Open a gym's popup from its ID alone (deep links) - look up where it is first
+    async function openGymById(gymId) {
+      const gymFeature = await fetchGymById(gymId);
+      if (!gymFeature) {
+        toast.error(t('app.gymNotFound'));
+        return;
+      }
+      mapManager.showGymPopup(gymId, gymFeature.geometry.coordinates);
+    }
+
+    function whenMapLoaded(callback) {
+      if (mapManager.map.loaded()) {
+        callback();
+      } else {
+        mapManager.map.once('load', callback);
+      }
+    }
+
+    // Apply a URL state (back/forward navigation); missing parts go back to their defaults
+    function applyUrlState(urlState) {
+      const store = useAppStore.getState();
+      if (urlState.center || urlState.zoom != null) {
+        mapManager.map.jumpTo({
+          center: urlState.center || mapManager.map.getCenter(),
+          zoom: urlState.zoom ?? mapManager.map.getZoom(),
+        });
+      }
+      store.setMapMode(isMapMode(urlState.mode) ? urlState.mode : DEFAULT_MODE);
+      const filters = urlState.filters || EMPTY_FILTERS;
+      if (JSON.stringify(filters) !== JSON.stringify(store.gymFilters)) {
+        store.setGymFilters(filters);
+      }
+
+      const selectedId = store.selectedGym ? String(store.selectedGym.id) : null;
+      if (urlState.gymId && urlState.gymId !== selectedId) {
+        openGymById(urlState.gymId);
+      } else if (!urlState.gymId && mapManager.gymPopup) {
+        mapManager.gymPopup.remove();
+      }
+    }
+
+    createUrlSync({ onNavigate: applyUrlState });
+
+    // Restore the mode, filters and open gym from the link the app was opened with
+    if (isMapMode(initialUrlState.mode)) {
+      useAppStore.getState().setMapMode(initialUrlState.mode);
+    }
+    if (initialUrlState.filters) {
+      useAppStore.getState().setGymFilters(initialUrlState.filters);
+    }
+    if (initialUrlState.gymId) {
+      whenMapLoaded(() => openGymById(initialUrlState.gymId));
     }
 
     // Initialize password modal
@@ -134,6 +241,14 @@ async function initApp() {
     
     // Set password modal reference in map manager (for vote button login redirect)
     mapManager.setPasswordModal(passwordModal);
+
+    // "Add a gym" pin-drop mode (map control + submission form)
+    createAddGym(mapManager.map, { control: mapManager.addGymControl, passwordModal });
+
+    // "Suggest edit", "Add photo" and "Report status" from gym popups
+    createSuggestEdit({ passwordModal });
+    createPhotoUpload({ passwordModal });
+    createStatusReport({ passwordModal });
     
     // Initialize account modal
     const accountModal = createAccountModal();
@@ -142,7 +257,7 @@ async function initApp() {
     accountModal.onSetupPassword(() => {
       const auth = useAuth();
       if (passwordModal && passwordModal.show) {
-        if (auth.password) {
+        if (auth.hasPassword) {
           // User has password, show login mode (can reset)
           passwordModal.show('login', auth.username);
         } else {
@@ -152,6 +267,12 @@ async function initApp() {
       }
     });
     
+    // Moderators review suggested edits and uploaded photos from the account modal
+    const editReview = createEditReview();
+    accountModal.onReviewEdits(() => editReview?.show());
+    const photoReview = createPhotoReview();
+    accountModal.onReviewPhotos(() => photoReview?.show());
+    
     // Function to update button text based on login state
     function updateAccountButton() {
       const manageAccountBtn = document.getElementById('manageAccountBtn');
@@ -163,10 +284,10 @@ async function initApp() {
       if (textSpan) {
         if (auth.isLoggedIn) {
           // User is logged in, show "Stats"
-          textSpan.textContent = 'Statistics';
+          textSpan.textContent = t('account.statistics');
         } else {
           // User is not logged in, show "Login"
-          textSpan.textContent = 'Login';
+          textSpan.textContent = t('account.login');
         }
       }
     }
@@ -186,7 +307,7 @@ async function initApp() {
           accountModal.show();
         } else {
           console.error('Account modal not initialized');
-          toast.error('Account modal not initialized. Please refresh the page.');
+          toast.error(t('account.modalMissing'));
         }
       } else {
         // No user_id, show login modal
@@ -203,6 +324,16 @@ async function initApp() {
       });
     }
 
+    // Account deleted - back to logged-out state, nothing is marked as visited anymore
+    accountModal.onAccountDeleted(() => {
+      updateAccountButton();
+      votedGymIds = [];
+      if (mapManager.setVotedGyms) {
+        mapManager.setVotedGyms([]);
+      }
+      gymList.setVotedGyms([]);
+    });
+
     // Fetch voted gym IDs for current user (do this first, before loading gyms)
     const auth = useAuth();
     let votedGymIds = [];
@@ -210,6 +341,7 @@ async function initApp() {
       try {
         votedGymIds = await fetchVotedGymIds(auth.username);
         console.log(`[App] User has voted on ${votedGymIds.length} gyms`);
+        gymList.setVotedGyms(votedGymIds);
       } catch (error) {
         console.error('[App] Error fetching voted gym IDs:', error);
       }
@@ -220,7 +352,7 @@ async function initApp() {
     let isInitialLoad = true;
     const loadGymsForViewport = async (showLoadingIndicator = false) => {
       if (showLoadingIndicator || isInitialLoad) {
-        showLoading('Loading gyms...');
+        showLoading(t('app.loadingGyms'));
       }
       const startTime = performance.now();
       let geojson;
@@ -246,7 +378,7 @@ async function initApp() {
           hideLoading();
         }
         console.error('[App] Error loading gyms:', error);
-        toast.error('Failed to load gyms. Please try again.');
+        toast.error(t('app.loadGymsFailed'));
         return;
       }
 
@@ -267,7 +399,13 @@ async function initApp() {
         parking_votes: f.properties.parking_votes,
         pet_friendly_avg: f.properties.pet_friendly_avg,
         pet_friendly_votes: f.properties.pet_friendly_votes,
+        smell_score: f.properties.smell_score,
+        difficulty_score: f.properties.difficulty_score,
+        parking_score: f.properties.parking_score,
+        pet_friendly_score: f.properties.pet_friendly_score,
         styles: f.properties.styles,
+        style_vote_count: f.properties.style_vote_count,
+        utilities: f.properties.utilities,
         lng: f.geometry.coordinates[0],
         lat: f.geometry.coordinates[1],
       }));
@@ -289,7 +427,7 @@ async function initApp() {
         }
         isInitialLoad = false; // Mark initial load as complete even on error
         console.error('[App] Error adding layers:', error);
-        toast.error('Failed to display gyms on map. Please refresh the page.');
+        toast.error(t('app.displayGymsFailed'));
       }
     };
 
@@ -313,7 +451,7 @@ async function initApp() {
           setTimeout(() => { hasAttemptedLoad = false; }, 5000);
         });
       } else {
-        showLoading('Waiting for map to load...');
+        showLoading(t('app.waitingForMap'));
         console.log('[App] Waiting for map to load...');
         
         // Wait for both style.load and load events (style.load is fired when style is loaded, load is fired when map is ready)
@@ -349,7 +487,7 @@ async function initApp() {
           styleLoaded = true;
           // Update loading message only if map hasn't loaded yet
           if (!timeoutReached && !mapLoaded) {
-            showLoading('Map style loaded, preparing gyms...');
+            showLoading(t('app.styleLoaded'));
           } else if (mapLoaded && !hasAttemptedLoad) {
             // Both loaded now - checkAndLoad will handle loading and hide indicator
             hideLoading(); // Hide any previous loading message
@@ -365,7 +503,7 @@ async function initApp() {
             // Both loaded now - checkAndLoad will handle loading
           } else if (!timeoutReached) {
             // Map loaded but style not loaded yet - update message
-            showLoading('Map loaded, preparing gyms...');
+            showLoading(t('app.mapLoaded'));
           }
           checkAndLoad();
         });
@@ -403,7 +541,7 @@ async function initApp() {
               // Map still not ready - show error and stop retrying
               console.error('[App] Map failed to load after timeout. Please refresh the page.');
               hideLoading();
-              toast.error('Map failed to load. Please refresh the page.');
+              toast.error(t('app.mapLoadFailed'));
               hasAttemptedLoad = true; // Prevent further retries
               // Allow retry after longer delay (30 seconds)
               setTimeout(() => { hasAttemptedLoad = false; }, 30000);
@@ -558,7 +696,13 @@ async function initApp() {
         parking_votes: f.properties.parking_votes,
         pet_friendly_avg: f.properties.pet_friendly_avg,
         pet_friendly_votes: f.properties.pet_friendly_votes,
+        smell_score: f.properties.smell_score,
+        difficulty_score: f.properties.difficulty_score,
+        parking_score: f.properties.parking_score,
+        pet_friendly_score: f.properties.pet_friendly_score,
         styles: f.properties.styles,
+        style_vote_count: f.properties.style_vote_count,
+        utilities: f.properties.utilities,
         lng: f.geometry.coordinates[0],
         lat: f.geometry.coordinates[1],
       }));
@@ -588,6 +732,7 @@ async function initApp() {
             if (mapManager.setVotedGyms) {
               mapManager.setVotedGyms(newVotedGymIds);
             }
+            gymList.setVotedGyms(newVotedGymIds);
           } catch (error) {
             console.error('Error refreshing voted gym IDs:', error);
           }
@@ -651,7 +796,7 @@ async function initApp() {
   } catch (e) {
     hideLoading();
     console.error('Error initializing app', e);
-    toast.error('Failed to initialize app. Please refresh the page.');
+    toast.error(t('app.initFailed'));
   }
 }
 
@@ -1,7 +1,10 @@
-// Account Modal - shows user stats, regions, farthest gyms, and password setup
-import { fetchUserStats } from '../services/api.js';
+// Account Modal - shows user stats, regions, farthest gyms, password setup/change, account deletion
+// and, for moderators, the way into the edit review queue
+import { fetchUserStats, changePassword, deleteAccount, fetchAccountExport, fetchCurrentUser } from '../services/api.js';
 import { useAuth } from '../store/index.js';
 import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+import { formatDistance } from '../lib/formatting.js';
 
 export function createAccountModal() {
   const modal = document.getElementById('accountModal');
@@ -12,17 +15,31 @@ export function createAccountModal() {
   const farthestGymsEl = document.getElementById('accountFarthestGyms');
   const stinkiestGymEl = document.getElementById('accountStinkiestGym');
   const setupPasswordBtn = document.getElementById('accountSetupPasswordBtn');
+  const changePasswordForm = document.getElementById('accountChangePasswordForm');
+  const currentPasswordInput = document.getElementById('accountCurrentPassword');
+  const newPasswordInput = document.getElementById('accountNewPassword');
+  const changePasswordSubmit = document.getElementById('accountChangePasswordSubmit');
+  const deleteForm = document.getElementById('accountDeleteForm');
+  const deletePasswordInput = document.getElementById('accountDeletePassword');
+  const deleteConfirmInput = document.getElementById('accountDeleteConfirm');
+  const deleteSubmit = document.getElementById('accountDeleteSubmit');
+  const exportJsonBtn = document.getElementById('accountExportJsonBtn');
+  const exportCsvBtn = document.getElementById('accountExportCsvBtn');
+  const moderationEl = document.getElementById('accountModeration');
+  const reviewEditsBtn = document.getElementById('accountReviewEditsBtn');
+  const reviewPhotosBtn = document.getElementById('accountReviewPhotosBtn');
+  let onAccountDeletedCallback = null;
 
   // Create pie chart for region distribution
   function createRegionPieChart(regionStats) {
     const regions = Object.entries(regionStats);
     if (regions.length === 0) {
-      return '<div class="text-center py-4 text-sm text-gray-500 italic">No region data available</div>';
+      return `<div class="text-center py-4 text-sm text-gray-500 italic">${t('account.noRegionData')}</div>`;
     }
 
     const total = regions.reduce((sum, [_, count]) => sum + count, 0);
     if (total === 0) {
-      return '<div class="text-center py-4 text-sm text-gray-500 italic">No region data available</div>';
+      return `<div class="text-center py-4 text-sm text-gray-500 italic">${t('account.noRegionData')}</div>`;
     }
     
     const colors = [
@@ -97,20 +114,12 @@ export function createAccountModal() {
     `;
   }
 
-  // Format distance
-  function formatDistance(km) {
-    if (km >= 1000) {
-      return `${(km / 1000).toFixed(1)}k km`;
-    }
-    return `${km.toFixed(0)} km`;
-  }
-
   // Show modal with user stats
   async function show() {
     const auth = useAuth();
     
     if (!auth.isLoggedIn || !auth.userId) {
-      toast.warning('Please log in to view your account');
+      toast.warning(t('account.loginToView'));
       return;
     }
     
@@ -121,16 +130,18 @@ export function createAccountModal() {
       // Show modal immediately with loading state
       if (!modal) {
         console.error('Account modal element not found');
-        alert('Account modal not found. Please refresh the page.');
+        alert(t('account.modalMissing'));
         return;
       }
       modal.classList.remove('hidden');
       modal.classList.add('flex');
-      if (usernameEl) usernameEl.textContent = username || 'Loading...';
-      if (gymCountEl) gymCountEl.innerHTML = '<div class="text-center text-xs text-gray-500">Loading...</div>';
-      if (regionChartEl) regionChartEl.innerHTML = '<div class="text-center py-4 text-sm text-gray-500">Loading chart...</div>';
-      if (farthestGymsEl) farthestGymsEl.innerHTML = '<div class="text-center text-xs text-gray-500">Calculating...</div>';
-      if (stinkiestGymEl) stinkiestGymEl.innerHTML = '<div class="text-center text-xs text-gray-500">Calculating...</div>';
+      resetAccountForms(auth.hasPassword);
+      updateModerationTools();
+      if (usernameEl) usernameEl.textContent = username || t('common.loading');
+      if (gymCountEl) gymCountEl.innerHTML = `<div class="text-center text-xs text-gray-500">${t('common.loading')}</div>`;
+      if (regionChartEl) regionChartEl.innerHTML = `<div class="text-center py-4 text-sm text-gray-500">${t('account.loadingChart')}</div>`;
+      if (farthestGymsEl) farthestGymsEl.innerHTML = `<div class="text-center text-xs text-gray-500">${t('common.calculating')}</div>`;
+      if (stinkiestGymEl) stinkiestGymEl.innerHTML = `<div class="text-center text-xs text-gray-500">${t('common.calculating')}</div>`;
 
       // Fetch user stats using user_id as source of truth
       const stats = await fetchUserStats(userId);
@@ -151,7 +162,7 @@ export function createAccountModal() {
 
       // Update username (from API response, fallback to stored username)
       if (usernameEl) {
-        usernameEl.textContent = `👤 ${stats.username || username || 'User'}`;
+        usernameEl.textContent = `👤 ${stats.username || username || t('account.user')}`;
       }
 
       // Update region chart - show even if user has only visited one gym
@@ -162,25 +173,25 @@ export function createAccountModal() {
         } else if (stats.gymsVisited >= 1) {
           // Show a message if user has visited gyms but no region data
           console.log('No region data available, showing message');
-          regionChartEl.innerHTML = '<div class="text-center py-4 text-sm text-gray-500 italic">Region data not available for visited gym(s)</div>';
+          regionChartEl.innerHTML = `<div class="text-center py-4 text-sm text-gray-500 italic">${t('account.regionDataUnavailable')}</div>`;
         } else {
           // Show message if no gyms visited
           console.log('No gyms visited');
-          regionChartEl.innerHTML = '<div class="text-center py-4 text-sm text-gray-500 italic">Visit gyms to see region distribution</div>';
+          regionChartEl.innerHTML = `<div class="text-center py-4 text-sm text-gray-500 italic">${t('account.visitForRegions')}</div>`;
         }
       }
 
       // Update farthest gyms (match popup card style) - only show the farthest pair
       if (farthestGymsEl && stats.farthestGyms) {
         if (stats.farthestGyms.length === 0) {
-          farthestGymsEl.innerHTML = '<div class="text-center text-xs sm:text-sm text-gray-500 italic">Go to more than 2 gyms to unlock this!</div>';
+          farthestGymsEl.innerHTML = `<div class="text-center text-xs sm:text-sm text-gray-500 italic">${t('account.farthestLocked')}</div>`;
         } else {
           const farthestPair = stats.farthestGyms[0];
           farthestGymsEl.innerHTML = `
             <div class="flex items-center gap-2 px-2.5 sm:px-3 py-1.5 sm:py-2 rounded-lg bg-orange-50 border border-orange-200">
               <span class="text-orange-600 font-bold text-base sm:text-lg flex-shrink-0">🥇</span>
               <div class="flex-1 min-w-0">
-                <div class="text-xs sm:text-sm font-bold text-orange-700">${formatDistance(farthestPair.distance)} apart</div>
+                <div class="text-xs sm:text-sm font-bold text-orange-700">${t('account.apart', { distance: formatDistance(farthestPair.distance * 1000, { compact: true }) })}</div>
                 <div class="text-xs text-gray-500 mt-0.5 sm:mt-1 truncate">${farthestPair.gym1.name} ↔ ${farthestPair.gym2.name}</div>
               </div>
             </div>
@@ -196,14 +207,14 @@ export function createAccountModal() {
             <div class="flex items-center gap-2 px-2.5 sm:px-3 py-1.5 sm:py-2 rounded-lg bg-red-50 border border-red-200">
               <span class="text-red-600 font-bold text-base sm:text-lg flex-shrink-0">💨</span>
               <div class="flex-1 min-w-0">
-                <div class="text-xs sm:text-sm font-bold text-red-700 truncate">${gym.name || 'Unknown Gym'}</div>
+                <div class="text-xs sm:text-sm font-bold text-red-700 truncate">${gym.name || t('common.unknownGym')}</div>
                 <div class="text-xs text-gray-500 mt-0.5 sm:mt-1">${gym.smell_avg || 0}<span class="text-gray-500">/100</span></div>
                 ${gym.city ? `<div class="text-xs text-gray-400 mt-0.5 truncate">${gym.city}</div>` : ''}
               </div>
             </div>
           `;
         } else {
-          stinkiestGymEl.innerHTML = '<div class="text-center text-xs sm:text-sm text-gray-500 italic">No smelly gyms visited yet</div>';
+          stinkiestGymEl.innerHTML = `<div class="text-center text-xs sm:text-sm text-gray-500 italic">${t('account.noSmellyGyms')}</div>`;
         }
       }
 
@@ -214,7 +225,7 @@ export function createAccountModal() {
           <div class="flex items-center gap-2 px-2.5 sm:px-3 py-1.5 sm:py-2 rounded-lg bg-blue-50 border border-blue-200">
             <span class="text-blue-600 font-bold text-base sm:text-lg flex-shrink-0">🏋️</span>
             <div class="flex-1 min-w-0">
-              <div class="text-xs sm:text-sm font-bold text-blue-700">${gymCount} gym${gymCount !== 1 ? 's' : ''}</div>
+              <div class="text-xs sm:text-sm font-bold text-blue-700">${t('common.gyms', { count: gymCount })}</div>
             </div>
           </div>
         `;
@@ -224,15 +235,119 @@ export function createAccountModal() {
       console.error('Error details:', error.message, error.stack);
       
       // Show more detailed error message
-      const errorMsg = error.message || 'Unknown error';
-      toast.error(`Failed to load account information: ${errorMsg}`);
+      const errorMsg = error.message || t('common.unknown');
+      toast.error(t('account.loadFailed', { error: errorMsg }));
       
       // Still show basic info
       if (usernameEl) usernameEl.textContent = username;
-      if (gymCountEl) gymCountEl.innerHTML = `<div class="text-center text-xs text-red-500">Failed to load: ${errorMsg}</div>`;
-      if (regionChartEl) regionChartEl.innerHTML = `<div class="text-center py-4 text-sm text-red-500">Failed to load region data: ${errorMsg}</div>`;
-      if (farthestGymsEl) farthestGymsEl.innerHTML = `<div class="text-center text-xs text-red-500">Failed to load farthest gyms: ${errorMsg}</div>`;
-      if (stinkiestGymEl) stinkiestGymEl.innerHTML = `<div class="text-center text-xs text-red-500">Failed to load stinkiest gym: ${errorMsg}</div>`;
+      if (gymCountEl) gymCountEl.innerHTML = `<div class="text-center text-xs text-red-500">${t('account.loadFailedShort', { error: errorMsg })}</div>`;
+      if (regionChartEl) regionChartEl.innerHTML = `<div class="text-center py-4 text-sm text-red-500">${t('account.regionLoadFailed', { error: errorMsg })}</div>`;
+      if (farthestGymsEl) farthestGymsEl.innerHTML = `<div class="text-center text-xs text-red-500">${t('account.farthestLoadFailed', { error: errorMsg })}</div>`;
+      if (stinkiestGymEl) stinkiestGymEl.innerHTML = `<div class="text-center text-xs text-red-500">${t('account.stinkiestLoadFailed', { error: errorMsg })}</div>`;
+    }
+  }
+
+  // Moderator tools depend on the user's role, which only the server knows
+  async function updateModerationTools() {
+    moderationEl?.classList.add('hidden');
+    try {
+      const user = await fetchCurrentUser();
+      const isModerator = user.role === 'moderator' || user.role === 'admin';
+      moderationEl?.classList.toggle('hidden', !isModerator);
+    } catch (error) {
+      console.warn('[AccountModal] Could not load the user role:', error);
+    }
+  }
+
+  // Clear the password/delete forms; password fields only apply if one is set
+  function resetAccountForms(hasPassword) {
+    changePasswordForm?.reset();
+    deleteForm?.reset();
+    currentPasswordInput?.classList.toggle('hidden', !hasPassword);
+    deletePasswordInput?.classList.toggle('hidden', !hasPassword);
+    document.getElementById('accountChangePassword')?.removeAttribute('open');
+    document.getElementById('accountDelete')?.removeAttribute('open');
+  }
+
+  async function handleChangePassword(e) {
+    e.preventDefault();
+    const auth = useAuth();
+    const currentPassword = currentPasswordInput?.value || null;
+    const newPassword = newPasswordInput?.value || '';
+
+    if (auth.hasPassword && !currentPassword) {
+      toast.warning(t('account.enterCurrentPassword'));
+      currentPasswordInput?.focus();
+      return;
+    }
+    if (newPassword.trim().length < 6) {
+      toast.warning(t('account.passwordTooShort'));
+      newPasswordInput?.focus();
+      return;
+    }
+
+    if (changePasswordSubmit) changePasswordSubmit.disabled = true;
+    try {
+      const result = await changePassword(currentPassword, newPassword);
+      auth.setTokens({ has_password: true });
+      resetAccountForms(true);
+      toast.success(result.message || t('account.passwordChanged'));
+    } catch (error) {
+      toast.error(error.message || t('account.passwordChangeFailed'));
+    } finally {
+      if (changePasswordSubmit) changePasswordSubmit.disabled = false;
+    }
+  }
+
+  async function handleDeleteAccount(e) {
+    e.preventDefault();
+    const auth = useAuth();
+    const policy = deleteForm?.querySelector('input[name="accountDeletePolicy"]:checked')?.value || 'anonymize';
+    const password = deletePasswordInput?.value || null;
+
+    if (deleteConfirmInput?.value.trim() !== auth.username) {
+      toast.warning(t('account.typeUsernameExactly'));
+      deleteConfirmInput?.focus();
+      return;
+    }
+    if (auth.hasPassword && !password) {
+      toast.warning(t('account.enterPassword'));
+      deletePasswordInput?.focus();
+      return;
+    }
+
+    if (deleteSubmit) deleteSubmit.disabled = true;
+    try {
+      await deleteAccount(policy, password);
+      auth.forgetUser();
+      hide();
+      toast.success(policy === 'delete'
+        ? t('account.deletedEverything')
+        : t('account.deletedAnonymized'));
+      if (onAccountDeletedCallback) onAccountDeletedCallback();
+    } catch (error) {
+      toast.error(error.message || t('account.deleteFailed'));
+    } finally {
+      if (deleteSubmit) deleteSubmit.disabled = false;
+    }
+  }
+
+  async function handleExport(format, button) {
+    if (button) button.disabled = true;
+    try {
+      const { blob, filename } = await fetchAccountExport(format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      toast.error(error.message || t('account.exportFailed'));
+    } finally {
+      if (button) button.disabled = false;
     }
   }
 
@@ -243,6 +358,10 @@ export function createAccountModal() {
 
   // Wire up event listeners
   closeBtn?.addEventListener('click', hide);
+  changePasswordForm?.addEventListener('submit', handleChangePassword);
+  deleteForm?.addEventListener('submit', handleDeleteAccount);
+  exportJsonBtn?.addEventListener('click', () => handleExport('json', exportJsonBtn));
+  exportCsvBtn?.addEventListener('click', () => handleExport('csv', exportCsvBtn));
   
   // Close on background click
   modal?.addEventListener('click', (e) => {
@@ -266,10 +385,34 @@ export function createAccountModal() {
     });
   }
 
+  // Review suggested edits button (moderators) - will be handled by app.js
+  function onReviewEdits(callback) {
+    reviewEditsBtn?.addEventListener('click', () => {
+      hide();
+      if (callback) callback();
+    });
+  }
+
+  // Review uploaded photos button (moderators) - will be handled by app.js
+  function onReviewPhotos(callback) {
+    reviewPhotosBtn?.addEventListener('click', () => {
+      hide();
+      if (callback) callback();
+    });
+  }
+
+  // Called after the account has been deleted and local auth state cleared
+  function onAccountDeleted(callback) {
+    onAccountDeletedCallback = callback;
+  }
+
   return {
     show,
     hide,
     onSetupPassword,
+    onReviewEdits,
+    onReviewPhotos,
+    onAccountDeleted,
   };
 }
 
@@ -0,0 +1,200 @@
+// Add-a-gym component - pin-drop mode and form for submitting a gym that isn't on the map yet
+// The map control toggles the mode; a map click drops a draggable pin and opens the form.
+// Submissions are held for moderation, so nothing changes on the map right away.
+import { useAppStore, useAuth } from '../store/index.js';
+import { submitGym } from '../services/api.js';
+import { formatDistance } from '../lib/formatting.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+// Gym types accepted by POST /api/gyms (GYM_TYPES in server/lib/gym-submissions.js)
+const GYM_TYPES = ['bouldering', 'rope', 'bouldering_and_rope', 'training'];
+const PIN_COLOR = '#f97316'; // Tailwind orange-500
+
+/**
+ * Create the add-a-gym mode
+ * @param {Object} map - MapLibre map
+ * @param {Object} options - { control: AddGymControl, passwordModal }
+ * @returns {Object|null} { start, stop, toggle } or null if the markup is missing
+ */
+export function createAddGym(map, { control = null, passwordModal = null } = {}) {
+  const panel = document.getElementById('addGymPanel');
+  const form = document.getElementById('addGymForm');
+  const closeBtn = document.getElementById('addGymClose');
+  const coordsEl = document.getElementById('addGymCoords');
+  const nameInput = document.getElementById('addGymName');
+  const addressInput = document.getElementById('addGymAddress');
+  const typeSelect = document.getElementById('addGymType');
+  const phoneInput = document.getElementById('addGymPhone');
+  const duplicatesEl = document.getElementById('addGymDuplicates');
+  const duplicatesList = document.getElementById('addGymDuplicatesList');
+  const submitBtn = document.getElementById('addGymSubmit');
+
+  if (!map || !panel || !form || !nameInput || !typeSelect || !submitBtn) {
+    return null;
+  }
+
+  let marker = null;
+  let confirmNotDuplicate = false;
+  let submitting = false;
+
+  [{ value: '', label: t('addGym.typeUnknown') }, ...GYM_TYPES.map(type => ({ value: type, label: t(`addGym.types.${type}`) }))]
+    .forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+
+  function isActive() {
+    return useAppStore.getState().addingGym;
+  }
+
+  function updateCoords() {
+    if (!marker || !coordsEl) return;
+    const { lng, lat } = marker.getLngLat();
+    coordsEl.textContent = `(${lat.toFixed(5)}, ${lng.toFixed(5)})`;
+  }
+
+  function hideDuplicates() {
+    confirmNotDuplicate = false;
+    duplicatesEl?.classList.add('hidden');
+    if (duplicatesList) duplicatesList.innerHTML = '';
+    submitBtn.textContent = t('addGym.submit');
+  }
+
+  function showDuplicates(duplicates) {
+    if (!duplicatesEl || !duplicatesList) return;
+    duplicatesList.innerHTML = '';
+    duplicates.forEach(gym => {
+      const item = document.createElement('li');
+      const details = [formatDistance(gym.distance_m)];
+      if (gym.moderation_status === 'pending') details.push(t('addGym.pendingReview'));
+      item.textContent = `• ${gym.name} (${details.join(', ')})`;
+      duplicatesList.appendChild(item);
+    });
+    duplicatesEl.classList.remove('hidden');
+    confirmNotDuplicate = true;
+    submitBtn.textContent = t('addGym.submitAnyway');
+  }
+
+  function placePin(lngLat) {
+    if (!marker) {
+      marker = new maplibregl.Marker({ color: PIN_COLOR, draggable: true }).setLngLat(lngLat).addTo(map);
+      marker.on('dragend', () => {
+        updateCoords();
+        hideDuplicates(); // Duplicates depend on where the pin is
+      });
+    } else {
+      marker.setLngLat(lngLat);
+      hideDuplicates();
+    }
+    updateCoords();
+
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      nameInput.focus();
+    }
+  }
+
+  function handleMapClick(e) {
+    if (!isActive()) return;
+    placePin(e.lngLat);
+  }
+
+  function handleKeydown(e) {
+    if (e.key === 'Escape' && isActive()) {
+      stop();
+    }
+  }
+
+  function start() {
+    const auth = useAuth();
+    if (!auth.isLoggedIn) {
+      toast.warning(t('addGym.loginRequired'));
+      passwordModal?.show?.('register');
+      return;
+    }
+    if (isActive()) return;
+
+    useAppStore.getState().setAddingGym(true);
+    control?.setActive(true);
+    map.getCanvas().style.cursor = 'crosshair';
+    map.on('click', handleMapClick);
+    document.addEventListener('keydown', handleKeydown);
+    toast.info(t('addGym.pickLocation'));
+  }
+
+  function stop() {
+    if (!isActive()) return;
+
+    useAppStore.getState().setAddingGym(false);
+    control?.setActive(false);
+    map.getCanvas().style.cursor = '';
+    map.off('click', handleMapClick);
+    document.removeEventListener('keydown', handleKeydown);
+
+    marker?.remove();
+    marker = null;
+    panel.classList.add('hidden');
+    form.reset();
+    hideDuplicates();
+  }
+
+  function toggle() {
+    if (isActive()) {
+      stop();
+    } else {
+      start();
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (submitting || !marker) return;
+
+    const name = nameInput.value.trim();
+    if (name.length < 2) {
+      toast.warning(t('addGym.nameRequired'));
+      nameInput.focus();
+      return;
+    }
+
+    const { lng, lat } = marker.getLngLat();
+    submitting = true;
+    submitBtn.disabled = true;
+    try {
+      await submitGym({
+        name,
+        lng,
+        lat,
+        address: addressInput?.value.trim() || null,
+        phone: phoneInput?.value.trim() || null,
+        type: typeSelect.value || null,
+      }, { confirmNotDuplicate });
+      toast.success(t('addGym.submitted', { name }));
+      stop();
+    } catch (error) {
+      const status = error?.context?.status;
+      if (status === 409 && error.context.duplicates?.length > 0) {
+        showDuplicates(error.context.duplicates);
+      } else if (status === 429) {
+        toast.warning(t('addGym.tooMany'));
+      } else if (status === 400) {
+        toast.error(t('addGym.invalid', { error: error.message }));
+      } else {
+        console.error('[AddGym] Submission failed:', error);
+        toast.error(t('addGym.failed'));
+      }
+    } finally {
+      submitting = false;
+      submitBtn.disabled = false;
+    }
+  }
+
+  form.addEventListener('submit', handleSubmit);
+  closeBtn?.addEventListener('click', stop);
+  control?.onClick(toggle);
+
+  return { start, stop, toggle };
+}
@@ -0,0 +1,173 @@
+// Edit review modal - moderators compare suggested edits with a gym's current details
+// and apply all or some of the fields, or reject the suggestion
+// Opened from the account modal, which only shows the button to moderators and admins.
+import { fetchEditProposals, reviewEditProposal } from '../services/api.js';
+import { formatRelativeTime } from '../lib/formatting.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+function createElement(tag, className, text = null) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+// Empty values are shown as a dash so clearing a field is visible in the diff
+function displayValue(value) {
+  return value === null || value === undefined || value === '' ? '—' : String(value);
+}
+
+/**
+ * Create the edit review modal
+ * @returns {Object|null} { show, hide } or null if the markup is missing
+ */
+export function createEditReview() {
+  const modal = document.getElementById('editReviewModal');
+  const closeBtn = document.getElementById('closeEditReviewModal');
+  const listEl = document.getElementById('editReviewList');
+
+  if (!modal || !listEl) {
+    return null;
+  }
+
+  function showMessage(text) {
+    listEl.innerHTML = '';
+    listEl.appendChild(createElement('div', 'text-center py-4 text-sm text-gray-500', text));
+  }
+
+  // Side-by-side table: field | current value | proposed value, with a checkbox per field
+  function renderDiff(proposal) {
+    const table = createElement('table', 'w-full text-xs border-collapse');
+    const head = createElement('tr', 'text-left text-gray-500');
+    ['', t('editReview.field'), t('editReview.current'), t('editReview.proposed')].forEach(label => {
+      head.appendChild(createElement('th', 'font-semibold py-1 pr-2', label));
+    });
+    table.appendChild(head);
+
+    Object.entries(proposal.changes).forEach(([field, change]) => {
+      const stale = proposal.stale_fields?.includes(field);
+      const row = createElement('tr', 'border-t border-gray-100 align-top');
+
+      const checkCell = createElement('td', 'py-1 pr-2');
+      const checkbox = createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.field = field;
+      checkbox.setAttribute('aria-label', t('editReview.applyField', { field }));
+      checkCell.appendChild(checkbox);
+      row.appendChild(checkCell);
+
+      const fieldCell = createElement('td', 'py-1 pr-2 font-mono text-gray-700', field);
+      if (stale) {
+        fieldCell.appendChild(createElement('div', 'font-sans text-amber-700', t('editReview.changedSince', {
+          value: displayValue(change.from),
+        })));
+      }
+      row.appendChild(fieldCell);
+      row.appendChild(createElement('td', 'py-1 pr-2 text-red-700 line-through break-words', displayValue(proposal.current?.[field])));
+      row.appendChild(createElement('td', 'py-1 text-green-700 break-words', displayValue(change.to)));
+      table.appendChild(row);
+    });
+    return table;
+  }
+
+  function renderProposal(proposal) {
+    const card = createElement('div', 'rounded-lg border border-gray-200 p-3 space-y-2');
+    card.appendChild(createElement('div', 'text-sm font-semibold text-gray-900', proposal.gym_name));
+    card.appendChild(createElement('div', 'text-xs text-gray-500', t('editReview.proposedBy', {
+      username: proposal.proposed_by_username || t('editReview.deletedUser'),
+      time: formatRelativeTime(proposal.created_at),
+    })));
+    if (proposal.note) {
+      card.appendChild(createElement('p', 'text-xs text-gray-700 italic break-words', `“${proposal.note}”`));
+    }
+    card.appendChild(renderDiff(proposal));
+
+    const noteInput = createElement('input', 'w-full rounded-md border border-gray-300 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-orange-400');
+    noteInput.type = 'text';
+    noteInput.maxLength = 500;
+    noteInput.placeholder = t('editReview.notePlaceholder');
+    card.appendChild(noteInput);
+
+    const actions = createElement('div', 'flex gap-2');
+    const applyBtn = createElement('button', 'flex-1 px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white text-xs font-semibold rounded-lg transition-colors touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed', t('editReview.apply'));
+    const rejectBtn = createElement('button', 'flex-1 px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-800 text-xs font-semibold rounded-lg border border-gray-300 transition-colors touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed', t('editReview.reject'));
+    applyBtn.type = 'button';
+    rejectBtn.type = 'button';
+    actions.append(applyBtn, rejectBtn);
+    card.appendChild(actions);
+
+    async function review(action) {
+      const fields = [...card.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.dataset.field);
+      if (action === 'apply' && fields.length === 0) {
+        toast.warning(t('editReview.pickField'));
+        return;
+      }
+
+      applyBtn.disabled = true;
+      rejectBtn.disabled = true;
+      try {
+        await reviewEditProposal(proposal.id, action, { fields, note: noteInput.value.trim() || null });
+        card.remove();
+        if (action === 'apply') {
+          toast.success(t('editReview.applied', { name: proposal.gym_name }));
+          window.dispatchEvent(new CustomEvent('gym:refresh', { detail: proposal.gym_id }));
+        } else {
+          toast.info(t('editReview.rejected'));
+        }
+        if (listEl.children.length === 0) showMessage(t('editReview.empty'));
+      } catch (error) {
+        if (error?.context?.status === 409) {
+          toast.warning(t('editReview.alreadyReviewed'));
+          card.remove();
+        } else {
+          console.error('[EditReview] Review failed:', error);
+          toast.error(t('editReview.failed'));
+          applyBtn.disabled = false;
+          rejectBtn.disabled = false;
+        }
+      }
+    }
+
+    applyBtn.addEventListener('click', () => review('apply'));
+    rejectBtn.addEventListener('click', () => review('reject'));
+    return card;
+  }
+
+  async function show() {
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+    showMessage(t('common.loading'));
+
+    try {
+      const proposals = await fetchEditProposals('pending');
+      if (proposals.length === 0) {
+        showMessage(t('editReview.empty'));
+        return;
+      }
+      listEl.innerHTML = '';
+      proposals.forEach(proposal => listEl.appendChild(renderProposal(proposal)));
+    } catch (error) {
+      console.error('[EditReview] Loading proposals failed:', error);
+      showMessage(t('editReview.loadFailed'));
+    }
+  }
+
+  function hide() {
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+  }
+
+  closeBtn?.addEventListener('click', hide);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) hide();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      hide();
+    }
+  });
+
+  return { show, hide };
+}
@@ -0,0 +1,204 @@
+// Gym filters component - panel for utility, wall style, smell and vote-count filters,
+// plus whether to show permanently closed and moved gyms
+// Writes the filter object to the store (gymFilters); the map and the list follow it from there.
+import { useAppStore } from '../store/index.js';
+import { EMPTY_FILTERS, FILTER_STYLES, countActiveFilters } from '../lib/gym-filters.js';
+import { UTILITY_NAMES, UTILITY_EMOJIS } from './map/PopupContent.js';
+import { t } from '../lib/i18n.js';
+
+const STYLE_MIN_OPTIONS = [10, 20, 30, 40, 50]; // Minimum wall style percentages
+const MAX_SMELL_OPTIONS = [
+  { value: 20, label: t('filters.maxSmell20') },
+  { value: 40, label: t('filters.maxSmell40') },
+  { value: 60, label: t('filters.maxSmell60') },
+  { value: 80, label: t('filters.maxSmell80') },
+];
+const MIN_VOTES_OPTIONS = [1, 3, 5, 10];
+
+const CHIP_BASE_CLASSES = 'inline-flex items-center gap-1 px-2 py-1 rounded-md border text-xs font-medium transition-colors touch-manipulation';
+const CHIP_ON_CLASSES = ['bg-orange-100', 'border-orange-300', 'text-orange-800'];
+const CHIP_OFF_CLASSES = ['bg-white', 'border-gray-200', 'text-gray-700'];
+const SELECT_CLASSES = 'w-full rounded-md border border-gray-200 bg-white px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-orange-400';
+
+function createSelect(id, anyLabel, options) {
+  const select = document.createElement('select');
+  select.id = id;
+  select.className = SELECT_CLASSES;
+  [{ value: '', label: anyLabel }, ...options].forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function createLabeledField(labelText, control) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'block';
+  const label = document.createElement('span');
+  label.className = 'block text-xs text-gray-600 mb-0.5 capitalize';
+  label.textContent = labelText;
+  wrapper.append(label, control);
+  return wrapper;
+}
+
+/**
+ * Create the filter panel
+ * @returns {Object} { open, close, toggle, reset }
+ */
+export function createGymFilters() {
+  const $button = document.getElementById('gymFiltersBtn');
+  const $panel = document.getElementById('gymFiltersPanel');
+  const $count = document.getElementById('gymFiltersCount');
+  const $utilities = document.getElementById('gymFiltersUtilities');
+  const $styles = document.getElementById('gymFiltersStyles');
+  const $other = document.getElementById('gymFiltersOther');
+  const $clear = document.getElementById('gymFiltersClear');
+  if (!$button || !$panel || !$utilities || !$styles || !$other) {
+    return { open() {}, close() {}, toggle() {}, reset() {} };
+  }
+
+  // Build the controls
+  const utilityChips = Object.keys(UTILITY_NAMES).map(key => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.dataset.utility = key;
+    chip.className = CHIP_BASE_CLASSES;
+    chip.textContent = `${UTILITY_EMOJIS[key] || '✅'} ${UTILITY_NAMES[key]}`;
+    chip.addEventListener('click', () => {
+      const { gymFilters } = useAppStore.getState();
+      const utilities = gymFilters.utilities.includes(key)
+        ? gymFilters.utilities.filter(name => name !== key)
+        : [...gymFilters.utilities, key];
+      setFilters({ ...gymFilters, utilities });
+    });
+    $utilities.appendChild(chip);
+    return chip;
+  });
+
+  const styleSelects = FILTER_STYLES.map(style => {
+    const select = createSelect(
+      `gymFiltersStyle-${style}`,
+      t('filters.any'),
+      STYLE_MIN_OPTIONS.map(value => ({ value, label: `≥ ${value}%` }))
+    );
+    select.dataset.field = style;
+    $styles.appendChild(createLabeledField(t(`styles.${style}`), select));
+    return select;
+  });
+
+  const maxSmellSelect = createSelect('gymFiltersMaxSmell', t('filters.anySmell'), MAX_SMELL_OPTIONS);
+  maxSmellSelect.dataset.field = 'smell';
+  const minVotesSelect = createSelect(
+    'gymFiltersMinVotes',
+    t('filters.anyVotes'),
+    MIN_VOTES_OPTIONS.map(value => ({ value, label: t('filters.minVotes', { count: value }) }))
+  );
+  minVotesSelect.dataset.field = 'votes';
+  $other.append(createLabeledField(t('filters.smell'), maxSmellSelect), createLabeledField(t('filters.smellVotes'), minVotesSelect));
+
+  const includeClosedToggle = document.createElement('input');
+  includeClosedToggle.type = 'checkbox';
+  includeClosedToggle.id = 'gymFiltersIncludeClosed';
+  includeClosedToggle.className = 'rounded border-gray-300 text-orange-500 focus:ring-orange-400';
+  const includeClosedLabel = document.createElement('label');
+  includeClosedLabel.className = 'flex items-center gap-2 text-xs text-gray-700';
+  includeClosedLabel.append(includeClosedToggle, document.createTextNode(t('filters.includeClosed')));
+  $other.appendChild(includeClosedLabel);
+  includeClosedToggle.addEventListener('change', () => {
+    const { gymFilters } = useAppStore.getState();
+    setFilters({ ...gymFilters, includeClosed: includeClosedToggle.checked });
+  });
+
+  // Selects map straight to min/max bounds on their data-field
+  function readBounds(selects) {
+    const bounds = {};
+    selects.forEach(select => {
+      if (select.value !== '') bounds[select.dataset.field] = Number(select.value);
+    });
+    return bounds;
+  }
+
+  function handleSelectChange() {
+    const { gymFilters } = useAppStore.getState();
+    setFilters({
+      ...gymFilters,
+      min: readBounds([...styleSelects, minVotesSelect]),
+      max: readBounds([maxSmellSelect]),
+    });
+  }
+  [...styleSelects, maxSmellSelect, minVotesSelect].forEach(select => {
+    select.addEventListener('change', handleSelectChange);
+  });
+
+  function setFilters(filters) {
+    useAppStore.getState().setGymFilters(filters);
+  }
+
+  // Reflect the store in the controls (also covers filters set from elsewhere)
+  function syncControls(filters) {
+    utilityChips.forEach(chip => {
+      const isOn = filters.utilities.includes(chip.dataset.utility);
+      chip.classList.remove(...(isOn ? CHIP_OFF_CLASSES : CHIP_ON_CLASSES));
+      chip.classList.add(...(isOn ? CHIP_ON_CLASSES : CHIP_OFF_CLASSES));
+      chip.setAttribute('aria-pressed', isOn ? 'true' : 'false');
+    });
+    [...styleSelects, minVotesSelect].forEach(select => {
+      select.value = filters.min[select.dataset.field] != null ? String(filters.min[select.dataset.field]) : '';
+    });
+    maxSmellSelect.value = filters.max.smell != null ? String(filters.max.smell) : '';
+    includeClosedToggle.checked = !!filters.includeClosed;
+
+    const activeCount = countActiveFilters(filters);
+    if ($count) {
+      $count.textContent = String(activeCount);
+      $count.classList.toggle('hidden', activeCount === 0);
+    }
+    if ($clear) $clear.disabled = activeCount === 0;
+  }
+
+  function open() {
+    $panel.classList.remove('hidden');
+    $button.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    $panel.classList.add('hidden');
+    $button.setAttribute('aria-expanded', 'false');
+  }
+
+  function toggle() {
+    if ($panel.classList.contains('hidden')) {
+      open();
+    } else {
+      close();
+    }
+  }
+
+  function reset() {
+    setFilters(EMPTY_FILTERS);
+  }
+
+  $button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggle();
+  });
+  if ($clear) $clear.addEventListener('click', reset);
+
+  // Close when clicking outside the panel
+  document.addEventListener('click', (e) => {
+    if (!$panel.classList.contains('hidden') && !$panel.contains(e.target) && !$button.contains(e.target)) {
+      close();
+    }
+  });
+
+  useAppStore.subscribe((state, prevState) => {
+    if (state.gymFilters !== prevState.gymFilters) {
+      syncControls(state.gymFilters);
+    }
+  });
+  syncControls(useAppStore.getState().gymFilters);
+
+  return { open, close, toggle, reset };
+}
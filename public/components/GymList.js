@@ -2,8 +2,45 @@
 import { getStinkScore, stinkBgStyleAttr, inBbox, formatDistance, haversineMeters } from '../lib/utils.js';
 import { useAppStore } from '../store/index.js';
 import { MAP_CONFIG } from '../lib/constants.js';
-import { getSmellText, getSmellColors, getDifficultyText, getDifficultyColors } from './map/PopupContent.js';
-import { fetchGymsByRegion } from '../services/api.js';
+import { DEFAULT_MODE, getMapMode, isMapMode } from './map/MapModes.js';
+import { fetchGymsByRegion, fetchNearbyGyms } from '../services/api.js';
+import { appendFilterParams, countActiveFilters, matchesFilters } from '../lib/gym-filters.js';
+import { t } from '../lib/i18n.js';
+
+const NEAREST_LIST_LIMIT = 10;
+const NEAREST_REFETCH_METERS = 200; // Refetch the nearest list once the user has moved this far
+
+// Flatten a gym feature into the object the list renders
+function featureToGym(f) {
+  return {
+    id: f.properties.id,
+    name: f.properties.name,
+    address: f.properties.address,
+    city: f.properties.city,
+    state: f.properties.state,
+    country_code: f.properties.country_code,
+    tel: f.properties.tel,
+    image: f.properties.image,
+    status: f.properties.status || 'open',
+    lng: f.geometry.coordinates[0],
+    lat: f.geometry.coordinates[1],
+    smell_avg: f.properties.smell_avg,
+    smell_votes: f.properties.smell_votes || 0,
+    difficulty_avg: f.properties.difficulty_avg,
+    difficulty_votes: f.properties.difficulty_votes || 0,
+    parking_availability_avg: f.properties.parking_availability_avg,
+    parking_votes: f.properties.parking_votes || 0,
+    pet_friendly_avg: f.properties.pet_friendly_avg,
+    pet_friendly_votes: f.properties.pet_friendly_votes || 0,
+    smell_score: f.properties.smell_score,
+    difficulty_score: f.properties.difficulty_score,
+    parking_score: f.properties.parking_score,
+    pet_friendly_score: f.properties.pet_friendly_score,
+    styles: f.properties.styles,
+    style_vote_count: f.properties.style_vote_count || 0,
+    utilities: f.properties.utilities || {},
+  };
+}
 
 export function createGymList(map) {
   const $list = document.getElementById('gymList');
@@ -11,20 +48,42 @@ export function createGymList(map) {
   let regionGyms = []; // Store all gyms in the current region
   let currentRegion = null; // Store current region key to detect changes
   let onGymClickFn = null;
-  let currentMode = 'stinky'; // 'stinky' or 'difficulty'
+  let currentMode = DEFAULT_MODE; // Key of MAP_MODES
   let sortOrder = 'desc'; // 'asc' or 'desc'
+  let listMode = 'region'; // 'region' (top 5 around the map center) or 'nearest' (nearest to the user)
+  let nearestGyms = [];
+  let nearestLocation = null; // userLocation the nearest list was fetched for
+  let nearestFiltersKey = null; // Filters the nearest list was fetched with
+
+  let votedGymIds = new Set(); // For the 'unvisited' mode
 
   function setMode(mode) {
-    if (mode === 'stinky' || mode === 'difficulty') {
+    if (isMapMode(mode)) {
       currentMode = mode;
       render();
     }
   }
 
+  function setVotedGyms(ids) {
+    votedGymIds = new Set(ids || []);
+    if (currentMode === 'unvisited') render();
+  }
+
   function getMode() {
     return currentMode;
   }
 
+  function setListMode(mode) {
+    if (mode === 'region' || mode === 'nearest') {
+      listMode = mode;
+      render();
+    }
+  }
+
+  function getListMode() {
+    return listMode;
+  }
+
   function toggleSortOrder() {
     sortOrder = sortOrder === 'desc' ? 'asc' : 'desc';
     render();
@@ -43,13 +102,69 @@ export function createGymList(map) {
     render();
   }
 
-  async function render() {
-    if (!$list) return;
-    const $container = document.getElementById('gymListContainer');
+  // Cache key for a filter object (the same params the API gets)
+  function getFiltersKey(filters) {
+    return appendFilterParams(new URLSearchParams(), filters).toString();
+  }
+
+  function setHeaders(headerText, collapsedText, icon) {
     const $headerMobile = document.getElementById('gymListHeader');
     const $headerDesktop = document.getElementById('gymListHeaderDesktop');
     const $headerCollapsed = document.getElementById('gymListHeaderCollapsed');
     const $iconCollapsed = document.getElementById('gymListIconCollapsed');
+    if ($headerMobile) $headerMobile.textContent = headerText;
+    if ($headerDesktop) $headerDesktop.textContent = headerText;
+    if ($headerCollapsed) $headerCollapsed.textContent = collapsedText;
+    if ($iconCollapsed) $iconCollapsed.textContent = icon;
+  }
+
+  async function renderNearest() {
+    const $container = document.getElementById('gymListContainer');
+    if ($container) $container.classList.remove('hidden');
+    setHeaders('📍 Nearest to me', 'Nearest', '📍');
+
+    const { userLocation: userLoc, gymFilters } = useAppStore.getState();
+    if (!userLoc) {
+      $list.innerHTML = '<div class="p-4 text-sm text-gray-500 text-center">Turn on your location (📍 on the map) to see the gyms nearest to you</div>';
+      return;
+    }
+
+    const filtersKey = getFiltersKey(gymFilters);
+    const moved = !nearestLocation ||
+      haversineMeters(nearestLocation[1], nearestLocation[0], userLoc[1], userLoc[0]) > NEAREST_REFETCH_METERS;
+    if (moved || filtersKey !== nearestFiltersKey) {
+      nearestLocation = userLoc;
+      nearestFiltersKey = filtersKey;
+      try {
+        const nearbyFeatures = await fetchNearbyGyms(userLoc, { limit: NEAREST_LIST_LIMIT, filters: gymFilters });
+        nearestGyms = nearbyFeatures.features.map(f => ({ ...featureToGym(f), distance: f.properties.distance_m }));
+      } catch (error) {
+        console.error('Error fetching nearby gyms:', error);
+        nearestLocation = null; // Retry on the next render
+        if (listMode === 'nearest') {
+          $list.innerHTML = '<div class="p-4 text-sm text-gray-500 text-center">Could not load nearby gyms</div>';
+        }
+        return;
+      }
+    }
+    if (listMode !== 'nearest') return; // Switched back while the request was in flight
+
+    if (nearestGyms.length === 0) {
+      $list.innerHTML = countActiveFilters(gymFilters) > 0
+        ? '<div class="p-4 text-sm text-gray-500 text-center">No gyms near you match your filters</div>'
+        : '<div class="p-4 text-sm text-gray-500 text-center">No gyms near you</div>';
+      return;
+    }
+    renderItems(nearestGyms.map(g => ({ ...g, stink: getStinkScore(g) })));
+  }
+
+  async function render() {
+    if (!$list) return;
+    if (listMode === 'nearest') {
+      await renderNearest();
+      return;
+    }
+    const $container = document.getElementById('gymListContainer');
     
     const b = map.getBounds();
     const center = b.getCenter();
@@ -170,41 +285,21 @@ export function createGymList(map) {
       }
     }
     
-    // Create region key to detect changes
-    const regionKey = `${regionCountry || ''}-${regionState || ''}-${regionCity || ''}`;
+    // Create region key to detect changes (filters are part of it, so changing them refetches)
+    const gymFilters = useAppStore.getState().gymFilters;
+    const regionKey = `${regionCountry || ''}-${regionState || ''}-${regionCity || ''}-${getFiltersKey(gymFilters)}`;
     
     // Fetch all gyms in the region if region changed
     if (regionKey !== currentRegion) {
       currentRegion = regionKey;
       try {
-        const regionFeatures = await fetchGymsByRegion(regionCountry, regionState, regionCity);
-        regionGyms = regionFeatures.features.map(f => ({
-          id: f.properties.id,
-          name: f.properties.name,
-          address: f.properties.address,
-          city: f.properties.city,
-          state: f.properties.state,
-          country_code: f.properties.country_code,
-          tel: f.properties.tel,
-          image: f.properties.image,
-          lng: f.geometry.coordinates[0],
-          lat: f.geometry.coordinates[1],
-          smell_avg: f.properties.smell_avg,
-          smell_votes: f.properties.smell_votes || 0,
-          difficulty_avg: f.properties.difficulty_avg,
-          difficulty_votes: f.properties.difficulty_votes || 0,
-          parking_availability_avg: f.properties.parking_availability_avg,
-          parking_votes: f.properties.parking_votes || 0,
-          pet_friendly_avg: f.properties.pet_friendly_avg,
-          pet_friendly_votes: f.properties.pet_friendly_votes || 0,
-          styles: f.properties.styles,
-          style_vote_count: f.properties.style_vote_count || 0,
-          utilities: f.properties.utilities || {},
-        }));
+        const regionFeatures = await fetchGymsByRegion(regionCountry, regionState, regionCity, gymFilters);
+        regionGyms = regionFeatures.features.map(featureToGym);
       } catch (error) {
         console.error('Error fetching gyms by region:', error);
         // Fallback to filtering from all gyms in viewport
         regionGyms = all.filter(g => {
+          if (!matchesFilters(g, gymFilters)) return false;
           const gymCountry = g.country_code || 'Unknown';
           
           if (isCountryLevel) {
@@ -228,97 +323,50 @@ export function createGymList(map) {
       }
     }
     
-    let displayGyms;
-    
-    if (currentMode === 'stinky') {
-      // Stinky mode: sort by smell (highest first), then by distance (closest first)
-      const userLoc = useAppStore.getState().userLocation;
-      const withStink = regionGyms.map(g => {
-        const stink = getStinkScore(g);
+    // Region label based on zoom level
+    let regionLabel;
+    if (isCountryLevel) {
+      regionLabel = regionCountry;
+    } else if (isStateLevel) {
+      regionLabel = regionState ? `${regionState}, ${regionCountry}` : regionCountry;
+    } else {
+      regionLabel = regionCity ? `${regionCity}, ${regionCountry}` : (regionState ? `${regionState}, ${regionCountry}` : regionCountry);
+    }
+
+    // Sort by the mode's list value (gyms without one last), then by distance (closest first)
+    const mode = getMapMode(currentMode);
+    const userLoc = useAppStore.getState().userLocation;
+    const ranked = regionGyms
+      .filter(g => !mode.list.include || mode.list.include(g, { votedGymIds }))
+      .map(g => {
         let distance = null;
         if (userLoc && g.lat != null && g.lng != null) {
           distance = haversineMeters(userLoc[1], userLoc[0], g.lat, g.lng);
         }
-        return { ...g, stink, distance };
-      });
-      
-      withStink.sort((a, b) => {
-        // First sort by stink
-        const av = a.stink;
-        const bv = b.stink;
-        const stinkComparison = sortOrder === 'desc' ? bv - av : av - bv; // desc: higher first, asc: lower first
-        
-        if (av != null && bv != null) {
-          if (bv !== av) {
-            return stinkComparison;
-          }
-          // If stink is equal, sort by distance (closer first)
-          if (a.distance != null && b.distance != null) {
-            return a.distance - b.distance;
-          }
-          if (a.distance == null) return 1;
-          if (b.distance == null) return -1;
-          return 0;
-        }
-        if (av == null && bv == null) {
-          // Both null, sort by distance
-          if (a.distance != null && b.distance != null) {
-            return a.distance - b.distance;
-          }
-          if (a.distance == null) return 1;
-          if (b.distance == null) return -1;
-          return 0;
-        }
-        if (av == null) return 1;
-        if (bv == null) return -1;
-        return stinkComparison;
+        return { ...g, stink: getStinkScore(g), value: mode.list.value(g), distance };
       });
-      displayGyms = withStink.slice(0, 5);
-      
-      // Update header with region name based on zoom level
-      let regionLabel;
-      if (isCountryLevel) {
-        regionLabel = regionCountry;
-      } else if (isStateLevel) {
-        regionLabel = regionState ? `${regionState}, ${regionCountry}` : regionCountry;
-      } else {
-        regionLabel = regionCity ? `${regionCity}, ${regionCountry}` : (regionState ? `${regionState}, ${regionCountry}` : regionCountry);
+
+    const byDistance = (a, b) => {
+      if (a.distance != null && b.distance != null) {
+        return a.distance - b.distance;
       }
-      const headerText = `💨 Top 5 in ${regionLabel}`;
-      const collapsedText = `TOP 5 Stink`;
-      if ($headerMobile) $headerMobile.textContent = headerText;
-      if ($headerDesktop) $headerDesktop.textContent = headerText;
-      if ($headerCollapsed) $headerCollapsed.textContent = collapsedText;
-      if ($iconCollapsed) $iconCollapsed.textContent = '💨';
-    } else {
-      // Difficulty mode: sort by difficulty
-      const withDifficulty = regionGyms.filter(g => g.difficulty_avg !== null);
-      withDifficulty.sort((a, b) => {
-        const av = a.difficulty_avg;
-        const bv = b.difficulty_avg;
-        if (av == null && bv == null) return 0;
-        if (av == null) return 1;
-        if (bv == null) return -1;
+      if (a.distance == null && b.distance == null) return 0;
+      return a.distance == null ? 1 : -1;
+    };
+    ranked.sort((a, b) => {
+      const av = a.value;
+      const bv = b.value;
+      if (av == null && bv == null) return byDistance(a, b);
+      if (av == null) return 1;
+      if (bv == null) return -1;
+      if (av !== bv) {
         return sortOrder === 'desc' ? bv - av : av - bv; // desc: higher first, asc: lower first
-      });
-      displayGyms = withDifficulty.slice(0, 5);
-      
-      // Update header with region name based on zoom level
-      let regionLabel;
-      if (isCountryLevel) {
-        regionLabel = regionCountry;
-      } else if (isStateLevel) {
-        regionLabel = regionState ? `${regionState}, ${regionCountry}` : regionCountry;
-      } else {
-        regionLabel = regionCity ? `${regionCity}, ${regionCountry}` : (regionState ? `${regionState}, ${regionCountry}` : regionCountry);
       }
-      const headerText = `📊 Top 5 in ${regionLabel}`;
-      const collapsedText = `TOP 5 Difficult`;
-      if ($headerMobile) $headerMobile.textContent = headerText;
-      if ($headerDesktop) $headerDesktop.textContent = headerText;
-      if ($headerCollapsed) $headerCollapsed.textContent = collapsedText;
-      if ($iconCollapsed) $iconCollapsed.textContent = '🧗';
-    }
+      return byDistance(a, b);
+    });
+    const displayGyms = ranked.slice(0, 5);
+
+    setHeaders(`${mode.icon} ${t('list.topIn', { region: regionLabel })}`, mode.collapsedLabel, mode.collapsedIcon);
 
     // Show/hide container - always show unless there are no gyms in view at all
     if ($container) {
@@ -338,22 +386,17 @@ export function createGymList(map) {
 
     // Show appropriate message if no gyms to display in current mode
     if (displayGyms.length === 0) {
-      let regionLabel;
-      if (isCountryLevel) {
-        regionLabel = regionCountry;
-      } else if (isStateLevel) {
-        regionLabel = regionState ? `${regionState}, ${regionCountry}` : regionCountry;
-      } else {
-        regionLabel = regionCity ? `${regionCity}, ${regionCountry}` : (regionState ? `${regionState}, ${regionCountry}` : regionCountry);
-      }
-      if (currentMode === 'difficulty') {
-        $list.innerHTML = `<div class="p-4 text-sm text-gray-500 text-center">No gyms rated with difficulty in ${regionLabel} yet</div>`;
-      } else {
-        $list.innerHTML = `<div class="p-4 text-sm text-gray-500 text-center">No gyms in ${regionLabel}</div>`;
-      }
+      const message = countActiveFilters(gymFilters) > 0
+        ? t('list.noMatchingGyms', { region: regionLabel })
+        : mode.list.emptyText(regionLabel);
+      $list.innerHTML = `<div class="p-4 text-sm text-gray-500 text-center">${message}</div>`;
       return;
     }
 
+    renderItems(displayGyms);
+  }
+
+  function renderItems(displayGyms) {
     $list.innerHTML = displayGyms.map((g, idx) => `
       <button data-id="${g.id}" class="w-full text-left p-2 sm:p-3 hover:bg-gray-50/80 focus:bg-gray-50/80 transition-colors border-b border-gray-100/50 last:border-0 group" ${stinkBgStyleAttr(g.stink)}>
         <div class="flex items-start gap-2 sm:gap-3">
@@ -367,40 +410,9 @@ export function createGymList(map) {
             <div class="font-semibold text-xs sm:text-sm text-gray-900 truncate group-hover:text-red-600 transition-colors">${g.name}</div>
             ${g.address ? `<div class="text-xs text-gray-500 truncate mt-0.5">${g.address}</div>` : ''}
             ${g.distance != null ? `<div class="text-xs text-gray-600 mt-0.5">📍 ${formatDistance(g.distance)}</div>` : ''}
+            ${g.status && g.status !== 'open' ? `<div class="text-xs font-medium text-amber-700 mt-0.5">${t(`gymStatus.${g.status}`)}</div>` : ''}
             <div class="flex items-center gap-2 sm:gap-3 mt-1 sm:mt-1.5">
-              ${currentMode === 'stinky' && g.smell_avg !== null ? (() => {
-                const smellText = getSmellText(g.smell_avg);
-                const smellColors = getSmellColors(g.smell_avg);
-                // Choose icon based on stink level
-                let stinkIcon = '💨'; // Default icon
-                if (smellText === 'Cave of Despair') {
-                  stinkIcon = '💩'; // Poop icon for worst smell
-                } else if (smellText === 'Fresh') {
-                  stinkIcon = '🌿'; // Grass icon for fresh
-                }
-                return `
-                  <div class="flex items-center gap-1">
-                    <span class="text-xs font-medium ${smellColors.text}">${stinkIcon} ${smellText}</span>
-                    <span class="text-xs text-gray-400">(${g.smell_votes || 0})</span>
-                  </div>
-                `;
-              })() : ''}
-              ${currentMode === 'difficulty' && g.difficulty_avg !== null ? (() => {
-                const difficultyText = getDifficultyText(g.difficulty_avg);
-                const difficultyColors = getDifficultyColors(g.difficulty_avg);
-                // Choose icon based on difficulty level
-                let difficultyIcon = '🧗'; // Default icon (climber for Average)
-                if (difficultyText.includes('Hard')) {
-                  difficultyIcon = '🪨'; // Rock icon for all hard levels (Bit Hard, Hard, Super Hard)
-                } else if (difficultyText.includes('Soft')) {
-                  difficultyIcon = '🪜'; // Staircase icon for all soft levels (Super Soft, Soft, Bit Soft)
-                }
-                return `
-                  <div class="flex items-center gap-1">
-                    <span class="text-xs font-medium ${difficultyColors.text}">${difficultyIcon} ${difficultyText}</span>
-                  </div>
-                `;
-              })() : ''}
+              ${getMapMode(currentMode).list.badge(g)}
             </div>
           </div>
           <div class="flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -425,6 +437,13 @@ export function createGymList(map) {
     });
   }
 
-  return { render, setAll, setOnGymClick, setMode, getMode, toggleSortOrder, getSortOrder };
+  // Keep the nearest list following the user (no-op in region mode)
+  useAppStore.subscribe((state, prevState) => {
+    if (listMode === 'nearest' && state.userLocation !== prevState.userLocation) {
+      render();
+    }
+  });
+
+  return { render, setAll, setOnGymClick, setMode, getMode, setVotedGyms, setListMode, getListMode, toggleSortOrder, getSortOrder };
 }
 
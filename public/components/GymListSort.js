@@ -1,4 +1,4 @@
-// Gym list sort button handler - manages sort order toggle with clean event delegation
+// Gym list header button handlers - sort order and "Nearest to me" toggles with clean event delegation
 export function createGymListSort(gymList, toggleState) {
   const sortWrapper = document.getElementById('gymListWrapper');
   if (!sortWrapper) return;
@@ -25,19 +25,29 @@ export function createGymListSort(gymList, toggleState) {
     });
   }
 
-  function handleSortToggle(e) {
-    e.stopPropagation();
-    e.preventDefault();
+  // Highlight the nearest buttons while the list is in nearest mode; sort order doesn't apply there
+  function updateNearestButtons() {
+    const isNearest = gymList.getListMode() === 'nearest';
+    ['gymListNearestBtn', 'gymListNearestBtnDesktop'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) {
+        btn.classList.toggle('bg-orange-200', isNearest);
+        btn.setAttribute('aria-pressed', isNearest ? 'true' : 'false');
+      }
+    });
+    ['gymListSortBtn', 'gymListSortBtnDesktop'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.classList.toggle('hidden', isNearest);
+    });
+  }
 
-    // Preserve mobile expanded state during render
+  // Run a list change without collapsing the mobile list
+  function withPreservedHeight(change) {
     const wasExpanded = toggleState?.isExpanded();
     const currentHeight = toggleState?.getCurrentHeight();
 
-    // Toggle sort order (triggers render)
-    gymList.toggleSortOrder();
-    updateSortIcons();
+    change();
 
-    // Restore height after render on mobile
     if (window.innerWidth < 640 && wasExpanded && currentHeight && toggleState) {
       requestAnimationFrame(() => {
         toggleState.preserveHeight();
@@ -45,15 +55,41 @@ export function createGymListSort(gymList, toggleState) {
     }
   }
 
+  function handleNearestToggle(e) {
+    e.stopPropagation();
+    e.preventDefault();
+
+    withPreservedHeight(() => {
+      gymList.setListMode(gymList.getListMode() === 'nearest' ? 'region' : 'nearest');
+      updateNearestButtons();
+    });
+  }
+
+  function handleSortToggle(e) {
+    e.stopPropagation();
+    e.preventDefault();
+
+    // Toggle sort order (triggers render)
+    withPreservedHeight(() => {
+      gymList.toggleSortOrder();
+      updateSortIcons();
+    });
+  }
+
   // Event delegation - works even if buttons are re-rendered
   sortWrapper.addEventListener('click', (e) => {
     const target = e.target.closest('#gymListSortBtn, #gymListSortBtnDesktop');
     if (target) {
       handleSortToggle(e);
+      return;
+    }
+    if (e.target.closest('#gymListNearestBtn, #gymListNearestBtnDesktop')) {
+      handleNearestToggle(e);
     }
   });
 
   // Initial icon update
   updateSortIcons();
+  updateNearestButtons();
 }
 
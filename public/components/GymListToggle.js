@@ -1,4 +1,23 @@
 // Gym list toggle component - handles mobile collapse/expand and responsive behavior
+// When installed (standalone display mode) on mobile, the expanded list opens as a
+// full-width bottom sheet that stays clear of the notch and home indicator.
+import { isMobile, isStandalone } from '../lib/constants.js';
+
+// Read env(safe-area-inset-*) as pixels - they're only exposed to CSS
+function getSafeAreaInsets() {
+  const probe = document.createElement('div');
+  probe.style.cssText = 'position:fixed;visibility:hidden;pointer-events:none;' +
+    'padding-top:env(safe-area-inset-top,0px);padding-bottom:env(safe-area-inset-bottom,0px);';
+  document.body.appendChild(probe);
+  const style = window.getComputedStyle(probe);
+  const insets = {
+    top: parseFloat(style.paddingTop) || 0,
+    bottom: parseFloat(style.paddingBottom) || 0,
+  };
+  probe.remove();
+  return insets;
+}
+
 export function createGymListToggle() {
   const toggleBtn = document.getElementById('gymListToggle');
   const toggleBtnMobile = document.getElementById('gymListToggleMobile');
@@ -15,24 +34,34 @@ export function createGymListToggle() {
   }
 
   // Constants
-  const MOBILE_BREAKPOINT = 640;
   const HEADER_HEIGHT = 45;
   const BOTTOM_MARGIN = 16;
   const CONTAINER_MARGINS = 32;
   const DESKTOP_LIST_HEIGHT = '384px';
   const MIN_LIST_HEIGHT = 150;
   const MAX_LIST_HEIGHT = 400;
+  const SHEET_MAX_HEIGHT_RATIO = 0.6; // Bottom sheet covers at most 60% of the screen
 
   let isExpanded = false;
 
   // Helper functions
+  function useBottomSheet() {
+    return isMobile() && isStandalone();
+  }
+
   function calculateMobileListHeight() {
-    const maxListHeight = window.innerHeight - HEADER_HEIGHT - BOTTOM_MARGIN - CONTAINER_MARGINS;
+    const insets = getSafeAreaInsets();
+    const available = window.innerHeight - insets.top - insets.bottom;
+    if (useBottomSheet()) {
+      const sheetHeight = Math.round(available * SHEET_MAX_HEIGHT_RATIO) - HEADER_HEIGHT;
+      return `${Math.max(MIN_LIST_HEIGHT, sheetHeight)}px`;
+    }
+    const maxListHeight = available - HEADER_HEIGHT - BOTTOM_MARGIN - CONTAINER_MARGINS;
     return `${Math.max(MIN_LIST_HEIGHT, Math.min(maxListHeight, MAX_LIST_HEIGHT))}px`;
   }
 
-  function isMobile() {
-    return window.innerWidth < MOBILE_BREAKPOINT;
+  function setBottomSheet(enabled) {
+    if (gymListContainer) gymListContainer.classList.toggle('gym-list-sheet', enabled);
   }
 
   function updateToggleIcons(rotation) {
@@ -52,6 +81,7 @@ export function createGymListToggle() {
       gymListWrapper.classList.remove('bg-white/95', 'backdrop-blur-sm', 'rounded-lg', 'shadow-xl', 'border', 'border-gray-200/50');
     }
     
+    setBottomSheet(false);
     if (gymListContainer) {
       gymListContainer.style.width = 'auto';
       gymListContainer.style.maxWidth = 'none';
@@ -72,7 +102,14 @@ export function createGymListToggle() {
       gymListWrapper.classList.add('bg-white/95', 'backdrop-blur-sm', 'rounded-lg', 'shadow-xl', 'border', 'border-gray-200/50');
     }
     
-    if (gymListContainer && isMobile()) {
+    const sheet = useBottomSheet();
+    setBottomSheet(sheet);
+    if (gymListContainer && sheet) {
+      // Sizing comes from the .gym-list-sheet rules in styles.css
+      gymListContainer.style.width = '';
+      gymListContainer.style.maxWidth = '';
+      gymListContainer.style.maxHeight = '';
+    } else if (gymListContainer && isMobile()) {
       gymListContainer.style.width = 'calc(100vw - 1rem)';
       gymListContainer.style.maxWidth = 'calc(100vw - 1rem)';
       gymListContainer.style.maxHeight = 'calc(100vh - 1rem)';
@@ -91,6 +128,7 @@ export function createGymListToggle() {
       gymListWrapper.classList.add('bg-white/95', 'backdrop-blur-sm', 'rounded-lg', 'shadow-xl', 'border', 'border-gray-200/50');
     }
     
+    setBottomSheet(false);
     if (gymListContainer) {
       gymListContainer.style.width = '';
       gymListContainer.style.maxWidth = '';
@@ -98,6 +136,18 @@ export function createGymListToggle() {
     }
   }
 
+  function applyState() {
+    if (isMobile()) {
+      if (!isExpanded) {
+        setCollapsedState();
+      } else {
+        setExpandedState();
+      }
+    } else {
+      setDesktopState();
+    }
+  }
+
   function handleToggle() {
     if (!isMobile()) return;
     
@@ -119,17 +169,10 @@ export function createGymListToggle() {
   if (toggleBtn) toggleBtn.addEventListener('click', handleToggle);
   if (toggleBtnMobile) toggleBtnMobile.addEventListener('click', handleToggle);
 
-  window.addEventListener('resize', () => {
-    if (isMobile()) {
-      if (!isExpanded) {
-        setCollapsedState();
-      } else {
-        setExpandedState();
-      }
-    } else {
-      setDesktopState();
-    }
-  });
+  window.addEventListener('resize', applyState);
+
+  // Switching between browser tab and app window (e.g. right after installing)
+  window.matchMedia?.('(display-mode: standalone)').addEventListener?.('change', applyState);
 
   // Public API
   return {
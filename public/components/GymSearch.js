@@ -0,0 +1,169 @@
+// Gym search component - autocomplete box that finds gyms by name or location text
+import { searchGyms } from '../services/api.js';
+import { debounce } from '../lib/async-utils.js';
+import { formatDistance } from '../lib/formatting.js';
+import { t } from '../lib/i18n.js';
+
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_DELAY = 250; // ms to wait after typing stops
+
+/**
+ * Create the gym search box
+ * @param {Object} options - { onSelect(gym), getNear() -> [lng, lat] | null }
+ * @returns {Object} { clear, focus }
+ */
+export function createGymSearch({ onSelect, getNear = () => null }) {
+  const $input = document.getElementById('gymSearchInput');
+  const $results = document.getElementById('gymSearchResults');
+  const $clear = document.getElementById('gymSearchClear');
+  if (!$input || !$results) {
+    return { clear() {}, focus() {} };
+  }
+
+  let results = [];
+  let activeIndex = -1;
+  let requestId = 0; // Ignore responses to queries the user has already typed past
+
+  function hideResults() {
+    $results.classList.add('hidden');
+    $input.setAttribute('aria-expanded', 'false');
+    activeIndex = -1;
+  }
+
+  function renderMessage(text) {
+    $results.innerHTML = '';
+    const item = document.createElement('li');
+    item.className = 'px-3 py-2 text-xs sm:text-sm text-gray-500';
+    item.textContent = text;
+    $results.appendChild(item);
+    $results.classList.remove('hidden');
+    $input.setAttribute('aria-expanded', 'true');
+  }
+
+  function renderResults() {
+    if (results.length === 0) {
+      renderMessage(t('search.noResults'));
+      return;
+    }
+
+    $results.innerHTML = '';
+    results.forEach((gym, index) => {
+      const item = document.createElement('li');
+      item.id = `gymSearchResult-${index}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', index === activeIndex ? 'true' : 'false');
+      item.className = `px-3 py-2 cursor-pointer touch-manipulation border-b border-gray-100 last:border-b-0 ${
+        index === activeIndex ? 'bg-orange-50' : 'hover:bg-gray-50'
+      }`;
+
+      const name = document.createElement('div');
+      name.className = 'text-xs sm:text-sm font-semibold text-gray-900 truncate';
+      name.textContent = gym.name;
+
+      const location = [gym.city, gym.state, gym.country_code].filter(Boolean).join(', ');
+      const meta = document.createElement('div');
+      meta.className = 'text-xs text-gray-500 truncate';
+      meta.textContent = gym.distance_m != null
+        ? `${location} · ${formatDistance(gym.distance_m)}`
+        : location || gym.address || '';
+
+      item.append(name, meta);
+      // mousedown fires before the input's blur, so the click isn't lost when the list hides
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        selectResult(index);
+      });
+      $results.appendChild(item);
+    });
+
+    $results.classList.remove('hidden');
+    $input.setAttribute('aria-expanded', 'true');
+    if (activeIndex >= 0) {
+      $input.setAttribute('aria-activedescendant', `gymSearchResult-${activeIndex}`);
+    } else {
+      $input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function selectResult(index) {
+    const gym = results[index];
+    if (!gym) return;
+    $input.value = gym.name;
+    hideResults();
+    $input.blur();
+    if (onSelect) onSelect(gym);
+  }
+
+  const runSearch = debounce(async (query) => {
+    const currentRequest = ++requestId;
+    try {
+      const found = await searchGyms(query, getNear());
+      if (currentRequest !== requestId) return;
+      results = found;
+      activeIndex = -1;
+      renderResults();
+    } catch (error) {
+      if (currentRequest !== requestId) return;
+      console.error('[GymSearch] Search failed:', error);
+      renderMessage(t('search.failed'));
+    }
+  }, SEARCH_DELAY);
+
+  $input.addEventListener('input', () => {
+    const query = $input.value.trim();
+    if ($clear) $clear.classList.toggle('hidden', $input.value.length === 0);
+    if (query.length < MIN_QUERY_LENGTH) {
+      requestId++;
+      results = [];
+      hideResults();
+      return;
+    }
+    runSearch(query);
+  });
+
+  $input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      activeIndex = (activeIndex + 1) % results.length;
+      renderResults();
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      activeIndex = activeIndex <= 0 ? results.length - 1 : activeIndex - 1;
+      renderResults();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      selectResult(activeIndex >= 0 ? activeIndex : 0);
+    } else if (e.key === 'Escape') {
+      hideResults();
+      $input.blur();
+    }
+  });
+
+  $input.addEventListener('focus', () => {
+    if (results.length > 0 && $input.value.trim().length >= MIN_QUERY_LENGTH) {
+      renderResults();
+    }
+  });
+
+  $input.addEventListener('blur', hideResults);
+
+  function clear() {
+    requestId++;
+    results = [];
+    $input.value = '';
+    if ($clear) $clear.classList.add('hidden');
+    hideResults();
+  }
+
+  if ($clear) {
+    $clear.addEventListener('click', () => {
+      clear();
+      $input.focus();
+    });
+  }
+
+  return {
+    clear,
+    focus: () => $input.focus(),
+  };
+}
@@ -0,0 +1,120 @@
+// Install prompt component - offers to add the app to the home screen on mobile
+// Chrome/Edge/Samsung fire beforeinstallprompt and install from our button; iOS Safari has
+// no install API, so it gets Share > Add to Home Screen instructions instead.
+import { isMobile, isStandalone } from '../lib/constants.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+const DISMISSED_KEY = 'install_prompt_dismissed_at';
+const DISMISS_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // Ask again after 30 days
+// Don't cover the map right away - let people look around first
+const SHOW_DELAY_MS = 20000;
+
+function isIosSafari() {
+  const ua = window.navigator.userAgent;
+  const isIos = /iphone|ipad|ipod/i.test(ua) ||
+    (window.navigator.platform === 'MacIntel' && window.navigator.maxTouchPoints > 1); // iPadOS
+  // Other iOS browsers (CriOS, FxiOS, ...) can't add to the home screen on older iOS versions
+  return isIos && /safari/i.test(ua) && !/crios|fxios|edgios|opios/i.test(ua);
+}
+
+function wasDismissedRecently() {
+  try {
+    const dismissedAt = Number(localStorage.getItem(DISMISSED_KEY));
+    return Number.isFinite(dismissedAt) && Date.now() - dismissedAt < DISMISS_DURATION_MS;
+  } catch (e) {
+    return false;
+  }
+}
+
+function rememberDismissed() {
+  try {
+    localStorage.setItem(DISMISSED_KEY, String(Date.now()));
+  } catch (e) {
+    // Storage unavailable - we'll just ask again next visit
+  }
+}
+
+/**
+ * Create the install prompt
+ * @returns {Object|null} { show, hide } or null if the markup is missing
+ */
+export function createInstallPrompt() {
+  const container = document.getElementById('installPrompt');
+  const text = document.getElementById('installPromptText');
+  const installBtn = document.getElementById('installPromptInstall');
+  const dismissBtn = document.getElementById('installPromptDismiss');
+
+  if (!container || !installBtn || !dismissBtn) {
+    return null;
+  }
+
+  let deferredPrompt = null;
+  let showTimer = null;
+
+  function canShow() {
+    return isMobile() && !isStandalone() && !wasDismissedRecently();
+  }
+
+  function show() {
+    if (!canShow()) return;
+    container.classList.remove('hidden');
+  }
+
+  function hide() {
+    clearTimeout(showTimer);
+    container.classList.add('hidden');
+  }
+
+  function scheduleShow() {
+    clearTimeout(showTimer);
+    showTimer = setTimeout(show, SHOW_DELAY_MS);
+  }
+
+  window.addEventListener('beforeinstallprompt', (e) => {
+    // Keep the browser's mini-infobar away and show ours instead
+    e.preventDefault();
+    deferredPrompt = e;
+    if (canShow()) scheduleShow();
+  });
+
+  window.addEventListener('appinstalled', () => {
+    deferredPrompt = null;
+    hide();
+    toast.success(t('install.installed'));
+  });
+
+  installBtn.addEventListener('click', async () => {
+    if (!deferredPrompt) {
+      // iOS: the instructions are the whole prompt
+      rememberDismissed();
+      hide();
+      return;
+    }
+    const promptEvent = deferredPrompt;
+    deferredPrompt = null; // prompt() can only be called once per event
+    hide();
+    try {
+      await promptEvent.prompt();
+      const { outcome } = await promptEvent.userChoice;
+      if (outcome === 'dismissed') rememberDismissed();
+    } catch (err) {
+      console.warn('[InstallPrompt] Install prompt failed:', err);
+    }
+  });
+
+  dismissBtn.addEventListener('click', () => {
+    rememberDismissed();
+    hide();
+  });
+
+  // No beforeinstallprompt on iOS - explain the manual steps
+  if (isIosSafari() && canShow()) {
+    if (text) text.textContent = t('install.iosText');
+    installBtn.textContent = t('install.gotIt');
+    dismissBtn.classList.add('hidden');
+    scheduleShow();
+  }
+
+  return { show, hide };
+}
@@ -3,7 +3,8 @@ import { createMapControls } from './map/MapControls.js';
 import { createMapLayers } from './map/MapLayers.js';
 import { createPopupManager } from './map/PopupManager.js';
 import { createVotePanel } from './map/VotePanel.js';
-import { MAP_CONFIG, getMapMinZoom } from '../lib/constants.js';
+import { MAP_CONFIG, getMapMinZoom, getGymSourceType } from '../lib/constants.js';
+import { getBasemapLanguage } from '../lib/i18n.js';
 import { Protocol } from 'pmtiles';
 
 // Register PMTiles protocol with MapLibre (only once)
@@ -32,7 +33,8 @@ export function createMapManager(config) {
   
   if (protomapsApiKey) {
     // Use Protomaps API style - includes sprites, glyphs, and optimized layers
-    styleUrl = `https://api.protomaps.com/styles/v5/light/en.json?key=${protomapsApiKey}`;
+    // Map labels follow the app language
+    styleUrl = `https://api.protomaps.com/styles/v5/light/${getBasemapLanguage()}.json?key=${protomapsApiKey}`;
   } else {
     // Fallback: Use demo PMTiles with custom style
     // Note: This requires a full style definition matching Protomaps basemap layers
@@ -127,8 +129,8 @@ export function createMapManager(config) {
   const map = new maplibregl.Map({
     container: 'map',
     style: styleUrl,
-    center: MAP_CONFIG.DEFAULT_CENTER,
-    zoom: MAP_CONFIG.DEFAULT_ZOOM,
+    center: config.center || MAP_CONFIG.DEFAULT_CENTER,
+    zoom: config.zoom ?? MAP_CONFIG.DEFAULT_ZOOM,
     minZoom: getMapMinZoom(), // Minimum zoom level (8 on mobile, 0 on desktop)
     attributionControl: true,
   });
@@ -158,7 +160,7 @@ export function createMapManager(config) {
   }
 
   // Initialize layers
-  const layers = createMapLayers(map, popupManager);
+  const layers = createMapLayers(map, popupManager, { sourceType: getGymSourceType() });
 
   // Helper functions
   function getBounds() {
@@ -169,18 +171,26 @@ export function createMapManager(config) {
     map.easeTo({ center, zoom });
   }
 
+  // Switch the layers' mode and keep the legend in sync
+  function setMode(mode) {
+    layers.setMode(mode);
+    controls.setLegendMode(layers.getMode());
+  }
+
   return {
     map,
     addGymsLayer: layers.addGymsLayer.bind(layers),
     updateGymsData: layers.updateGymsData.bind(layers),
-    setMode: layers.setMode.bind(layers),
+    setMode,
     getMode: layers.getMode.bind(layers),
     setVotedGyms: layers.setVotedGyms.bind(layers),
+    setFilters: layers.setFilters.bind(layers),
     getBounds,
     easeTo,
     showGymPopup: popupManager.showGymPopup.bind(popupManager),
     setPasswordModal,
     get gymPopup() { return popupManager.popup; },
     get userLngLat() { return controls.userLngLat; },
+    get addGymControl() { return controls.addGymControl; },
   };
 }
@@ -0,0 +1,90 @@
+// Mode switcher component - button plus a menu of the MAP_MODES registry
+import { MAP_MODES, MODE_ORDER, DEFAULT_MODE, getMapMode } from './map/MapModes.js';
+
+/**
+ * Create the mode switcher
+ * @param {Object} options - { onChange(mode) }
+ * @returns {Object} { setMode, getMode }
+ */
+export function createModeSwitcher({ onChange }) {
+  const $button = document.getElementById('modeSwitcher');
+  const $icon = document.getElementById('modeSwitcherIcon');
+  const $text = document.getElementById('modeSwitcherText');
+  const $menu = document.getElementById('modeMenu');
+  let currentMode = DEFAULT_MODE;
+
+  if (!$button || !$menu) {
+    return { setMode() {}, getMode: () => currentMode };
+  }
+
+  const items = MODE_ORDER.map(key => {
+    const mode = MAP_MODES[key];
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.setAttribute('role', 'menuitemradio');
+    item.dataset.mode = key;
+    item.className = 'w-full flex items-center gap-2 px-3 py-2 text-left text-xs sm:text-sm hover:bg-orange-50 touch-manipulation';
+    const icon = document.createElement('span');
+    icon.className = 'text-base';
+    icon.textContent = mode.icon;
+    const label = document.createElement('span');
+    label.textContent = mode.label;
+    item.append(icon, label);
+    item.addEventListener('click', () => {
+      closeMenu();
+      if (key !== currentMode) {
+        setMode(key);
+        if (onChange) onChange(key);
+      }
+    });
+    $menu.appendChild(item);
+    return item;
+  });
+
+  function openMenu() {
+    $menu.classList.remove('hidden');
+    $button.setAttribute('aria-expanded', 'true');
+  }
+
+  function closeMenu() {
+    $menu.classList.add('hidden');
+    $button.setAttribute('aria-expanded', 'false');
+  }
+
+  // Update the button and the checked item (doesn't call onChange)
+  function setMode(key) {
+    currentMode = key;
+    const mode = getMapMode(key);
+    if ($icon) $icon.textContent = mode.icon;
+    if ($text) $text.textContent = mode.label;
+    items.forEach(item => {
+      const isActive = item.dataset.mode === key;
+      item.setAttribute('aria-checked', isActive ? 'true' : 'false');
+      item.classList.toggle('font-semibold', isActive);
+      item.classList.toggle('bg-orange-50', isActive);
+    });
+  }
+
+  $button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if ($menu.classList.contains('hidden')) {
+      openMenu();
+    } else {
+      closeMenu();
+    }
+  });
+
+  // Close when clicking outside the menu
+  document.addEventListener('click', (e) => {
+    if (!$menu.classList.contains('hidden') && !$menu.contains(e.target)) {
+      closeMenu();
+    }
+  });
+
+  setMode(currentMode);
+
+  return {
+    setMode,
+    getMode: () => currentMode,
+  };
+}
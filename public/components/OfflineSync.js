@@ -0,0 +1,127 @@
+// Offline sync component - registers the service worker, tells the user when the connection
+// drops or returns, and replays votes queued in the outbox (lib/vote-outbox.js) once it's back
+import { useAppStore } from '../store/index.js';
+import { submitVote, submitUtilityVote } from '../services/api.js';
+import { getOutboxEntries, removeOutboxEntry, isOfflineError } from '../lib/vote-outbox.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+// Wait a moment after 'online' fires - the first requests often still fail
+const REPLAY_DELAY_MS = 1500;
+
+function registerServiceWorker() {
+  // Dev builds serve unbundled modules that change on every save - don't cache them
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  const register = () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('[OfflineSync] Service worker registration failed:', err);
+    });
+  };
+  // Register after load so precaching doesn't compete with the first map requests
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
+
+function sendEntry(entry) {
+  const options = { votedAt: entry.votedAt };
+  if (entry.kind === 'utility') {
+    return submitUtilityVote(entry.gymId, entry.utilityName, entry.vote, options);
+  }
+  return submitVote(entry.gymId, entry.data, options);
+}
+
+/**
+ * Create the offline sync
+ * @returns {Object} { flush, getPendingCount }
+ */
+export function createOfflineSync() {
+  let flushing = false;
+
+  registerServiceWorker();
+
+  function getPendingCount() {
+    const { userId } = useAppStore.getState();
+    return userId ? getOutboxEntries(userId).length : 0;
+  }
+
+  // Send the current user's queued votes, oldest first. Stops at the first network error
+  // (still offline) or expired session, and keeps the rest for the next attempt.
+  async function flush() {
+    const { userId, accessToken } = useAppStore.getState();
+    if (flushing || !userId || !accessToken || !navigator.onLine) return;
+    const entries = getOutboxEntries(userId);
+    if (entries.length === 0) return;
+
+    flushing = true;
+    let sent = 0;
+    let superseded = 0;
+    let rejected = 0;
+    const refreshedGymIds = new Set();
+
+    try {
+      for (const entry of entries) {
+        try {
+          await sendEntry(entry);
+          removeOutboxEntry(entry.id);
+          refreshedGymIds.add(entry.gymId);
+          sent++;
+        } catch (err) {
+          const status = err?.context?.status;
+          if (isOfflineError(err) || status === 401 || status === 429 || status >= 500) {
+            console.warn('[OfflineSync] Replay paused, will retry later:', err);
+            break;
+          }
+          removeOutboxEntry(entry.id);
+          if (status === 409 && err.message === 'newer_vote_exists') {
+            superseded++; // A newer vote (e.g. from another device) already won
+          } else {
+            console.error('[OfflineSync] Queued vote rejected:', entry, err);
+            rejected++;
+          }
+        }
+      }
+    } finally {
+      flushing = false;
+    }
+
+    if (sent > 0) {
+      toast.success(t('offline.sent', { count: sent }));
+    }
+    if (superseded > 0) {
+      toast.warning(t('offline.superseded', { count: superseded }));
+    }
+    if (rejected > 0) {
+      toast.error(t('offline.rejected', { count: rejected }));
+    }
+    refreshedGymIds.forEach(gymId => {
+      window.dispatchEvent(new CustomEvent('gym:refresh', { detail: gymId }));
+    });
+  }
+
+  window.addEventListener('offline', () => {
+    toast.warning(t('offline.wentOffline'));
+  });
+
+  window.addEventListener('online', () => {
+    const pending = getPendingCount();
+    toast.info(pending > 0
+      ? t('offline.backOnlineSending', { count: pending })
+      : t('offline.backOnline'));
+    setTimeout(flush, REPLAY_DELAY_MS);
+  });
+
+  // Votes queued before logging in again
+  useAppStore.subscribe((state, prevState) => {
+    if (state.userId && state.userId !== prevState.userId) {
+      flush();
+    }
+  });
+
+  // Votes left over from a previous visit
+  setTimeout(flush, REPLAY_DELAY_MS);
+
+  return { flush, getPendingCount };
+}
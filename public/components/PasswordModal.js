@@ -1,8 +1,9 @@
 // Password modal component for registration/login
-import { register, login, checkUser } from '../services/api.js';
+import { register, login, checkUser, resetPassword } from '../services/api.js';
 import { useAuth } from '../store/index.js';
 import { isValidUsername, validatePassword } from '../lib/validation.js';
 import { handleError } from '../lib/error-handler.js';
+import { t } from '../lib/i18n.js';
 
 export function initPasswordModal() {
   const modal = document.getElementById('passwordModal');
@@ -13,8 +14,17 @@ export function initPasswordModal() {
   const submitBtn = document.getElementById('passwordSubmit');
   const statusEl = document.getElementById('passwordStatus');
   const titleEl = document.getElementById('passwordModalTitle');
+  const recoveryGroup = document.getElementById('passwordRecoveryCodeGroup');
+  const recoveryInput = document.getElementById('passwordRecoveryCode');
+  const recoveryNotice = document.getElementById('passwordRecoveryNotice');
+  const recoveryNoticeCode = document.getElementById('passwordRecoveryNoticeCode');
+  const recoveryNoticeDone = document.getElementById('passwordRecoveryNoticeDone');
+  const resetToggle = document.getElementById('passwordResetToggle');
+  const resetGroup = document.getElementById('passwordResetTokenGroup');
+  const resetInput = document.getElementById('passwordResetToken');
   
   let isRegisterMode = false;
+  let pendingFinish = null;
   let onSuccessCallback = null;
   let onLoginSuccessCallback = null;
 
@@ -28,7 +38,7 @@ export function initPasswordModal() {
     onSuccessCallback = onSuccess;
     
     if (titleEl) {
-      titleEl.textContent = isRegisterMode ? 'Register / Set Password' : 'Login';
+      titleEl.textContent = isRegisterMode ? t('auth.registerTitle') : t('auth.login');
     }
     
     if (usernameInput) {
@@ -41,11 +51,15 @@ export function initPasswordModal() {
       passwordInput.value = '';
     }
     
+    hideRecoveryCode();
+    resetGroup?.classList.add('hidden');
+    if (resetInput) resetInput.value = '';
+    
     const submitTextEl = document.getElementById('passwordSubmitText');
     if (submitTextEl) {
-      submitTextEl.textContent = isRegisterMode ? 'Register' : 'Login';
+      submitTextEl.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
     } else if (submitBtn) {
-      submitBtn.textContent = isRegisterMode ? 'Register' : 'Login';
+      submitBtn.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
     }
     
     if (statusEl) {
@@ -58,7 +72,53 @@ export function initPasswordModal() {
     }
   }
 
+  function hideRecoveryCode() {
+    recoveryGroup?.classList.add('hidden');
+    if (recoveryInput) recoveryInput.value = '';
+    recoveryNotice?.classList.add('hidden');
+    if (recoveryNoticeCode) recoveryNoticeCode.textContent = '';
+    if (submitBtn) submitBtn.classList.remove('hidden');
+    pendingFinish = null;
+  }
+
+  // Ask for the account's recovery code after the server says the username is claimed
+  function askForRecoveryCode() {
+    recoveryGroup?.classList.remove('hidden');
+    recoveryInput?.focus();
+  }
+
+  // Close the modal and run callbacks; if the server issued a recovery code,
+  // keep the modal open until the user confirms they've saved it
+  function finishLogin(username, password, recoveryCode) {
+    const finish = () => {
+      close();
+      if (onLoginSuccessCallback) onLoginSuccessCallback();
+      if (onSuccessCallback) {
+        onSuccessCallback(username, password);
+      }
+    };
+    
+    if (recoveryCode && recoveryNotice && recoveryNoticeCode) {
+      recoveryNoticeCode.textContent = recoveryCode;
+      recoveryNotice.classList.remove('hidden');
+      recoveryGroup?.classList.add('hidden');
+      submitBtn?.classList.add('hidden');
+      pendingFinish = finish;
+      return;
+    }
+    
+    setTimeout(finish, 1000);
+  }
+
   function close() {
+    if (pendingFinish) {
+      // Closing without pressing "I've saved it" still completes the login
+      const finish = pendingFinish;
+      pendingFinish = null;
+      finish();
+      return;
+    }
+    hideRecoveryCode();
     if (modal) {
       modal.classList.add('hidden');
       modal.classList.remove('flex');
@@ -84,6 +144,8 @@ export function initPasswordModal() {
     
     const username = usernameInput?.value.trim();
     const password = passwordInput?.value;
+    const recoveryCode = recoveryInput?.value.trim() || null;
+    const resetToken = resetInput?.value.trim() || null;
     
     // Clear previous status
     if (statusEl) {
@@ -110,7 +172,7 @@ export function initPasswordModal() {
       const passwordValidation = validatePassword(password);
       if (!passwordValidation.valid) {
         if (statusEl) {
-          statusEl.textContent = `⚠️ ${passwordValidation.error || 'Password is required'}`;
+          statusEl.textContent = `⚠️ ${passwordValidation.error || t('auth.passwordRequired')}`;
           statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-red-600';
         }
         if (passwordInput) {
@@ -133,6 +195,52 @@ export function initPasswordModal() {
       }
     }
     
+    // Reset password with an admin-issued token
+    if (resetToken) {
+      if (!password || password.length === 0) {
+        if (statusEl) {
+          statusEl.textContent = '⚠️ Enter a new password to use with the reset token';
+          statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-red-600';
+        }
+        passwordInput?.focus();
+        if (submitBtn) {
+          submitBtn.disabled = false;
+          const submitTextEl = document.getElementById('passwordSubmitText');
+          if (submitTextEl) {
+            submitTextEl.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
+          } else {
+            submitBtn.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
+          }
+        }
+        return;
+      }
+      try {
+        const result = await resetPassword(username, resetToken, password);
+        const auth = useAuth();
+        auth.login(result.user_id, username, result);
+        if (statusEl) {
+          statusEl.textContent = `✅ ${result.message || t('auth.passwordReset')}`;
+          statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-green-600';
+        }
+        finishLogin(username, password, null);
+      } catch (err) {
+        if (statusEl) {
+          statusEl.textContent = `❌ ${err.message || t('auth.passwordResetFailed')}`;
+          statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-red-600';
+        }
+        if (submitBtn) {
+          submitBtn.disabled = false;
+          const submitTextEl = document.getElementById('passwordSubmitText');
+          if (submitTextEl) {
+            submitTextEl.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
+          } else {
+            submitBtn.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
+          }
+        }
+      }
+      return;
+    }
+    
     // Register without password
     if (isRegisterMode && (!password || password.length === 0)) {
       try {
@@ -147,44 +255,39 @@ export function initPasswordModal() {
             submitBtn.disabled = false;
             const submitTextEl = document.getElementById('passwordSubmitText');
             if (submitTextEl) {
-              submitTextEl.textContent = 'Register';
+              submitTextEl.textContent = t('auth.register');
             } else {
-              submitBtn.textContent = 'Register';
+              submitBtn.textContent = t('auth.register');
             }
           }
           return;
         }
         
         // User doesn't exist or doesn't have password - proceed with registration
-        const result = await register(username, null);
+        const result = await register(username, null, recoveryCode);
         const auth = useAuth();
         if (result.user_id) {
-          auth.login(result.user_id, username, null);
+          auth.login(result.user_id, username, result);
         }
         if (statusEl) {
           statusEl.textContent = '✅ Username registered! Password is optional.';
           statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-green-600';
         }
-        setTimeout(() => {
-          close();
-          if (onLoginSuccessCallback) onLoginSuccessCallback();
-          if (onSuccessCallback) {
-            onSuccessCallback(username, null);
-          }
-        }, 1000);
+        finishLogin(username, null, result.recovery_code);
         return;
       } catch (err) {
         if (statusEl) {
-          statusEl.textContent = `❌ ${err.message || 'Registration failed'}`;
+          statusEl.textContent = `❌ ${err.message || t('auth.registrationFailed')}`;
           statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-red-600';
         }
+        if (err.claimRequired) askForRecoveryCode();
         if (submitBtn) {
           submitBtn.disabled = false;
           const submitTextEl = document.getElementById('passwordSubmitText');
           if (submitTextEl) {
-            submitTextEl.textContent = 'Register';
+            submitTextEl.textContent = t('auth.register');
           } else {
-            submitBtn.textContent = 'Register';
+            submitBtn.textContent = t('auth.register');
           }
         }
         return;
@@ -205,41 +308,38 @@ export function initPasswordModal() {
             submitBtn.disabled = false;
             const submitTextEl = document.getElementById('passwordSubmitText');
             if (submitTextEl) {
-              submitTextEl.textContent = 'Login';
+              submitTextEl.textContent = t('auth.login');
             } else {
-              submitBtn.textContent = 'Login';
+              submitBtn.textContent = t('auth.login');
             }
           }
           return;
         }
+        // Password-less accounts get their session from the register endpoint
+        const result = await register(username, null, recoveryCode);
         const auth = useAuth();
-        if (check.user_id) {
-          auth.login(check.user_id, username, null);
+        if (result.user_id) {
+          auth.login(result.user_id, username, result);
         }
         if (statusEl) {
           statusEl.textContent = '✅ Logged in (no password set)';
           statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-green-600';
         }
-        setTimeout(() => {
-          close();
-          if (onLoginSuccessCallback) onLoginSuccessCallback();
-          if (onSuccessCallback) {
-            onSuccessCallback(username, null);
-          }
-        }, 1000);
+        finishLogin(username, null, result.recovery_code);
         return;
       } catch (err) {
         if (statusEl) {
-          statusEl.textContent = `❌ ${err.message || 'Login failed'}`;
+          statusEl.textContent = `❌ ${err.message || t('auth.loginFailed')}`;
           statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-red-600';
         }
+        if (err.claimRequired) askForRecoveryCode();
         if (submitBtn) {
           submitBtn.disabled = false;
           const submitTextEl = document.getElementById('passwordSubmitText');
           if (submitTextEl) {
-            submitTextEl.textContent = 'Login';
+            submitTextEl.textContent = t('auth.login');
           } else {
-            submitBtn.textContent = 'Login';
+            submitBtn.textContent = t('auth.login');
           }
         }
         return;
@@ -261,50 +361,50 @@ export function initPasswordModal() {
     try {
       let result;
       if (isRegisterMode) {
-        result = await register(username, password);
+        result = await register(username, password, recoveryCode);
       } else {
         result = await login(username, password);
       }
       
       const auth = useAuth();
       if (result.user_id) {
-        auth.login(result.user_id, username, password);
+        auth.login(result.user_id, username, result);
       } else {
-        // Still update password even if no user_id (shouldn't happen but handle gracefully)
-        auth.setPassword(password);
+        // Still store the session even if no user_id (shouldn't happen but handle gracefully)
+        auth.setTokens(result);
       }
       
       if (statusEl) {
-        statusEl.textContent = `✅ ${result.message || 'Success!'}`;
+        statusEl.textContent = `✅ ${result.message || t('auth.success')}`;
         statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-green-600';
       }
       
-      setTimeout(() => {
-        close();
-        if (onLoginSuccessCallback) onLoginSuccessCallback();
-        if (onSuccessCallback) {
-          onSuccessCallback(username, password);
-        }
-      }, 1000);
+      finishLogin(username, password, result.recovery_code);
       
     } catch (err) {
       if (statusEl) {
-        statusEl.textContent = `❌ ${err.message || 'Failed'}`;
+        statusEl.textContent = `❌ ${err.message || t('auth.failed')}`;
         statusEl.className = 'text-xs sm:text-sm text-center min-h-[1.5rem] font-medium text-red-600';
       }
+      if (err.claimRequired) askForRecoveryCode();
       if (submitBtn) {
         submitBtn.disabled = false;
         const submitTextEl = document.getElementById('passwordSubmitText');
         if (submitTextEl) {
-          submitTextEl.textContent = isRegisterMode ? 'Register' : 'Login';
+          submitTextEl.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
         } else {
-          submitBtn.textContent = isRegisterMode ? 'Register' : 'Login';
+          submitBtn.textContent = isRegisterMode ? t('auth.register') : t('auth.login');
         }
       }
     }
   }
 
   closeBtn?.addEventListener('click', close);
+  recoveryNoticeDone?.addEventListener('click', close);
+  resetToggle?.addEventListener('click', () => {
+    resetGroup?.classList.toggle('hidden');
+    if (!resetGroup?.classList.contains('hidden')) resetInput?.focus();
+  });
   form?.addEventListener('submit', handleSubmit);
   modal?.addEventListener('click', (e) => {
     if (e.target === modal) close();
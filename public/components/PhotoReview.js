@@ -0,0 +1,137 @@
+// Photo review modal - moderators approve or reject uploaded gym photos
+// Opened from the account modal, which only shows the button to moderators and admins.
+import { fetchPhotoQueue, reviewGymPhoto } from '../services/api.js';
+import { formatRelativeTime } from '../lib/formatting.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+function createElement(tag, className, text = null) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+/**
+ * Create the photo review modal
+ * @returns {Object|null} { show, hide } or null if the markup is missing
+ */
+export function createPhotoReview() {
+  const modal = document.getElementById('photoReviewModal');
+  const closeBtn = document.getElementById('closePhotoReviewModal');
+  const listEl = document.getElementById('photoReviewList');
+
+  if (!modal || !listEl) {
+    return null;
+  }
+
+  function showMessage(text) {
+    listEl.innerHTML = '';
+    listEl.appendChild(createElement('div', 'text-center py-4 text-sm text-gray-500', text));
+  }
+
+  function renderPhoto(photo) {
+    const card = createElement('div', 'rounded-lg border border-gray-200 p-3 space-y-2');
+    card.appendChild(createElement('div', 'text-sm font-semibold text-gray-900', photo.gym_name));
+    card.appendChild(createElement('div', 'text-xs text-gray-500', t('photoReview.uploadedBy', {
+      username: photo.uploaded_by_username || t('editReview.deletedUser'),
+      time: formatRelativeTime(photo.created_at),
+    })));
+
+    // Open the display size in a new tab to check details the thumbnail hides
+    const link = createElement('a', 'block');
+    link.href = photo.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    const img = createElement('img', 'w-full max-h-64 object-contain rounded bg-gray-100');
+    img.src = photo.thumb_url;
+    img.alt = t('photoReview.imageAlt', { name: photo.gym_name });
+    img.loading = 'lazy';
+    link.appendChild(img);
+    card.appendChild(link);
+
+    if (photo.caption) {
+      card.appendChild(createElement('p', 'text-xs text-gray-700 italic break-words', `“${photo.caption}”`));
+    }
+
+    const noteInput = createElement('input', 'w-full rounded-md border border-gray-300 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-orange-400');
+    noteInput.type = 'text';
+    noteInput.maxLength = 500;
+    noteInput.placeholder = t('editReview.notePlaceholder');
+    card.appendChild(noteInput);
+
+    const actions = createElement('div', 'flex gap-2');
+    const approveBtn = createElement('button', 'flex-1 px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white text-xs font-semibold rounded-lg transition-colors touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed', t('photoReview.approve'));
+    const rejectBtn = createElement('button', 'flex-1 px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-800 text-xs font-semibold rounded-lg border border-gray-300 transition-colors touch-manipulation disabled:opacity-50 disabled:cursor-not-allowed', t('photoReview.reject'));
+    approveBtn.type = 'button';
+    rejectBtn.type = 'button';
+    actions.append(approveBtn, rejectBtn);
+    card.appendChild(actions);
+
+    async function review(action) {
+      approveBtn.disabled = true;
+      rejectBtn.disabled = true;
+      try {
+        await reviewGymPhoto(photo.id, action, noteInput.value.trim() || null);
+        card.remove();
+        if (action === 'approve') {
+          toast.success(t('photoReview.approved', { name: photo.gym_name }));
+          window.dispatchEvent(new CustomEvent('gym:refresh', { detail: photo.gym_id }));
+        } else {
+          toast.info(t('photoReview.rejected'));
+        }
+        if (listEl.children.length === 0) showMessage(t('photoReview.empty'));
+      } catch (error) {
+        if (error?.context?.status === 409) {
+          toast.warning(t('photoReview.alreadyReviewed'));
+          card.remove();
+        } else {
+          console.error('[PhotoReview] Review failed:', error);
+          toast.error(t('editReview.failed'));
+          approveBtn.disabled = false;
+          rejectBtn.disabled = false;
+        }
+      }
+    }
+
+    approveBtn.addEventListener('click', () => review('approve'));
+    rejectBtn.addEventListener('click', () => review('reject'));
+    return card;
+  }
+
+  async function show() {
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+    showMessage(t('common.loading'));
+
+    try {
+      const photos = await fetchPhotoQueue('pending');
+      if (photos.length === 0) {
+        showMessage(t('photoReview.empty'));
+        return;
+      }
+      listEl.innerHTML = '';
+      photos.forEach(photo => listEl.appendChild(renderPhoto(photo)));
+    } catch (error) {
+      console.error('[PhotoReview] Loading photos failed:', error);
+      showMessage(t('photoReview.loadFailed'));
+    }
+  }
+
+  function hide() {
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+  }
+
+  closeBtn?.addEventListener('click', hide);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) hide();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+      hide();
+    }
+  });
+
+  return { show, hide };
+}
@@ -0,0 +1,86 @@
+// Photo upload component - lets logged-in users add a photo of a gym from its popup
+// (the 'gym:add-photo' window event). Photos are resized on the server and only show up
+// in the popup once a moderator approves them (components/PhotoReview.js).
+import { useAuth } from '../store/index.js';
+import { uploadGymPhoto } from '../services/api.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+// Same limits as server/lib/gym-photos.js, checked here to skip a doomed upload
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Create the photo uploader
+ * @param {Object} options - { passwordModal }
+ * @returns {Object} { pick } - opens the file picker for a gym
+ */
+export function createPhotoUpload({ passwordModal = null } = {}) {
+  let gym = null;
+  let uploading = false;
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = PHOTO_MIME_TYPES.join(',');
+  input.className = 'hidden';
+  document.body.appendChild(input);
+
+  function pick(targetGym) {
+    const auth = useAuth();
+    if (!auth.isLoggedIn) {
+      toast.warning(t('photos.loginRequired'));
+      passwordModal?.show?.('register');
+      return;
+    }
+    if (uploading) {
+      toast.info(t('photos.uploading'));
+      return;
+    }
+
+    gym = targetGym;
+    input.value = '';
+    input.click();
+  }
+
+  async function upload(file) {
+    if (!PHOTO_MIME_TYPES.includes(file.type)) {
+      toast.warning(t('photos.wrongType'));
+      return;
+    }
+    if (file.size > PHOTO_MAX_BYTES) {
+      toast.warning(t('photos.tooLarge', { max: PHOTO_MAX_BYTES / (1024 * 1024) }));
+      return;
+    }
+
+    uploading = true;
+    toast.info(t('photos.uploading'));
+    try {
+      await uploadGymPhoto(gym.id, file);
+      toast.success(t('photos.uploaded', { name: gym.name }));
+    } catch (error) {
+      const status = error?.context?.status;
+      if (status === 413) {
+        toast.warning(t('photos.tooLarge', { max: PHOTO_MAX_BYTES / (1024 * 1024) }));
+      } else if (status === 429) {
+        toast.warning(t('photos.tooMany'));
+      } else if (status === 400) {
+        toast.error(t('photos.invalid'));
+      } else {
+        console.error('[PhotoUpload] Upload failed:', error);
+        toast.error(t('photos.failed'));
+      }
+    } finally {
+      uploading = false;
+    }
+  }
+
+  input.addEventListener('change', () => {
+    const file = input.files?.[0];
+    if (file && gym) upload(file);
+  });
+  window.addEventListener('gym:add-photo', (e) => {
+    if (e.detail) pick(e.detail);
+  });
+
+  return { pick };
+}
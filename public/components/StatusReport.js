@@ -0,0 +1,190 @@
+// Status report component - lets users report that a gym has closed (for now or for good)
+// or moved, from its popup (the 'gym:report-status' window event)
+// The gym's status only changes once enough recent reports agree (server/lib/gym-status.js).
+import { useAuth } from '../store/index.js';
+import { reportGymStatus, searchGyms } from '../services/api.js';
+import { debounce } from '../lib/async-utils.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+const GYM_STATUSES = ['open', 'temporarily_closed', 'permanently_closed', 'moved'];
+const SEARCH_DELAY = 250; // ms
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Create the status report panel
+ * @param {Object} options - { passwordModal }
+ * @returns {Object|null} { show, hide } or null if the markup is missing
+ */
+export function createStatusReport({ passwordModal = null } = {}) {
+  const panel = document.getElementById('statusReportPanel');
+  const form = document.getElementById('statusReportForm');
+  const closeBtn = document.getElementById('statusReportClose');
+  const gymNameEl = document.getElementById('statusReportGymName');
+  const optionsEl = document.getElementById('statusReportOptions');
+  const movedEl = document.getElementById('statusReportMoved');
+  const searchInput = document.getElementById('statusReportSearch');
+  const resultsEl = document.getElementById('statusReportResults');
+  const submitBtn = document.getElementById('statusReportSubmit');
+
+  if (!panel || !form || !optionsEl || !movedEl || !searchInput || !resultsEl || !submitBtn) {
+    return null;
+  }
+
+  let gym = null;
+  let target = null; // Gym picked as the new location
+  let searchRequestId = 0;
+  let submitting = false;
+
+  GYM_STATUSES.forEach(status => {
+    const label = document.createElement('label');
+    label.className = 'flex items-center gap-2 text-sm text-gray-800';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'status';
+    radio.value = status;
+    radio.className = 'text-orange-500 focus:ring-orange-400';
+    label.append(radio, document.createTextNode(t(`gymStatus.options.${status}`)));
+    optionsEl.appendChild(label);
+  });
+
+  function selectedStatus() {
+    return form.querySelector('input[name="status"]:checked')?.value || null;
+  }
+
+  function renderResults(gyms) {
+    resultsEl.innerHTML = '';
+    if (gyms.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-2 py-1 text-xs text-gray-500';
+      empty.textContent = t('search.noResults');
+      resultsEl.appendChild(empty);
+      return;
+    }
+    gyms.forEach(result => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'w-full text-left px-2 py-1 rounded text-xs hover:bg-orange-50 focus:bg-orange-50';
+      button.classList.toggle('bg-orange-100', target?.id === result.id);
+      button.textContent = [result.name, result.city].filter(Boolean).join(' · ');
+      button.addEventListener('click', () => {
+        target = result;
+        searchInput.value = result.name;
+        renderResults([result]);
+      });
+      item.appendChild(button);
+      resultsEl.appendChild(item);
+    });
+  }
+
+  const runSearch = debounce(async (query) => {
+    const currentRequest = ++searchRequestId;
+    try {
+      const found = await searchGyms(query, gym ? [gym.lng, gym.lat] : null);
+      if (currentRequest !== searchRequestId) return;
+      renderResults(found.filter(result => result.id !== gym?.id));
+    } catch (error) {
+      if (currentRequest !== searchRequestId) return;
+      console.error('[StatusReport] Search failed:', error);
+      resultsEl.innerHTML = '';
+    }
+  }, SEARCH_DELAY);
+
+  searchInput.addEventListener('input', () => {
+    target = null;
+    const query = searchInput.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      searchRequestId++;
+      resultsEl.innerHTML = '';
+      return;
+    }
+    runSearch(query);
+  });
+
+  optionsEl.addEventListener('change', () => {
+    movedEl.classList.toggle('hidden', selectedStatus() !== 'moved');
+  });
+
+  function show(targetGym) {
+    const auth = useAuth();
+    if (!auth.isLoggedIn) {
+      toast.warning(t('gymStatus.loginRequired'));
+      passwordModal?.show?.('register');
+      return;
+    }
+
+    gym = targetGym;
+    target = null;
+    form.reset();
+    resultsEl.innerHTML = '';
+    const current = form.querySelector(`input[name="status"][value="${gym.status || 'open'}"]`);
+    if (current) current.checked = true;
+    movedEl.classList.add('hidden');
+    if (gymNameEl) gymNameEl.textContent = gym.name || '';
+
+    panel.classList.remove('hidden');
+  }
+
+  function hide() {
+    panel.classList.add('hidden');
+    form.reset();
+    resultsEl.innerHTML = '';
+    gym = null;
+    target = null;
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (submitting || !gym) return;
+
+    const status = selectedStatus();
+    if (!status) return;
+    if (status === 'moved' && !target) {
+      toast.warning(t('gymStatus.pickNewGym'));
+      searchInput.focus();
+      return;
+    }
+
+    submitting = true;
+    submitBtn.disabled = true;
+    try {
+      const result = await reportGymStatus(gym.id, status, status === 'moved' ? target.id : null);
+      if (result.changed) {
+        toast.success(t('gymStatus.statusChanged', { name: gym.name, status: t(`gymStatus.options.${result.status}`) }));
+      } else if (status === 'moved' && result.move_proposal?.moved_to_gym_id === target.id) {
+        toast.success(t('gymStatus.moveQueued', { name: gym.name }));
+      } else {
+        toast.success(t('gymStatus.reportRecorded'));
+      }
+      window.dispatchEvent(new CustomEvent('gym:refresh', { detail: gym.id }));
+      hide();
+    } catch (error) {
+      const status = error?.context?.status;
+      if (status === 429) {
+        toast.warning(t('gymStatus.tooMany'));
+      } else if (status === 400) {
+        toast.error(t('gymStatus.invalid', { error: error.message }));
+      } else {
+        console.error('[StatusReport] Report failed:', error);
+        toast.error(t('gymStatus.failed'));
+      }
+    } finally {
+      submitting = false;
+      submitBtn.disabled = false;
+    }
+  }
+
+  form.addEventListener('submit', handleSubmit);
+  closeBtn?.addEventListener('click', hide);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+      hide();
+    }
+  });
+  window.addEventListener('gym:report-status', (e) => {
+    if (e.detail) show(e.detail);
+  });
+
+  return { show, hide };
+}
@@ -0,0 +1,152 @@
+// Suggest-an-edit component - lets users correct a gym's details from its popup
+// Opened by the popup's "Suggest edit" button (the 'gym:suggest-edit' window event).
+// Only changed fields are sent; a moderator reviews them before the gym is updated.
+import { useAuth } from '../store/index.js';
+import { submitGymEdit } from '../services/api.js';
+import { toast } from './Toast.js';
+import { t } from '../lib/i18n.js';
+
+// Gym types accepted by the server (GYM_TYPES in server/lib/gym-submissions.js)
+const GYM_TYPES = ['bouldering', 'rope', 'bouldering_and_rope', 'training'];
+
+/**
+ * Create the suggest-an-edit panel
+ * @param {Object} options - { passwordModal }
+ * @returns {Object|null} { show, hide } or null if the markup is missing
+ */
+export function createSuggestEdit({ passwordModal = null } = {}) {
+  const panel = document.getElementById('suggestEditPanel');
+  const form = document.getElementById('suggestEditForm');
+  const closeBtn = document.getElementById('suggestEditClose');
+  const gymNameEl = document.getElementById('suggestEditGymName');
+  const noteInput = document.getElementById('suggestEditNote');
+  const typeSelect = document.getElementById('suggestEditType');
+  const submitBtn = document.getElementById('suggestEditSubmit');
+
+  if (!panel || !form || !typeSelect || !submitBtn) {
+    return null;
+  }
+
+  // Form inputs by the gym field they edit
+  const inputs = {
+    name: document.getElementById('suggestEditName'),
+    address: document.getElementById('suggestEditAddress'),
+    city: document.getElementById('suggestEditCity'),
+    state: document.getElementById('suggestEditState'),
+    type: typeSelect,
+    phone: document.getElementById('suggestEditPhone'),
+  };
+
+  let gym = null;
+  let original = {};
+  let submitting = false;
+
+  [{ value: '', label: t('addGym.typeUnknown') }, ...GYM_TYPES.map(type => ({ value: type, label: t(`addGym.types.${type}`) }))]
+    .forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+
+  function readForm() {
+    const values = {};
+    Object.entries(inputs).forEach(([field, input]) => {
+      if (input) values[field] = input.value.trim();
+    });
+    return values;
+  }
+
+  function show(target) {
+    const auth = useAuth();
+    if (!auth.isLoggedIn) {
+      toast.warning(t('suggestEdit.loginRequired'));
+      passwordModal?.show?.('register');
+      return;
+    }
+
+    gym = target;
+    // Popup gym data calls the phone number `tel`
+    original = {
+      name: gym.name || '',
+      address: gym.address || '',
+      city: gym.city || '',
+      state: gym.state || '',
+      type: GYM_TYPES.includes(gym.type) ? gym.type : '',
+      phone: gym.tel || '',
+    };
+    form.reset();
+    Object.entries(original).forEach(([field, value]) => {
+      if (inputs[field]) inputs[field].value = value;
+    });
+    if (gymNameEl) gymNameEl.textContent = gym.name || '';
+
+    panel.classList.remove('hidden');
+    inputs.name?.focus();
+  }
+
+  function hide() {
+    panel.classList.add('hidden');
+    form.reset();
+    gym = null;
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (submitting || !gym) return;
+
+    const values = readForm();
+    if (values.name.length < 2) {
+      toast.warning(t('addGym.nameRequired'));
+      inputs.name?.focus();
+      return;
+    }
+
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (value !== original[field]) changes[field] = value || null;
+    });
+    if (Object.keys(changes).length === 0) {
+      toast.info(t('suggestEdit.noChanges'));
+      return;
+    }
+
+    submitting = true;
+    submitBtn.disabled = true;
+    try {
+      await submitGymEdit(gym.id, changes, noteInput?.value.trim() || null);
+      toast.success(t('suggestEdit.submitted', { name: gym.name }));
+      hide();
+    } catch (error) {
+      const status = error?.context?.status;
+      if (status === 409) {
+        toast.warning(t('suggestEdit.alreadyPending'));
+      } else if (status === 429) {
+        toast.warning(t('suggestEdit.tooMany'));
+      } else if (status === 400 && error.message === 'no_changes') {
+        toast.info(t('suggestEdit.noChanges'));
+      } else if (status === 400) {
+        toast.error(t('suggestEdit.invalid', { error: error.message }));
+      } else {
+        console.error('[SuggestEdit] Submission failed:', error);
+        toast.error(t('suggestEdit.failed'));
+      }
+    } finally {
+      submitting = false;
+      submitBtn.disabled = false;
+    }
+  }
+
+  form.addEventListener('submit', handleSubmit);
+  closeBtn?.addEventListener('click', hide);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+      hide();
+    }
+  });
+  window.addEventListener('gym:suggest-edit', (e) => {
+    if (e.detail) show(e.detail);
+  });
+
+  return { show, hide };
+}
@@ -5,6 +5,8 @@
  * Supports success, error, warning, and info types
  */
 
+import { t } from '../lib/i18n.js';
+
 let toastContainer = null;
 
 function ensureToastContainer() {
@@ -70,7 +72,7 @@ function createToast(message, type = 'info', duration = 5000) {
   const closeBtn = document.createElement('button');
   closeBtn.className = 'flex-shrink-0 text-gray-400 hover:text-gray-600 active:text-gray-800 text-lg p-1 rounded transition-colors';
   closeBtn.innerHTML = '✕';
-  closeBtn.setAttribute('aria-label', 'Close');
+  closeBtn.setAttribute('aria-label', t('common.close'));
   closeBtn.addEventListener('click', () => {
     removeToast(toast);
   });
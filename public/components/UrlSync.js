@@ -0,0 +1,71 @@
+// URL sync component - mirrors the store (viewport, mode, filters, selected gym) into the URL
+// Opening or closing a gym adds a history entry; panning, mode and filter changes replace
+// the current one. Back/forward hands the parsed URL to onNavigate to apply.
+import { useAppStore } from '../store/index.js';
+import { DEFAULT_MODE } from './map/MapModes.js';
+import { parseUrlState, buildUrlState } from '../lib/url-state.js';
+
+/**
+ * Create the URL sync
+ * @param {Object} options - { onNavigate(urlState) } called on popstate with parseUrlState()
+ * @returns {Object} { update }
+ */
+export function createUrlSync({ onNavigate }) {
+  let lastGymId = parseUrlState().gymId;
+  let updateScheduled = false;
+
+  function currentUrl() {
+    return `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  }
+
+  function writeUrl() {
+    updateScheduled = false;
+    const { viewport, mapMode, gymFilters, selectedGym } = useAppStore.getState();
+    // Until the first viewport is stored, keep the one the URL came with
+    const urlState = parseUrlState();
+    const gymId = selectedGym ? String(selectedGym.id) : null;
+    const url = buildUrlState({
+      gymId,
+      center: viewport?.center || urlState.center,
+      zoom: viewport?.zoom ?? urlState.zoom,
+      mode: mapMode,
+      filters: gymFilters,
+    }, DEFAULT_MODE);
+
+    if (url !== currentUrl()) {
+      if (gymId !== lastGymId) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    }
+    lastGymId = gymId;
+  }
+
+  // Batch changes made in the same tick (e.g. closing one popup and opening the next)
+  function update() {
+    if (updateScheduled) return;
+    updateScheduled = true;
+    setTimeout(writeUrl, 0);
+  }
+
+  useAppStore.subscribe((state, prevState) => {
+    if (
+      state.viewport !== prevState.viewport ||
+      state.mapMode !== prevState.mapMode ||
+      state.gymFilters !== prevState.gymFilters ||
+      state.selectedGym?.id !== prevState.selectedGym?.id
+    ) {
+      update();
+    }
+  });
+
+  window.addEventListener('popstate', () => {
+    const urlState = parseUrlState();
+    // The store changes this causes should replace, not push
+    lastGymId = urlState.gymId;
+    if (onNavigate) onNavigate(urlState);
+  });
+
+  return { update };
+}
@@ -0,0 +1,66 @@
+// Add-a-gym control - toggles the pin-drop mode of components/AddGym.js
+// Positioned below the geolocate control; highlighted while the mode is on
+import { t } from '../../lib/i18n.js';
+
+// Custom MapLibre control class
+class AddGymControl {
+  constructor() {
+    this._container = null;
+    this.button = null;
+    this.active = false;
+    this.clickHandler = null;
+  }
+
+  onAdd() {
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl maplibregl-ctrl-group';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'maplibregl-ctrl-icon';
+    button.style.fontSize = '16px';
+    button.style.lineHeight = '1';
+    button.style.width = '29px';
+    button.style.height = '29px';
+    button.style.display = 'flex';
+    button.style.alignItems = 'center';
+    button.style.justifyContent = 'center';
+    button.textContent = '➕';
+    button.addEventListener('click', () => this.clickHandler?.());
+
+    this.button = button;
+    this.updateButton();
+
+    this._container.appendChild(button);
+    return this._container;
+  }
+
+  onRemove() {
+    if (this._container && this._container.parentNode) {
+      this._container.parentNode.removeChild(this._container);
+    }
+    this._container = null;
+    this.button = null;
+  }
+
+  updateButton() {
+    if (!this.button) return;
+    this.button.title = this.active ? t('addGym.cancel') : t('addGym.button');
+    this.button.setAttribute('aria-label', this.button.title);
+    this.button.setAttribute('aria-pressed', this.active ? 'true' : 'false');
+    this.button.style.backgroundColor = this.active ? '#fed7aa' : ''; // Tailwind orange-200
+  }
+
+  onClick(callback) {
+    this.clickHandler = callback;
+  }
+
+  setActive(active) {
+    this.active = active;
+    this.updateButton();
+  }
+}
+
+export function createAddGymControl() {
+  return new AddGymControl();
+}
@@ -0,0 +1,54 @@
+// Language switcher control - cycles through the app languages (see lib/i18n.js)
+// Positioned below the style switcher; switching reloads the page in the new language
+import { LOCALES, getLocale, setLocale, t } from '../../lib/i18n.js';
+
+// Custom MapLibre control class
+class LanguageSwitcherControl {
+  constructor() {
+    this._container = null;
+  }
+
+  getNextLocale() {
+    const locales = Object.keys(LOCALES);
+    return locales[(locales.indexOf(getLocale()) + 1) % locales.length];
+  }
+
+  onAdd() {
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl maplibregl-ctrl-group';
+
+    const current = LOCALES[getLocale()];
+    const next = this.getNextLocale();
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'maplibregl-ctrl-icon';
+    button.style.fontSize = '13px';
+    button.style.fontWeight = '600';
+    button.style.lineHeight = '1';
+    button.style.width = '29px';
+    button.style.height = '29px';
+    button.style.display = 'flex';
+    button.style.alignItems = 'center';
+    button.style.justifyContent = 'center';
+    button.lang = next;
+    button.textContent = LOCALES[next].shortName;
+    button.title = t('language.switchTo', { current: current.name, next: LOCALES[next].name });
+    button.setAttribute('aria-label', button.title);
+    button.addEventListener('click', () => setLocale(next));
+
+    this._container.appendChild(button);
+    return this._container;
+  }
+
+  onRemove() {
+    if (this._container && this._container.parentNode) {
+      this._container.parentNode.removeChild(this._container);
+    }
+    this._container = null;
+  }
+}
+
+export function createLanguageSwitcher() {
+  return new LanguageSwitcherControl();
+}
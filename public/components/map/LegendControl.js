@@ -0,0 +1,122 @@
+// Legend control - explains the circle colors (and heatmap) of the active map mode
+// Built from the MapModes registry, i.e. the same color stops the layers paint with.
+// Collapsed to a button on mobile; follows setMode() and map style switches.
+import { HEATMAP_CONFIG, isMobile } from '../../lib/constants.js';
+import { DEFAULT_MODE, getMapMode } from './MapModes.js';
+import { t } from '../../lib/i18n.js';
+
+// Heatmap gradient from HEATMAP_CONFIG.COLOR_STOPS (skipping the transparent first stop)
+function heatmapGradient() {
+  const stops = [];
+  for (let i = 2; i < HEATMAP_CONFIG.COLOR_STOPS.length; i += 2) {
+    stops.push(HEATMAP_CONFIG.COLOR_STOPS[i + 1]);
+  }
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+class LegendControl {
+  constructor(options = {}) {
+    this.mode = options.mode || DEFAULT_MODE;
+    this.collapsed = isMobile();
+    this.dark = false;
+    this._container = null;
+    this._onStyleChange = (e) => {
+      this.dark = e.detail?.style === 'dark';
+      this.render();
+    };
+  }
+
+  onAdd(map) {
+    this.map = map;
+    this._container = document.createElement('div');
+    this._container.className = 'maplibregl-ctrl maplibregl-ctrl-group';
+    window.addEventListener('mapstylechange', this._onStyleChange);
+    this.render();
+    return this._container;
+  }
+
+  onRemove() {
+    window.removeEventListener('mapstylechange', this._onStyleChange);
+    if (this._container && this._container.parentNode) {
+      this._container.parentNode.removeChild(this._container);
+    }
+    this._container = null;
+    this.map = null;
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.render();
+  }
+
+  toggle() {
+    this.collapsed = !this.collapsed;
+    this.render();
+  }
+
+  render() {
+    if (!this._container) return;
+    const mode = getMapMode(this.mode);
+    const textClass = this.dark ? 'text-gray-100' : 'text-gray-700';
+    this._container.innerHTML = '';
+    this._container.style.background = this.dark ? 'rgba(31, 41, 55, 0.92)' : 'rgba(255, 255, 255, 0.92)';
+
+    const header = document.createElement('button');
+    header.type = 'button';
+    header.className = `flex items-center gap-1.5 w-full px-2 py-1 text-xs font-semibold ${textClass}`;
+    // Override the square icon-button sizing maplibregl-ctrl-group gives buttons
+    header.style.display = 'flex';
+    header.style.width = 'auto';
+    header.style.height = 'auto';
+    header.title = this.collapsed ? t('legend.show') : t('legend.hide');
+    header.setAttribute('aria-expanded', this.collapsed ? 'false' : 'true');
+    header.textContent = `${mode.icon} ${this.collapsed ? t('legend.legend') : mode.legend.title}`;
+    header.addEventListener('click', () => this.toggle());
+    this._container.appendChild(header);
+
+    if (this.collapsed) return;
+
+    const body = document.createElement('div');
+    body.className = `px-2 pb-2 space-y-1 text-xs ${textClass}`;
+
+    mode.legend.items.forEach(({ color, label }) => {
+      const row = document.createElement('div');
+      row.className = 'flex items-center gap-1.5';
+      const swatch = document.createElement('span');
+      swatch.className = 'inline-block w-3 h-3 rounded-full border border-white shadow-sm flex-shrink-0';
+      swatch.style.backgroundColor = color;
+      const text = document.createElement('span');
+      text.className = 'capitalize whitespace-nowrap';
+      text.textContent = label;
+      row.append(swatch, text);
+      body.appendChild(row);
+    });
+
+    if (mode.heatmap) {
+      const heatmap = document.createElement('div');
+      heatmap.className = 'pt-1';
+      const bar = document.createElement('div');
+      bar.className = 'h-2 w-full rounded';
+      bar.style.backgroundImage = heatmapGradient();
+      bar.style.opacity = String(HEATMAP_CONFIG.OPACITY);
+      const labels = document.createElement('div');
+      labels.className = 'flex justify-between gap-2 opacity-80';
+      const low = document.createElement('span');
+      low.textContent = mode.legend.items[0].label;
+      const high = document.createElement('span');
+      high.textContent = mode.legend.items[mode.legend.items.length - 1].label;
+      labels.append(low, high);
+      const caption = document.createElement('div');
+      caption.className = 'opacity-80';
+      caption.textContent = t('legend.heatmap');
+      heatmap.append(caption, bar, labels);
+      body.appendChild(heatmap);
+    }
+
+    this._container.appendChild(body);
+  }
+}
+
+export function createLegendControl(options = {}) {
+  return new LegendControl(options);
+}
@@ -1,6 +1,9 @@
 // Map controls module - handles geolocation and navigation controls
 import { useAppStore } from '../../store/index.js';
 import { createStyleSwitcher } from './StyleSwitcher.js';
+import { createLegendControl } from './LegendControl.js';
+import { createLanguageSwitcher } from './LanguageSwitcher.js';
+import { createAddGymControl } from './AddGymControl.js';
 
 export function createMapControls(map, protomapsApiKey) {
   // Custom navigation control - only zoom buttons (no compass/bearing reset)
@@ -13,6 +16,9 @@ export function createMapControls(map, protomapsApiKey) {
   // Style switcher (positioned below zoom controls)
   const styleSwitcher = createStyleSwitcher(map, protomapsApiKey);
   map.addControl(styleSwitcher, 'top-right');
+
+  // Language switcher (below the style switcher)
+  map.addControl(createLanguageSwitcher(), 'top-right');
   
   // Geolocate control - positioned where compass used to be (top-right, inside nav control area)
   const geolocate = new maplibregl.GeolocateControl({
@@ -24,6 +30,14 @@ export function createMapControls(map, protomapsApiKey) {
   // Add geolocate control to map (it will appear in the same position as compass would)
   map.addControl(geolocate, 'top-right');
 
+  // Add-a-gym button (wired up by components/AddGym.js)
+  const addGymControl = createAddGymControl();
+  map.addControl(addGymControl, 'top-right');
+
+  // Legend for the active map mode (below the other controls)
+  const legend = createLegendControl();
+  map.addControl(legend, 'top-right');
+
   // State
   let currentUserLngLat = null;
   let shouldRecenter = false; // Track if user clicked the geolocate button
@@ -60,6 +74,8 @@ export function createMapControls(map, protomapsApiKey) {
   return {
     get userLngLat() { return currentUserLngLat; },
     triggerGeolocate: () => geolocate.trigger(),
+    setLegendMode: (mode) => legend.setMode(mode),
+    addGymControl,
   };
 }
 
@@ -1,7 +1,13 @@
 // Map layers module - handles gym layers (heatmap, circles, visited icons)
-import { HEATMAP_COLORS, HEATMAP_CONFIG, CIRCLE_CONFIG, DIFFICULTY_COLORS, MAP_CONFIG, getCircleMinZoom } from '../../lib/constants.js';
+// Gyms come either from a clustered GeoJSON source (fed by the app) or, in 'vector'
+// mode, from server-rendered vector tiles that the map loads on its own.
+import { HEATMAP_CONFIG, CIRCLE_CONFIG, MAP_CONFIG, getCircleMinZoom } from '../../lib/constants.js';
 import { VISITED_GYM_ICON, loadVisitedIcon as loadVisitedIconUtil } from '../../lib/map-icons.js';
 import { createHeatmapAnimation } from '../../lib/heatmap-animation.js';
+import { getGymTileUrl } from '../../services/api.js';
+import { buildFilterExpression, matchesFilters, EMPTY_FILTERS } from '../../lib/gym-filters.js';
+import { DEFAULT_MODE, getMapMode, isMapMode } from './MapModes.js';
+import { useAppStore } from '../../store/index.js';
 
 // Retry configuration for waiting on layers
 const RETRY_CONFIG = {
@@ -9,12 +15,20 @@ const RETRY_CONFIG = {
   delay: 50, // milliseconds
 };
 
-export function createMapLayers(map, popupManager) {
+// options.sourceType - 'geojson' (default) or 'vector'
+export function createMapLayers(map, popupManager, options = {}) {
+  const isVector = options.sourceType === 'vector';
   let gymsSource = null;
-  let currentMode = 'stinky';
+  let currentMode = DEFAULT_MODE;
   let votedGymIds = new Set();
   let visitedIconLoaded = false;
   let heatmapAnimation = null;
+  // Attribute filters (from the filter panel); hide closed gyms by default. GeoJSON sources only
+  // get the matching gyms, so clusters count matching gyms only. Vector tiles (unclustered, and
+  // closed gyms already left out by the server) apply them as layer filters.
+  let gymFilters = EMPTY_FILTERS;
+  let gymFilterExpression = buildFilterExpression(EMPTY_FILTERS);
+  let allGyms = null; // Unfiltered GeoJSON from the app
 
   // ==================== Utility Functions ====================
   
@@ -56,6 +70,65 @@ export function createMapLayers(map, popupManager) {
     }, visitedIconLoaded);
   }
 
+  // ==================== Source Helpers ====================
+
+  // Vector tile layers must name the layer inside the tile they read from
+  function sourceLayer() {
+    return isVector ? { 'source-layer': MAP_CONFIG.GYM_TILE_LAYER } : {};
+  }
+
+  // The server leaves closed and moved gyms out of the tiles unless the filters include them
+  function tileUrl(version = null) {
+    return getGymTileUrl(version, { includeClosed: !!gymFilters.includeClosed });
+  }
+
+  // Vector tiles can't carry per-user has_voted flags, so match voted gyms by id instead
+  function visitedFilter() {
+    if (isVector) {
+      return ['in', ['get', 'id'], ['literal', [...votedGymIds]]];
+    }
+    return ['==', ['get', 'has_voted'], true];
+  }
+
+  // ==================== Mode Helpers ====================
+
+  function hasHeatmap() {
+    return !!getMapMode(currentMode).heatmap;
+  }
+
+  // The heatmap layer keeps the last heatmap definition while hidden in modes without one
+  function heatmapDefinition() {
+    return getMapMode(currentMode).heatmap || getMapMode(DEFAULT_MODE).heatmap;
+  }
+
+  function circleColor() {
+    return getMapMode(currentMode).circleColor({ visited: visitedFilter() });
+  }
+
+  function circleRadius() {
+    return getMapMode(currentMode).radius || CIRCLE_CONFIG.RADIUS;
+  }
+
+  // Filter a gyms layer needs on its own, before the attribute filters are added
+  function baseFilter(layerId) {
+    switch (layerId) {
+      case 'gyms-heatmap':
+        return heatmapDefinition().filter;
+      case 'gyms-circles':
+        return ['!', ['has', 'point_count']];
+      case 'gyms-visited':
+        return visitedFilter();
+      default:
+        return null;
+    }
+  }
+
+  function layerFilter(layerId) {
+    const base = baseFilter(layerId);
+    if (!isVector || !gymFilterExpression) return base;
+    return base ? ['all', base, gymFilterExpression] : gymFilterExpression;
+  }
+
   // ==================== Data Preparation ====================
   
   function prepareGeoJSON(geojson, votedIds) {
@@ -68,7 +141,14 @@ export function createMapLayers(map, popupManager) {
       });
     }
     
-    return geojson;
+    allGyms = geojson;
+    return filterGeoJSON(geojson);
+  }
+
+  // The gyms matching the filters (features are shared with the unfiltered collection)
+  function filterGeoJSON(geojson) {
+    if (!geojson || !geojson.features) return geojson;
+    return { ...geojson, features: geojson.features.filter(f => matchesFilters(f.properties, gymFilters)) };
   }
 
   function prepareHeatmapData(geojson) {
@@ -76,21 +156,12 @@ export function createMapLayers(map, popupManager) {
       return { type: 'FeatureCollection', features: [] };
     }
 
-    const heatmapFeatures = geojson.features
-      .filter(f => {
-        const props = f.properties || {};
-        return props.smell_avg !== null && props.smell_avg !== undefined;
-      })
-      .map(f => {
-        const props = f.properties || {};
-        return {
-          type: 'Feature',
-          geometry: f.geometry,
-          properties: {
-            weight: props.smell_avg / 100,
-          },
-        };
-      });
+    // Unclustered copy of the gyms; the mode's heatmap filter and weight pick what glows
+    const heatmapFeatures = geojson.features.map(f => ({
+      type: 'Feature',
+      geometry: f.geometry,
+      properties: { ...(f.properties || {}) },
+    }));
 
     return {
       type: 'FeatureCollection',
@@ -101,6 +172,19 @@ export function createMapLayers(map, popupManager) {
   // ==================== Source Management ====================
   
   function setupSources(geojson) {
+    if (isVector) {
+      // Both the heatmap and the circles read from the tiles; there is no clustering
+      if (!map.getSource('gyms')) {
+        map.addSource('gyms', {
+          type: 'vector',
+          tiles: [tileUrl()],
+          maxzoom: MAP_CONFIG.GYM_TILE_MAX_ZOOM, // Overzoom above this instead of fetching more tiles
+        });
+        gymsSource = map.getSource('gyms');
+      }
+      return;
+    }
+
     const heatmapData = prepareHeatmapData(geojson);
 
     // Set up main gyms source
@@ -176,17 +260,19 @@ export function createMapLayers(map, popupManager) {
   }
 
   function addHeatmapLayer() {
-    if (!map.getSource('gyms-heatmap-data')) return;
+    const heatmapSource = isVector ? 'gyms' : 'gyms-heatmap-data';
+    if (!map.getSource(heatmapSource)) return;
 
     const beforeLayer = findInsertionPoint();
     
     const layerConfig = {
       id: 'gyms-heatmap',
       type: 'heatmap',
-      source: 'gyms-heatmap-data',
+      source: heatmapSource,
+      ...sourceLayer(),
       maxzoom: 22,
       layout: {
-        visibility: currentMode === 'stinky' ? 'visible' : 'none',
+        visibility: hasHeatmap() ? 'visible' : 'none',
       },
       paint: {
         'heatmap-intensity': [
@@ -213,7 +299,7 @@ export function createMapLayers(map, popupManager) {
         'heatmap-weight': [
           'interpolate',
           ['linear'],
-          ['get', 'weight'],
+          heatmapDefinition().weight,
           0, 0.01,
           1, 1,
         ],
@@ -221,6 +307,11 @@ export function createMapLayers(map, popupManager) {
       },
     };
 
+    const heatmapFilter = layerFilter('gyms-heatmap');
+    if (heatmapFilter) {
+      layerConfig.filter = heatmapFilter;
+    }
+
     if (beforeLayer) {
       layerConfig.beforeLayer = beforeLayer;
     }
@@ -228,9 +319,9 @@ export function createMapLayers(map, popupManager) {
     map.addLayer(layerConfig);
     
     // Start animation if enabled
-    if (HEATMAP_CONFIG.ANIMATION.ENABLED && currentMode === 'stinky') {
+    if (HEATMAP_CONFIG.ANIMATION.ENABLED && hasHeatmap()) {
       if (!heatmapAnimation) {
-        heatmapAnimation = createHeatmapAnimation(map, HEATMAP_CONFIG, () => currentMode, () => {
+        heatmapAnimation = createHeatmapAnimation(map, HEATMAP_CONFIG, hasHeatmap, () => {
           heatmapAnimation = null;
         });
       }
@@ -253,35 +344,16 @@ export function createMapLayers(map, popupManager) {
       id: 'gyms-circles',
       type: 'circle',
       source: 'gyms',
+      ...sourceLayer(),
       minzoom: getCircleMinZoom(),
       paint: {
-        'circle-radius': currentMode === 'stinky' ? CIRCLE_CONFIG.STINKY.RADIUS : CIRCLE_CONFIG.DIFFICULTY.RADIUS,
-        'circle-color': currentMode === 'stinky' ? [
-          'interpolate',
-          ['linear'],
-          ['coalesce', ['get', 'smell_avg'], 0],
-          0, HEATMAP_COLORS.LEAST_STINKY,
-          25, HEATMAP_COLORS.LOW,
-          50, HEATMAP_COLORS.MEDIUM,
-          75, HEATMAP_COLORS.HIGH,
-          100, HEATMAP_COLORS.MOST_STINKY,
-        ] : [
-          'interpolate',
-          ['linear'],
-          ['coalesce', ['get', 'difficulty_avg'], 0],
-          -3, DIFFICULTY_COLORS.EASIEST,
-          -2, DIFFICULTY_COLORS.VERY_EASY,
-          -1, DIFFICULTY_COLORS.EASY,
-          0, DIFFICULTY_COLORS.MEDIUM,
-          1, DIFFICULTY_COLORS.HARD,
-          2, DIFFICULTY_COLORS.VERY_HARD,
-          3, DIFFICULTY_COLORS.HARDEST,
-        ],
+        'circle-radius': circleRadius(),
+        'circle-color': circleColor(),
         'circle-stroke-width': CIRCLE_CONFIG.STROKE_WIDTH,
         'circle-stroke-color': CIRCLE_CONFIG.STROKE_COLOR,
-        'circle-opacity': 1,
+        'circle-opacity': ['case', ['==', ['get', 'status'], 'temporarily_closed'], CIRCLE_CONFIG.CLOSED_OPACITY, 1],
       },
-      filter: ['!', ['has', 'point_count']],
+      filter: layerFilter('gyms-circles'),
     };
 
     if (beforeLayer) {
@@ -304,6 +376,7 @@ export function createMapLayers(map, popupManager) {
       id: 'gyms-labels',
       type: 'symbol',
       source: 'gyms',
+      ...sourceLayer(),
       layout: {
         'text-field': ['get', 'name'],
         'text-font': ['Noto Sans Regular'],
@@ -340,6 +413,11 @@ export function createMapLayers(map, popupManager) {
       minzoom: MAP_CONFIG.LABEL_MIN_ZOOM, // Now 4 instead of 12
     };
 
+    const labelsFilter = layerFilter('gyms-labels');
+    if (labelsFilter) {
+      layerConfig.filter = labelsFilter;
+    }
+
     if (beforeLayer) {
       layerConfig.beforeLayer = beforeLayer;
     }
@@ -398,6 +476,7 @@ export function createMapLayers(map, popupManager) {
             id: 'gyms-visited',
             type: 'symbol',
             source: 'gyms',
+            ...sourceLayer(),
             layout: {
               'icon-image': iconName,
               'icon-size': [
@@ -419,7 +498,7 @@ export function createMapLayers(map, popupManager) {
               'icon-halo-width': 2,
               'icon-halo-blur': 1,
             },
-            filter: ['==', ['get', 'has_voted'], true],
+            filter: layerFilter('gyms-visited'),
             minzoom: getCircleMinZoom(),
           };
 
@@ -445,6 +524,8 @@ export function createMapLayers(map, popupManager) {
 
     map.on('click', 'gyms-circles', async (e) => {
       if (!e.features || e.features.length === 0) return;
+      // Clicks place the new gym's pin while adding a gym
+      if (useAppStore.getState().addingGym) return;
       
       const feature = e.features[0];
       
@@ -468,11 +549,12 @@ export function createMapLayers(map, popupManager) {
     });
 
     map.on('mouseenter', 'gyms-circles', () => {
+      if (useAppStore.getState().addingGym) return;
       map.getCanvas().style.cursor = 'pointer';
     });
 
     map.on('mouseleave', 'gyms-circles', () => {
-      map.getCanvas().style.cursor = '';
+      map.getCanvas().style.cursor = useAppStore.getState().addingGym ? 'crosshair' : '';
     });
   }
 
@@ -505,7 +587,8 @@ export function createMapLayers(map, popupManager) {
       return;
     }
 
-    if (!geojson || !geojson.features || !Array.isArray(geojson.features) || geojson.features.length === 0) {
+    // Vector mode ignores the GeoJSON (the map fetches tiles itself)
+    if (!isVector && (!geojson || !geojson.features || !Array.isArray(geojson.features) || geojson.features.length === 0)) {
       console.error('[MapLayers] Invalid or empty GeoJSON provided to addGymsLayer');
       return;
     }
@@ -536,6 +619,12 @@ export function createMapLayers(map, popupManager) {
     // Reset retry count on successful start
     addGymsLayerRetryCount = 0;
 
+    // Tiles already follow the viewport - only the voted gyms can have changed
+    if (isVector && map.getLayer('gyms-circles')) {
+      setVotedGyms(votedIds);
+      return;
+    }
+
     try {
       const preparedGeoJSON = prepareGeoJSON(geojson, votedIds);
       setupSources(preparedGeoJSON);
@@ -569,29 +658,38 @@ export function createMapLayers(map, popupManager) {
   }
 
   function setMode(mode) {
-    if (mode !== 'stinky' && mode !== 'difficulty') {
+    if (!isMapMode(mode)) {
       console.warn('[MapLayers] Invalid mode:', mode);
       return;
     }
 
-    const previousMode = currentMode;
+    const wasVisible = hasHeatmap();
     currentMode = mode;
 
-    // Update heatmap visibility and animation
+    // Update heatmap visibility, weight and animation
     if (map.getLayer('gyms-heatmap')) {
-      const willBeVisible = mode === 'stinky';
-      const wasVisible = previousMode === 'stinky';
+      const willBeVisible = hasHeatmap();
       
       map.setLayoutProperty(
         'gyms-heatmap',
         'visibility',
         willBeVisible ? 'visible' : 'none'
       );
+      if (willBeVisible) {
+        map.setPaintProperty('gyms-heatmap', 'heatmap-weight', [
+          'interpolate',
+          ['linear'],
+          heatmapDefinition().weight,
+          0, 0.01,
+          1, 1,
+        ]);
+        map.setFilter('gyms-heatmap', layerFilter('gyms-heatmap'));
+      }
       
       // Start/stop animation based on visibility
       if (willBeVisible && !wasVisible && HEATMAP_CONFIG.ANIMATION.ENABLED) {
         if (!heatmapAnimation) {
-          heatmapAnimation = createHeatmapAnimation(map, HEATMAP_CONFIG, () => currentMode, () => {
+          heatmapAnimation = createHeatmapAnimation(map, HEATMAP_CONFIG, hasHeatmap, () => {
             heatmapAnimation = null;
           });
         }
@@ -602,17 +700,23 @@ export function createMapLayers(map, popupManager) {
       }
     }
 
-    // Update circle radius
+    // Update circle colors and radius
     if (map.getLayer('gyms-circles')) {
-      map.setPaintProperty(
-        'gyms-circles',
-        'circle-radius',
-        mode === 'stinky' ? CIRCLE_CONFIG.STINKY.RADIUS : CIRCLE_CONFIG.DIFFICULTY.RADIUS
-      );
+      map.setPaintProperty('gyms-circles', 'circle-radius', circleRadius());
+      map.setPaintProperty('gyms-circles', 'circle-color', circleColor());
     }
   }
 
   function updateGymsData(geojson, votedIds = []) {
+    if (isVector) {
+      // Refetch tiles so new votes show up in the aggregates
+      if (gymsSource && gymsSource.setTiles) {
+        gymsSource.setTiles([tileUrl(Date.now())]);
+      }
+      setVotedGyms(votedIds);
+      return;
+    }
+
     const preparedGeoJSON = prepareGeoJSON(geojson, votedIds);
     const heatmapData = prepareHeatmapData(preparedGeoJSON);
 
@@ -627,7 +731,7 @@ export function createMapLayers(map, popupManager) {
 
     // Update visited layer filter
     if (map.getLayer('gyms-visited')) {
-      map.setFilter('gyms-visited', ['==', ['get', 'has_voted'], true]);
+      map.setFilter('gyms-visited', layerFilter('gyms-visited'));
     }
   }
 
@@ -635,13 +739,36 @@ export function createMapLayers(map, popupManager) {
     return currentMode;
   }
 
+  // Show only gyms matching the attribute filters (see lib/gym-filters.js); empty filters show
+  // every gym except permanently closed and moved ones
+  function setFilters(filters) {
+    const includedClosed = !!gymFilters.includeClosed;
+    gymFilters = filters || EMPTY_FILTERS;
+    gymFilterExpression = buildFilterExpression(gymFilters);
+    if (!isVector && allGyms) {
+      const filtered = filterGeoJSON(allGyms);
+      gymsSource?.setData(filtered);
+      map.getSource('gyms-heatmap-data')?.setData(prepareHeatmapData(filtered));
+      return;
+    }
+    if (isVector && gymsSource?.setTiles && includedClosed !== !!gymFilters.includeClosed) {
+      gymsSource.setTiles([tileUrl()]);
+    }
+    ['gyms-heatmap', 'gyms-circles', 'gyms-labels', 'gyms-visited'].forEach(layerId => {
+      if (map.getLayer(layerId)) {
+        map.setFilter(layerId, layerFilter(layerId));
+      }
+    });
+  }
+
   function setVotedGyms(votedIds) {
     votedGymIds = new Set(votedIds || []);
     
+    // Flag every gym, including those filtered out of the source right now
     const source = map.getSource('gyms');
-    if (source && source._data && source._data.features) {
+    if (!isVector && source && allGyms && allGyms.features) {
       let updated = false;
-      source._data.features.forEach(feature => {
+      allGyms.features.forEach(feature => {
         const newHasVoted = votedGymIds.has(feature.properties.id);
         if (feature.properties.has_voted !== newHasVoted) {
           feature.properties.has_voted = newHasVoted;
@@ -649,12 +776,16 @@ export function createMapLayers(map, popupManager) {
         }
       });
       if (updated) {
-        source.setData(source._data);
+        source.setData(filterGeoJSON(allGyms));
       }
     }
     
     if (map.getLayer('gyms-visited')) {
-      map.setFilter('gyms-visited', ['==', ['get', 'has_voted'], true]);
+      map.setFilter('gyms-visited', layerFilter('gyms-visited'));
+    }
+    // Circle colours can depend on the voted gyms too ('unvisited' mode)
+    if (map.getLayer('gyms-circles')) {
+      map.setPaintProperty('gyms-circles', 'circle-color', circleColor());
     }
   }
 
@@ -664,6 +795,7 @@ export function createMapLayers(map, popupManager) {
     setMode,
     getMode,
     setVotedGyms,
+    setFilters,
     get source() { return gymsSource; },
   };
 }
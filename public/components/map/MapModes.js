@@ -0,0 +1,305 @@
+// Map modes registry - what the gym circles, heatmap and top-5 list show
+//
+// Each mode defines:
+//   label, icon                      mode switcher text and list header icon
+//   collapsedLabel, collapsedIcon    collapsed gym list header (mobile)
+//   radius                           circle radius
+//   circleColor(ctx)                 circle-color expression; ctx.visited is an expression
+//                                    that is true for gyms the user has voted on
+//   heatmap                          { weight, filter } expressions, or null for no heatmap
+//   legend                           { title, items: [{ color, label }] }
+//   list                             { value(gym), include(gym, ctx), badge(gym), emptyText(region) };
+//                                    gyms without a value() are listed last unless include() drops them
+//
+// Expressions only read properties both the GeoJSON features and the vector tiles have.
+import {
+  HEATMAP_COLORS, DIFFICULTY_COLORS, STYLE_COLORS, PARKING_COLORS, PET_FRIENDLY_COLORS,
+  VOTE_COUNT_COLORS, VISITED_COLORS, NO_DATA_COLOR, CIRCLE_CONFIG,
+} from '../../lib/constants.js';
+import { getStinkScore } from '../../lib/utils.js';
+import { FILTER_STYLES } from '../../lib/gym-filters.js';
+import { getSmellText, getSmellColors, getDifficultyText, getDifficultyColors } from './PopupContent.js';
+import { t } from '../../lib/i18n.js';
+
+export const DEFAULT_MODE = 'stinky';
+
+// ==================== Helpers ====================
+
+const SMELL_STOPS = [
+  [0, HEATMAP_COLORS.LEAST_STINKY],
+  [25, HEATMAP_COLORS.LOW],
+  [50, HEATMAP_COLORS.MEDIUM],
+  [75, HEATMAP_COLORS.HIGH],
+  [100, HEATMAP_COLORS.MOST_STINKY],
+];
+
+const DIFFICULTY_STOPS = [
+  [-3, DIFFICULTY_COLORS.EASIEST],
+  [-2, DIFFICULTY_COLORS.VERY_EASY],
+  [-1, DIFFICULTY_COLORS.EASY],
+  [0, DIFFICULTY_COLORS.MEDIUM],
+  [1, DIFFICULTY_COLORS.HARD],
+  [2, DIFFICULTY_COLORS.VERY_HARD],
+  [3, DIFFICULTY_COLORS.HARDEST],
+];
+
+const PARKING_STOPS = [[0, PARKING_COLORS.NONE], [50, PARKING_COLORS.SOME], [100, PARKING_COLORS.PLENTY]];
+const PET_FRIENDLY_STOPS = [[0, PET_FRIENDLY_COLORS.NONE], [50, PET_FRIENDLY_COLORS.SOME], [100, PET_FRIENDLY_COLORS.VERY]];
+const VOTE_COUNT_STOPS = [[0, VOTE_COUNT_COLORS.FEW], [5, VOTE_COUNT_COLORS.SOME], [20, VOTE_COUNT_COLORS.MANY]];
+
+function interpolateColor(value, stops) {
+  return ['interpolate', ['linear'], value, ...stops.flat()];
+}
+
+// Scale colour, grey for gyms without votes for the property
+function scaleColor(property, stops) {
+  return [
+    'case',
+    ['==', ['get', property], null], NO_DATA_COLOR,
+    interpolateColor(['to-number', ['get', property]], stops),
+  ];
+}
+
+function legendFromStops(stops, label) {
+  return stops.map(([value, color]) => ({ color, label: label(value) }));
+}
+
+function badge(text, className = 'text-gray-700', votes = null) {
+  return `
+    <div class="flex items-center gap-1">
+      <span class="text-xs font-medium ${className}">${text}</span>
+      ${votes != null ? `<span class="text-xs text-gray-400">(${votes})</span>` : ''}
+    </div>
+  `;
+}
+
+function percentLabel(value) {
+  if (value <= 20) return t('legend.poor');
+  if (value <= 60) return t('legend.ok');
+  return t('legend.great');
+}
+
+// Label texts are translated once at import (changing the language reloads the page)
+function modeLabels(mode) {
+  return { label: t(`modes.${mode}.label`), collapsedLabel: t(`modes.${mode}.collapsedLabel`) };
+}
+
+function emptyText(key) {
+  return (region) => t(`list.empty.${key}`, { region });
+}
+
+/**
+ * The style with the highest percentage (ties go to the first in FILTER_STYLES, as on the map)
+ * @param {Object|null} styles - { crimpy, dynos, overhang, slab } percentages
+ * @returns {{style: string, pct: number}|null} Null when the gym has no style votes
+ */
+export function getDominantStyle(styles) {
+  if (!styles) return null;
+  let dominant = null;
+  FILTER_STYLES.forEach(style => {
+    const pct = Number(styles[style]);
+    if (Number.isFinite(pct) && pct > 0 && (!dominant || pct > dominant.pct)) {
+      dominant = { style, pct };
+    }
+  });
+  return dominant;
+}
+
+// Same rule as getDominantStyle, on the flat style_<name> properties
+function dominantStyleColor() {
+  const [c, d, o, s] = FILTER_STYLES.map(style => ['coalesce', ['get', `style_${style}`], 0]);
+  return [
+    'case',
+    ['all', ['<=', c, 0], ['<=', d, 0], ['<=', o, 0], ['<=', s, 0]], NO_DATA_COLOR,
+    ['all', ['>=', c, d], ['>=', c, o], ['>=', c, s]], STYLE_COLORS.crimpy,
+    ['all', ['>=', d, o], ['>=', d, s]], STYLE_COLORS.dynos,
+    ['>=', o, s], STYLE_COLORS.overhang,
+    STYLE_COLORS.slab,
+  ];
+}
+
+// ==================== Modes ====================
+
+export const MAP_MODES = {
+  stinky: {
+    ...modeLabels('stinky'),
+    icon: '💨',
+    collapsedIcon: '💨',
+    radius: CIRCLE_CONFIG.STINKY.RADIUS,
+    circleColor: () => interpolateColor(['coalesce', ['get', 'smell_avg'], 0], SMELL_STOPS),
+    heatmap: {
+      // Weight by the confidence-weighted score so gyms with one extreme vote don't glow
+      weight: ['/', ['coalesce', ['get', 'smell_score'], ['get', 'smell_avg']], 100],
+      filter: ['!=', ['get', 'smell_avg'], null],
+    },
+    legend: { title: t('legend.smell'), items: legendFromStops(SMELL_STOPS, getSmellText) },
+    list: {
+      value: (g) => getStinkScore(g),
+      badge: (g) => {
+        if (g.smell_avg == null) return '';
+        const smellText = getSmellText(g.smell_avg);
+        // Choose icon based on stink level (same bands as getSmellText)
+        let stinkIcon = '💨'; // Default icon
+        if (g.smell_avg > 80) {
+          stinkIcon = '💩'; // Poop icon for worst smell (Cave of Despair)
+        } else if (g.smell_avg <= 20) {
+          stinkIcon = '🌿'; // Grass icon for fresh
+        }
+        return badge(`${stinkIcon} ${smellText}`, getSmellColors(g.smell_avg).text, g.smell_votes || 0);
+      },
+      emptyText: emptyText('any'),
+    },
+  },
+
+  difficulty: {
+    ...modeLabels('difficulty'),
+    icon: '📊',
+    collapsedIcon: '🧗',
+    radius: CIRCLE_CONFIG.DIFFICULTY.RADIUS,
+    circleColor: () => interpolateColor(['coalesce', ['get', 'difficulty_avg'], 0], DIFFICULTY_STOPS),
+    heatmap: null,
+    legend: { title: t('legend.difficulty'), items: legendFromStops(DIFFICULTY_STOPS, getDifficultyText) },
+    list: {
+      // Confidence-weighted score when available
+      value: (g) => g.difficulty_score ?? g.difficulty_avg,
+      include: (g) => g.difficulty_avg != null,
+      badge: (g) => {
+        if (g.difficulty_avg == null) return '';
+        const difficultyText = getDifficultyText(g.difficulty_avg);
+        // Choose icon based on difficulty level (same rounding as getDifficultyText)
+        const level = Math.round(g.difficulty_avg);
+        let difficultyIcon = '🧗'; // Default icon (climber for Average)
+        if (level > 0) {
+          difficultyIcon = '🪨'; // Rock icon for all hard levels (Bit Hard, Hard, Super Hard)
+        } else if (level < 0) {
+          difficultyIcon = '🪜'; // Staircase icon for all soft levels (Super Soft, Soft, Bit Soft)
+        }
+        return badge(`${difficultyIcon} ${difficultyText}`, getDifficultyColors(g.difficulty_avg).text);
+      },
+      emptyText: emptyText('difficulty'),
+    },
+  },
+
+  parking: {
+    ...modeLabels('parking'),
+    icon: '🚗',
+    collapsedIcon: '🚗',
+    radius: CIRCLE_CONFIG.RADIUS,
+    circleColor: () => scaleColor('parking_availability_avg', PARKING_STOPS),
+    heatmap: null,
+    legend: {
+      title: t('legend.parking'),
+      items: [...legendFromStops(PARKING_STOPS, percentLabel), { color: NO_DATA_COLOR, label: t('legend.noVotes') }],
+    },
+    list: {
+      value: (g) => g.parking_score ?? g.parking_availability_avg,
+      include: (g) => g.parking_availability_avg != null,
+      badge: (g) => badge(`🚗 ${g.parking_availability_avg}/100`, 'text-green-600', g.parking_votes || 0),
+      emptyText: emptyText('parking'),
+    },
+  },
+
+  pet: {
+    ...modeLabels('pet'),
+    icon: '🐕',
+    collapsedIcon: '🐕',
+    radius: CIRCLE_CONFIG.RADIUS,
+    circleColor: () => scaleColor('pet_friendly_avg', PET_FRIENDLY_STOPS),
+    heatmap: null,
+    legend: {
+      title: t('legend.petFriendly'),
+      items: [...legendFromStops(PET_FRIENDLY_STOPS, percentLabel), { color: NO_DATA_COLOR, label: t('legend.noVotes') }],
+    },
+    list: {
+      value: (g) => g.pet_friendly_score ?? g.pet_friendly_avg,
+      include: (g) => g.pet_friendly_avg != null,
+      badge: (g) => badge(`🐕 ${g.pet_friendly_avg}/100`, 'text-purple-600', g.pet_friendly_votes || 0),
+      emptyText: emptyText('pet'),
+    },
+  },
+
+  style: {
+    ...modeLabels('style'),
+    icon: '🎨',
+    collapsedIcon: '🎨',
+    radius: CIRCLE_CONFIG.RADIUS,
+    circleColor: () => dominantStyleColor(),
+    heatmap: null,
+    legend: {
+      title: t('legend.mainStyle'),
+      items: [
+        ...FILTER_STYLES.map(style => ({ color: STYLE_COLORS[style], label: t(`styles.${style}`) })),
+        { color: NO_DATA_COLOR, label: t('legend.noVotes') },
+      ],
+    },
+    list: {
+      // Gyms most dominated by one style first
+      value: (g) => getDominantStyle(g.styles)?.pct ?? null,
+      include: (g) => getDominantStyle(g.styles) !== null,
+      badge: (g) => {
+        const dominant = getDominantStyle(g.styles);
+        if (!dominant) return '';
+        return `
+          <div class="flex items-center gap-1">
+            <span class="inline-block w-2.5 h-2.5 rounded-full" style="background-color: ${STYLE_COLORS[dominant.style]};"></span>
+            <span class="text-xs font-medium text-gray-700">${t(`styles.${dominant.style}`)} ${dominant.pct}%</span>
+            <span class="text-xs text-gray-400">(${g.style_vote_count || 0})</span>
+          </div>
+        `;
+      },
+      emptyText: emptyText('style'),
+    },
+  },
+
+  votes: {
+    ...modeLabels('votes'),
+    icon: '🗳️',
+    collapsedIcon: '🗳️',
+    radius: CIRCLE_CONFIG.RADIUS,
+    circleColor: () => interpolateColor(['coalesce', ['get', 'smell_votes'], 0], VOTE_COUNT_STOPS),
+    heatmap: null,
+    legend: {
+      title: t('legend.smellVotes'),
+      items: legendFromStops(VOTE_COUNT_STOPS, (value) => (value === 20 ? '20+' : String(value))),
+    },
+    list: {
+      value: (g) => g.smell_votes || 0,
+      badge: (g) => badge(`🗳️ ${t('common.votes', { count: g.smell_votes || 0 })}`),
+      emptyText: emptyText('any'),
+    },
+  },
+
+  unvisited: {
+    ...modeLabels('unvisited'),
+    icon: '🧭',
+    collapsedIcon: '🧭',
+    radius: CIRCLE_CONFIG.RADIUS,
+    circleColor: ({ visited }) => ['case', visited, VISITED_COLORS.VISITED, VISITED_COLORS.UNVISITED],
+    heatmap: null,
+    legend: {
+      title: t('legend.yourGyms'),
+      items: [
+        { color: VISITED_COLORS.UNVISITED, label: t('legend.notVotedYet') },
+        { color: VISITED_COLORS.VISITED, label: t('legend.voted') },
+      ],
+    },
+    list: {
+      // Gyms the user hasn't voted on, most-rated first
+      value: (g) => g.smell_votes || 0,
+      include: (g, { votedGymIds }) => !votedGymIds.has(g.id),
+      badge: (g) => badge(`🧭 ${t('list.notVotedYet')}`, 'text-orange-600', g.smell_votes || 0),
+      emptyText: emptyText('unvisited'),
+    },
+  },
+};
+
+// Order of the modes in the mode switcher
+export const MODE_ORDER = ['stinky', 'difficulty', 'parking', 'pet', 'style', 'votes', 'unvisited'];
+
+export function isMapMode(mode) {
+  return Object.prototype.hasOwnProperty.call(MAP_MODES, mode);
+}
+
+export function getMapMode(mode) {
+  return MAP_MODES[mode] || MAP_MODES[DEFAULT_MODE];
+}
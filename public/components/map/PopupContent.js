@@ -2,21 +2,17 @@
 import { useAppStore } from '../../store/index.js';
 import { formatDistance, haversineMeters } from '../../lib/utils.js';
 import { STYLE_COLORS } from '../../lib/constants.js';
+import { t } from '../../lib/i18n.js';
 
 // Constants
-const UTILITY_NAMES = {
-  toprope: 'Toprope',
-  lead: 'Lead',
-  kilterboard: 'Kilterboard',
-  moon_board: 'Moon Board',
-  tension_board: 'Tension board',
-  spraywall: 'Spraywall',
-  sauna: 'Sauna',
-  shower: 'Shower',
-  bike_rack: 'Bike Rack',
-};
+const UTILITY_KEYS = [
+  'toprope', 'lead', 'kilterboard', 'moon_board', 'tension_board', 'spraywall', 'sauna', 'shower', 'bike_rack',
+];
+
+// Display names in the active language (see utilities.* in locales/)
+export const UTILITY_NAMES = Object.fromEntries(UTILITY_KEYS.map(key => [key, t(`utilities.${key}`)]));
 
-const UTILITY_EMOJIS = {
+export const UTILITY_EMOJIS = {
   toprope: '🧗',
   lead: '🧗',
   kilterboard: '📱',
@@ -28,14 +24,15 @@ const UTILITY_EMOJIS = {
   bike_rack: '🚲',
 };
 
+// Catalog keys under difficulty.*
 const DIFFICULTY_LABELS = {
-  [-3]: 'Super Soft',
-  [-2]: 'Soft',
-  [-1]: 'Bit Soft',
-  [0]: 'Average',
-  [1]: 'Bit Hard',
-  [2]: 'Hard',
-  [3]: 'Super Hard',
+  [-3]: 'superSoft',
+  [-2]: 'soft',
+  [-1]: 'bitSoft',
+  [0]: 'average',
+  [1]: 'bitHard',
+  [2]: 'hard',
+  [3]: 'superHard',
 };
 
 const UTILITY_TAG_BG_COLOR = '#fae4d4';
@@ -51,11 +48,11 @@ export function getSmellColors(value) {
 }
 
 export function getSmellText(value) {
-  if (value <= 20) return 'Fresh';
-  if (value <= 40) return 'Slight Odor';
-  if (value <= 60) return 'Moderate Smell';
-  if (value <= 80) return 'Strong Odor';
-  return 'Cave of Despair';
+  if (value <= 20) return t('smell.fresh');
+  if (value <= 40) return t('smell.slightOdor');
+  if (value <= 60) return t('smell.moderate');
+  if (value <= 80) return t('smell.strong');
+  return t('smell.cave');
 }
 
 export function getDifficultyColors(value) {
@@ -68,7 +65,7 @@ export function getDifficultyColors(value) {
 
 export function getDifficultyText(value) {
   const rounded = Math.round(value);
-  return DIFFICULTY_LABELS[rounded] || (value < 0 ? 'Bit Soft' : 'Bit Hard');
+  return t(`difficulty.${DIFFICULTY_LABELS[rounded] || (value < 0 ? 'bitSoft' : 'bitHard')}`);
 }
 
 // Helper functions
@@ -96,7 +93,7 @@ function getDirectionsUrl(gym, userLocation) {
 
 function calculateDistance(userLocation, gym) {
   if (!userLocation || gym.lat == null || gym.lng == null) {
-    return 'N/A';
+    return null;
   }
   const meters = haversineMeters(userLocation[1], userLocation[0], gym.lat, gym.lng);
   return formatDistance(meters);
@@ -121,7 +118,7 @@ function createMetricCard({ icon, label, value, valueDisplay, bgColor, textColor
       <span class="${textColor} font-bold text-sm flex-shrink-0">${icon}</span>
       <div class="min-w-0">
         <div class="text-xs text-gray-600">${label}</div>
-        <div class="text-xs text-gray-500 italic">No votes yet</div>
+        <div class="text-xs text-gray-500 italic">${t('common.noVotesYet')}</div>
         ${emptyState || ''}
       </div>
     </div>
@@ -134,7 +131,7 @@ function createSmellCard(gym) {
     const smellText = getSmellText(gym.smell_avg);
     return createMetricCard({
       icon: '💨',
-      label: 'Smell',
+      label: t('popup.smell'),
       value: gym.smell_avg,
       valueDisplay: smellText,
       bgColor: 'bg-yellow-50',
@@ -145,12 +142,12 @@ function createSmellCard(gym) {
   
   return createMetricCard({
     icon: '💨',
-    label: 'Smell',
+    label: t('popup.smell'),
     value: null,
     bgColor: 'bg-yellow-50',
     textColor: 'text-yellow-600',
     borderColor: 'border-yellow-200',
-    emptyState: '<div class="text-xs text-yellow-500 font-medium mt-0.5">Be the first! 🎯</div>',
+    emptyState: `<div class="text-xs text-yellow-500 font-medium mt-0.5">${t('common.beFirst')}</div>`,
   });
 }
 
@@ -160,7 +157,7 @@ function createDifficultyCard(gym) {
     const difficultyText = getDifficultyText(gym.difficulty_avg);
     return createMetricCard({
       icon: '🧗',
-      label: 'Difficulty',
+      label: t('popup.difficulty'),
       value: gym.difficulty_avg,
       valueDisplay: difficultyText,
       bgColor: 'bg-red-50',
@@ -171,19 +168,19 @@ function createDifficultyCard(gym) {
   
   return createMetricCard({
     icon: '🧗',
-    label: 'Difficulty',
+    label: t('popup.difficulty'),
     value: null,
     bgColor: 'bg-red-50',
     textColor: 'text-red-600',
     borderColor: 'border-red-200',
-    emptyState: '<div class="text-xs text-red-600 mt-0.5">Be the first! 🎯</div>',
+    emptyState: `<div class="text-xs text-red-600 mt-0.5">${t('common.beFirst')}</div>`,
   });
 }
 
 function createParkingCard(gym) {
   return createMetricCard({
     icon: '🚗',
-    label: 'Parking',
+    label: t('popup.parking'),
     value: gym.parking_availability_avg,
     valueDisplay: gym.parking_availability_avg !== null && gym.parking_availability_avg !== undefined 
       ? `${gym.parking_availability_avg}<span class="text-xs text-gray-500">/100</span>`
@@ -191,14 +188,14 @@ function createParkingCard(gym) {
     bgColor: 'bg-green-50',
     textColor: 'text-green-600',
     borderColor: 'border-green-200',
-    emptyState: '<div class="text-xs text-green-600 mt-0.5">Be the first! 🎯</div>',
+    emptyState: `<div class="text-xs text-green-600 mt-0.5">${t('common.beFirst')}</div>`,
   });
 }
 
 function createPetFriendlyCard(gym) {
   return createMetricCard({
     icon: '🐕',
-    label: 'Pet-Friendly',
+    label: t('popup.petFriendly'),
     value: gym.pet_friendly_avg,
     valueDisplay: gym.pet_friendly_avg !== null && gym.pet_friendly_avg !== undefined
       ? `${gym.pet_friendly_avg}<span class="text-xs text-gray-500">/100</span>`
@@ -206,7 +203,7 @@ function createPetFriendlyCard(gym) {
     bgColor: 'bg-purple-50',
     textColor: 'text-purple-600',
     borderColor: 'border-purple-200',
-    emptyState: '<div class="text-xs text-purple-600 mt-0.5">Be the first! 🎯</div>',
+    emptyState: `<div class="text-xs text-purple-600 mt-0.5">${t('common.beFirst')}</div>`,
   });
 }
 
@@ -219,7 +216,7 @@ function createStylePieChart(styles) {
   const total = crimpy + dynos + overhang + slab;
   
   if (total === 0) {
-    return '<div class="text-center py-2 text-xs text-gray-500 italic">No style votes yet</div>';
+    return `<div class="text-center py-2 text-xs text-gray-500 italic">${t('popup.noStyleVotes')}</div>`;
   }
   
   const size = 80;
@@ -262,7 +259,7 @@ function createStylePieChart(styles) {
         ${slices.map(slice => `
           <div class="flex items-center gap-2 text-xs">
             <div class="w-3 h-3 rounded" style="background-color: ${slice.color};"></div>
-            <span class="font-medium text-gray-700 capitalize">${slice.key}</span>
+            <span class="font-medium text-gray-700">${t(`styles.${slice.key}`)}</span>
             <span class="text-gray-500">${slice.value}%</span>
           </div>
         `).join('')}
@@ -300,6 +297,35 @@ function createUtilitiesTags(utilities) {
   `;
 }
 
+// Closed/moved notice under the header; a moved gym links to the gym it moved to
+function createStatusBanner(gym) {
+  if (!gym.status || gym.status === 'open') return '';
+
+  if (gym.status === 'moved') {
+    return `
+      <div class="flex items-center justify-between gap-2 px-2.5 py-2 rounded-lg bg-blue-50 border border-blue-200 text-xs text-blue-900">
+        <span>🚚 ${gym.moved_to_name ? t('gymStatus.movedTo', { name: gym.moved_to_name }) : t('gymStatus.moved')}</span>
+        ${gym.moved_to_gym_id ? `
+          <button
+            type="button"
+            class="gym-popup-moved-btn flex-shrink-0 px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-md transition-colors touch-manipulation"
+            data-gym-id="${gym.moved_to_gym_id}"
+          >${t('gymStatus.goToNewGym')}</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  const closedClasses = gym.status === 'permanently_closed'
+    ? 'bg-gray-100 border-gray-300 text-gray-800'
+    : 'bg-amber-50 border-amber-200 text-amber-900';
+  return `
+    <div class="px-2.5 py-2 rounded-lg border text-xs font-medium ${closedClasses}">
+      🚧 ${t(`gymStatus.${gym.status}`)}
+    </div>
+  `;
+}
+
 function createStyleDistributionSection(styles, styleVoteCount, utilities) {
   const hasStyleData = styles && (
     styles.crimpy !== undefined || 
@@ -315,7 +341,7 @@ function createStyleDistributionSection(styles, styleVoteCount, utilities) {
     return `
       <div class="pt-1.5 sm:pt-2 border-t border-gray-100">
         <div class="text-xs sm:text-sm font-semibold text-gray-700 mb-1.5 sm:mb-2">
-          🧗 Styles${styleVoteCount > 0 ? ` <span class="text-gray-500 font-normal">(${styleVoteCount} votes)</span>` : ''}
+          🧗 ${t('popup.styles')}${styleVoteCount > 0 ? ` <span class="text-gray-500 font-normal">${t('popup.styleVotes', { count: styleVoteCount })}</span>` : ''}
         </div>
         ${styleChart}
         ${utilitiesTags}
@@ -325,9 +351,9 @@ function createStyleDistributionSection(styles, styleVoteCount, utilities) {
   
   return `
     <div class="pt-1.5 sm:pt-2 border-t border-gray-100">
-      <div class="text-xs sm:text-sm font-semibold text-gray-700 mb-1.5 sm:mb-2">🧗 Styles</div>
-      <div class="text-center py-1.5 sm:py-2 text-xs text-gray-500 italic">No style votes yet</div>
-      <div class="text-center text-xs text-gray-600 mt-1">Be the first to vote! 🎯</div>
+      <div class="text-xs sm:text-sm font-semibold text-gray-700 mb-1.5 sm:mb-2">🧗 ${t('popup.styles')}</div>
+      <div class="text-center py-1.5 sm:py-2 text-xs text-gray-500 italic">${t('popup.noStyleVotes')}</div>
+      <div class="text-center text-xs text-gray-600 mt-1">${t('popup.beFirstToVote')}</div>
       ${utilitiesTags}
     </div>
   `;
@@ -343,54 +369,25 @@ export function createPopupContent(gym) {
   const distanceText = calculateDistance(userLocation, gym);
   const directionsUrl = getDirectionsUrl(gym, userLocation);
   
-  // Ensure HTTPS for images
-  function ensureHttps(url) {
-    if (!url || typeof url !== 'string') return url;
-    return url.replace(/^http:\/\//, 'https://');
-  }
-  
-  // Extract all images from gym data
-  function extractImages(gym) {
-    const images = [];
-    
-    // Primary image
-    if (gym.image) {
-      images.push(ensureHttps(gym.image));
+  // Photos come from the API (approved uploads first, then the provider's images);
+  // gyms without any still show image_primary_url
+  function getPhotos(gym) {
+    if (Array.isArray(gym.photos) && gym.photos.length > 0) {
+      return gym.photos.filter(photo => photo?.url);
     }
-    
-    // Check raw data for additional images
-    if (gym.raw && typeof gym.raw === 'object') {
-      // Handle different possible image formats in raw data
-      if (gym.raw.images && Array.isArray(gym.raw.images)) {
-        gym.raw.images.forEach(img => {
-          const url = img.url || img || (typeof img === 'object' ? img.src : null);
-          if (url && !images.includes(ensureHttps(url))) {
-            images.push(ensureHttps(url));
-          }
-        });
-      } else if (gym.raw.photo && Array.isArray(gym.raw.photo)) {
-        gym.raw.photo.forEach(photo => {
-          const url = photo.url || photo || (typeof photo === 'object' ? photo.src : null);
-          if (url && !images.includes(ensureHttps(url))) {
-            images.push(ensureHttps(url));
-          }
-        });
-      } else if (gym.raw.photos && Array.isArray(gym.raw.photos)) {
-        gym.raw.photos.forEach(photo => {
-          const url = photo.url || photo || (typeof photo === 'object' ? photo.src : null);
-          if (url && !images.includes(ensureHttps(url))) {
-            images.push(ensureHttps(url));
-          }
-        });
-      }
-    }
-    
-    return images;
+    return gym.image ? [{ url: gym.image, thumb_url: gym.image }] : [];
   }
-  
-  const images = extractImages(gym);
-  const hasMultipleImages = images.length > 1;
-  
+
+  // Uploads have a small thumbnail; the display size is only fetched for high-density screens
+  function photoImg(photo, alt, lazy = false) {
+    const srcset = photo.thumb_url && photo.thumb_url !== photo.url && photo.width
+      ? ` srcset="${photo.thumb_url} 480w, ${photo.url} ${photo.width}w" sizes="(max-width: 640px) 100vw, 400px"`
+      : '';
+    return `<img src="${photo.thumb_url || photo.url}"${srcset} class="w-full h-full object-cover" alt="${alt}"${lazy ? ' loading="lazy"' : ''} />`;
+  }
+
+  const images = getPhotos(gym);
+
   // Generate image carousel HTML
   function createImageCarousel(images) {
     if (images.length === 0) return '';
@@ -399,7 +396,7 @@ export function createPopupContent(gym) {
       // Single image - no carousel needed
       return `
         <div class="w-full h-24 sm:h-32 bg-gradient-to-br from-orange-100 to-red-100 overflow-hidden relative">
-          <img src="${images[0]}" class="w-full h-full object-cover" alt="${gym.name || 'Gym'}" />
+          ${photoImg(images[0], gym.name || t('common.climbingGym'))}
         </div>
       `;
     }
@@ -411,17 +408,17 @@ export function createPopupContent(gym) {
         <div class="flex transition-transform duration-300 ease-in-out h-full carousel-slides" style="transform: translateX(0%);">
           ${images.map((img, idx) => `
             <div class="min-w-full h-full flex-shrink-0">
-              <img src="${img}" class="w-full h-full object-cover" alt="${gym.name || 'Gym'} - Image ${idx + 1}" />
+              ${photoImg(img, t('popup.imageAlt', { name: gym.name || t('common.climbingGym'), index: idx + 1 }), idx > 0)}
             </div>
           `).join('')}
         </div>
         <!-- Navigation arrows -->
-        <button class="carousel-prev absolute left-2 top-1/2 -translate-y-1/2 bg-black/50 hover:bg-black/70 text-white rounded-full p-1.5 opacity-0 group-hover:opacity-100 transition-opacity z-10" aria-label="Previous image">
+        <button class="carousel-prev absolute left-2 top-1/2 -translate-y-1/2 bg-black/50 hover:bg-black/70 text-white rounded-full p-1.5 opacity-0 group-hover:opacity-100 transition-opacity z-10" aria-label="${t('popup.previousImage')}">
           <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"></path>
           </svg>
         </button>
-        <button class="carousel-next absolute right-2 top-1/2 -translate-y-1/2 bg-black/50 hover:bg-black/70 text-white rounded-full p-1.5 opacity-0 group-hover:opacity-100 transition-opacity z-10" aria-label="Next image">
+        <button class="carousel-next absolute right-2 top-1/2 -translate-y-1/2 bg-black/50 hover:bg-black/70 text-white rounded-full p-1.5 opacity-0 group-hover:opacity-100 transition-opacity z-10" aria-label="${t('popup.nextImage')}">
           <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"></path>
           </svg>
@@ -429,7 +426,7 @@ export function createPopupContent(gym) {
         <!-- Image indicators -->
         <div class="absolute bottom-2 left-1/2 -translate-x-1/2 flex gap-1.5 z-10">
           ${images.map((_, idx) => `
-            <button class="carousel-indicator w-1.5 h-1.5 rounded-full ${idx === 0 ? 'bg-white' : 'bg-white/50'}" data-index="${idx}" aria-label="Go to image ${idx + 1}"></button>
+            <button class="carousel-indicator w-1.5 h-1.5 rounded-full ${idx === 0 ? 'bg-white' : 'bg-white/50'}" data-index="${idx}" aria-label="${t('popup.goToImage', { index: idx + 1 })}"></button>
           `).join('')}
         </div>
       </div>
@@ -443,7 +440,7 @@ export function createPopupContent(gym) {
       <div class="p-3 sm:p-4 space-y-2 sm:space-y-3 pb-10 sm:pb-12">
         <!-- Gym Header -->
         <div>
-          <h3 class="text-base sm:text-lg font-bold text-gray-900 mb-1">${gym.name || 'Climbing Gym'}</h3>
+          <h3 class="text-base sm:text-lg font-bold text-gray-900 mb-1">${gym.name || t('common.climbingGym')}</h3>
           ${gym.address ? `
             <p class="text-xs sm:text-sm text-gray-600 flex items-center gap-1">
               <span>📍</span>
@@ -451,10 +448,11 @@ export function createPopupContent(gym) {
             </p>
           ` : ''}
         </div>
+        ${createStatusBanner(gym)}
         
         <!-- Distance & Directions -->
         <div class="flex items-center gap-3 sm:gap-4 text-xs sm:text-sm flex-wrap">
-          ${distanceText !== 'N/A' ? `
+          ${distanceText ? `
             <div class="flex items-center gap-1 text-gray-700">
               <span class="text-blue-500 text-sm sm:text-base">🗺️</span>
               <span class="font-medium">${distanceText}</span>
@@ -466,12 +464,44 @@ export function createPopupContent(gym) {
               target="_blank"
               rel="noopener noreferrer"
               class="px-2 py-1 bg-gradient-to-r from-blue-500 to-blue-600 text-white text-xs font-semibold rounded-md hover:from-blue-600 hover:to-blue-700 transition-all shadow-sm hover:shadow-md cursor-pointer touch-manipulation active:scale-95 flex items-center justify-center gap-1"
-              title="Get Directions"
+              title="${t('popup.getDirections')}"
             >
               <span class="text-xs">📍</span>
-              <span class="text-xs hidden sm:inline">Directions</span>
+              <span class="text-xs hidden sm:inline">${t('popup.directions')}</span>
             </a>
           ` : ''}
+          <button 
+            type="button"
+            class="gym-popup-copy-link-btn px-2 py-1 bg-white border border-gray-200 text-gray-700 text-xs font-semibold rounded-md hover:bg-gray-50 transition-all shadow-sm hover:shadow-md cursor-pointer touch-manipulation active:scale-95 flex items-center justify-center gap-1"
+            title="${t('popup.copyLinkTitle')}"
+          >
+            <span class="text-xs">🔗</span>
+            <span class="text-xs hidden sm:inline">${t('popup.copyLink')}</span>
+          </button>
+          <button 
+            type="button"
+            class="gym-popup-suggest-edit-btn px-2 py-1 bg-white border border-gray-200 text-gray-700 text-xs font-semibold rounded-md hover:bg-gray-50 transition-all shadow-sm hover:shadow-md cursor-pointer touch-manipulation active:scale-95 flex items-center justify-center gap-1"
+            title="${t('popup.suggestEditTitle')}"
+          >
+            <span class="text-xs">✏️</span>
+            <span class="text-xs hidden sm:inline">${t('popup.suggestEdit')}</span>
+          </button>
+          <button 
+            type="button"
+            class="gym-popup-add-photo-btn px-2 py-1 bg-white border border-gray-200 text-gray-700 text-xs font-semibold rounded-md hover:bg-gray-50 transition-all shadow-sm hover:shadow-md cursor-pointer touch-manipulation active:scale-95 flex items-center justify-center gap-1"
+            title="${t('popup.addPhotoTitle')}"
+          >
+            <span class="text-xs">📷</span>
+            <span class="text-xs hidden sm:inline">${t('popup.addPhoto')}</span>
+          </button>
+          <button 
+            type="button"
+            class="gym-popup-report-status-btn px-2 py-1 bg-white border border-gray-200 text-gray-700 text-xs font-semibold rounded-md hover:bg-gray-50 transition-all shadow-sm hover:shadow-md cursor-pointer touch-manipulation active:scale-95 flex items-center justify-center gap-1"
+            title="${t('popup.reportStatusTitle')}"
+          >
+            <span class="text-xs">🚧</span>
+            <span class="text-xs hidden sm:inline">${t('popup.reportStatus')}</span>
+          </button>
           ${gym.tel ? `
             <div class="flex items-center gap-1 text-gray-700">
               <span class="text-gray-500 text-sm sm:text-base">📞</span>
@@ -494,7 +524,7 @@ export function createPopupContent(gym) {
       
       <!-- Footnote - Bottom Left -->
       <div class="absolute bottom-1.5 sm:bottom-2 left-1.5 sm:left-2">
-        <p class="text-xs text-gray-400 italic">Scores are averaged from recent 100 votes.</p>
+        <p class="text-xs text-gray-400 italic">${t('popup.footnote')}</p>
       </div>
       
       <!-- Vote Button - Bottom Right -->
@@ -503,7 +533,7 @@ export function createPopupContent(gym) {
           class="gym-popup-vote-btn px-2.5 py-1.5 bg-gradient-to-r from-orange-500 to-red-500 text-white text-xs font-semibold rounded-md hover:from-orange-600 hover:to-red-600 transition-all shadow-sm hover:shadow-md cursor-pointer touch-manipulation active:scale-95 flex items-center justify-center gap-1"
           data-gym-id="${gym.id}"
         >
-          <span class="text-xs">Vote</span>
+          <span class="text-xs">${t('popup.vote')}</span>
           <span class="text-xs">→</span>
         </button>
       </div>
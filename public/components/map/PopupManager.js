@@ -5,6 +5,9 @@ import { MAP_CONFIG } from '../../lib/constants.js';
 import { useAuth } from '../../store/index.js';
 import { toast } from '../Toast.js';
 import { createPopupContent } from './PopupContent.js';
+import { DEFAULT_MODE } from './MapModes.js';
+import { buildShareUrl } from '../../lib/url-state.js';
+import { t } from '../../lib/i18n.js';
 
 // Helper function to convert HTTP URLs to HTTPS
 function ensureHttps(url) {
@@ -61,10 +64,15 @@ function normalizeGymData(gymFeature) {
     name: gymFeature.properties.name,
     address: gymFeature.properties.address,
     city: gymFeature.properties.city,
+    state: gymFeature.properties.state,
     country_code: gymFeature.properties.country_code,
     tel: gymFeature.properties.tel,
+    type: gymFeature.properties.type,
+    status: gymFeature.properties.status || 'open',
+    moved_to_gym_id: gymFeature.properties.moved_to_gym_id || null,
+    moved_to_name: gymFeature.properties.moved_to_name || null,
     image: ensureHttps(imageUrl),
-    raw: gymFeature.properties.raw || null, // Include raw data for image extraction
+    photos: gymFeature.properties.photos || [],
     smell_avg: gymFeature.properties.smell_avg,
     smell_votes: gymFeature.properties.smell_votes,
     difficulty_avg: gymFeature.properties.difficulty_avg,
@@ -96,6 +104,76 @@ export function createPopupManager(map, passwordModal = null) {
     passwordModal = modal;
   }
   
+  // Copy a deep link to the gym (with the current mode and filters) to the clipboard
+  function attachCopyLinkHandler(gym) {
+    const copyBtn = gymPopup?.getElement()?.querySelector('.gym-popup-copy-link-btn');
+    if (!copyBtn) return;
+
+    copyBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const { mapMode, gymFilters } = useAppStore.getState();
+      const url = buildShareUrl({
+        gymId: gym.id,
+        center: [gym.lng, gym.lat],
+        zoom: MAP_CONFIG.POPUP_ZOOM,
+        mode: mapMode,
+        filters: gymFilters,
+      }, DEFAULT_MODE);
+
+      try {
+        await navigator.clipboard.writeText(url);
+        toast.success(t('popup.linkCopied'));
+      } catch (err) {
+        // Clipboard API needs a secure context and permission - let the user copy it by hand
+        console.warn('Clipboard write failed:', err);
+        window.prompt(t('popup.copyLinkPrompt'), url);
+      }
+    });
+  }
+
+  // Suggest-an-edit opens components/SuggestEdit.js, which handles login and the form
+  function attachSuggestEditHandler(gym) {
+    const editBtn = gymPopup?.getElement()?.querySelector('.gym-popup-suggest-edit-btn');
+    if (!editBtn) return;
+
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.dispatchEvent(new CustomEvent('gym:suggest-edit', { detail: gym }));
+    });
+  }
+
+  // Photo uploads are handled by components/PhotoUpload.js (login, file picker, upload)
+  function attachAddPhotoHandler(gym) {
+    const photoBtn = gymPopup?.getElement()?.querySelector('.gym-popup-add-photo-btn');
+    if (!photoBtn) return;
+
+    photoBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.dispatchEvent(new CustomEvent('gym:add-photo', { detail: gym }));
+    });
+  }
+
+  // Status reports open components/StatusReport.js; a moved gym's banner opens the gym it moved to
+  function attachStatusHandlers(gym) {
+    const popupEl = gymPopup?.getElement();
+    const reportBtn = popupEl?.querySelector('.gym-popup-report-status-btn');
+    reportBtn?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.dispatchEvent(new CustomEvent('gym:report-status', { detail: gym }));
+    });
+
+    const movedBtn = popupEl?.querySelector('.gym-popup-moved-btn');
+    movedBtn?.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const target = await fetchGymById(movedBtn.dataset.gymId);
+      if (!target) {
+        toast.error(t('gymStatus.newGymFailed'));
+        return;
+      }
+      showGymPopup(target.properties.id, target.geometry.coordinates);
+    });
+  }
+
   function attachVoteButtonHandler(gym) {
     const voteBtn = gymPopup?.getElement()?.querySelector('.gym-popup-vote-btn');
     if (!voteBtn) return;
@@ -133,7 +211,7 @@ export function createPopupManager(map, passwordModal = null) {
           
           passwordModal.show('register');
         } else {
-          toast.warning('Please log in to vote');
+          toast.warning(t('popup.loginToVote'));
         }
       } else {
         // User is logged in - show vote panel directly
@@ -177,6 +255,10 @@ async function refreshPopupForGym(gymId) {
       }, 100);
       
       attachVoteButtonHandler(gym);
+      attachCopyLinkHandler(gym);
+      attachSuggestEditHandler(gym);
+      attachAddPhotoHandler(gym);
+      attachStatusHandlers(gym);
     } catch (err) {
       console.error('Failed to refresh popup:', err);
     }
@@ -188,11 +270,15 @@ async function refreshPopupForGym(gymId) {
     currentGymId = gymId;
     pendingGymId = requestedGymId;
 
-    // Close existing popup immediately
+    // Close existing popup immediately (cleared first so its close handler
+    // doesn't drop the selection we're about to set)
     if (gymPopup) {
-      gymPopup.remove();
+      const previousPopup = gymPopup;
       gymPopup = null;
+      previousPopup.remove();
     }
+    const { lng, lat } = maplibregl.LngLat.convert(lngLat);
+    useAppStore.getState().setSelectedGym({ id: gymId, lng, lat });
 
     // Center map on gym location
     const isMobile = window.innerWidth < 640;
@@ -227,6 +313,16 @@ async function refreshPopupForGym(gymId) {
       .setHTML('<div class="p-4 text-center text-gray-500">Loading...</div>')
       .addTo(map);
 
+    // Closing the popup (close button, map click, or remove()) clears the selection
+    const popup = gymPopup;
+    popup.on('close', () => {
+      if (gymPopup !== popup) return;
+      const { selectedGym, setSelectedGym } = useAppStore.getState();
+      if (selectedGym && String(selectedGym.id) === requestedGymId) {
+        setSelectedGym(null);
+      }
+    });
+
     try {
       const gymFeature = await fetchGymById(gymId);
       
@@ -253,6 +349,7 @@ async function refreshPopupForGym(gymId) {
       }
 
       const gym = normalizeGymData(gymFeature);
+      useAppStore.getState().setSelectedGym(gym);
       const popupContent = createPopupContent(gym);
       gymPopup.setHTML(popupContent);
       
@@ -265,6 +362,10 @@ async function refreshPopupForGym(gymId) {
       }, 100);
       
       attachVoteButtonHandler(gym);
+      attachCopyLinkHandler(gym);
+      attachSuggestEditHandler(gym);
+      attachAddPhotoHandler(gym);
+      attachStatusHandlers(gym);
       pendingGymId = null; // Clear pending flag on success
     } catch (err) {
       console.error('Failed to fetch gym data:', err);
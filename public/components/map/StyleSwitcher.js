@@ -1,5 +1,6 @@
 // Style switcher control - allows users to switch between different map styles
 // Positioned below the zoom controls
+import { getBasemapLanguage, t } from '../../lib/i18n.js';
 
 // Custom MapLibre control class
 class StyleSwitcherControl {
@@ -11,8 +12,8 @@ class StyleSwitcherControl {
     // Note: Some styles may not be available in all API keys or may need different endpoints
     // For now, only use 'light' which is confirmed to work
     this.styles = [
-      { id: 'light', name: 'Light', icon: '🌞' },
-      { id: 'dark', name: 'Dark', icon: '🌙' },
+      { id: 'light', name: t('controls.styleLight'), icon: '🌞' },
+      { id: 'dark', name: t('controls.styleDark'), icon: '🌙' },
       // Note: positron and voyager are not available in Protomaps API v5
       // They are from other providers (CartoDB) and would need different endpoints
     ];
@@ -39,7 +40,7 @@ class StyleSwitcherControl {
     button.style.display = 'flex';
     button.style.alignItems = 'center';
     button.style.justifyContent = 'center';
-    button.title = `Switch style (Current: ${this.availableStyles[this.currentStyleIndex].name})`;
+    button.title = t('controls.switchStyle', { name: this.availableStyles[this.currentStyleIndex].name });
     button.textContent = this.availableStyles[this.currentStyleIndex].icon;
     
     this.button = button;
@@ -88,7 +89,7 @@ class StyleSwitcherControl {
     if (this.currentStyleIndex === -1) this.currentStyleIndex = 0;
     
     this.button.textContent = this.availableStyles[this.currentStyleIndex].icon;
-    this.button.title = `Switch style (Current: ${this.availableStyles[this.currentStyleIndex].name})`;
+    this.button.title = t('controls.switchStyle', { name: this.availableStyles[this.currentStyleIndex].name });
     
     // Hide button if only one style is available
     if (this.availableStyles.length <= 1 && this._container) {
@@ -115,7 +116,7 @@ class StyleSwitcherControl {
     // Construct Protomaps style URL
     let styleUrl;
     if (this.protomapsApiKey) {
-      styleUrl = `https://api.protomaps.com/styles/v5/${nextStyle.id}/en.json?key=${this.protomapsApiKey}`;
+      styleUrl = `https://api.protomaps.com/styles/v5/${nextStyle.id}/${getBasemapLanguage()}.json?key=${this.protomapsApiKey}`;
     } else {
       // No API key - can't switch styles
       this.button.disabled = false;
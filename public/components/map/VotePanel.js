@@ -2,22 +2,16 @@
 import { useAuth } from '../../store/index.js';
 import { submitVote, fetchMyVote, fetchMyUtilityVotes, submitUtilityVote } from '../../services/api.js';
 import { STYLE_COLORS } from '../../lib/constants.js';
+import { queueVote, queueUtilityVote, isOfflineError } from '../../lib/vote-outbox.js';
 import { toast } from '../Toast.js';
+import { t } from '../../lib/i18n.js';
+import { UTILITY_NAMES } from './PopupContent.js';
 
 const UTILITIES = {
-  training: [
-    { name: 'Toprope', key: 'toprope' },
-    { name: 'Lead', key: 'lead' },
-    { name: 'Kilterboard', key: 'kilterboard' },
-    { name: 'Moon Board', key: 'moon_board' },
-    { name: 'Tension board', key: 'tension_board' },
-    { name: 'Spraywall', key: 'spraywall' },
-  ],
-  other: [
-    { name: 'Sauna', key: 'sauna' },
-    { name: 'Shower', key: 'shower' },
-    { name: 'Bike Rack', key: 'bike_rack' },
-  ],
+  training: ['toprope', 'lead', 'kilterboard', 'moon_board', 'tension_board', 'spraywall']
+    .map(key => ({ name: UTILITY_NAMES[key], key })),
+  other: ['sauna', 'shower', 'bike_rack']
+    .map(key => ({ name: UTILITY_NAMES[key], key })),
 };
 
 export function createVotePanel(popupManager) {
@@ -28,7 +22,7 @@ export function createVotePanel(popupManager) {
     const auth = useAuth();
     const username = auth.ensureUsername();
     if (!username) {
-      toast.error('Please enter a username to vote');
+      toast.error(t('vote.enterUsername'));
       return;
     }
 
@@ -144,7 +138,7 @@ export function createVotePanel(popupManager) {
         <!-- Smell Slider -->
         <div>
           <div class="flex items-center justify-between text-sm mb-2">
-            <span class="font-medium text-gray-700">💨 Smell</span>
+            <span class="font-medium text-gray-700">${t('vote.smell')}</span>
             <span class="text-sm font-bold text-red-600" id="vote-smell-val">${defaultSmell}</span>
           </div>
           <input 
@@ -157,15 +151,15 @@ export function createVotePanel(popupManager) {
             style="background: linear-gradient(to right, #22c55e 0%, #eab308 50%, #ef4444 100%);"
           />
           <div class="flex justify-between text-xs text-gray-500 mt-1">
-            <span>Pleasant</span>
-            <span>Stinky</span>
+            <span>${t('vote.smellLow')}</span>
+            <span>${t('vote.smellHigh')}</span>
           </div>
         </div>
 
         <!-- Difficulty Slider -->
         <div>
           <div class="flex items-center justify-between text-sm mb-2">
-            <span class="font-medium text-gray-700">🧗 Difficulty</span>
+            <span class="font-medium text-gray-700">${t('vote.difficulty')}</span>
             <span class="text-sm font-bold text-blue-600" id="vote-diff-val">${defaultDifficulty}</span>
           </div>
           <input 
@@ -179,15 +173,15 @@ export function createVotePanel(popupManager) {
             style="background: linear-gradient(to right, #22c55e 0%, #eab308 50%, #ef4444 100%);"
           />
           <div class="flex justify-between text-xs text-gray-500 mt-1">
-            <span>Very Soft (-3)</span>
-            <span>Very Hard (+3)</span>
+            <span>${t('vote.difficultyLow')}</span>
+            <span>${t('vote.difficultyHigh')}</span>
           </div>
         </div>
 
         <!-- Parking Slider -->
         <div>
           <div class="flex items-center justify-between text-sm mb-2">
-            <span class="font-medium text-gray-700">🚗 Parking</span>
+            <span class="font-medium text-gray-700">${t('vote.parking')}</span>
             <span class="text-sm font-bold text-green-600" id="vote-parking-val">${defaultParking}</span>
           </div>
           <input 
@@ -200,15 +194,15 @@ export function createVotePanel(popupManager) {
             style="background: linear-gradient(to right, #ef4444 0%, #eab308 50%, #22c55e 100%);"
           />
           <div class="flex justify-between text-xs text-gray-500 mt-1">
-            <span>None</span>
-            <span>Plentiful</span>
+            <span>${t('vote.parkingLow')}</span>
+            <span>${t('vote.parkingHigh')}</span>
           </div>
         </div>
 
         <!-- Pet-Friendly Slider -->
         <div>
           <div class="flex items-center justify-between text-sm mb-2">
-            <span class="font-medium text-gray-700">🐕 Pet-Friendly</span>
+            <span class="font-medium text-gray-700">${t('vote.petFriendly')}</span>
             <span class="text-sm font-bold text-purple-600" id="vote-pet-val">${defaultPet}</span>
           </div>
           <input 
@@ -221,14 +215,14 @@ export function createVotePanel(popupManager) {
             style="background: linear-gradient(to right, #ef4444 0%, #eab308 50%, #22c55e 100%);"
           />
           <div class="flex justify-between text-xs text-gray-500 mt-1">
-            <span>Not Allowed</span>
-            <span>Welcome</span>
+            <span>${t('vote.petFriendlyLow')}</span>
+            <span>${t('vote.petFriendlyHigh')}</span>
           </div>
         </div>
 
         <!-- Interactive Pie Chart Style Distribution -->
         <div class="pt-3 border-t border-gray-200">
-          <div class="text-sm font-semibold text-gray-700 mb-3">🧗 Styles <span class="text-xs text-gray-400">Click!</span></div>
+          <div class="text-sm font-semibold text-gray-700 mb-3">${t('vote.styles')} <span class="text-xs text-gray-400">${t('vote.stylesHint')}</span></div>
           <div class="flex items-start gap-4">
             <div class="flex-shrink-0 relative" id="vote-pie-chart-container">
               <svg width="100" height="100" viewBox="0 0 100 100" class="drop-shadow-sm" id="vote-pie-chart-svg">
@@ -239,19 +233,19 @@ export function createVotePanel(popupManager) {
               <div class="grid grid-cols-2 gap-2">
                 <button class="vote-style-tag flex items-center gap-2 text-xs px-2 py-1.5 rounded-md bg-white border border-gray-200 hover:border-red-400 hover:bg-red-50 hover:shadow-sm active:scale-95 transition-all cursor-pointer font-medium text-gray-700" data-style="crimpy">
                   <div class="w-3 h-3 rounded bg-red-500 flex-shrink-0"></div>
-                  <span class="flex-1 text-left text-xs">Crimpy</span>
+                  <span class="flex-1 text-left text-xs">${t('styles.crimpy')}</span>
                 </button>
                 <button class="vote-style-tag flex items-center gap-2 text-xs px-2 py-1.5 rounded-md bg-white border border-gray-200 hover:border-blue-400 hover:bg-blue-50 hover:shadow-sm active:scale-95 transition-all cursor-pointer font-medium text-gray-700" data-style="dynos">
                   <div class="w-3 h-3 rounded bg-blue-500 flex-shrink-0"></div>
-                  <span class="flex-1 text-left text-xs">Dynos</span>
+                  <span class="flex-1 text-left text-xs">${t('styles.dynos')}</span>
                 </button>
                 <button class="vote-style-tag flex items-center gap-2 text-xs px-2 py-1.5 rounded-md bg-white border border-gray-200 hover:border-orange-400 hover:bg-orange-50 hover:shadow-sm active:scale-95 transition-all cursor-pointer font-medium text-gray-700" data-style="overhang">
                   <div class="w-3 h-3 rounded bg-orange-500 flex-shrink-0"></div>
-                  <span class="flex-1 text-left text-xs">Overhang</span>
+                  <span class="flex-1 text-left text-xs">${t('styles.overhang')}</span>
                 </button>
                 <button class="vote-style-tag flex items-center gap-2 text-xs px-2 py-1.5 rounded-md bg-white border border-gray-200 hover:border-green-400 hover:bg-green-50 hover:shadow-sm active:scale-95 transition-all cursor-pointer font-medium text-gray-700" data-style="slab">
                   <div class="w-3 h-3 rounded bg-green-500 flex-shrink-0"></div>
-                  <span class="flex-1 text-left text-xs">Slab</span>
+                  <span class="flex-1 text-left text-xs">${t('styles.slab')}</span>
                 </button>
               </div>
             </div>
@@ -260,7 +254,7 @@ export function createVotePanel(popupManager) {
 
         <!-- Utility Votes Section -->
         <div class="pt-3 border-t border-gray-200">
-          <div class="text-sm font-semibold text-gray-700 mb-3">🏋️ Did you see these?</div>
+          <div class="text-sm font-semibold text-gray-700 mb-3">${t('vote.trainingUtilities')}</div>
           <div class="grid grid-cols-2 gap-2 mb-4">
             ${UTILITIES.training.map(util => {
               const userVote = defaultUtilityVotes[util.key] || null;
@@ -275,7 +269,7 @@ export function createVotePanel(popupManager) {
                              active:scale-90"
                       data-utility="${util.key}"
                       data-vote="upvote"
-                      title="Available"
+                      title="${t('vote.available')}"
                     >
                       <span class="text-xs">👍</span>
                     </button>
@@ -286,7 +280,7 @@ export function createVotePanel(popupManager) {
                              active:scale-90"
                       data-utility="${util.key}"
                       data-vote="downvote"
-                      title="Not Available"
+                      title="${t('vote.notAvailable')}"
                     >
                       <span class="text-xs">👎</span>
                     </button>
@@ -298,7 +292,7 @@ export function createVotePanel(popupManager) {
         </div>
 
         <div class="pt-3 border-t border-gray-200">
-          <div class="text-sm font-semibold text-gray-700 mb-3">Or these?</div>
+          <div class="text-sm font-semibold text-gray-700 mb-3">${t('vote.otherUtilities')}</div>
           <div class="grid grid-cols-2 gap-2 mb-4">
             ${UTILITIES.other.map(util => {
               const userVote = defaultUtilityVotes[util.key] || null;
@@ -313,7 +307,7 @@ export function createVotePanel(popupManager) {
                              active:scale-90"
                       data-utility="${util.key}"
                       data-vote="upvote"
-                      title="Available"
+                      title="${t('vote.available')}"
                     >
                       <span class="text-xs">👍</span>
                     </button>
@@ -324,7 +318,7 @@ export function createVotePanel(popupManager) {
                              active:scale-90"
                       data-utility="${util.key}"
                       data-vote="downvote"
-                      title="Not Available"
+                      title="${t('vote.notAvailable')}"
                     >
                       <span class="text-xs">👎</span>
                     </button>
@@ -339,7 +333,7 @@ export function createVotePanel(popupManager) {
           class="vote-submit-btn w-full px-4 py-2.5 bg-gradient-to-r from-orange-500 to-red-500 text-white text-sm font-semibold rounded-lg hover:from-orange-600 hover:to-red-600 transition-all shadow-md hover:shadow-lg cursor-pointer touch-manipulation mt-4"
           data-gym-id="${gym.id}"
         >
-          Submit Vote →
+          ${t('vote.submit')}
         </button>
       </div>
     `;
@@ -352,7 +346,7 @@ export function createVotePanel(popupManager) {
 
     // Update header with gym name
     if (votePanelHeader && gym && gym.name) {
-      votePanelHeader.textContent = `✏️ Vote for ${gym.name}!`;
+      votePanelHeader.textContent = t('vote.titleForGym', { name: gym.name });
     }
 
     votePanelContent.innerHTML = voteFormHTML;
@@ -387,10 +381,10 @@ export function createVotePanel(popupManager) {
     // Interactive pie chart for style distribution
     const pieSlicesGroup = votePanelContent.querySelector('#vote-pie-chart-slices');
     const styleValues = {
-      crimpy: { percentage: defaultStyles.crimpy !== undefined ? defaultStyles.crimpy : 25, color: STYLE_COLORS.crimpy, label: 'Crimpy' },
-      dynos: { percentage: defaultStyles.dynos !== undefined ? defaultStyles.dynos : 25, color: STYLE_COLORS.dynos, label: 'Dynos' },
-      overhang: { percentage: defaultStyles.overhang !== undefined ? defaultStyles.overhang : 25, color: STYLE_COLORS.overhang, label: 'Overhang' },
-      slab: { percentage: defaultStyles.slab !== undefined ? defaultStyles.slab : 25, color: STYLE_COLORS.slab, label: 'Slab' }
+      crimpy: { percentage: defaultStyles.crimpy !== undefined ? defaultStyles.crimpy : 25, color: STYLE_COLORS.crimpy, label: t('styles.crimpy') },
+      dynos: { percentage: defaultStyles.dynos !== undefined ? defaultStyles.dynos : 25, color: STYLE_COLORS.dynos, label: t('styles.dynos') },
+      overhang: { percentage: defaultStyles.overhang !== undefined ? defaultStyles.overhang : 25, color: STYLE_COLORS.overhang, label: t('styles.overhang') },
+      slab: { percentage: defaultStyles.slab !== undefined ? defaultStyles.slab : 25, color: STYLE_COLORS.slab, label: t('styles.slab') }
     };
 
     // Add click handlers to style tags
@@ -537,17 +531,14 @@ export function createVotePanel(popupManager) {
     const submitBtn = votePanelContent.querySelector('.vote-submit-btn');
     submitBtn?.addEventListener('click', async () => {
       const auth = useAuth();
-      const username = auth.ensureUsername();
-      if (!username) {
-        toast.error('Please enter a username to vote');
+      if (!auth.isLoggedIn) {
+        toast.error(t('vote.loginToVote'));
         return;
       }
 
       // Build voteData only with fields that were actually interacted with
-      const voteData = {
-        username,
-        password: auth.password || null,
-      };
+      // (the voter is identified by the session token, not the body)
+      const voteData = {};
       
       // Only include fields if user interacted with them
       if (interactedFields.smell) {
@@ -599,9 +590,7 @@ export function createVotePanel(popupManager) {
       }
       
       // Check if user has interacted with any fields (including utilities)
-      const hasAnyData = Object.keys(voteData).some(key => 
-        key !== 'username' && key !== 'password' && voteData[key] !== undefined
-      );
+      const hasAnyData = Object.keys(voteData).some(key => voteData[key] !== undefined);
       
       // Check if utilities have changed
       const utilitiesChanged = Object.keys(utilityVotes).some(key => 
@@ -610,7 +599,41 @@ export function createVotePanel(popupManager) {
       
       // Allow submission if user has interacted with any fields OR utilities
       if (!hasAnyData && !utilitiesChanged) {
-        toast.warning('Please interact with at least one field to submit a vote.');
+        toast.warning(t('vote.nothingChanged'));
+        return;
+      }
+
+      // Utility votes that changed from initial
+      const changedUtilityVotes = Object.entries(utilityVotes)
+        .filter(([utilityKey, voteValue]) => voteValue !== initialUtilityVotes[utilityKey])
+        .map(([utilityKey, voteValue]) => ({ utilityKey, voteType: voteValue === 1 ? 'upvote' : 'downvote' }));
+
+      const closeVotePanel = () => {
+        const votePanelEl = document.getElementById('votePanel');
+        if (votePanelEl) {
+          votePanelEl.classList.add('hidden');
+        }
+      };
+
+      // No connection - keep the vote in the outbox; OfflineSync sends it when we're back online
+      const queueOfflineVote = () => {
+        const { userId } = useAuth();
+        const stored = [
+          hasAnyData ? queueVote({ userId, gymId: gym.id, gymName: gym.name, data: voteData }) : true,
+          ...changedUtilityVotes.map(({ utilityKey, voteType }) => queueUtilityVote({
+            userId, gymId: gym.id, gymName: gym.name, utilityName: utilityKey, vote: voteType,
+          })),
+        ].every(Boolean);
+        if (!stored) {
+          toast.error(t('vote.offlineNotSaved'));
+          return;
+        }
+        closeVotePanel();
+        toast.info(t('vote.offlineQueued'));
+      };
+
+      if (!navigator.onLine) {
+        queueOfflineVote();
         return;
       }
 
@@ -621,30 +644,16 @@ export function createVotePanel(popupManager) {
           console.log('Vote submitted successfully:', result);
         }
         
-        // Submit utility votes that changed
-        const utilityVotesToSubmit = [];
-        for (const [utilityKey, voteValue] of Object.entries(utilityVotes)) {
-          // Only submit if value changed from initial
-          if (voteValue !== initialUtilityVotes[utilityKey]) {
-            const voteType = voteValue === 1 ? 'upvote' : 'downvote';
-            const auth = useAuth();
-            utilityVotesToSubmit.push(
-              submitUtilityVote(gym.id, utilityKey, voteType, username, auth.password || null)
-            );
-          }
-        }
-        
         // Submit all utility votes in parallel
-        if (utilityVotesToSubmit.length > 0) {
-          await Promise.all(utilityVotesToSubmit);
-          console.log(`Submitted ${utilityVotesToSubmit.length} utility votes`);
+        if (changedUtilityVotes.length > 0) {
+          await Promise.all(changedUtilityVotes.map(({ utilityKey, voteType }) =>
+            submitUtilityVote(gym.id, utilityKey, voteType)
+          ));
+          console.log(`Submitted ${changedUtilityVotes.length} utility votes`);
         }
         
         // Close vote panel
-        const votePanelEl = document.getElementById('votePanel');
-        if (votePanelEl) {
-          votePanelEl.classList.add('hidden');
-        }
+        closeVotePanel();
         
         // Small delay to ensure vote panel is hidden
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -661,10 +670,15 @@ export function createVotePanel(popupManager) {
         await popupManager.refreshPopupForGym(gym.id);
         
         // Show success message after popup is refreshed
-        toast.success('Vote submitted successfully!');
+        toast.success(t('vote.submitted'));
       } catch (err) {
+        // The connection dropped mid-submit - re-sending the parts that did arrive is harmless
+        if (isOfflineError(err)) {
+          queueOfflineVote();
+          return;
+        }
         console.error('Failed to submit vote:', err);
-        toast.error(err.message || 'Failed to submit vote. Please try again.');
+        toast.error(err.message || t('vote.failed'));
       }
     });
 
@@ -41,8 +41,10 @@ export const CIRCLE_CONFIG = {
     RADIUS: 8,
     COLOR: '#ef4446', // Fallback color (not used when dynamic colors are applied)
   },
+  RADIUS: 8, // Modes without their own entry
   STROKE_WIDTH: 3,
   STROKE_COLOR: '#ffffff',
+  CLOSED_OPACITY: 0.4, // Temporarily closed gyms
 };
 
 // Difficulty color mapping (from easy to hard)
@@ -65,16 +67,57 @@ export const STYLE_COLORS = {
   slab: '#22c55e',
 };
 
+// Parking availability (0 = none, 100 = plenty)
+export const PARKING_COLORS = {
+  NONE: '#ef4444',
+  SOME: '#facc15',
+  PLENTY: '#22c55e',
+};
+
+// Pet friendliness (0 = no pets, 100 = very pet friendly)
+export const PET_FRIENDLY_COLORS = {
+  NONE: '#e9d5ff',
+  SOME: '#a855f7',
+  VERY: '#6b21a8',
+};
+
+// Number of smell votes (more votes = more trustworthy ratings)
+export const VOTE_COUNT_COLORS = {
+  FEW: '#bfdbfe',
+  SOME: '#3b82f6',
+  MANY: '#1e3a8a',
+};
+
+export const VISITED_COLORS = {
+  UNVISITED: '#f97316',
+  VISITED: '#d1d5db',
+};
+
+// Gyms with no votes for the active mode's attribute
+export const NO_DATA_COLOR = '#9ca3af';
+
 // Helper function to detect mobile devices
 export function isMobile() {
   return window.innerWidth < 640;
 }
 
+// Running as an installed app (home screen / app window) rather than in a browser tab
+// navigator.standalone covers iOS Safari, which doesn't support the display-mode query
+export function isStandalone() {
+  return window.matchMedia?.('(display-mode: standalone)').matches || window.navigator.standalone === true;
+}
+
 // Get mobile-aware circle min zoom
 export function getCircleMinZoom() {
   return isMobile() ? 4 : 4; // Same min zoom for mobile and desktop (was 8 for mobile)
 }
 
+// Get mobile-aware gym source type: vector tiles on mobile, where rendering whole
+// countries from clustered GeoJSON is too slow; GeoJSON with clustering on desktop
+export function getGymSourceType() {
+  return isMobile() ? 'vector' : 'geojson';
+}
+
 // Get mobile-aware map min zoom
 export function getMapMinZoom() {
   return isMobile() ? 0 : 0; // Allow any zoom on both mobile and desktop
@@ -91,5 +134,7 @@ export const MAP_CONFIG = {
   POPUP_ZOOM: 12, // Zoom level when clicking on a marker (desktop)
   POPUP_ZOOM_MOBILE: 12, // Zoom level when clicking on a marker (mobile)
   CITY_ZOOM_THRESHOLD: 12, // Zoom level threshold for showing city-level top 5 (below this shows state-level)
+  GYM_TILE_LAYER: 'gyms', // Layer name inside /api/gyms/tiles vector tiles
+  GYM_TILE_MAX_ZOOM: 14, // Highest zoom tiles are requested at (higher zooms reuse these tiles)
 };
 
@@ -1,23 +1,37 @@
-// Formatting utilities
+// Formatting utilities - numbers, distances and dates follow the active locale (lib/i18n.js)
+import { getLocale, t } from './i18n.js';
 
 /**
  * Format distance in meters to human-readable string
  * @param {number} meters - Distance in meters
- * @returns {string} Formatted distance (e.g., "1.5 km" or "500 m")
+ * @param {Object} options
+ * @param {boolean} options.compact - Abbreviate large distances (e.g., "12K km", "1.2万公里")
+ * @returns {string} Formatted distance (e.g., "1.50 km" or "500 m")
  */
-export function formatDistance(meters) {
-  if (!isFinite(meters) || meters < 0) return 'N/A';
-  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`;
+export function formatDistance(meters, { compact = false } = {}) {
+  if (!isFinite(meters) || meters < 0) return t('common.notAvailable');
+  if (compact) {
+    return new Intl.NumberFormat(getLocale(), {
+      style: 'unit', unit: 'kilometer', notation: 'compact', maximumFractionDigits: 1,
+    }).format(meters / 1000);
+  }
+  if (meters < 1000) {
+    return new Intl.NumberFormat(getLocale(), { style: 'unit', unit: 'meter', maximumFractionDigits: 0 })
+      .format(meters);
+  }
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'unit', unit: 'kilometer', minimumFractionDigits: 2, maximumFractionDigits: 2,
+  }).format(meters / 1000);
 }
 
 /**
- * Format number with commas
+ * Format number with locale grouping separators
  * @param {number} num - Number to format
  * @returns {string} Formatted number
  */
 export function formatNumber(num) {
   if (typeof num !== 'number' || isNaN(num)) return '0';
-  return num.toLocaleString();
+  return num.toLocaleString(getLocale());
 }
 
 /**
@@ -27,17 +41,19 @@ export function formatNumber(num) {
  * @returns {string} Formatted percentage
  */
 export function formatPercentage(value, decimals = 0) {
-  if (typeof value !== 'number' || isNaN(value)) return '0%';
-  return `${value.toFixed(decimals)}%`;
+  if (typeof value !== 'number' || isNaN(value)) value = 0;
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals,
+  }).format(value / 100);
 }
 
 /**
- * Format date to relative time (e.g., "2 hours ago")
+ * Format date to relative time (e.g., "2 hours ago", "2小时前")
  * @param {Date|string|number} date - Date to format
  * @returns {string} Relative time string
  */
 export function formatRelativeTime(date) {
-  if (!date) return 'Unknown';
+  if (!date) return t('common.unknown');
   
   const now = new Date();
   const then = new Date(date);
@@ -46,31 +62,32 @@ export function formatRelativeTime(date) {
   const diffMin = Math.floor(diffSec / 60);
   const diffHour = Math.floor(diffMin / 60);
   const diffDay = Math.floor(diffHour / 24);
+  const relative = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto' });
   
-  if (diffSec < 60) return 'just now';
-  if (diffMin < 60) return `${diffMin} minute${diffMin !== 1 ? 's' : ''} ago`;
-  if (diffHour < 24) return `${diffHour} hour${diffHour !== 1 ? 's' : ''} ago`;
-  if (diffDay < 7) return `${diffDay} day${diffDay !== 1 ? 's' : ''} ago`;
+  if (diffSec < 60) return relative.format(0, 'second');
+  if (diffMin < 60) return relative.format(-diffMin, 'minute');
+  if (diffHour < 24) return relative.format(-diffHour, 'hour');
+  if (diffDay < 7) return relative.format(-diffDay, 'day');
   
   // Format as date if older than a week
-  return then.toLocaleDateString();
+  return then.toLocaleDateString(getLocale());
 }
 
 /**
- * Format date to short string (e.g., "Jan 15, 2024")
+ * Format date to short string (e.g., "Jan 15, 2024", "2024年1月15日")
  * @param {Date|string|number} date - Date to format
  * @returns {string} Formatted date
  */
 export function formatDate(date) {
-  if (!date) return 'Unknown';
+  if (!date) return t('common.unknown');
   try {
-    return new Date(date).toLocaleDateString('en-US', {
+    return new Date(date).toLocaleDateString(getLocale(), {
       year: 'numeric',
       month: 'short',
       day: 'numeric'
     });
   } catch {
-    return 'Invalid date';
+    return t('common.invalidDate');
   }
 }
 
@@ -126,10 +143,10 @@ export function capitalize(str) {
 /**
  * Format gym name with fallback
  * @param {string} name - Gym name
- * @returns {string} Formatted name or "Unnamed Gym"
+ * @returns {string} Formatted name or the translated "Unnamed Gym"
  */
 export function formatGymName(name) {
-  if (!name || typeof name !== 'string') return 'Unnamed Gym';
-  return name.trim() || 'Unnamed Gym';
+  if (!name || typeof name !== 'string') return t('common.unnamedGym');
+  return name.trim() || t('common.unnamedGym');
 }
 
@@ -0,0 +1,154 @@
+// Gym attribute filters - one filter object drives the map layer filters, the list and the API
+//
+// Shape: { utilities: ['kilterboard', 'shower'], min: { slab: 30, votes: 5 }, max: { smell: 40 }, includeClosed: false }
+// min/max keys are the server's FILTER_FIELDS (server/lib/gym-query.js); they become
+// min_<field>/max_<field> query params and are matched against the feature properties below.
+// Permanently closed and moved gyms are filtered out unless includeClosed is set.
+
+export const EMPTY_FILTERS = { utilities: [], min: {}, max: {}, includeClosed: false };
+
+export const FILTER_STYLES = ['crimpy', 'dynos', 'overhang', 'slab'];
+
+// Gym statuses hidden unless includeClosed is set (HIDDEN_GYM_STATUSES in server/lib/gym-status.js)
+export const HIDDEN_GYM_STATUSES = ['permanently_closed', 'moved'];
+
+// Feature property each filter field reads. Styles use the flat style_<name> properties
+// (vector tiles can't carry the nested styles object).
+const FIELD_PROPERTIES = {
+  smell: 'smell_avg',
+  smell_score: 'smell_score',
+  difficulty: 'difficulty_avg',
+  difficulty_score: 'difficulty_score',
+  parking: 'parking_availability_avg',
+  pet_friendly: 'pet_friendly_avg',
+  votes: 'smell_votes',
+  style_votes: 'style_vote_count',
+  crimpy: 'style_crimpy',
+  dynos: 'style_dynos',
+  overhang: 'style_overhang',
+  slab: 'style_slab',
+};
+
+/**
+ * Flat filter properties for a gym's nested styles/utilities (same as the vector tiles)
+ * @param {Object|null} styles - { crimpy, dynos, overhang, slab } percentages
+ * @param {Object|null} utilities - Utility name -> vote stats (majority-upvoted only)
+ * @returns {Object} { style_crimpy, style_dynos, style_overhang, style_slab, utility_keys }
+ */
+export function getFilterProperties(styles, utilities) {
+  const props = {};
+  FILTER_STYLES.forEach(style => {
+    const value = styles ? Number(styles[style]) : NaN;
+    props[`style_${style}`] = Number.isFinite(value) ? value : null;
+  });
+  props.utility_keys = Object.keys(utilities || {}).join(',');
+  return props;
+}
+
+/**
+ * Count the active conditions in a filter object
+ * @param {Object} filters - Filter object
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+  if (!filters) return 0;
+  return (filters.utilities?.length || 0) +
+    Object.keys(filters.min || {}).length +
+    Object.keys(filters.max || {}).length +
+    (filters.includeClosed ? 1 : 0);
+}
+
+/**
+ * Add the filters to API query params (utilities=a,b, min_<field>=n, max_<field>=n, include_closed=true)
+ * @param {URLSearchParams} params - Params to add to
+ * @param {Object} filters - Filter object
+ * @returns {URLSearchParams} The same params
+ */
+export function appendFilterParams(params, filters) {
+  if (!filters) return params;
+  if (filters.utilities?.length) {
+    params.append('utilities', filters.utilities.join(','));
+  }
+  Object.entries(filters.min || {}).forEach(([field, value]) => params.append(`min_${field}`, value));
+  Object.entries(filters.max || {}).forEach(([field, value]) => params.append(`max_${field}`, value));
+  if (filters.includeClosed) {
+    params.append('include_closed', 'true');
+  }
+  return params;
+}
+
+/**
+ * Read a filter object back from params written by appendFilterParams
+ * Unknown fields, bad numbers and malformed utility names are dropped.
+ * @param {URLSearchParams} params - Params to read
+ * @returns {Object} Filter object (EMPTY_FILTERS when nothing valid is set)
+ */
+export function parseFilterParams(params) {
+  const utilities = (params.get('utilities') || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => /^[a-z0-9_]+$/.test(name)); // Same pattern as parseGymFilters on the server
+  const filters = {
+    utilities: [...new Set(utilities)],
+    min: {},
+    max: {},
+    includeClosed: params.get('include_closed') === 'true',
+  };
+  ['min', 'max'].forEach(bound => {
+    Object.keys(FIELD_PROPERTIES).forEach(field => {
+      const raw = params.get(`${bound}_${field}`);
+      const value = raw === null || raw === '' ? NaN : Number(raw);
+      if (Number.isFinite(value)) filters[bound][field] = value;
+    });
+  });
+  return countActiveFilters(filters) === 0 ? EMPTY_FILTERS : filters;
+}
+
+/**
+ * Build a MapLibre filter expression for the vector tile gyms layers
+ * Gyms without a value for a bounded field never match, like on the server.
+ * @param {Object} filters - Filter object
+ * @returns {Array|null} Expression, or null when nothing is filtered out (closed and moved gyms are
+ *   hidden even without other filters)
+ */
+export function buildFilterExpression(filters) {
+  const conditions = [];
+  if (!filters?.includeClosed) {
+    conditions.push(['!', ['in', ['coalesce', ['get', 'status'], 'open'], ['literal', HIDDEN_GYM_STATUSES]]]);
+  }
+  (filters?.utilities || []).forEach(name => {
+    // Wrap in commas so 'board' can't match inside 'moon_board'
+    conditions.push(['in', `,${name},`, ['concat', ',', ['coalesce', ['get', 'utility_keys'], ''], ',']]);
+  });
+  [['min', '>='], ['max', '<=']].forEach(([bound, op]) => {
+    Object.entries(filters?.[bound] || {}).forEach(([field, value]) => {
+      const property = FIELD_PROPERTIES[field];
+      if (!property) return;
+      conditions.push(['!=', ['get', property], null]);
+      conditions.push([op, ['to-number', ['get', property]], value]);
+    });
+  });
+
+  return conditions.length > 0 ? ['all', ...conditions] : null;
+}
+
+/**
+ * Check a list gym or GeoJSON feature's properties (nested styles/utilities) against the filters
+ * @param {Object} gym - Gym object
+ * @param {Object} filters - Filter object
+ * @returns {boolean}
+ */
+export function matchesFilters(gym, filters) {
+  if (!filters?.includeClosed && HIDDEN_GYM_STATUSES.includes(gym.status)) return false;
+  if (countActiveFilters(filters) === 0) return true;
+
+  const props = { ...gym, ...getFilterProperties(gym.styles, gym.utilities) };
+  const keys = props.utility_keys ? props.utility_keys.split(',') : [];
+  if ((filters.utilities || []).some(name => !keys.includes(name))) return false;
+
+  const inBounds = (bound, compare) => Object.entries(filters[bound] || {}).every(([field, value]) => {
+    const actual = props[FIELD_PROPERTIES[field]];
+    return actual != null && compare(Number(actual), value);
+  });
+  return inBounds('min', (a, v) => a >= v) && inBounds('max', (a, v) => a <= v);
+}
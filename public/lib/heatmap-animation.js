@@ -4,17 +4,17 @@
  * Create a heatmap animation controller
  * @param {maplibregl.Map} map - MapLibre map instance
  * @param {Object} config - Full HEATMAP_CONFIG object
- * @param {Function} getCurrentMode - Function to get current mode ('stinky' or 'difficulty')
+ * @param {Function} isHeatmapMode - Function returning whether the current map mode shows the heatmap
  * @param {Function} onStop - Optional callback when animation stops
  * @returns {Object} Object with start() and stop() methods
  */
-export function createHeatmapAnimation(map, config, getCurrentMode, onStop = null) {
+export function createHeatmapAnimation(map, config, isHeatmapMode, onStop = null) {
   let animationId = null;
   let startTime = null;
   
   function animate() {
     const layer = map.getLayer('gyms-heatmap');
-    if (!layer || getCurrentMode() !== 'stinky') {
+    if (!layer || !isHeatmapMode()) {
       stop();
       return;
     }
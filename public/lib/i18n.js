@@ -0,0 +1,134 @@
+// Internationalization - locale detection, message catalogs and translation
+//
+// Catalogs live in public/locales/<locale>.js as nested objects; messages are looked up by
+// dotted key (t('popup.smell')). A key missing from the active catalog falls back to
+// English, then to the key itself.
+//   Placeholders  t('list.topIn', { region })        fills {region}
+//   Plurals       t('common.votes', { count: 3 })    message is { one, other, ... } keyed by
+//                                                    Intl.PluralRules category
+//
+// Changing the language reloads the page (the URL keeps the map view, mode and selected gym,
+// see lib/url-state.js), so modules may translate once at import time.
+import en from '../locales/en.js';
+import zhCN from '../locales/zh-CN.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// name: shown in the language switcher, in its own language
+// basemap: Protomaps style language for map labels (api.protomaps.com/styles/v5/<flavor>/<basemap>.json)
+export const LOCALES = {
+  en: { name: 'English', shortName: 'EN', catalog: en, basemap: 'en' },
+  'zh-CN': { name: '简体中文', shortName: '中', catalog: zhCN, basemap: 'zh-Hans' },
+};
+
+const LOCALE_KEY = 'locale';
+
+// Elements with these attributes get their text / attribute replaced by applyTranslations()
+const ATTRIBUTE_BINDINGS = [
+  ['data-i18n-placeholder', 'placeholder'],
+  ['data-i18n-title', 'title'],
+  ['data-i18n-aria-label', 'aria-label'],
+];
+
+/**
+ * Map a BCP 47 tag (navigator.languages, stored preference) to a supported locale
+ * @param {string} tag - e.g. 'zh-CN', 'zh-Hans-SG', 'en-GB'
+ * @returns {string|null} Supported locale or null
+ */
+function matchLocale(tag) {
+  if (typeof tag !== 'string' || !tag) return null;
+  const lower = tag.toLowerCase();
+  const exact = Object.keys(LOCALES).find(locale => locale.toLowerCase() === lower);
+  if (exact) return exact;
+  // All Chinese variants get Simplified - the only Chinese catalog for now
+  if (lower === 'zh' || lower.startsWith('zh-')) return 'zh-CN';
+  const language = lower.split('-')[0];
+  return Object.keys(LOCALES).find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Pick the locale: saved choice first, then the browser's preferred languages
+ * @returns {string} Supported locale
+ */
+export function detectLocale() {
+  try {
+    const stored = matchLocale(localStorage.getItem(LOCALE_KEY));
+    if (stored) return stored;
+  } catch (e) {
+    // Storage unavailable - fall through to the browser languages
+  }
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function getBasemapLanguage() {
+  return LOCALES[currentLocale].basemap;
+}
+
+/**
+ * Switch language, remember the choice and reload to re-render everything
+ * @param {string} locale - Key of LOCALES
+ */
+export function setLocale(locale) {
+  if (!LOCALES[locale] || locale === currentLocale) return;
+  try {
+    localStorage.setItem(LOCALE_KEY, locale);
+  } catch (e) {
+    // Not persisted - still switch for this page load
+  }
+  currentLocale = locale;
+  window.location.reload();
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Translate a message key
+ * @param {string} key - Dotted catalog key
+ * @param {Object} params - Placeholder values; `count` also selects the plural form
+ * @returns {string} Translated message
+ */
+export function t(key, params = {}) {
+  let message = lookup(LOCALES[currentLocale].catalog, key);
+  if (message == null) message = lookup(en, key);
+  if (message == null) return key;
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLocale).select(Number(params.count) || 0);
+    message = message[category] ?? message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+}
+
+/**
+ * Translate static markup: data-i18n sets textContent, data-i18n-<attr> sets the attribute
+ * @param {HTMLElement|Document} root - Subtree to translate (defaults to the whole page)
+ */
+export function applyTranslations(root = document) {
+  if (root === document) {
+    document.documentElement.lang = currentLocale;
+  }
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.getAttribute('data-i18n'));
+  });
+  ATTRIBUTE_BINDINGS.forEach(([dataAttr, attr]) => {
+    root.querySelectorAll(`[${dataAttr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(dataAttr)));
+    });
+  });
+}
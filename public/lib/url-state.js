@@ -0,0 +1,74 @@
+// URL state - deep links for the map viewport, mode, filters and the open gym
+//
+// Shape: /?lng=-122.0090&lat=37.3349&z=12&mode=parking&filters=<params>#/gym/<id>
+// filters holds the API filter params (lib/gym-filters.js) as one encoded value.
+// Anything missing or invalid is left null so the app keeps its default for it.
+import { appendFilterParams, parseFilterParams, countActiveFilters } from './gym-filters.js';
+
+const GYM_HASH_PATTERN = /^#\/gym\/([^/?#]+)\/?$/;
+const COORD_DECIMALS = 5; // ~1 m
+const ZOOM_DECIMALS = 2;
+
+function parseNumber(value, min, max) {
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Read the map state from a URL
+ * @param {Location|URL} url - URL to read (defaults to the current location)
+ * @returns {Object} { gymId, center: [lng, lat] | null, zoom, mode, filters }
+ */
+export function parseUrlState(url = window.location) {
+  const params = new URLSearchParams(url.search);
+  const hashMatch = GYM_HASH_PATTERN.exec(url.hash || '');
+  const lng = parseNumber(params.get('lng'), -180, 180);
+  const lat = parseNumber(params.get('lat'), -90, 90);
+  const filtersParam = params.get('filters');
+
+  return {
+    gymId: hashMatch ? decodeURIComponent(hashMatch[1]) : null,
+    center: lng !== null && lat !== null ? [lng, lat] : null,
+    zoom: parseNumber(params.get('z'), 0, 24),
+    mode: params.get('mode') || null,
+    filters: filtersParam ? parseFilterParams(new URLSearchParams(filtersParam)) : null,
+  };
+}
+
+/**
+ * Build the path, query and hash for a map state (same shape parseUrlState reads)
+ * @param {Object} state - { gymId, center: [lng, lat], zoom, mode, filters }; all optional
+ * @param {string} defaultMode - Mode left out of the URL
+ * @returns {string} e.g. '/?lng=..&lat=..&z=..#/gym/<id>'
+ */
+export function buildUrlState({ gymId, center, zoom, mode, filters } = {}, defaultMode = null) {
+  const params = new URLSearchParams();
+  if (center) {
+    params.set('lng', center[0].toFixed(COORD_DECIMALS));
+    params.set('lat', center[1].toFixed(COORD_DECIMALS));
+  }
+  if (zoom != null) {
+    params.set('z', String(Number(zoom.toFixed(ZOOM_DECIMALS))));
+  }
+  if (mode && mode !== defaultMode) {
+    params.set('mode', mode);
+  }
+  if (countActiveFilters(filters) > 0) {
+    params.set('filters', appendFilterParams(new URLSearchParams(), filters).toString());
+  }
+
+  const query = params.toString();
+  const hash = gymId ? `#/gym/${encodeURIComponent(gymId)}` : '';
+  return `/${query ? `?${query}` : ''}${hash}`;
+}
+
+/**
+ * Absolute shareable link for a map state
+ * @param {Object} state - Same as buildUrlState
+ * @param {string} defaultMode - Mode left out of the URL
+ * @returns {string}
+ */
+export function buildShareUrl(state, defaultMode = null) {
+  return `${window.location.origin}${buildUrlState(state, defaultMode)}`;
+}
@@ -19,15 +19,8 @@ export function haversineMeters(lat1, lon1, lat2, lon2) {
   return 2 * R * Math.asin(Math.sqrt(a));
 }
 
-/**
- * Format distance in a human-readable format
- * @param {number} meters - Distance in meters
- * @returns {string} Formatted distance (e.g., "500 m" or "2.5 km")
- */
-export function formatDistance(meters) {
-  if (!isFinite(meters)) return 'N/A';
-  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters/1000).toFixed(2)} km`;
-}
+// Locale-aware, kept here for existing imports
+export { formatDistance } from './formatting.js';
 
 /**
  * Check if an item is within a bounding box
@@ -47,12 +40,13 @@ export function inBbox(item, bounds) {
 
 /**
  * Get stink score for a gym (0-100)
- * @param {Object} g - Gym object with smell_avg property
+ * Prefers the confidence-weighted smell_score so a single vote can't top the rankings
+ * @param {Object} g - Gym object with smell_score / smell_avg properties
  * @returns {number|null} Stink score or null if unavailable
  */
 export function getStinkScore(g) {
-  // API always provides smell_avg, so no need for fallback
-  const v = typeof g.smell_avg === 'number' ? g.smell_avg : null;
+  const v = typeof g.smell_score === 'number' ? g.smell_score
+    : typeof g.smell_avg === 'number' ? g.smell_avg : null;
   if (v == null || Number.isNaN(v)) return null;
   return Math.max(0, Math.min(100, v));
 }
@@ -0,0 +1,106 @@
+// Vote outbox - votes made without a connection, kept in localStorage until they can be sent
+//
+// Entry shapes (one per gym for votes, one per gym + utility for utility votes; a newer
+// vote for the same target replaces or merges into the queued one):
+//   { id, kind: 'vote', userId, gymId, gymName, data: { smell?, difficulty?, ... }, votedAt }
+//   { id, kind: 'utility', userId, gymId, gymName, utilityName, vote: 'upvote'|'downvote', votedAt }
+// votedAt is sent along on replay so the server can reject it when a newer vote exists.
+import { ErrorType } from './error-handler.js';
+
+const OUTBOX_KEY = 'vote_outbox';
+const MAX_ENTRIES = 200;
+
+// What fetch() rejects with when the request never went out (Chrome, Firefox, Safari, polyfills)
+const FETCH_FAILURE_PATTERN = /failed to fetch|networkerror|load failed|network request failed/i;
+
+function readEntries() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeEntries(entries) {
+  try {
+    if (entries.length > 0) {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries.slice(-MAX_ENTRIES)));
+    } else {
+      localStorage.removeItem(OUTBOX_KEY);
+    }
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function createEntryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Whether an error means the request never reached the server
+ * @param {Error} error - Error thrown by fetch or the API layer
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return error?.type === ErrorType.NETWORK ||
+    (error instanceof TypeError && FETCH_FAILURE_PATTERN.test(error.message));
+}
+
+/**
+ * Queued entries, oldest first
+ * @param {string|null} userId - Only this user's entries (all when null)
+ * @returns {Array}
+ */
+export function getOutboxEntries(userId = null) {
+  const entries = readEntries();
+  return userId ? entries.filter(entry => entry.userId === userId) : entries;
+}
+
+/**
+ * Queue a gym vote; fields merge into an already queued vote for the same gym
+ * @param {Object} vote - { userId, gymId, gymName, data }
+ * @returns {boolean} False if it couldn't be stored
+ */
+export function queueVote({ userId, gymId, gymName = null, data }) {
+  const entries = readEntries();
+  const votedAt = new Date().toISOString();
+  const existing = entries.find(entry =>
+    entry.kind === 'vote' && entry.userId === userId && entry.gymId === gymId
+  );
+  if (existing) {
+    existing.data = { ...existing.data, ...data };
+    existing.votedAt = votedAt;
+  } else {
+    entries.push({ id: createEntryId(), kind: 'vote', userId, gymId, gymName, data, votedAt });
+  }
+  return writeEntries(entries);
+}
+
+/**
+ * Queue a utility vote; replaces an already queued vote for the same gym and utility
+ * @param {Object} vote - { userId, gymId, gymName, utilityName, vote }
+ * @returns {boolean} False if it couldn't be stored
+ */
+export function queueUtilityVote({ userId, gymId, gymName = null, utilityName, vote }) {
+  const entries = readEntries().filter(entry => !(
+    entry.kind === 'utility' && entry.userId === userId &&
+    entry.gymId === gymId && entry.utilityName === utilityName
+  ));
+  entries.push({
+    id: createEntryId(), kind: 'utility', userId, gymId, gymName, utilityName, vote,
+    votedAt: new Date().toISOString(),
+  });
+  return writeEntries(entries);
+}
+
+/**
+ * Remove an entry once it was sent (or given up on)
+ * @param {string} id - Entry ID
+ */
+export function removeOutboxEntry(id) {
+  writeEntries(readEntries().filter(entry => entry.id !== id));
+}
@@ -0,0 +1,439 @@
+// English message catalog - the reference catalog; every key used in the app must exist here
+// (other catalogs fall back to it). See lib/i18n.js for placeholders and plurals.
+export default {
+  common: {
+    notAvailable: 'N/A',
+    unknown: 'Unknown',
+    invalidDate: 'Invalid date',
+    unnamedGym: 'Unnamed Gym',
+    climbingGym: 'Climbing Gym',
+    unknownGym: 'Unknown Gym',
+    close: 'Close',
+    loading: 'Loading...',
+    calculating: 'Calculating...',
+    noVotesYet: 'No votes yet',
+    beFirst: 'Be the first! 🎯',
+    votes: { one: '{count} vote', other: '{count} votes' },
+    gyms: { one: '{count} gym', other: '{count} gyms' },
+  },
+
+  language: {
+    switchTo: 'Language: {current} (switch to {next})',
+  },
+
+  smell: {
+    fresh: 'Fresh',
+    slightOdor: 'Slight Odor',
+    moderate: 'Moderate Smell',
+    strong: 'Strong Odor',
+    cave: 'Cave of Despair',
+  },
+
+  difficulty: {
+    superSoft: 'Super Soft',
+    soft: 'Soft',
+    bitSoft: 'Bit Soft',
+    average: 'Average',
+    bitHard: 'Bit Hard',
+    hard: 'Hard',
+    superHard: 'Super Hard',
+  },
+
+  utilities: {
+    toprope: 'Toprope',
+    lead: 'Lead',
+    kilterboard: 'Kilterboard',
+    moon_board: 'Moon Board',
+    tension_board: 'Tension board',
+    spraywall: 'Spraywall',
+    sauna: 'Sauna',
+    shower: 'Shower',
+    bike_rack: 'Bike Rack',
+  },
+
+  styles: {
+    crimpy: 'Crimpy',
+    dynos: 'Dynos',
+    overhang: 'Overhang',
+    slab: 'Slab',
+  },
+
+  popup: {
+    smell: 'Smell',
+    difficulty: 'Difficulty',
+    parking: 'Parking',
+    petFriendly: 'Pet-Friendly',
+    styles: 'Styles',
+    styleVotes: { one: '({count} vote)', other: '({count} votes)' },
+    noStyleVotes: 'No style votes yet',
+    beFirstToVote: 'Be the first to vote! 🎯',
+    directions: 'Directions',
+    getDirections: 'Get Directions',
+    copyLink: 'Copy link',
+    copyLinkTitle: 'Copy link to this gym',
+    copyLinkPrompt: 'Copy this link:',
+    suggestEdit: 'Suggest edit',
+    suggestEditTitle: 'Suggest a correction to this gym',
+    addPhoto: 'Photo',
+    addPhotoTitle: 'Add a photo of this gym',
+    reportStatus: 'Closed?',
+    reportStatusTitle: 'Report that this gym has closed or moved',
+    linkCopied: 'Link copied to clipboard',
+    footnote: 'Scores are averaged from recent 100 votes.',
+    vote: 'Vote',
+    loginToVote: 'Please log in to vote',
+    imageAlt: '{name} - Image {index}',
+    previousImage: 'Previous image',
+    nextImage: 'Next image',
+    goToImage: 'Go to image {index}',
+  },
+
+  vote: {
+    title: '✏️ Cast Your Vote',
+    titleForGym: '✏️ Vote for {name}!',
+    smell: '💨 Smell',
+    smellLow: 'Pleasant',
+    smellHigh: 'Stinky',
+    difficulty: '🧗 Difficulty',
+    difficultyLow: 'Very Soft (-3)',
+    difficultyHigh: 'Very Hard (+3)',
+    parking: '🚗 Parking',
+    parkingLow: 'None',
+    parkingHigh: 'Plentiful',
+    petFriendly: '🐕 Pet-Friendly',
+    petFriendlyLow: 'Not Allowed',
+    petFriendlyHigh: 'Welcome',
+    styles: '🧗 Styles',
+    stylesHint: 'Click!',
+    trainingUtilities: '🏋️ Did you see these?',
+    otherUtilities: 'Or these?',
+    available: 'Available',
+    notAvailable: 'Not Available',
+    submit: 'Submit Vote →',
+    enterUsername: 'Please enter a username to vote',
+    loginToVote: 'Please log in to vote',
+    nothingChanged: 'Please interact with at least one field to submit a vote.',
+    offlineNotSaved: "You're offline and the vote couldn't be saved on this device. Please try again later.",
+    offlineQueued: "You're offline - your vote was saved and will be sent when you're back online.",
+    submitted: 'Vote submitted successfully!',
+    failed: 'Failed to submit vote. Please try again.',
+  },
+
+  account: {
+    login: 'Login',
+    statistics: 'Statistics',
+    user: 'User',
+    farthestGym: 'Farthest Gym',
+    stinkiestGym: 'Stinkiest Gym',
+    gymsVisited: 'Gyms Visited',
+    gymsByRegion: 'Gyms by Region',
+    loadingChart: 'Loading chart...',
+    noRegionData: 'No region data available',
+    regionDataUnavailable: 'Region data not available for visited gym(s)',
+    visitForRegions: 'Visit gyms to see region distribution',
+    farthestLocked: 'Go to more than 2 gyms to unlock this!',
+    apart: '{distance} apart',
+    noSmellyGyms: 'No smelly gyms visited yet',
+    setupPassword: '🔒 Setup / Reset Password',
+    downloadData: 'Download My Data',
+    downloadDataHint: "Your profile, every vote, utility and style vote, gyms you've added, edits you've suggested, photos you've uploaded and feedback you've sent.",
+    reviewEdits: '🛡️ Review suggested edits',
+    reviewPhotos: '📷 Review uploaded photos',
+    changePassword: 'Change Password',
+    currentPassword: 'Current password',
+    newPassword: 'New password (at least 6 characters)',
+    changePasswordHint: "You'll stay logged in here; other devices will be logged out.",
+    deleteAccount: 'Delete Account',
+    keepVotes: 'Keep my votes anonymously',
+    keepVotesHint: 'Ratings still count but are no longer linked to you',
+    deleteEverything: 'Delete everything',
+    deleteEverythingHint: 'Votes and feedback are permanently removed',
+    password: 'Password',
+    confirmUsername: 'Type your username to confirm',
+    deleteSubmit: 'Delete My Account',
+    loginToView: 'Please log in to view your account',
+    modalMissing: 'Account modal not found. Please refresh the page.',
+    loadFailed: 'Failed to load account information: {error}',
+    loadFailedShort: 'Failed to load: {error}',
+    regionLoadFailed: 'Failed to load region data: {error}',
+    farthestLoadFailed: 'Failed to load farthest gyms: {error}',
+    stinkiestLoadFailed: 'Failed to load stinkiest gym: {error}',
+    enterCurrentPassword: 'Please enter your current password',
+    passwordTooShort: 'New password must be at least 6 characters',
+    passwordChanged: 'Password changed',
+    passwordChangeFailed: 'Failed to change password',
+    typeUsernameExactly: 'Type your username exactly to confirm',
+    enterPassword: 'Please enter your password',
+    deletedEverything: 'Your account and all of its data have been deleted',
+    deletedAnonymized: 'Your account has been deleted; your votes remain anonymously',
+    deleteFailed: 'Failed to delete account',
+    exportFailed: 'Failed to export your data',
+  },
+
+  auth: {
+    modalTitle: '🔒 Register / Login',
+    registerTitle: 'Register / Set Password',
+    register: 'Register',
+    login: 'Login',
+    username: 'Username',
+    usernameTitle: 'Username must be 3-20 characters and contain only letters, numbers, underscores, or hyphens',
+    usernameHint: 'Letters, numbers, underscores, or hyphens only; 3-20 characters',
+    password: 'Password',
+    passwordPlaceholder: 'Optional',
+    passwordHint: 'at least 6 characters',
+    haveResetToken: 'Have a password reset token?',
+    resetToken: 'Reset token',
+    resetTokenPlaceholder: 'Token from an admin',
+    resetTokenHint: 'Enter the token and your new password above',
+    recoveryCode: 'Recovery code',
+    recoveryCodeHint: 'The code you were shown when this username was first used, or a claim code from an admin',
+    saveRecoveryCode: 'Save your recovery code',
+    saveRecoveryCodeHint: 'Your username has no password, so this code is the only way to use it on another device. It is shown only once.',
+    savedIt: "I've saved it",
+    passwordRequired: 'Password is required',
+    passwordReset: 'Password reset',
+    passwordResetFailed: 'Password reset failed',
+    registrationFailed: 'Registration failed',
+    loginFailed: 'Login failed',
+    success: 'Success!',
+    failed: 'Failed',
+  },
+
+  filters: {
+    any: 'Any',
+    anySmell: 'Any smell',
+    anyVotes: 'Any number of votes',
+    minVotes: { one: 'At least {count} vote', other: 'At least {count} votes' },
+    smell: 'Smell',
+    smellVotes: 'Smell votes',
+    maxSmell20: 'Fresh only (≤ 20)',
+    maxSmell40: 'Slight odor or better (≤ 40)',
+    maxSmell60: 'Moderate or better (≤ 60)',
+    maxSmell80: 'Anything but the cave (≤ 80)',
+    includeClosed: 'Show closed & moved gyms',
+  },
+
+  search: {
+    noResults: 'No gyms found',
+    failed: 'Search failed, please try again',
+  },
+
+  modes: {
+    stinky: { label: 'Stinky', collapsedLabel: 'TOP 5 Stink' },
+    difficulty: { label: 'Difficulty', collapsedLabel: 'TOP 5 Difficult' },
+    parking: { label: 'Parking', collapsedLabel: 'TOP 5 Parking' },
+    pet: { label: 'Pets', collapsedLabel: 'TOP 5 Pets' },
+    style: { label: 'Style', collapsedLabel: 'TOP 5 Style' },
+    votes: { label: 'Votes', collapsedLabel: 'TOP 5 Voted' },
+    unvisited: { label: 'Unvisited', collapsedLabel: 'TOP 5 New' },
+  },
+
+  legend: {
+    legend: 'Legend',
+    show: 'Show legend',
+    hide: 'Hide legend',
+    heatmap: 'Heatmap',
+    smell: 'Smell',
+    difficulty: 'Difficulty',
+    parking: 'Parking',
+    petFriendly: 'Pet-friendly',
+    mainStyle: 'Main style',
+    smellVotes: 'Smell votes',
+    yourGyms: 'Your gyms',
+    poor: 'Poor',
+    ok: 'OK',
+    great: 'Great',
+    noVotes: 'No votes',
+    notVotedYet: 'Not voted yet',
+    voted: 'Voted',
+  },
+
+  list: {
+    topIn: 'Top 5 in {region}',
+    noMatchingGyms: 'No gyms in {region} match your filters',
+    notVotedYet: 'Not voted yet',
+    empty: {
+      any: 'No gyms in {region}',
+      difficulty: 'No gyms rated with difficulty in {region} yet',
+      parking: 'No gyms rated for parking in {region} yet',
+      pet: 'No gyms rated for pets in {region} yet',
+      style: 'No gyms rated for style in {region} yet',
+      unvisited: "You've voted on every gym in {region}",
+    },
+  },
+
+  controls: {
+    mapMode: 'Map mode',
+    searchPlaceholder: '🔍 Search gyms or cities',
+    searchLabel: 'Search gyms',
+    clearSearch: 'Clear search',
+    filters: 'Filters',
+    requestFeature: 'Request a feature',
+    feedback: 'Feedback',
+    buyMeCoffee: 'Buy me a coffee',
+    support: 'Support',
+    switchStyle: 'Switch style (Current: {name})',
+    styleLight: 'Light',
+    styleDark: 'Dark',
+  },
+
+  app: {
+    initializingMap: 'Initializing map...',
+    loadingConfig: 'Loading map configuration...',
+    creatingMap: 'Creating map...',
+    loadingGyms: 'Loading gyms...',
+    waitingForMap: 'Waiting for map to load...',
+    styleLoaded: 'Map style loaded, preparing gyms...',
+    mapLoaded: 'Map loaded, preparing gyms...',
+    mapContainerMissing: 'Map container not found. Please refresh the page.',
+    mapContainerHidden: 'Map container is not visible. Please refresh the page.',
+    gymNotFound: 'That gym could not be found.',
+    loadGymsFailed: 'Failed to load gyms. Please try again.',
+    displayGymsFailed: 'Failed to display gyms on map. Please refresh the page.',
+    mapLoadFailed: 'Map failed to load. Please refresh the page.',
+    initFailed: 'Failed to initialize app. Please refresh the page.',
+  },
+
+  addGym: {
+    button: 'Add a gym',
+    cancel: 'Cancel adding a gym',
+    title: '📍 Add a gym',
+    pickLocation: 'Tap the map where the gym is',
+    pinHint: "Drag the pin to the gym's entrance.",
+    name: 'Name',
+    address: 'Address',
+    type: 'Type',
+    phone: 'Phone',
+    typeUnknown: 'Not sure',
+    types: {
+      bouldering: 'Bouldering',
+      rope: 'Rope climbing',
+      bouldering_and_rope: 'Bouldering & ropes',
+      training: 'Training / board gym',
+    },
+    duplicatesTitle: 'Is it one of these?',
+    duplicatesHint: "If it's a different gym, submit again to add it anyway.",
+    pendingReview: 'waiting for review',
+    moderationHint: 'New gyms show up on the map once a moderator has checked them.',
+    submit: 'Submit gym →',
+    submitAnyway: "It's a different gym - submit →",
+    loginRequired: 'Please log in to add a gym',
+    nameRequired: "Please enter the gym's name",
+    submitted: 'Thanks! {name} will appear on the map once a moderator approves it.',
+    tooMany: "You've added a lot of gyms today - please try again tomorrow.",
+    invalid: "Couldn't submit the gym: {error}",
+    failed: 'Failed to submit the gym. Please try again.',
+  },
+
+  suggestEdit: {
+    title: '✏️ Suggest an edit',
+    city: 'City',
+    state: 'State / region',
+    note: 'Note for the moderator (optional)',
+    notePlaceholder: "e.g. a link to the gym's website",
+    moderationHint: 'A moderator checks suggested edits before they show up.',
+    submit: 'Send suggestion →',
+    loginRequired: 'Please log in to suggest an edit',
+    noChanges: "You haven't changed anything yet",
+    submitted: 'Thanks! A moderator will review your changes to {name}.',
+    alreadyPending: 'You already have a suggestion for this gym waiting for review.',
+    tooMany: "You've suggested a lot of edits today - please try again tomorrow.",
+    invalid: "Couldn't send the suggestion: {error}",
+    failed: 'Failed to send the suggestion. Please try again.',
+  },
+
+  gymStatus: {
+    temporarily_closed: 'Temporarily closed',
+    permanently_closed: 'Permanently closed',
+    moved: 'This gym has moved',
+    movedTo: 'Moved to {name}',
+    goToNewGym: 'Go →',
+    newGymFailed: "Couldn't load the new location",
+    title: '🚧 Is this gym still open?',
+    options: {
+      open: 'Open',
+      temporarily_closed: 'Temporarily closed',
+      permanently_closed: 'Permanently closed',
+      moved: 'Moved to another gym',
+    },
+    newGym: 'Where did it move to?',
+    newGymPlaceholder: 'Search gyms',
+    consensusHint: "The gym's status changes once a few people report the same thing.",
+    submit: 'Send report →',
+    loginRequired: 'Please log in to report a gym closure',
+    pickNewGym: 'Pick the gym it moved to',
+    statusChanged: 'Thanks! {name} is now marked as {status}.',
+    reportRecorded: "Thanks! We'll update the gym once others confirm.",
+    moveQueued: 'Thanks! Others agree {name} has moved; a moderator will confirm the move.',
+    tooMany: "You've sent a lot of reports - please try again later.",
+    invalid: "Couldn't send the report: {error}",
+    failed: 'Failed to send the report. Please try again.',
+  },
+
+  editReview: {
+    title: '🛡️ Suggested edits',
+    field: 'Field',
+    current: 'Current',
+    proposed: 'Suggested',
+    applyField: 'Apply {field}',
+    changedSince: 'Changed since the suggestion (was {value})',
+    proposedBy: 'By {username}, {time}',
+    deletedUser: 'a deleted user',
+    notePlaceholder: 'Note for the submitter (optional)',
+    apply: 'Apply selected',
+    reject: 'Reject',
+    pickField: 'Select at least one field to apply',
+    applied: 'Updated {name}',
+    rejected: 'Suggestion rejected',
+    alreadyReviewed: 'Another moderator has already reviewed this suggestion',
+    empty: 'No suggested edits waiting for review 🎉',
+    loadFailed: "Couldn't load suggested edits",
+    failed: 'Review failed. Please try again.',
+  },
+
+  photos: {
+    loginRequired: 'Please log in to add a photo',
+    wrongType: 'Photos must be JPEG, PNG or WebP images',
+    tooLarge: 'Photos can be at most {max} MB',
+    uploading: 'Uploading photo…',
+    uploaded: "Thanks! Your photo of {name} will appear once a moderator approves it.",
+    tooMany: "You've uploaded a lot of photos - please try again later.",
+    invalid: "That file couldn't be read as an image",
+    failed: 'Photo upload failed. Please try again.',
+  },
+
+  photoReview: {
+    title: '📷 Uploaded photos',
+    uploadedBy: 'By {username}, {time}',
+    imageAlt: 'Uploaded photo of {name}',
+    approve: 'Approve',
+    reject: 'Reject',
+    approved: 'Photo of {name} approved',
+    rejected: 'Photo rejected',
+    alreadyReviewed: 'Another moderator has already reviewed this photo',
+    empty: 'No photos waiting for review 🎉',
+    loadFailed: "Couldn't load uploaded photos",
+  },
+
+  offline: {
+    sent: { one: 'Sent {count} vote you made offline', other: 'Sent {count} votes you made offline' },
+    superseded: {
+      one: "Skipped {count} offline vote - you've voted on that gym again since",
+      other: "Skipped {count} offline votes - you've voted on that gym again since",
+    },
+    rejected: { one: "{count} offline vote couldn't be submitted", other: "{count} offline votes couldn't be submitted" },
+    wentOffline: "You're offline. Votes you make will be sent when you're back online.",
+    backOnline: 'Back online',
+    backOnlineSending: { one: 'Back online - sending {count} queued vote...', other: 'Back online - sending {count} queued votes...' },
+  },
+
+  install: {
+    title: 'Add Your Shoe Smells to your home screen',
+    text: 'Opens full screen and keeps working in gyms with bad signal.',
+    iosText: 'Tap the Share button, then "Add to Home Screen". Opens full screen and keeps working in gyms with bad signal.',
+    install: 'Install',
+    notNow: 'Not now',
+    gotIt: 'Got it',
+    installed: 'Installed! Open Your Shoe Smells from your home screen.',
+  },
+};
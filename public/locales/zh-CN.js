@@ -0,0 +1,435 @@
+// Simplified Chinese message catalog - keys mirror locales/en.js; missing keys fall back to English
+export default {
+  common: {
+    notAvailable: '暂无',
+    unknown: '未知',
+    invalidDate: '无效日期',
+    unnamedGym: '未命名岩馆',
+    climbingGym: '攀岩馆',
+    unknownGym: '未知岩馆',
+    close: '关闭',
+    loading: '加载中...',
+    calculating: '计算中...',
+    noVotesYet: '暂无投票',
+    beFirst: '来做第一个！🎯',
+    votes: { other: '{count} 票' },
+    gyms: { other: '{count} 家岩馆' },
+  },
+
+  language: {
+    switchTo: '语言：{current}（切换到 {next}）',
+  },
+
+  smell: {
+    fresh: '清新',
+    slightOdor: '略有异味',
+    moderate: '有点味道',
+    strong: '味道很重',
+    cave: '绝望之洞',
+  },
+
+  difficulty: {
+    superSoft: '超级松',
+    soft: '松',
+    bitSoft: '偏松',
+    average: '正常',
+    bitHard: '偏紧',
+    hard: '紧',
+    superHard: '超级紧',
+  },
+
+  utilities: {
+    toprope: '顶绳',
+    lead: '先锋',
+    kilterboard: 'Kilter 板',
+    moon_board: 'Moon 板',
+    tension_board: 'Tension 板',
+    spraywall: '自由墙',
+    sauna: '桑拿',
+    shower: '淋浴',
+    bike_rack: '自行车停放',
+  },
+
+  styles: {
+    crimpy: '抠点',
+    dynos: '动态',
+    overhang: '仰角',
+    slab: '俯角',
+  },
+
+  popup: {
+    smell: '气味',
+    difficulty: '难度',
+    parking: '停车',
+    petFriendly: '宠物友好',
+    styles: '线路风格',
+    styleVotes: { other: '（{count} 票）' },
+    noStyleVotes: '暂无风格投票',
+    beFirstToVote: '来投第一票！🎯',
+    directions: '导航',
+    getDirections: '获取路线',
+    copyLink: '复制链接',
+    copyLinkTitle: '复制这家岩馆的链接',
+    copyLinkPrompt: '复制此链接：',
+    suggestEdit: '建议修改',
+    suggestEditTitle: '为这家岩馆提交更正',
+    addPhoto: '照片',
+    addPhotoTitle: '为这家岩馆添加照片',
+    reportStatus: '已关闭？',
+    reportStatusTitle: '报告这家岩馆已关闭或搬迁',
+    linkCopied: '链接已复制到剪贴板',
+    footnote: '分数为最近 100 票的平均值。',
+    vote: '投票',
+    loginToVote: '请登录后投票',
+    imageAlt: '{name} - 图片 {index}',
+    previousImage: '上一张图片',
+    nextImage: '下一张图片',
+    goToImage: '查看第 {index} 张图片',
+  },
+
+  vote: {
+    title: '✏️ 投出你的一票',
+    titleForGym: '✏️ 为 {name} 投票！',
+    smell: '💨 气味',
+    smellLow: '好闻',
+    smellHigh: '很臭',
+    difficulty: '🧗 难度',
+    difficultyLow: '非常松 (-3)',
+    difficultyHigh: '非常紧 (+3)',
+    parking: '🚗 停车',
+    parkingLow: '没有',
+    parkingHigh: '很充足',
+    petFriendly: '🐕 宠物友好',
+    petFriendlyLow: '不允许',
+    petFriendlyHigh: '欢迎',
+    styles: '🧗 线路风格',
+    stylesHint: '点一点！',
+    trainingUtilities: '🏋️ 你看到这些了吗？',
+    otherUtilities: '还有这些？',
+    available: '有',
+    notAvailable: '没有',
+    submit: '提交投票 →',
+    enterUsername: '请输入用户名后投票',
+    loginToVote: '请登录后投票',
+    nothingChanged: '请至少修改一项后再提交投票。',
+    offlineNotSaved: '你当前处于离线状态，且投票无法保存在此设备上。请稍后再试。',
+    offlineQueued: '你当前处于离线状态 - 投票已保存，恢复联网后会自动提交。',
+    submitted: '投票提交成功！',
+    failed: '投票提交失败，请重试。',
+  },
+
+  account: {
+    login: '登录',
+    statistics: '我的统计',
+    user: '用户',
+    farthestGym: '最远的岩馆',
+    stinkiestGym: '最臭的岩馆',
+    gymsVisited: '去过的岩馆',
+    gymsByRegion: '岩馆地区分布',
+    loadingChart: '图表加载中...',
+    noRegionData: '暂无地区数据',
+    regionDataUnavailable: '去过的岩馆暂无地区数据',
+    visitForRegions: '去过岩馆后即可查看地区分布',
+    farthestLocked: '去过 2 家以上岩馆即可解锁！',
+    apart: '相距 {distance}',
+    noSmellyGyms: '还没去过有味道的岩馆',
+    setupPassword: '🔒 设置 / 重置密码',
+    downloadData: '下载我的数据',
+    downloadDataHint: '你的资料、所有投票、设施和风格投票、你添加的岩馆、你建议的修改、你上传的照片，以及你发送过的反馈。',
+    reviewEdits: '🛡️ 审核修改建议',
+    reviewPhotos: '📷 审核上传的照片',
+    changePassword: '修改密码',
+    currentPassword: '当前密码',
+    newPassword: '新密码（至少 6 个字符）',
+    changePasswordHint: '此设备会保持登录，其他设备将被登出。',
+    deleteAccount: '删除账号',
+    keepVotes: '匿名保留我的投票',
+    keepVotesHint: '评分仍然有效，但不再与你关联',
+    deleteEverything: '删除所有数据',
+    deleteEverythingHint: '投票和反馈将被永久删除',
+    password: '密码',
+    confirmUsername: '输入你的用户名以确认',
+    deleteSubmit: '删除我的账号',
+    loginToView: '请登录后查看你的账号',
+    modalMissing: '找不到账号窗口，请刷新页面。',
+    loadFailed: '账号信息加载失败：{error}',
+    loadFailedShort: '加载失败：{error}',
+    regionLoadFailed: '地区数据加载失败：{error}',
+    farthestLoadFailed: '最远岩馆加载失败：{error}',
+    stinkiestLoadFailed: '最臭岩馆加载失败：{error}',
+    enterCurrentPassword: '请输入当前密码',
+    passwordTooShort: '新密码至少需要 6 个字符',
+    passwordChanged: '密码已修改',
+    passwordChangeFailed: '密码修改失败',
+    typeUsernameExactly: '请准确输入你的用户名以确认',
+    enterPassword: '请输入你的密码',
+    deletedEverything: '你的账号及其所有数据已删除',
+    deletedAnonymized: '你的账号已删除，你的投票已匿名保留',
+    deleteFailed: '账号删除失败',
+    exportFailed: '数据导出失败',
+  },
+
+  auth: {
+    modalTitle: '🔒 注册 / 登录',
+    registerTitle: '注册 / 设置密码',
+    register: '注册',
+    login: '登录',
+    username: '用户名',
+    usernameTitle: '用户名须为 3-20 个字符，只能包含字母、数字、下划线或连字符',
+    usernameHint: '只能包含字母、数字、下划线或连字符；3-20 个字符',
+    password: '密码',
+    passwordPlaceholder: '可选',
+    passwordHint: '至少 6 个字符',
+    haveResetToken: '有密码重置令牌？',
+    resetToken: '重置令牌',
+    resetTokenPlaceholder: '管理员提供的令牌',
+    resetTokenHint: '输入令牌，并在上方填写新密码',
+    recoveryCode: '恢复码',
+    recoveryCodeHint: '首次使用这个用户名时显示给你的恢复码，或管理员发给你的认领码',
+    saveRecoveryCode: '请保存你的恢复码',
+    saveRecoveryCodeHint: '你的用户名没有设置密码，这个恢复码是在其他设备上使用它的唯一方式。它只会显示一次。',
+    savedIt: '我已保存',
+    passwordRequired: '请输入密码',
+    passwordReset: '密码已重置',
+    passwordResetFailed: '密码重置失败',
+    registrationFailed: '注册失败',
+    loginFailed: '登录失败',
+    success: '成功！',
+    failed: '失败',
+  },
+
+  filters: {
+    any: '不限',
+    anySmell: '不限气味',
+    anyVotes: '不限投票数',
+    minVotes: { other: '至少 {count} 票' },
+    smell: '气味',
+    smellVotes: '气味投票数',
+    maxSmell20: '只看清新（≤ 20）',
+    maxSmell40: '略有异味或更好（≤ 40）',
+    maxSmell60: '有点味道或更好（≤ 60）',
+    maxSmell80: '除了绝望之洞（≤ 80）',
+    includeClosed: '显示已关闭和已搬迁的岩馆',
+  },
+
+  search: {
+    noResults: '没有找到岩馆',
+    failed: '搜索失败，请重试',
+  },
+
+  modes: {
+    stinky: { label: '臭味', collapsedLabel: '最臭 TOP 5' },
+    difficulty: { label: '难度', collapsedLabel: '最难 TOP 5' },
+    parking: { label: '停车', collapsedLabel: '停车 TOP 5' },
+    pet: { label: '宠物', collapsedLabel: '宠物 TOP 5' },
+    style: { label: '风格', collapsedLabel: '风格 TOP 5' },
+    votes: { label: '投票数', collapsedLabel: '投票最多 TOP 5' },
+    unvisited: { label: '没去过', collapsedLabel: '新岩馆 TOP 5' },
+  },
+
+  legend: {
+    legend: '图例',
+    show: '显示图例',
+    hide: '隐藏图例',
+    heatmap: '热力图',
+    smell: '气味',
+    difficulty: '难度',
+    parking: '停车',
+    petFriendly: '宠物友好',
+    mainStyle: '主要风格',
+    smellVotes: '气味投票数',
+    yourGyms: '你的岩馆',
+    poor: '差',
+    ok: '一般',
+    great: '很好',
+    noVotes: '暂无投票',
+    notVotedYet: '还没投过',
+    voted: '已投票',
+  },
+
+  list: {
+    topIn: '{region} TOP 5',
+    noMatchingGyms: '{region} 没有符合筛选条件的岩馆',
+    notVotedYet: '还没投过',
+    empty: {
+      any: '{region} 没有岩馆',
+      difficulty: '{region} 还没有岩馆被评过难度',
+      parking: '{region} 还没有岩馆被评过停车',
+      pet: '{region} 还没有岩馆被评过宠物友好度',
+      style: '{region} 还没有岩馆被评过线路风格',
+      unvisited: '{region} 的每家岩馆你都投过票了',
+    },
+  },
+
+  controls: {
+    mapMode: '地图模式',
+    searchPlaceholder: '🔍 搜索岩馆或城市',
+    searchLabel: '搜索岩馆',
+    clearSearch: '清除搜索',
+    filters: '筛选',
+    requestFeature: '提个需求',
+    feedback: '反馈',
+    buyMeCoffee: '请我喝杯咖啡',
+    support: '支持',
+    switchStyle: '切换地图样式（当前：{name}）',
+    styleLight: '浅色',
+    styleDark: '深色',
+  },
+
+  app: {
+    initializingMap: '正在初始化地图...',
+    loadingConfig: '正在加载地图配置...',
+    creatingMap: '正在创建地图...',
+    loadingGyms: '正在加载岩馆...',
+    waitingForMap: '正在等待地图加载...',
+    styleLoaded: '地图样式已加载，正在准备岩馆...',
+    mapLoaded: '地图已加载，正在准备岩馆...',
+    mapContainerMissing: '找不到地图容器，请刷新页面。',
+    mapContainerHidden: '地图容器不可见，请刷新页面。',
+    gymNotFound: '找不到这家岩馆。',
+    loadGymsFailed: '岩馆加载失败，请重试。',
+    displayGymsFailed: '无法在地图上显示岩馆，请刷新页面。',
+    mapLoadFailed: '地图加载失败，请刷新页面。',
+    initFailed: '应用初始化失败，请刷新页面。',
+  },
+
+  addGym: {
+    button: '添加岩馆',
+    cancel: '取消添加岩馆',
+    title: '📍 添加岩馆',
+    pickLocation: '点击地图上岩馆所在的位置',
+    pinHint: '把图钉拖到岩馆入口处。',
+    name: '名称',
+    address: '地址',
+    type: '类型',
+    phone: '电话',
+    typeUnknown: '不确定',
+    types: {
+      bouldering: '抱石',
+      rope: '绳索攀岩',
+      bouldering_and_rope: '抱石和绳索',
+      training: '训练 / 板墙馆',
+    },
+    duplicatesTitle: '是下面这些岩馆吗？',
+    duplicatesHint: '如果是另一家岩馆，再次提交即可添加。',
+    pendingReview: '等待审核',
+    moderationHint: '新岩馆经管理员审核后才会显示在地图上。',
+    submit: '提交岩馆 →',
+    submitAnyway: '是另一家岩馆 - 提交 →',
+    loginRequired: '请登录后添加岩馆',
+    nameRequired: '请输入岩馆名称',
+    submitted: '谢谢！{name} 经管理员审核通过后会显示在地图上。',
+    tooMany: '你今天已经添加了很多岩馆，请明天再试。',
+    invalid: '无法提交岩馆：{error}',
+    failed: '岩馆提交失败，请重试。',
+  },
+
+  suggestEdit: {
+    title: '✏️ 建议修改',
+    city: '城市',
+    state: '省 / 州',
+    note: '给管理员的备注（可选）',
+    notePlaceholder: '例如岩馆官网的链接',
+    moderationHint: '修改建议经管理员审核后才会生效。',
+    submit: '发送建议 →',
+    loginRequired: '请登录后建议修改',
+    noChanges: '你还没有修改任何内容',
+    submitted: '谢谢！管理员会审核你对 {name} 的修改。',
+    alreadyPending: '你对这家岩馆已有一条待审核的建议。',
+    tooMany: '你今天已经建议了很多修改，请明天再试。',
+    invalid: '无法发送建议：{error}',
+    failed: '建议发送失败，请重试。',
+  },
+
+  gymStatus: {
+    temporarily_closed: '暂停营业',
+    permanently_closed: '已永久关闭',
+    moved: '这家岩馆已搬迁',
+    movedTo: '已搬迁至 {name}',
+    goToNewGym: '前往 →',
+    newGymFailed: '无法加载新地址',
+    title: '🚧 这家岩馆还在营业吗？',
+    options: {
+      open: '正常营业',
+      temporarily_closed: '暂停营业',
+      permanently_closed: '已永久关闭',
+      moved: '已搬迁到另一家岩馆',
+    },
+    newGym: '搬到了哪里？',
+    newGymPlaceholder: '搜索岩馆',
+    consensusHint: '多人报告相同情况后，岩馆状态才会更新。',
+    submit: '发送报告 →',
+    loginRequired: '请登录后报告岩馆关闭',
+    pickNewGym: '请选择它搬到的岩馆',
+    statusChanged: '谢谢！{name} 已标记为{status}。',
+    reportRecorded: '谢谢！其他人确认后我们会更新这家岩馆。',
+    moveQueued: '谢谢！其他用户也认为{name}已搬迁，管理员确认后会更新。',
+    tooMany: '你发送的报告太多了，请稍后再试。',
+    invalid: '无法发送报告：{error}',
+    failed: '报告发送失败，请重试。',
+  },
+
+  editReview: {
+    title: '🛡️ 修改建议',
+    field: '字段',
+    current: '当前',
+    proposed: '建议',
+    applyField: '应用 {field}',
+    changedSince: '提交建议后已被修改（原为 {value}）',
+    proposedBy: '{username}，{time}',
+    deletedUser: '已注销用户',
+    notePlaceholder: '给提交者的备注（可选）',
+    apply: '应用所选',
+    reject: '拒绝',
+    pickField: '请至少选择一个要应用的字段',
+    applied: '已更新 {name}',
+    rejected: '已拒绝该建议',
+    alreadyReviewed: '其他管理员已经审核过这条建议',
+    empty: '没有待审核的修改建议 🎉',
+    loadFailed: '无法加载修改建议',
+    failed: '审核失败，请重试。',
+  },
+
+  photos: {
+    loginRequired: '请登录后添加照片',
+    wrongType: '照片必须是 JPEG、PNG 或 WebP 格式',
+    tooLarge: '照片不能超过 {max} MB',
+    uploading: '正在上传照片…',
+    uploaded: '谢谢！你上传的{name}照片将在审核通过后显示。',
+    tooMany: '你上传的照片太多了，请稍后再试。',
+    invalid: '无法识别该文件为图片',
+    failed: '照片上传失败，请重试。',
+  },
+
+  photoReview: {
+    title: '📷 上传的照片',
+    uploadedBy: '{username}，{time}',
+    imageAlt: '{name}的用户照片',
+    approve: '通过',
+    reject: '拒绝',
+    approved: '已通过{name}的照片',
+    rejected: '照片已拒绝',
+    alreadyReviewed: '其他管理员已经审核过这张照片',
+    empty: '没有待审核的照片 🎉',
+    loadFailed: '无法加载上传的照片',
+  },
+
+  offline: {
+    sent: { other: '已提交你离线时投出的 {count} 票' },
+    superseded: { other: '已跳过 {count} 张离线投票 - 你之后又给这家岩馆投过票' },
+    rejected: { other: '{count} 张离线投票无法提交' },
+    wentOffline: '你已离线。你投出的票会在恢复联网后提交。',
+    backOnline: '已恢复联网',
+    backOnlineSending: { other: '已恢复联网 - 正在提交 {count} 张待发送的投票...' },
+  },
+
+  install: {
+    title: '把「你的鞋好臭」添加到主屏幕',
+    text: '全屏打开，在信号差的岩馆里也能使用。',
+    iosText: '点击“分享”按钮，然后选择“添加到主屏幕”。全屏打开，在信号差的岩馆里也能使用。',
+    install: '安装',
+    notNow: '以后再说',
+    gotIt: '知道了',
+    installed: '安装成功！从主屏幕打开「你的鞋好臭」。',
+  },
+};
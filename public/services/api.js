@@ -1,6 +1,8 @@
 // API service layer
 import { createApiError, createNetworkError, handleError, parseError } from '../lib/error-handler.js';
 import { createRequestCache } from '../lib/async-utils.js';
+import { useAppStore } from '../store/index.js';
+import { appendFilterParams, getFilterProperties } from '../lib/gym-filters.js';
 
 // Request cache for deduplication
 const requestCache = createRequestCache(60000); // 1 minute TTL
@@ -53,6 +55,69 @@ async function fetchWithErrorHandling(url, options = {}) {
   }
 }
 
+// Single in-flight refresh shared by concurrent requests that hit a 401
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token bundle
+ * @returns {Promise<boolean>} True if new tokens were stored
+ */
+export async function refreshSession() {
+  const store = useAppStore.getState();
+  if (!store.refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const res = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: store.refreshToken }),
+        });
+        if (!res.ok) {
+          // Refresh token is invalid, expired or revoked - the session is gone
+          if (res.status === 401) {
+            useAppStore.getState().logout();
+          }
+          return false;
+        }
+        const session = await res.json();
+        useAppStore.getState().setTokens(session);
+        return true;
+      } catch (error) {
+        console.error('[API] Error refreshing session:', error);
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+  return refreshPromise;
+}
+
+/**
+ * Fetch with the session's access token attached; refreshes once and retries on 401
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+async function authFetch(url, options = {}) {
+  const send = () => {
+    const { accessToken } = useAppStore.getState();
+    const headers = { ...(options.headers || {}) };
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return fetch(url, { ...options, headers });
+  };
+
+  let res = await send();
+  if (res.status === 401 && await refreshSession()) {
+    res = await send();
+  }
+  return res;
+}
+
 export async function getConfig() {
   const cacheKey = 'config';
   const cached = requestCache.get(cacheKey);
@@ -88,6 +153,10 @@ function convertRowsToGeoJSON(rows) {
       country_code: g.country_code || '',
       tel: g.phone || '',
       image: ensureHttps(g.image_primary_url || ''),
+      // open, temporarily_closed, permanently_closed or moved (to moved_to_gym_id)
+      status: g.status || 'open',
+      moved_to_gym_id: g.moved_to_gym_id || null,
+      moved_to_name: g.moved_to_name || null,
       // Vote results - parse all numeric values (PostgreSQL can return integers as strings)
       smell_avg: smellAvg,
       smell_votes: Number(g.smell_votes) || 0,
@@ -97,9 +166,17 @@ function convertRowsToGeoJSON(rows) {
       parking_votes: Number(g.parking_votes) || 0,
       pet_friendly_avg: parseNumericValue(g.pet_friendly_avg),
       pet_friendly_votes: Number(g.pet_friendly_votes) || 0,
+      // Confidence-weighted scores (regional prior + time decay), used for ranking
+      smell_score: parseNumericValue(g.smell_score),
+      difficulty_score: parseNumericValue(g.difficulty_score),
+      parking_score: parseNumericValue(g.parking_score),
+      pet_friendly_score: parseNumericValue(g.pet_friendly_score),
       styles: g.styles || {}, // Object mapping style names to percentages
       style_vote_count: g.style_vote_count || 0,
       utilities: g.utilities || {}, // Object mapping utility names to vote counts
+      distance_m: parseNumericValue(g.distance_m), // Only set by /api/gyms/nearby
+      // Flat style_<name>/utility_keys copies for map layer filters (as in the vector tiles)
+      ...getFilterProperties(g.styles, g.utilities),
     },
     geometry: { 
       type: 'Point', 
@@ -130,6 +207,21 @@ function convertRowsToGeoJSON(rows) {
   return { type: 'FeatureCollection', features: feats };
 }
 
+/**
+ * Get the vector tile URL template for the gyms layer
+ * MapLibre needs absolute tile URLs; `version` changes the URL to bypass cached tiles
+ * @param {number|null} version - Optional cache-busting value
+ * @param {Object} options - { includeClosed } also get permanently closed and moved gyms
+ * @returns {string} URL template with {z}/{x}/{y} placeholders
+ */
+export function getGymTileUrl(version = null, { includeClosed = false } = {}) {
+  const params = new URLSearchParams();
+  if (includeClosed) params.append('include_closed', 'true');
+  if (version) params.append('v', version);
+  const url = `${window.location.origin}/api/gyms/tiles/{z}/{x}/{y}.mvt`;
+  return params.toString() ? `${url}?${params}` : url;
+}
+
 export async function fetchGymsByBbox(bounds) {
   try {
     const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].join(',');
@@ -144,7 +236,8 @@ export async function fetchGymsByBbox(bounds) {
     }
     
     return requestCache.set(cacheKey, async () => {
-      const res = await fetchWithErrorHandling(`/api/gyms?bbox=${bbox}`, { timeout: 30000 });
+      // Closed and moved gyms are included - the map layers hide them unless the filters ask for them
+      const res = await fetchWithErrorHandling(`/api/gyms?bbox=${bbox}&include_closed=true`, { timeout: 30000 });
       const rows = await res.json();
       const fetchTime = performance.now() - startTime;
       const geojson = convertRowsToGeoJSON(rows);
@@ -159,11 +252,60 @@ export async function fetchGymsByBbox(bounds) {
   }
 }
 
-export async function fetchGymsByRegion(country, state = null, city = null) {
+/**
+ * Search gyms by name, address, city or state (typo-tolerant)
+ * @param {string} query - Search text (at least 2 characters)
+ * @param {[number, number]|null} near - Optional [lng, lat] to favour nearby gyms
+ * @returns {Promise<Array>} Matches ({ id, name, address, city, state, country_code, lng, lat, distance_m }), best first
+ */
+export async function searchGyms(query, near = null) {
+  const params = new URLSearchParams({ q: query });
+  if (near) {
+    params.append('lng', near[0]);
+    params.append('lat', near[1]);
+  }
+  const res = await fetchWithErrorHandling(`/api/gyms/search?${params.toString()}`, { timeout: 10000 });
+  const rows = await res.json();
+  return rows.map(row => ({
+    ...row,
+    lng: parseNumericValue(row.lng),
+    lat: parseNumericValue(row.lat),
+    distance_m: parseNumericValue(row.distance_m),
+  }));
+}
+
+/**
+ * Fetch the gyms nearest to a point, nearest first
+ * @param {[number, number]} near - [lng, lat]
+ * @param {Object} options - { limit, radiusM, minSmellVotes, utility, filters } (all optional)
+ * @returns {Promise<Object>} GeoJSON FeatureCollection; features have a distance_m property
+ */
+export async function fetchNearbyGyms(near, { limit = null, radiusM = null, minSmellVotes = null, utility = null, filters = null } = {}) {
+  const params = new URLSearchParams({ lng: near[0], lat: near[1] });
+  if (limit) params.append('limit', limit);
+  if (radiusM) params.append('radius_m', radiusM);
+  if (minSmellVotes) params.append('min_smell_votes', minSmellVotes);
+  if (utility) params.append('utility', utility);
+  appendFilterParams(params, filters);
+  const res = await fetchWithErrorHandling(`/api/gyms/nearby?${params.toString()}`, { timeout: 10000 });
+  const rows = await res.json();
+  return convertRowsToGeoJSON(rows);
+}
+
+/**
+ * Fetch all gyms in a country, state or city
+ * @param {string} country - Country code
+ * @param {string|null} state - Optional state
+ * @param {string|null} city - Optional city
+ * @param {Object|null} filters - Optional attribute filters (see lib/gym-filters.js)
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export async function fetchGymsByRegion(country, state = null, city = null, filters = null) {
   try {
     const params = new URLSearchParams({ country });
     if (state) params.append('state', state);
     if (city) params.append('city', city);
+    appendFilterParams(params, filters);
     
     const res = await fetchWithErrorHandling(`/api/gyms/by-region?${params.toString()}`);
     if (!res.ok) return [];
@@ -191,10 +333,15 @@ export async function fetchGymById(gymId) {
       name: gym.name || 'Climbing Gym',
       address: gym.address || '',
       city: gym.city || '',
+      state: gym.state || '',
       country_code: gym.country_code || '',
       tel: gym.phone || '',
+      type: gym.type || '',
+      status: gym.status || 'open',
+      moved_to_gym_id: gym.moved_to_gym_id || null,
+      moved_to_name: gym.moved_to_name || null,
       image: ensureHttps(gym.image_primary_url || ''),
-      raw: gym.raw || null, // Include raw data for image extraction
+      photos: Array.isArray(gym.photos) ? gym.photos : [], // Approved uploads, then provider images
       smell_avg: parseNumericValue(gym.smell_avg),
       smell_votes: Number(gym.smell_votes) || 0,
       difficulty_avg: parseNumericValue(gym.difficulty_avg),
@@ -203,6 +350,10 @@ export async function fetchGymById(gymId) {
       parking_votes: Number(gym.parking_votes) || 0,
       pet_friendly_avg: parseNumericValue(gym.pet_friendly_avg),
       pet_friendly_votes: Number(gym.pet_friendly_votes) || 0,
+      smell_score: parseNumericValue(gym.smell_score),
+      difficulty_score: parseNumericValue(gym.difficulty_score),
+      parking_score: parseNumericValue(gym.parking_score),
+      pet_friendly_score: parseNumericValue(gym.pet_friendly_score),
       styles: gym.styles || {},
       style_vote_count: gym.style_vote_count || 0,
       utilities: gym.utilities || {},
@@ -265,11 +416,11 @@ export async function fetchUserStats(userId) {
   }
 }
 
-export async function submitSmellVote(gymId, smell, username) {
-  const res = await fetch(`/api/gyms/${gymId}/smell`, {
+export async function submitSmellVote(gymId, smell) {
+  const res = await authFetch(`/api/gyms/${gymId}/smell`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ smell, username }),
+    body: JSON.stringify({ smell }),
   });
   if (!res.ok) {
     const error = await res.json().catch(() => ({}));
@@ -278,25 +429,178 @@ export async function submitSmellVote(gymId, smell, username) {
   return res.json();
 }
 
-export async function submitVote(gymId, voteData) {
-  const { username, password, smell, difficulty, parking_availability, pet_friendly, styles, style_percentages } = voteData;
-  const res = await fetch(`/api/gyms/${gymId}/vote`, {
+/**
+ * Submit (or update) the user's vote for a gym
+ * @param {string} gymId - Gym ID
+ * @param {Object} voteData - { smell?, difficulty?, parking_availability?, pet_friendly?, style_percentages? }
+ * @param {Object} options - { votedAt } ISO time the vote was cast, for votes replayed from the offline outbox
+ * @returns {Promise<Object>} Server response
+ */
+export async function submitVote(gymId, voteData, { votedAt = null } = {}) {
+  const { smell, difficulty, parking_availability, pet_friendly, styles, style_percentages } = voteData;
+  const res = await authFetch(`/api/gyms/${gymId}/vote`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      username,
-      password: password || null,
       smell,
       difficulty,
       parking_availability,
       pet_friendly,
       styles: Array.isArray(styles) ? styles : [],
       style_percentages: style_percentages || null,
+      ...(votedAt ? { voted_at: votedAt } : {}),
     }),
   });
   if (!res.ok) {
     const error = await res.json().catch(() => ({}));
-    throw new Error(error.error || `Vote failed: ${res.status}`);
+    throw createApiError(error.error || `Vote failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+/**
+ * Submit a new gym for moderation
+ * @param {Object} gym - { name, lng, lat, address?, phone?, type? }
+ * @param {Object} options - { confirmNotDuplicate } true once the user has seen the possible duplicates
+ * @returns {Promise<Object>} The pending submission
+ * @throws {AppError} status 409 with context.duplicates when similar gyms are nearby
+ */
+export async function submitGym(gym, { confirmNotDuplicate = false } = {}) {
+  const res = await authFetch('/api/gyms', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...gym, confirm_not_duplicate: confirmNotDuplicate }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Gym submission failed: ${res.status}`, res.status, {
+      url: res.url,
+      duplicates: error.duplicates || [],
+    });
+  }
+  return res.json();
+}
+
+/**
+ * Suggest changes to a gym's details for a moderator to review
+ * @param {string} gymId - Gym ID
+ * @param {Object} changes - { field: newValue } for the changed fields (name, address, phone, city, state, type)
+ * @param {string|null} note - Optional note for the moderator (e.g. a source)
+ * @returns {Promise<Object>} The pending proposal
+ * @throws {AppError} status 409 'already_pending' when the user already has an open proposal for the gym
+ */
+export async function submitGymEdit(gymId, changes, note = null) {
+  const res = await authFetch(`/api/gyms/${encodeURIComponent(gymId)}/edits`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ changes, note }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Edit suggestion failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+/**
+ * Report whether a gym is open, temporarily closed, permanently closed or has moved
+ * @param {string} gymId - Gym ID
+ * @param {string} status - One of open, temporarily_closed, permanently_closed, moved
+ * @param {string|null} movedToGymId - The gym it moved to (only with status 'moved')
+ * @returns {Promise<Object>} { gym_id, status, moved_to_gym_id, changed, move_proposal } - the gym's status after
+ *   the report, and the move waiting for a moderator if the reports agree on one
+ */
+export async function reportGymStatus(gymId, status, movedToGymId = null) {
+  const res = await authFetch(`/api/gyms/${encodeURIComponent(gymId)}/status`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status, moved_to_gym_id: movedToGymId }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Status report failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+/**
+ * Upload a photo of a gym; it shows up once a moderator approves it
+ * @param {string} gymId - Gym ID
+ * @param {File} file - JPEG, PNG or WebP image
+ * @param {string|null} caption - Optional caption
+ * @returns {Promise<Object>} The pending photo ({ id, url, thumb_url, width, height, moderation_status, ... })
+ * @throws {AppError} status 413 when the file is too large, 400 when it isn't a readable image
+ */
+export async function uploadGymPhoto(gymId, file, caption = null) {
+  const body = new FormData();
+  body.append('photo', file);
+  if (caption) body.append('caption', caption);
+
+  // No Content-Type header: the browser sets the multipart boundary
+  const res = await authFetch(`/api/gyms/${encodeURIComponent(gymId)}/photos`, { method: 'POST', body });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Photo upload failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+// Photos waiting for review, with their gym's name and uploader (moderators only)
+export async function fetchPhotoQueue(status = 'pending') {
+  const res = await authFetch(`/api/gyms/photos?status=${encodeURIComponent(status)}`);
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Loading photos failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+/**
+ * Approve or reject an uploaded photo (moderators only)
+ * @param {string} photoId - Photo ID
+ * @param {string} action - 'approve' or 'reject'
+ * @param {string|null} note - Optional note for the uploader
+ * @returns {Promise<Object>} The reviewed photo
+ */
+export async function reviewGymPhoto(photoId, action, note = null) {
+  const res = await authFetch(`/api/gyms/photos/${encodeURIComponent(photoId)}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Review failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+// Edit proposals waiting for review, with each gym's current values (moderators only)
+export async function fetchEditProposals(status = 'pending') {
+  const res = await authFetch(`/api/gyms/edits?status=${encodeURIComponent(status)}`);
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Loading edit proposals failed: ${res.status}`, res.status, { url: res.url });
+  }
+  return res.json();
+}
+
+/**
+ * Apply or reject an edit proposal (moderators only)
+ * @param {string} proposalId - Proposal ID
+ * @param {string} action - 'apply' or 'reject'
+ * @param {Object} review - { fields? (apply only - defaults to all proposed fields), note? }
+ * @returns {Promise<Object>} The reviewed proposal
+ */
+export async function reviewEditProposal(proposalId, action, { fields = null, note = null } = {}) {
+  const res = await authFetch(`/api/gyms/edits/${encodeURIComponent(proposalId)}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(action === 'apply' ? { fields, note } : { note }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw createApiError(error.error || `Review failed: ${res.status}`, res.status, { url: res.url });
   }
   return res.json();
 }
@@ -316,34 +620,47 @@ export async function fetchMyUtilityVotes(gymId, username) {
   return data || {}; // Returns object mapping utility_name -> vote (1 or -1)
 }
 
-export async function submitUtilityVote(gymId, utilityName, vote, username, password = null) {
-  const res = await fetch(`/api/gyms/${gymId}/utility-vote`, {
+/**
+ * Up- or downvote a utility tag on a gym
+ * @param {string} gymId - Gym ID
+ * @param {string} utilityName - Utility key (e.g. 'shower')
+ * @param {string} vote - 'upvote' or 'downvote'
+ * @param {Object} options - { votedAt } ISO time the vote was cast, for votes replayed from the offline outbox
+ * @returns {Promise<Object>} Server response
+ */
+export async function submitUtilityVote(gymId, utilityName, vote, { votedAt = null } = {}) {
+  const res = await authFetch(`/api/gyms/${gymId}/utility-vote`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      username,
-      password: password || null,
       utility_name: utilityName,
       vote: vote === 'upvote' ? 1 : -1,
+      ...(votedAt ? { voted_at: votedAt } : {}),
     }),
   });
   if (!res.ok) {
     const error = await res.json().catch(() => ({}));
-    throw new Error(error.error || `Utility vote failed: ${res.status}`);
+    throw createApiError(error.error || `Utility vote failed: ${res.status}`, res.status, { url: res.url });
   }
   return res.json();
 }
 
 // Authentication API
-export async function register(username, password = null) {
+// Sends the current session (if any) so the original device can claim its own account;
+// other devices claim a password-less account with its recovery code
+// Plain fetch: the route answers a wrong password with 401, which authFetch would take for an
+// expired token (signed-in users set a first password through changePassword instead)
+export async function register(username, password = null, recoveryCode = null) {
   const res = await fetch('/api/auth/register', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ username, password: password || null }),
+    body: JSON.stringify({ username, password: password || null, recovery_code: recoveryCode || null }),
   });
   if (!res.ok) {
     const error = await res.json().catch(() => ({}));
-    throw new Error(error.error || `Registration failed: ${res.status}`);
+    const err = new Error(error.error || `Registration failed: ${res.status}`);
+    err.claimRequired = !!error.claim_required;
+    throw err;
   }
   return res.json();
 }
@@ -369,3 +686,96 @@ export async function checkUser(username) {
   return res.json();
 }
 
+// The logged-in user's profile, including their role ('user', 'moderator' or 'admin')
+export async function fetchCurrentUser() {
+  const res = await authFetch('/api/auth/me');
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Loading the current user failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Revoke the current session on the server (local state is cleared by the caller)
+export async function logout() {
+  const { accessToken, refreshToken } = useAppStore.getState();
+  try {
+    await fetch('/api/auth/logout', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+      },
+      body: JSON.stringify({ refresh_token: refreshToken || null }),
+    });
+  } catch (error) {
+    console.error('[API] Error logging out:', error);
+  }
+}
+
+// Change the current user's password (other sessions are signed out)
+export async function changePassword(currentPassword, newPassword) {
+  const res = await authFetch('/api/auth/password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ current_password: currentPassword || null, new_password: newPassword }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Password change failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Set a new password with a reset token issued by an admin (returns a new session)
+export async function resetPassword(username, resetToken, newPassword) {
+  const res = await fetch('/api/auth/password/reset', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, reset_token: resetToken, new_password: newPassword }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Password reset failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Delete the current user's account; policy is 'delete' or 'anonymize' (keeps votes anonymously)
+export async function deleteAccount(policy, password = null) {
+  const res = await authFetch('/api/auth/account', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ policy, password: password || null }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Account deletion failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Download everything stored about the current user; format is 'json' or 'csv'
+export async function fetchAccountExport(format = 'json') {
+  const res = await authFetch(`/api/auth/account/export?format=${encodeURIComponent(format)}`);
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Export failed: ${res.status}`);
+  }
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  return {
+    blob: await res.blob(),
+    filename: match ? match[1] : `stinky-shoes-export.${format}`,
+  };
+}
+
+// Revoke every session for the current user (log out on all devices)
+export async function revokeAllSessions() {
+  const res = await authFetch('/api/auth/revoke', { method: 'POST' });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({}));
+    throw new Error(error.error || `Revoke failed: ${res.status}`);
+  }
+  return res.json();
+}
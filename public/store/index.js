@@ -1,11 +1,16 @@
 // Zustand store for app state
 import { create } from 'https://esm.sh/zustand@4.5.7';
 import { isValidUsername } from '../lib/validation.js';
+import { EMPTY_FILTERS } from '../lib/gym-filters.js';
 
 // LocalStorage keys
 const USERNAME_KEY = 'username';
 const USER_ID_KEY = 'user_id';
-const PASSWORD_KEY = 'password';
+const ACCESS_TOKEN_KEY = 'access_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const HAS_PASSWORD_KEY = 'has_password';
+// Raw passwords used to be persisted here - cleared on init
+const LEGACY_PASSWORD_KEY = 'password';
 
 // Safe localStorage access
 function getFromStorage(key) {
@@ -41,53 +46,93 @@ export const useAppStore = create((set, get) => ({
   viewport: null, // { center: [lng, lat], zoom }
   setViewport: (viewport) => set({ viewport }),
 
+  // Active map mode (key of MAP_MODES in components/map/MapModes.js)
+  mapMode: 'stinky',
+  setMapMode: (mode) => set({ mapMode: mode }),
+
   // User location
   userLocation: null, // [lng, lat]
   setUserLocation: (location) => set({ userLocation: location }),
 
+  // Gym attribute filters (see lib/gym-filters.js), applied to the map and the list
+  gymFilters: EMPTY_FILTERS,
+  setGymFilters: (filters) => set({ gymFilters: filters }),
+
+  // Pin-drop mode for submitting a new gym (components/AddGym.js); map clicks place the pin
+  addingGym: false,
+  setAddingGym: (addingGym) => set({ addingGym }),
+
   // Auth state (synced with localStorage)
   userId: null,
   username: null,
-  password: null,
+  accessToken: null,
+  refreshToken: null,
+  hasPassword: false,
   
   // Initialize auth state from localStorage
   initAuth: () => {
+    setInStorage(LEGACY_PASSWORD_KEY, '');
     const userId = getFromStorage(USER_ID_KEY);
     const username = getFromStorage(USERNAME_KEY);
-    const password = getFromStorage(PASSWORD_KEY);
-    set({ userId, username, password });
+    const accessToken = getFromStorage(ACCESS_TOKEN_KEY);
+    const refreshToken = getFromStorage(REFRESH_TOKEN_KEY);
+    const hasPassword = getFromStorage(HAS_PASSWORD_KEY) === 'true';
+    set({ userId, username, accessToken, refreshToken, hasPassword });
   },
   
   // Login/Register actions
-  login: (userId, username, password = null) => {
+  // session: token bundle from /api/auth/login, /register or /refresh
+  login: (userId, username, session = null) => {
     if (userId) setInStorage(USER_ID_KEY, userId);
     if (username && isValidUsername(username)) {
       setInStorage(USERNAME_KEY, username.trim());
     }
-    if (password) {
-      setInStorage(PASSWORD_KEY, password);
+    set({ userId, username: username?.trim() || null });
+    if (session) {
+      get().setTokens(session);
     }
-    set({ userId, username: username?.trim() || null, password });
   },
   
   // Logout action
   logout: () => {
-    // Note: We keep username but clear userId (allows anonymous username-only access)
+    // Note: We keep username but clear userId and tokens (allows anonymous username-only access)
     setInStorage(USER_ID_KEY, '');
-    set({ userId: null, password: null });
+    setInStorage(ACCESS_TOKEN_KEY, '');
+    setInStorage(REFRESH_TOKEN_KEY, '');
+    setInStorage(HAS_PASSWORD_KEY, '');
+    set({ userId: null, accessToken: null, refreshToken: null, hasPassword: false });
   },
   
-  // Update password
-  setPassword: (password) => {
-    if (password) {
-      setInStorage(PASSWORD_KEY, password);
-      set({ password });
+  // Forget the user entirely (after account deletion)
+  forgetUser: () => {
+    get().logout();
+    setInStorage(USERNAME_KEY, '');
+    set({ username: null });
+  },
+  
+  // Store a new token bundle (after login or a refresh)
+  setTokens: (session) => {
+    if (!session) return;
+    const updates = {};
+    if (session.access_token) {
+      setInStorage(ACCESS_TOKEN_KEY, session.access_token);
+      updates.accessToken = session.access_token;
+    }
+    if (session.refresh_token) {
+      setInStorage(REFRESH_TOKEN_KEY, session.refresh_token);
+      updates.refreshToken = session.refresh_token;
+    }
+    if (typeof session.has_password === 'boolean') {
+      setInStorage(HAS_PASSWORD_KEY, session.has_password ? 'true' : '');
+      updates.hasPassword = session.has_password;
     }
+    set(updates);
   },
   
-  // Check if user is logged in (has userId)
+  // Check if user is logged in (has userId and a session to authenticate with)
   isLoggedIn: () => {
-    return !!get().userId;
+    const { userId, accessToken, refreshToken } = get();
+    return !!userId && !!(accessToken || refreshToken);
   },
   
   // Ensure username exists, prompting if needed
@@ -126,11 +171,14 @@ export const useAuth = () => {
   return {
     userId: store.userId,
     username: store.username,
-    password: store.password,
+    accessToken: store.accessToken,
+    refreshToken: store.refreshToken,
+    hasPassword: store.hasPassword,
     isLoggedIn: store.isLoggedIn(),
     login: store.login,
     logout: store.logout,
-    setPassword: store.setPassword,
+    forgetUser: store.forgetUser,
+    setTokens: store.setTokens,
     ensureUsername: store.ensureUsername,
   };
 };
@@ -0,0 +1,169 @@
+// Service worker - keeps the app usable without a connection (climbing gyms are often basements)
+//
+//   App shell (page, built assets, MapLibre)   stale-while-revalidate, page network-first
+//   Gym data (bbox, single gym, gym tiles)      network-first, falls back to the last response
+//   Basemap (PMTiles ranges, style, glyphs)     network-first, falls back to the last response
+//   Uploaded gym photos (/uploads/)             network-first, falls back to the last response
+//
+// Votes are not handled here: the page queues them in its outbox (lib/vote-outbox.js) and
+// replays them when the connection returns. Bump CACHE_VERSION to drop all caches.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const GYM_DATA_CACHE = `gym-data-${CACHE_VERSION}`;
+const BASEMAP_CACHE = `basemap-${CACHE_VERSION}`;
+const PHOTO_CACHE = `photos-${CACHE_VERSION}`;
+const CACHES = [SHELL_CACHE, GYM_DATA_CACHE, BASEMAP_CACHE, PHOTO_CACHE];
+
+// Cache size limits (oldest entries are dropped first)
+const MAX_GYM_DATA_ENTRIES = 300;
+const MAX_BASEMAP_ENTRIES = 1500;
+const MAX_PHOTO_ENTRIES = 200;
+
+const SHELL_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  'https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.js',
+  'https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.css',
+];
+
+// Only public, non-user-specific gym reads are cached
+const GYM_DATA_PATTERNS = [
+  /^\/api\/gyms\/?$/,                 // ?bbox=
+  /^\/api\/gyms\/tiles\//,            // vector tiles
+  /^\/api\/gyms\/by-region$/,
+  /^\/api\/gyms\/nearby$/,
+  /^\/api\/gyms\/[0-9a-f-]{36}$/i,    // single gym
+];
+
+const BASEMAP_HOSTS = [
+  'demo-bucket.protomaps.com',
+  'api.protomaps.com',
+  'protomaps.github.io',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.all(SHELL_URLS.map(url => cache.add(url).catch(err => {
+        console.warn('[SW] Failed to precache', url, err);
+      }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !CACHES.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, { fallbackUrl: '/' }));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (GYM_DATA_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+      event.respondWith(networkFirst(request, GYM_DATA_CACHE, { maxEntries: MAX_GYM_DATA_ENTRIES }));
+    } else if (url.pathname === '/config') {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (url.pathname.startsWith('/uploads/')) {
+      event.respondWith(networkFirst(request, PHOTO_CACHE, { maxEntries: MAX_PHOTO_ENTRIES }));
+    } else if (!url.pathname.startsWith('/api/')) {
+      event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (BASEMAP_HOSTS.includes(url.hostname)) {
+    event.respondWith(request.headers.has('range')
+      ? rangeNetworkFirst(request)
+      : networkFirst(request, BASEMAP_CACHE, { maxEntries: MAX_BASEMAP_ENTRIES }));
+    return;
+  }
+
+  if (url.hostname === 'unpkg.com') {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length <= maxEntries) return;
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+}
+
+async function networkFirst(request, cacheName, { maxEntries = null, fallbackUrl = null } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      // Re-put so recently used entries move to the end (trimCache drops from the front)
+      await cache.delete(request);
+      await cache.put(request, response.clone());
+      if (maxEntries) trimCache(cacheName, maxEntries);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(err => {
+      if (!cached) throw err;
+      return cached;
+    });
+  return cached || update;
+}
+
+// The Cache API can't store 206 responses, so PMTiles byte ranges are stored as 200s under
+// a key that includes the range, and turned back into 206s when served from the cache.
+function rangeCacheKey(request) {
+  const url = new URL(request.url);
+  url.searchParams.set('sw-range', request.headers.get('range'));
+  return url.toString();
+}
+
+async function rangeNetworkFirst(request) {
+  const cache = await caches.open(BASEMAP_CACHE);
+  const key = rangeCacheKey(request);
+  try {
+    const response = await fetch(request);
+    if (response.status === 206) {
+      const headers = new Headers(response.headers);
+      headers.set('x-sw-content-range', response.headers.get('content-range') || '');
+      const body = await response.clone().arrayBuffer();
+      await cache.put(key, new Response(body, { status: 200, headers }));
+      trimCache(BASEMAP_CACHE, MAX_BASEMAP_ENTRIES);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (!cached) throw err;
+    const headers = new Headers(cached.headers);
+    headers.set('content-range', cached.headers.get('x-sw-content-range') || '');
+    headers.delete('x-sw-content-range');
+    return new Response(await cached.arrayBuffer(), { status: 206, statusText: 'Partial Content', headers });
+  }
+}
@@ -55,6 +55,51 @@ CREATE TABLE IF NOT EXISTS users (
   CONSTRAINT username_format CHECK (username ~ '^[a-zA-Z0-9_-]{3,20}$')
 );
 
+-- Add recovery code column migration (for existing databases)
+-- Password-less accounts prove ownership with a one-time recovery code (stored hashed)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'recovery_code_hash') THEN
+    ALTER TABLE users ADD COLUMN recovery_code_hash text;
+  END IF;
+END $$;
+
+-- Add role column migration (for existing databases)
+-- Grant admin with: UPDATE users SET role = 'admin' WHERE username = '...';
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'role') THEN
+    ALTER TABLE users ADD COLUMN role text NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
+  END IF;
+END $$;
+
+-- Add gym moderation columns migration (for existing databases)
+-- Gyms submitted by users (provider = 'user') start out pending and only show up once a
+-- moderator approves them; seeded gyms are approved by default
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'gyms' AND column_name = 'moderation_status') THEN
+    ALTER TABLE gyms ADD COLUMN moderation_status text NOT NULL DEFAULT 'approved' CHECK (moderation_status IN ('pending', 'approved', 'rejected'));
+    ALTER TABLE gyms ADD COLUMN submitted_by uuid REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE gyms ADD COLUMN reviewed_by uuid REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE gyms ADD COLUMN reviewed_at timestamptz;
+    ALTER TABLE gyms ADD COLUMN review_note text;
+  END IF;
+END $$;
+
+-- Gym status: reached by consensus of users' status reports (gym_status_reports).
+-- Permanently closed and moved gyms are hidden from listings by default; a moved gym
+-- points at the gym it moved to, which inherits its votes (moves are applied by
+-- moderators from gym_move_proposals)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'gyms' AND column_name = 'status') THEN
+    ALTER TABLE gyms ADD COLUMN status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'temporarily_closed', 'permanently_closed', 'moved'));
+    ALTER TABLE gyms ADD COLUMN moved_to_gym_id uuid REFERENCES gyms(id) ON DELETE SET NULL;
+    ALTER TABLE gyms ADD COLUMN status_updated_at timestamptz;
+  END IF;
+END $$;
+
 -- Gym votes table
 CREATE TABLE IF NOT EXISTS gym_votes (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -91,6 +136,81 @@ BEGIN
   END IF;
 END $$;
 
+-- Gym vote events table (append-only history; gym_votes holds the latest state per voter,
+-- maintained by the gym_vote_events_apply trigger below)
+CREATE TABLE IF NOT EXISTS gym_vote_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  username text,
+  -- Only the fields submitted in this revision are set
+  smell smallint CHECK (smell BETWEEN 0 AND 100),
+  difficulty smallint CHECK (difficulty >= -3 AND difficulty <= 3),
+  parking_availability smallint CHECK (parking_availability >= 0 AND parking_availability <= 100),
+  pet_friendly smallint CHECK (pet_friendly >= 0 AND pet_friendly <= 100),
+  crimpy_pct smallint CHECK (crimpy_pct >= 0 AND crimpy_pct <= 100),
+  dynos_pct smallint CHECK (dynos_pct >= 0 AND dynos_pct <= 100),
+  overhang_pct smallint CHECK (overhang_pct >= 0 AND overhang_pct <= 100),
+  slab_pct smallint CHECK (slab_pct >= 0 AND slab_pct <= 100),
+  created_at timestamptz DEFAULT now()
+);
+
+-- Backfill vote events from existing votes (runs once, while the event table is empty)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM gym_vote_events) AND EXISTS (SELECT 1 FROM gym_votes) THEN
+    INSERT INTO gym_vote_events (gym_id, user_id, username, smell, difficulty, parking_availability, pet_friendly,
+                                 crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at)
+    SELECT gym_id, user_id, username, smell, difficulty, parking_availability, pet_friendly,
+           crimpy_pct, dynos_pct, overhang_pct, slab_pct, coalesce(updated_at, created_at)
+    FROM gym_votes;
+  END IF;
+END $$;
+
+-- gym_votes is derived from gym_vote_events: each new event is folded into its voter's latest
+-- state, so the two tables can't diverge. Fields the event didn't submit keep their value; an
+-- event older than the stored state (a late offline replay) only fills fields that are still empty.
+CREATE OR REPLACE FUNCTION apply_gym_vote_event() RETURNS trigger AS $$
+DECLARE
+  current_updated_at timestamptz;
+  is_latest boolean;
+BEGIN
+  SELECT updated_at INTO current_updated_at
+  FROM gym_votes
+  WHERE gym_id = NEW.gym_id
+    AND (user_id = NEW.user_id OR (NEW.user_id IS NULL AND username = NEW.username))
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    INSERT INTO gym_votes (gym_id, user_id, username, smell, difficulty, parking_availability, pet_friendly,
+                           crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at, updated_at)
+    VALUES (NEW.gym_id, NEW.user_id, NEW.username, NEW.smell, NEW.difficulty, NEW.parking_availability, NEW.pet_friendly,
+            NEW.crimpy_pct, NEW.dynos_pct, NEW.overhang_pct, NEW.slab_pct, NEW.created_at, NEW.created_at);
+    RETURN NEW;
+  END IF;
+
+  is_latest := current_updated_at IS NULL OR current_updated_at <= NEW.created_at;
+  UPDATE gym_votes SET
+    smell = CASE WHEN is_latest THEN coalesce(NEW.smell, smell) ELSE coalesce(smell, NEW.smell) END,
+    difficulty = CASE WHEN is_latest THEN coalesce(NEW.difficulty, difficulty) ELSE coalesce(difficulty, NEW.difficulty) END,
+    parking_availability = CASE WHEN is_latest THEN coalesce(NEW.parking_availability, parking_availability) ELSE coalesce(parking_availability, NEW.parking_availability) END,
+    pet_friendly = CASE WHEN is_latest THEN coalesce(NEW.pet_friendly, pet_friendly) ELSE coalesce(pet_friendly, NEW.pet_friendly) END,
+    crimpy_pct = CASE WHEN is_latest THEN coalesce(NEW.crimpy_pct, crimpy_pct) ELSE coalesce(crimpy_pct, NEW.crimpy_pct) END,
+    dynos_pct = CASE WHEN is_latest THEN coalesce(NEW.dynos_pct, dynos_pct) ELSE coalesce(dynos_pct, NEW.dynos_pct) END,
+    overhang_pct = CASE WHEN is_latest THEN coalesce(NEW.overhang_pct, overhang_pct) ELSE coalesce(overhang_pct, NEW.overhang_pct) END,
+    slab_pct = CASE WHEN is_latest THEN coalesce(NEW.slab_pct, slab_pct) ELSE coalesce(slab_pct, NEW.slab_pct) END,
+    updated_at = CASE WHEN is_latest THEN NEW.created_at ELSE updated_at END
+  WHERE gym_id = NEW.gym_id
+    AND (user_id = NEW.user_id OR (NEW.user_id IS NULL AND username = NEW.username));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS gym_vote_events_apply ON gym_vote_events;
+CREATE TRIGGER gym_vote_events_apply
+  AFTER INSERT ON gym_vote_events
+  FOR EACH ROW EXECUTE FUNCTION apply_gym_vote_event();
+
 -- Feedback table
 CREATE TABLE IF NOT EXISTS feedback (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -126,13 +246,199 @@ CREATE TABLE IF NOT EXISTS gym_utility_votes (
   updated_at timestamptz DEFAULT now()
 );
 
+-- Gym status reports table (one current report per user and gym)
+CREATE TABLE IF NOT EXISTS gym_status_reports (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status text NOT NULL CHECK (status IN ('open', 'temporarily_closed', 'permanently_closed', 'moved')),
+  moved_to_gym_id uuid REFERENCES gyms(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (gym_id, user_id),
+  CHECK ((status = 'moved') = (moved_to_gym_id IS NOT NULL))
+);
+
+-- Gym move proposals (moves agreed by status reports, applied or rejected by moderators)
+-- transferred: vote row counts carried over to the new gym when the move was applied
+CREATE TABLE IF NOT EXISTS gym_move_proposals (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  moved_to_gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'rejected', 'withdrawn')),
+  transferred jsonb,
+  reviewed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at timestamptz,
+  review_note text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- User sessions table (refresh tokens are stored hashed)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash text NOT NULL,
+  user_agent text,
+  ip text,
+  created_at timestamptz DEFAULT now(),
+  last_used_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz
+);
+
+-- Password reset tokens table (issued by admins, stored hashed, single use)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  issued_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz
+);
+
+-- Vote flags table (votes excluded from aggregates by the anomaly detector)
+CREATE TABLE IF NOT EXISTS vote_flags (
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  cleared_at timestamptz,
+  cleared_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  PRIMARY KEY (gym_id, user_id)
+);
+
+-- Moderators clear flags (migration for existing databases)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'vote_flags' AND column_name = 'cleared_by') THEN
+    ALTER TABLE vote_flags ADD COLUMN cleared_by uuid REFERENCES users(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Gym edit proposals (field-level changes suggested by users, applied by moderators)
+-- changes: { "<field>": { "from": <value when proposed>, "to": <proposed value> } }
+CREATE TABLE IF NOT EXISTS gym_edit_proposals (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  changes jsonb NOT NULL,
+  note text,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'rejected')),
+  applied_fields text[],
+  reviewed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at timestamptz,
+  review_note text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Gym audit log (one row per changed field of a gym, append-only)
+CREATE TABLE IF NOT EXISTS gym_audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  field text NOT NULL,
+  old_value text,
+  new_value text,
+  changed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  proposal_id uuid REFERENCES gym_edit_proposals(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Provider ids of gyms merged into another gym (server/lib/gym-merge.js), kept so
+-- scripts/populate_database.js doesn't import a merged duplicate again
+CREATE TABLE IF NOT EXISTS gym_aliases (
+  provider text NOT NULL,
+  provider_poi_id text NOT NULL,
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  merged_gym_id uuid NOT NULL,  -- ID the merged gym had (the row itself is deleted)
+  merged_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  PRIMARY KEY (provider, provider_poi_id)
+);
+
+-- User-uploaded gym photos (server/lib/gym-photos.js). The files live in photo storage
+-- (server/lib/photo-storage.js) under display_key and thumb_key; only approved photos are shown
+CREATE TABLE IF NOT EXISTS gym_photos (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  gym_id uuid NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  display_key text NOT NULL,
+  thumb_key text NOT NULL,
+  width int NOT NULL,
+  height int NOT NULL,
+  byte_size int NOT NULL,  -- Size of the display image
+  caption text,
+  moderation_status text NOT NULL DEFAULT 'pending' CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+  reviewed_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at timestamptz,
+  review_note text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Rate limit counters (used by the serverless deployment, where memory isn't shared)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key text PRIMARY KEY,
+  count integer NOT NULL DEFAULT 0,
+  reset_at timestamptz NOT NULL
+);
+
+-- Gym stats table (per-gym vote aggregates, refreshed on every vote)
+-- Fill or repair it with: npm run db:rebuild-stats
+CREATE TABLE IF NOT EXISTS gym_stats (
+  gym_id uuid PRIMARY KEY REFERENCES gyms(id) ON DELETE CASCADE,
+  smell_avg integer,
+  smell_votes integer,
+  difficulty_avg numeric(3,1),
+  difficulty_votes integer,
+  parking_availability_avg integer,
+  parking_votes integer,
+  pet_friendly_avg integer,
+  pet_friendly_votes integer,
+  smell_score numeric(5,1),
+  difficulty_score numeric(5,1),
+  parking_score numeric(5,1),
+  pet_friendly_score numeric(5,1),
+  styles jsonb,
+  style_vote_count integer,
+  utilities jsonb NOT NULL DEFAULT '{}'::jsonb,
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Score priors (decay-weighted mean of each scored field per country, which gym scores are
+-- pulled toward; see server/lib/scoring.js). Recomputed by npm run db:rebuild-stats; the
+-- global row is also refreshed by every vote.
+CREATE TABLE IF NOT EXISTS score_priors (
+  region text PRIMARY KEY,  -- Country code, '' for gyms without one, '*' for the global mean
+  smell_mean double precision,
+  difficulty_mean double precision,
+  parking_availability_mean double precision,
+  pet_friendly_mean double precision,
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Seed the global prior with the middle of each scale (SCORE_FIELDS in server/lib/scoring.js)
+-- until votes replace it
+INSERT INTO score_priors (region, smell_mean, difficulty_mean, parking_availability_mean, pet_friendly_mean)
+VALUES ('*', 50, 0, 50, 50)
+ON CONFLICT (region) DO NOTHING;
+
 -- ============================================
 -- 3. Indexes
 -- ============================================
 
 -- Gyms indexes
 CREATE INDEX IF NOT EXISTS gyms_geom_gix ON gyms USING GIST (geom);
+-- Planar index for vector tile lookups (tiles are cut in Web Mercator, not on the sphere)
+CREATE INDEX IF NOT EXISTS gyms_geom_geometry_gix ON gyms USING GIST ((geom::geometry));
 CREATE INDEX IF NOT EXISTS gyms_name_trgm ON gyms USING GIN (name gin_trgm_ops);
+-- Moderation queue (only the few non-approved gyms are indexed)
+CREATE INDEX IF NOT EXISTS gyms_moderation_queue_idx ON gyms(moderation_status, created_at) WHERE moderation_status <> 'approved';
+CREATE INDEX IF NOT EXISTS gyms_submitted_by_idx ON gyms(submitted_by) WHERE submitted_by IS NOT NULL;
+CREATE INDEX IF NOT EXISTS gyms_moved_to_gym_id_idx ON gyms(moved_to_gym_id) WHERE moved_to_gym_id IS NOT NULL;
+-- Search document for /api/gyms/search (must match SEARCH_DOCUMENT in server/lib/gym-search.js)
+CREATE INDEX IF NOT EXISTS gyms_search_trgm ON gyms USING GIN (
+  (coalesce(name, '') || ' ' || coalesce(address, '') || ' ' || coalesce(city, '') || ' ' || coalesce(state, '')) gin_trgm_ops
+);
 
 -- Users indexes
 CREATE INDEX IF NOT EXISTS users_username_idx ON users(username);
@@ -141,6 +447,10 @@ CREATE INDEX IF NOT EXISTS users_username_idx ON users(username);
 CREATE INDEX IF NOT EXISTS gym_votes_gym_id_idx ON gym_votes(gym_id);
 CREATE INDEX IF NOT EXISTS gym_votes_user_id_idx ON gym_votes(user_id);
 
+-- Gym vote events indexes
+CREATE INDEX IF NOT EXISTS gym_vote_events_gym_id_created_at_idx ON gym_vote_events(gym_id, created_at);
+CREATE INDEX IF NOT EXISTS gym_vote_events_user_id_idx ON gym_vote_events(user_id);
+
 -- Gym style votes indexes
 CREATE INDEX IF NOT EXISTS gym_style_votes_gym_id_idx ON gym_style_votes(gym_id);
 CREATE INDEX IF NOT EXISTS gym_style_votes_user_id_idx ON gym_style_votes(user_id);
@@ -151,6 +461,43 @@ CREATE INDEX IF NOT EXISTS gym_utility_votes_gym_id_idx ON gym_utility_votes(gym
 CREATE INDEX IF NOT EXISTS gym_utility_votes_user_id_idx ON gym_utility_votes(user_id);
 CREATE INDEX IF NOT EXISTS gym_utility_votes_utility_name_idx ON gym_utility_votes(utility_name);
 
+-- Gym status reports indexes
+CREATE INDEX IF NOT EXISTS gym_status_reports_gym_id_updated_at_idx ON gym_status_reports(gym_id, updated_at);
+CREATE INDEX IF NOT EXISTS gym_status_reports_user_id_idx ON gym_status_reports(user_id);
+
+-- Gym move proposals indexes (one pending move per gym)
+CREATE UNIQUE INDEX IF NOT EXISTS gym_move_proposals_pending_idx ON gym_move_proposals(gym_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS gym_move_proposals_moved_to_gym_id_idx ON gym_move_proposals(moved_to_gym_id);
+
+-- User sessions indexes
+CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS user_sessions_expires_at_idx ON user_sessions(expires_at);
+
+-- Password reset tokens indexes
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_id_idx ON password_reset_tokens(user_id);
+
+-- Vote flags indexes
+CREATE INDEX IF NOT EXISTS vote_flags_user_id_idx ON vote_flags(user_id);
+
+-- Gym edit proposals indexes
+CREATE INDEX IF NOT EXISTS gym_edit_proposals_gym_id_idx ON gym_edit_proposals(gym_id);
+CREATE INDEX IF NOT EXISTS gym_edit_proposals_user_id_idx ON gym_edit_proposals(user_id);
+CREATE INDEX IF NOT EXISTS gym_edit_proposals_pending_idx ON gym_edit_proposals(created_at) WHERE status = 'pending';
+
+-- Gym audit log indexes
+CREATE INDEX IF NOT EXISTS gym_audit_log_gym_id_created_at_idx ON gym_audit_log(gym_id, created_at);
+
+-- Gym aliases indexes
+CREATE INDEX IF NOT EXISTS gym_aliases_gym_id_idx ON gym_aliases(gym_id);
+
+-- Gym photos indexes
+CREATE INDEX IF NOT EXISTS gym_photos_gym_id_idx ON gym_photos(gym_id, created_at) WHERE moderation_status = 'approved';
+CREATE INDEX IF NOT EXISTS gym_photos_moderation_queue_idx ON gym_photos(moderation_status, created_at) WHERE moderation_status <> 'approved';
+CREATE INDEX IF NOT EXISTS gym_photos_user_id_idx ON gym_photos(user_id);
+
+-- Rate limits indexes
+CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits(reset_at);
+
 -- Feedback indexes
 CREATE INDEX IF NOT EXISTS feedback_user_id_idx ON feedback(user_id);
 CREATE INDEX IF NOT EXISTS feedback_created_at_idx ON feedback(created_at);
@@ -0,0 +1,271 @@
+/**
+ * Generate PWA Icons
+ *
+ * Builds the web app manifest icon set from the existing artwork:
+ * - public/gym_shoes.png -> app icons (any + maskable) and the iOS home screen icon
+ * - public/foot.png      -> manifest shortcut icon
+ *
+ * Output goes to public/static/icons/ (copied to the site root by Vite's publicDir).
+ * Uses only Node built-ins: decodes 8-bit RGBA PNGs, box-filters them down and
+ * re-encodes them, so no image library is needed.
+ *
+ * Usage:
+ *   node scripts/generate_pwa_icons.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PUBLIC_DIR = path.resolve(__dirname, '../public');
+const OUTPUT_DIR = path.join(PUBLIC_DIR, 'static', 'icons');
+
+// Maskable icons get a solid background and keep the artwork inside the 80% safe zone
+const MASKABLE_BACKGROUND = [255, 247, 237, 255]; // Tailwind orange-50
+const MASKABLE_CONTENT_SCALE = 0.7;
+
+// Apple touch icons can't be transparent (iOS fills transparency with black)
+const APPLE_BACKGROUND = [255, 255, 255, 255];
+
+const ICONS = [
+  { source: 'gym_shoes.png', file: 'icon-192.png', size: 192 },
+  { source: 'gym_shoes.png', file: 'icon-512.png', size: 512 },
+  { source: 'gym_shoes.png', file: 'icon-maskable-192.png', size: 192, background: MASKABLE_BACKGROUND, scale: MASKABLE_CONTENT_SCALE },
+  { source: 'gym_shoes.png', file: 'icon-maskable-512.png', size: 512, background: MASKABLE_BACKGROUND, scale: MASKABLE_CONTENT_SCALE },
+  { source: 'gym_shoes.png', file: 'apple-touch-icon.png', size: 180, background: APPLE_BACKGROUND, scale: 0.85 },
+  { source: 'foot.png', file: 'shortcut-unvisited-96.png', size: 96 },
+];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit RGBA, non-interlaced PNG
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, pixels: Uint8Array}} RGBA pixels
+ */
+function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let offset = 8;
+  let header = null;
+  const idat = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.bitDepth !== 8 || header.colorType !== 6 || header.interlace !== 0) {
+    throw new Error('Only 8-bit RGBA, non-interlaced PNGs are supported');
+  }
+
+  const { width, height } = header;
+  const bpp = 4;
+  const stride = width * bpp;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = new Uint8Array(width * height * bpp);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? pixels[row + x - bpp] : 0;
+      const b = y > 0 ? pixels[prev + x] : 0;
+      const c = y > 0 && x >= bpp ? pixels[prev + x - bpp] : 0;
+      let value = line[x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+      pixels[row + x] = value & 0xff;
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+function encodeChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {{width: number, height: number, pixels: Uint8Array}} image
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng({ width, height, pixels }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // No filter
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // RGBA
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    encodeChunk('IHDR', header),
+    encodeChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    encodeChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Downscale with a box filter (alpha-weighted, so transparent edges don't darken)
+ * @param {Object} image - Source image
+ * @param {number} size - Target width and height
+ * @returns {Object} Resized image
+ */
+function resize(image, size) {
+  const { width, height, pixels } = image;
+  const out = new Uint8Array(size * size * 4);
+  const scaleX = width / size;
+  const scaleY = height / size;
+
+  for (let y = 0; y < size; y++) {
+    const y0 = Math.floor(y * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < size; x++) {
+      const x0 = Math.floor(x * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+      let r = 0, g = 0, b = 0, a = 0, count = 0;
+      for (let sy = y0; sy < y1 && sy < height; sy++) {
+        for (let sx = x0; sx < x1 && sx < width; sx++) {
+          const i = (sy * width + sx) * 4;
+          const alpha = pixels[i + 3];
+          r += pixels[i] * alpha;
+          g += pixels[i + 1] * alpha;
+          b += pixels[i + 2] * alpha;
+          a += alpha;
+          count++;
+        }
+      }
+      const o = (y * size + x) * 4;
+      if (a > 0) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+      }
+      out[o + 3] = Math.round(a / count);
+    }
+  }
+
+  return { width: size, height: size, pixels: out };
+}
+
+/**
+ * Center an image on a solid square background
+ * @param {Object} image - Image to place (already sized)
+ * @param {number} size - Canvas size
+ * @param {number[]} background - [r, g, b, a]
+ * @returns {Object} Composited image
+ */
+function placeOnBackground(image, size, background) {
+  const out = new Uint8Array(size * size * 4);
+  for (let i = 0; i < size * size; i++) {
+    out.set(background, i * 4);
+  }
+  const left = Math.floor((size - image.width) / 2);
+  const top = Math.floor((size - image.height) / 2);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const s = (y * image.width + x) * 4;
+      const o = ((top + y) * size + left + x) * 4;
+      const alpha = image.pixels[s + 3] / 255;
+      for (let c = 0; c < 3; c++) {
+        out[o + c] = Math.round(image.pixels[s + c] * alpha + out[o + c] * (1 - alpha));
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width: size, height: size, pixels: out };
+}
+
+function main() {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const sources = {};
+
+  for (const icon of ICONS) {
+    if (!sources[icon.source]) {
+      sources[icon.source] = decodePng(fs.readFileSync(path.join(PUBLIC_DIR, icon.source)));
+    }
+    const source = sources[icon.source];
+
+    let image;
+    if (icon.background) {
+      const contentSize = Math.round(icon.size * icon.scale);
+      image = placeOnBackground(resize(source, contentSize), icon.size, icon.background);
+    } else {
+      image = resize(source, icon.size);
+    }
+
+    const outputPath = path.join(OUTPUT_DIR, icon.file);
+    fs.writeFileSync(outputPath, encodePng(image));
+    console.log(`✅ ${path.relative(process.cwd(), outputPath)} (${icon.size}x${icon.size})`);
+  }
+}
+
+main();
@@ -0,0 +1,187 @@
+/**
+ * Merge Duplicate Gyms
+ *
+ * Finds gyms that are listed twice (usually once from amap and once from Google, or a user
+ * submission of an imported gym) and merges them. Candidates are nearby gyms with similar
+ * names or the same phone number, scored by server/lib/gym-merge.js.
+ *
+ * Merging moves the duplicate's votes, status reports and edit history to the gym that is
+ * kept, fills in details the kept gym is missing, and records the duplicate's provider id in
+ * gym_aliases so populate_database.js doesn't import it again.
+ *
+ * Usage:
+ *   node scripts/merge_duplicate_gyms.js                          # List candidates (dry run)
+ *   node scripts/merge_duplicate_gyms.js --min-confidence=0.8     # Only list confident pairs
+ *   node scripts/merge_duplicate_gyms.js --country=CN --radius=100 --limit=50
+ *   node scripts/merge_duplicate_gyms.js --merge <keepId> <duplicateId>  # Merge one pair
+ *   node scripts/merge_duplicate_gyms.js --auto --min-confidence=0.8     # Merge every listed pair
+ *   node scripts/merge_duplicate_gyms.js --neon ...               # Use NEON database
+ *
+ * --auto keeps the gym with more votes (then the older one) from each pair.
+ *
+ * Default: Connects to LOCAL database (PGHOST, PGDATABASE, etc. from .env)
+ * Use --neon flag to connect to Neon database (DATABASE_URL from .env.local)
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Pool } from 'pg';
+import {
+  findDuplicateGyms, mergeGyms, pickSurvivor,
+  DUPLICATE_SCAN_RADIUS_M, DUPLICATE_MIN_CONFIDENCE, DUPLICATE_DEFAULT_LIMIT,
+} from '../server/lib/gym-merge.js';
+
+// Load .env.local first (higher priority), then .env
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env.local') });
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+function getPool() {
+  // Check command line argument for --neon flag
+  const useNeon = process.argv.includes('--neon');
+
+  if (useNeon) {
+    // Explicitly use Neon (DATABASE_URL from .env.local)
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error('DATABASE_URL not found. Set it in .env.local to use Neon database.');
+    }
+    console.log('🔗 Connecting to NEON database (from DATABASE_URL)...\n');
+    return new Pool({
+      connectionString,
+      ssl: process.env.PGSSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+  }
+
+  // Default: Use LOCAL database
+  console.log('🔗 Connecting to LOCAL database (from PGHOST, PGDATABASE, etc.)...\n');
+  return new Pool({
+    host: process.env.PGHOST || '127.0.0.1',
+    port: Number(process.env.PGPORT || 5432),
+    user: process.env.PGUSER || 'postgres',
+    password: process.env.PGPASSWORD || 'postgres',
+    database: process.env.PGDATABASE || 'gyms',
+  });
+}
+
+function getArg(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : null;
+}
+
+function getOptions() {
+  const minConfidence = getArg('min-confidence') !== null ? parseFloat(getArg('min-confidence')) : DUPLICATE_MIN_CONFIDENCE;
+  const radiusM = getArg('radius') !== null ? parseFloat(getArg('radius')) : DUPLICATE_SCAN_RADIUS_M;
+  const limit = getArg('limit') !== null ? parseInt(getArg('limit'), 10) : DUPLICATE_DEFAULT_LIMIT;
+  if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    throw new Error('--min-confidence must be between 0 and 1');
+  }
+  if (!Number.isFinite(radiusM) || radiusM <= 0) {
+    throw new Error('--radius must be a positive number of meters');
+  }
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error('--limit must be a positive integer');
+  }
+  const countryCode = getArg('country') ? getArg('country').toUpperCase() : null;
+  return { minConfidence, radiusM, countryCode, limit };
+}
+
+function describeGym(gym) {
+  return `${gym.name} [${gym.provider}:${gym.provider_poi_id}] ${gym.votes} votes (${gym.id})`;
+}
+
+function logMerge(result) {
+  const { merged, filled_fields: filled, transferred } = result;
+  const moved = transferred.gym_votes + transferred.gym_style_votes + transferred.gym_utility_votes;
+  console.log(`  ✅ Merged ${merged.name} [${merged.provider}:${merged.provider_poi_id}] into ${result.survivor_id}`);
+  console.log(`     Votes moved: ${moved}, vote events: ${transferred.gym_vote_events}` +
+    (filled.length > 0 ? `, filled: ${filled.join(', ')}` : ''));
+}
+
+async function mergePair(pool, survivorId, mergedId) {
+  const { result, error } = await mergeGyms(pool, survivorId, mergedId);
+  if (error === 'same_gym') {
+    throw new Error('Cannot merge a gym into itself');
+  }
+  if (error === 'not_found') {
+    throw new Error(`Gym not found: ${survivorId} or ${mergedId}`);
+  }
+  logMerge(result);
+}
+
+async function main() {
+  const pool = getPool();
+
+  try {
+    const mergeIndex = process.argv.indexOf('--merge');
+    if (mergeIndex !== -1) {
+      const [survivorId, mergedId] = process.argv.slice(mergeIndex + 1, mergeIndex + 3);
+      if (!survivorId || !mergedId || survivorId.startsWith('--') || mergedId.startsWith('--')) {
+        throw new Error('Usage: --merge <keepId> <duplicateId>');
+      }
+      console.log('🔀 Merging one pair...');
+      await mergePair(pool, survivorId, mergedId);
+      console.log('\n✅ Merge complete!');
+      return;
+    }
+
+    const options = getOptions();
+    const auto = process.argv.includes('--auto');
+    console.log(`🔍 Looking for duplicates within ${options.radiusM}m` +
+      ` (confidence ≥ ${options.minConfidence}${options.countryCode ? `, ${options.countryCode}` : ''})...\n`);
+
+    const pairs = await findDuplicateGyms(pool, options);
+    if (pairs.length === 0) {
+      console.log('✅ No duplicate candidates found!');
+      return;
+    }
+
+    pairs.forEach((pair, i) => {
+      const { survivor, merged } = pickSurvivor(pair);
+      console.log(`  ${i + 1}. confidence ${pair.confidence.toFixed(2)}` +
+        ` (name ${pair.name_similarity.toFixed(2)}, ${pair.distance_m}m${pair.phone_match ? ', same phone' : ''})`);
+      console.log(`     keep:  ${describeGym(survivor)}`);
+      console.log(`     merge: ${describeGym(merged)}`);
+    });
+    console.log(`\n  📊 ${pairs.length} candidate pair(s)\n`);
+
+    if (!auto) {
+      console.log('ℹ️  Dry run. Re-run with --auto to merge every pair above, or --merge <keepId> <duplicateId>.');
+      return;
+    }
+
+    // A gym merged away (or kept) earlier in this run may appear in a later pair; skip those
+    // rather than chaining merges, and let the next run re-score them
+    console.log('🔀 Merging...');
+    const touched = new Set();
+    let merged = 0;
+    let skipped = 0;
+    for (const pair of pairs) {
+      const { survivor, merged: duplicate } = pickSurvivor(pair);
+      if (touched.has(survivor.id) || touched.has(duplicate.id)) {
+        skipped++;
+        continue;
+      }
+      await mergePair(pool, survivor.id, duplicate.id);
+      touched.add(survivor.id);
+      touched.add(duplicate.id);
+      merged++;
+    }
+
+    console.log(`\n✅ Merged ${merged} duplicate gym(s)`);
+    if (skipped > 0) {
+      console.log(`   Skipped: ${skipped} (gym already merged this run - run again to re-check)`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
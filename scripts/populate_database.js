@@ -9,6 +9,7 @@
  * IMPORTANT:
  * - amap gyms (China): City/state comes from seed file - NO API calls
  * - google gyms (world): City/state comes from Google API - cached for reuse
+ * - Gyms merged into another gym as duplicates (gym_aliases) are not re-imported
  * 
  * Usage:
  *   node scripts/populate_database.js                    # Import all, no API enrichment
@@ -22,6 +23,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { Pool } from 'pg';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { getMergedProviderIds } from '../server/lib/gym-merge.js';
 
 // Load .env.local first (higher priority), then .env
 const __filename = fileURLToPath(import.meta.url);
@@ -199,10 +201,14 @@ async function importChinaGyms(pool) {
       return 0;
     }
     
+    // Duplicates merged into other gyms stay merged
+    const mergedIds = await getMergedProviderIds(pool, 'amap');
+
     // Batch insert
     const BATCH_SIZE = 100;
     let imported = 0;
     let skipped = 0;
+    let merged = 0;
     
     for (let i = 0; i < gymsArray.length; i += BATCH_SIZE) {
       const batch = gymsArray.slice(i, i + BATCH_SIZE);
@@ -215,6 +221,10 @@ async function importChinaGyms(pool) {
           skipped++;
           continue;
         }
+        if (mergedIds.has(String(gym.id))) {
+          merged++;
+          continue;
+        }
         
         const lng = gym.location.lng || gym.location.lon || null;
         const lat = gym.location.lat || null;
@@ -280,7 +290,8 @@ async function importChinaGyms(pool) {
     }
     
     console.log(`\n✅ Imported ${imported} China gyms (amap provider)`);
-    console.log(`   Skipped: ${skipped} (missing required fields)\n`);
+    console.log(`   Skipped: ${skipped} (missing required fields)`);
+    console.log(`   Merged duplicates: ${merged} (see gym_aliases)\n`);
     return imported;
   } catch (error) {
     console.error(`❌ Error importing China gyms: ${error.message}`);
@@ -319,10 +330,14 @@ async function importGoogleGyms(pool) {
       return 0;
     }
     
+    // Duplicates merged into other gyms stay merged
+    const mergedIds = await getMergedProviderIds(pool, 'google');
+
     // Batch insert
     const BATCH_SIZE = 100;
     let imported = 0;
     let skipped = 0;
+    let merged = 0;
     
     for (let i = 0; i < gymsArray.length; i += BATCH_SIZE) {
       const batch = gymsArray.slice(i, i + BATCH_SIZE);
@@ -340,6 +355,10 @@ async function importGoogleGyms(pool) {
           skipped++;
           continue;
         }
+        if (mergedIds.has(String(poiId))) {
+          merged++;
+          continue;
+        }
         
         const lng = location.lng || location.lon || location[0] || null;
         const lat = location.lat || location[1] || null;
@@ -404,7 +423,8 @@ async function importGoogleGyms(pool) {
     }
     
     console.log(`\n✅ Imported ${imported} Google gyms (city/state will be enriched)`);
-    console.log(`   Skipped: ${skipped} (missing required fields)\n`);
+    console.log(`   Skipped: ${skipped} (missing required fields)`);
+    console.log(`   Merged duplicates: ${merged} (see gym_aliases)\n`);
     return imported;
   } catch (error) {
     console.error(`❌ Error importing Google gyms: ${error.message}`);
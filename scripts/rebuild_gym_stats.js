@@ -0,0 +1,87 @@
+/**
+ * Rebuild Gym Stats
+ *
+ * Recomputes the regional score priors (score_priors) and then every row of the gym_stats
+ * aggregate table from gym_votes and gym_utility_votes. Votes keep their gym's row up to
+ * date but only read the priors, so this is needed:
+ * - after creating the tables on an existing database
+ * - after editing votes or vote flags directly in SQL
+ * - periodically (e.g. nightly), to keep the score priors current
+ *
+ * Usage:
+ *   node scripts/rebuild_gym_stats.js          # Rebuilds LOCAL database stats
+ *   node scripts/rebuild_gym_stats.js --neon  # Rebuilds NEON database stats
+ *
+ * Default: Connects to LOCAL database (PGHOST, PGDATABASE, etc. from .env)
+ * Use --neon flag to connect to Neon database (DATABASE_URL from .env.local)
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Pool } from 'pg';
+import { rebuildGymStats } from '../server/lib/gym-stats.js';
+
+// Load .env.local first (higher priority), then .env
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env.local') });
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+function getPool() {
+  // Check command line argument for --neon flag
+  const useNeon = process.argv.includes('--neon');
+
+  if (useNeon) {
+    // Explicitly use Neon (DATABASE_URL from .env.local)
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error('DATABASE_URL not found. Set it in .env.local to use Neon database.');
+    }
+    console.log('🔗 Connecting to NEON database (from DATABASE_URL)...\n');
+    return new Pool({
+      connectionString,
+      ssl: process.env.PGSSL === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+  }
+
+  // Default: Use LOCAL database
+  console.log('🔗 Connecting to LOCAL database (from PGHOST, PGDATABASE, etc.)...\n');
+  return new Pool({
+    host: process.env.PGHOST || '127.0.0.1',
+    port: Number(process.env.PGPORT || 5432),
+    user: process.env.PGUSER || 'postgres',
+    password: process.env.PGPASSWORD || 'postgres',
+    database: process.env.PGDATABASE || 'gyms',
+  });
+}
+
+async function rebuild() {
+  const pool = getPool();
+
+  try {
+    const startedAt = Date.now();
+    console.log('🔄 Rebuilding gym_stats...');
+    const rowCount = await rebuildGymStats(pool);
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+    const { rows } = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE smell_votes > 0 OR difficulty_votes > 0
+                                 OR parking_votes > 0 OR pet_friendly_votes > 0) as gyms_with_votes
+       FROM gym_stats`
+    );
+
+    console.log(`  Rows written: ${rowCount.toLocaleString()} (${seconds}s)`);
+    console.log(`  Gyms with votes: ${parseInt(rows[0].gyms_with_votes).toLocaleString()}\n`);
+    console.log('✅ gym_stats rebuilt successfully!');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+rebuild();
@@ -3,10 +3,12 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { Pool } from "pg";
-import { hashPassword, verifyPassword, hasPassword } from "./lib/password.js";
 import { createAuthRouter } from "./server/routes/auth.js";
 import { createGymsRouter } from "./server/routes/gyms.js";
 import { createFeedbackRouter } from "./server/routes/feedback.js";
+import { createGymPagesRouter } from "./server/routes/gym-pages.js";
+import { createMemoryStore, getTrustProxySetting } from "./server/middleware/rate-limit.js";
+import { createPhotoStorageFromEnv } from "./server/lib/photo-storage.js";
 
 dotenv.config();
 
@@ -16,14 +18,17 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 3000;
 const host = process.env.HOST || "127.0.0.1";
-// so req.ip respects X-Forwarded-For in prod behind a proxy
-app.set('trust proxy', true);
+// so req.ip respects X-Forwarded-For from a proxy on this machine (the Vite dev server, nginx);
+// set TRUST_PROXY to the proxy hop count for other setups
+app.set('trust proxy', getTrustProxySetting('loopback'));
 
 // Serve static files - use dist/ in production (after vite build), public/ in development
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, "dist")));
 } else {
   app.use(express.static(path.join(__dirname, "public")));
+  // Vite copies public/static/ to the dist root (manifest, icons)
+  app.use(express.static(path.join(__dirname, "public", "static")));
 }
 app.use(express.json());
 
@@ -59,19 +64,32 @@ function getPool() {
 
 const pool = getPool();
 
+// Rate limit counters live in memory - this is a single long-running process
+const rateLimitStore = createMemoryStore();
+
+// Uploaded gym photos - the local disk backend's directory is served as-is (files never change)
+const photoStorage = createPhotoStorageFromEnv(__dirname);
+if (photoStorage.dir) {
+  app.use(photoStorage.baseUrl, express.static(photoStorage.dir, { immutable: true, maxAge: '365d' }));
+}
+
 // --- Route Modules ---
 // Register authentication routes
-const authRouter = createAuthRouter(pool);
+const authRouter = createAuthRouter(pool, { rateLimitStore, photoStorage });
 app.use('/api/auth', authRouter);
 
 // Register gym routes
-const gymsRouter = createGymsRouter(pool, hasPassword, verifyPassword);
+const gymsRouter = createGymsRouter(pool, { rateLimitStore, photoStorage });
 app.use('/api/gyms', gymsRouter);
 
 // Register feedback routes
-const feedbackRouter = createFeedbackRouter(pool);
+const feedbackRouter = createFeedbackRouter(pool, { rateLimitStore });
 app.use('/api/feedback', feedbackRouter);
 
+// Register server-rendered gym pages (link previews)
+const gymPagesRouter = createGymPagesRouter(pool, { photoStorage });
+app.use('/gym', gymPagesRouter);
+
 // Start server
 app.listen(port, host, () => {
   console.log(`Server running at http://${host}:${port}`);
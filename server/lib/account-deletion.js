@@ -0,0 +1,106 @@
+// Account deletion - removes a user and either deletes or anonymizes their contributions
+import crypto from 'crypto';
+import { refreshGymStats } from './gym-stats.js';
+
+export const DELETION_POLICIES = ['delete', 'anonymize'];
+
+// Tables holding votes; rows are matched by user_id and by the legacy username column
+const VOTE_TABLES = ['gym_votes', 'gym_vote_events', 'gym_style_votes', 'gym_utility_votes'];
+
+/**
+ * Delete a user account
+ *
+ * - 'delete': votes, feedback and uploaded photos are removed, so the user's ratings stop counting
+ * - 'anonymize': votes keep counting under a random "deleted-…" voter name,
+ *   feedback keeps its message but loses name/email, and photos stay without an uploader;
+ *   flagged votes are still removed
+ *
+ * @param {Pool} pool - Database pool
+ * @param {{id: string, username: string}} user - User to delete
+ * @param {string} policy - One of DELETION_POLICIES
+ * @param {Object} options - { photoStorage } to delete the files of removed photos
+ * @returns {Promise<Object>} Row counts per table
+ */
+export async function deleteUserAccount(pool, user, policy, { photoStorage = null } = {}) {
+  if (!DELETION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown deletion policy: ${policy}`);
+  }
+
+  const client = await pool.connect();
+  const counts = {};
+  let photoKeys = [];
+  try {
+    await client.query('BEGIN');
+
+    // Gyms whose aggregates change once this user's votes are gone
+    const votedGyms = await client.query(
+      `SELECT gym_id FROM gym_votes WHERE user_id = $1 OR username = $2
+       UNION
+       SELECT gym_id FROM gym_utility_votes WHERE user_id = $1 OR username = $2`,
+      [user.id, user.username]
+    );
+
+    if (policy === 'delete') {
+      for (const table of VOTE_TABLES) {
+        const result = await client.query(
+          `DELETE FROM ${table} WHERE user_id = $1 OR username = $2`,
+          [user.id, user.username]
+        );
+        counts[table] = result.rowCount;
+      }
+      const feedback = await client.query('DELETE FROM feedback WHERE user_id = $1', [user.id]);
+      counts.feedback = feedback.rowCount;
+      const photos = await client.query(
+        'DELETE FROM gym_photos WHERE user_id = $1 RETURNING display_key, thumb_key',
+        [user.id]
+      );
+      counts.gym_photos = photos.rowCount;
+      photoKeys = photos.rows.flatMap(row => [row.display_key, row.thumb_key]);
+    } else {
+      // Votes caught by the anomaly detector would start counting again once their
+      // flags cascade away with the user, so drop them instead of anonymizing
+      for (const table of ['gym_votes', 'gym_vote_events', 'gym_utility_votes']) {
+        await client.query(
+          `DELETE FROM ${table} v
+           USING vote_flags vf
+           WHERE vf.user_id = $1 AND vf.cleared_at IS NULL
+             AND v.gym_id = vf.gym_id AND v.user_id = $1`,
+          [user.id]
+        );
+      }
+
+      // One alias per account keeps each vote attributed to a single (unknown) voter
+      const alias = `deleted-${crypto.randomBytes(6).toString('hex')}`;
+      for (const table of VOTE_TABLES) {
+        const result = await client.query(
+          `UPDATE ${table} SET user_id = NULL, username = $3 WHERE user_id = $1 OR username = $2`,
+          [user.id, user.username, alias]
+        );
+        counts[table] = result.rowCount;
+      }
+      const feedback = await client.query(
+        'UPDATE feedback SET user_id = NULL, user_name = NULL, user_email = NULL WHERE user_id = $1',
+        [user.id]
+      );
+      counts.feedback = feedback.rowCount;
+    }
+
+    // Sessions, reset tokens and vote flags cascade with the user row
+    await client.query('DELETE FROM users WHERE id = $1', [user.id]);
+    await refreshGymStats(client, votedGyms.rows.map(r => r.gym_id));
+
+    await client.query('COMMIT');
+
+    // Files go once the rows are gone for good; a failure only leaves unreferenced files behind
+    if (photoStorage && photoKeys.length > 0) {
+      await Promise.all(photoKeys.map(key => photoStorage.remove(key)))
+        .catch(e => console.error('[AccountDeletion] Removing photo files failed:', e));
+    }
+    return counts;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
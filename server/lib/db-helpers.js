@@ -12,19 +12,19 @@ export async function hasStyleColumns(pool) {
   }
 }
 
+// Returns the user row plus `created` (true if the user was inserted by this call)
 export async function getOrCreateUser(pool, username) {
   // Try to find existing user
-  let userResult = await pool.query('SELECT id, username, password_hash FROM users WHERE username = $1', [username]);
+  let userResult = await pool.query('SELECT id, username, password_hash, recovery_code_hash FROM users WHERE username = $1', [username]);
   
   if (userResult.rows.length > 0) {
-    return userResult.rows[0];
+    return { ...userResult.rows[0], created: false };
   }
   
   // Create new user if doesn't exist
   const newUser = await pool.query(
-    'INSERT INTO users (username) VALUES ($1) RETURNING id, username, password_hash',
+    'INSERT INTO users (username) VALUES ($1) RETURNING id, username, password_hash, recovery_code_hash',
     [username]
   );
-  return newUser.rows[0];
+  return { ...newUser.rows[0], created: true };
 }
-
@@ -0,0 +1,58 @@
+// Gym audit log - one row per changed field, for every change applied to a gym's details
+//
+// Rows are written by applied edit proposals (gym-edits.js) and moderation decisions on
+// submissions (gym-submissions.js), so each gym has a full history of who changed what.
+// Values are stored as text; null means the field was empty.
+
+const AUDIT_LOG_DEFAULT_LIMIT = 100;
+
+function toAuditValue(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Record changed fields for a gym
+ * @param {Pool|PoolClient} db - Database pool, or a client inside the caller's transaction
+ * @param {string} gymId - Gym ID
+ * @param {Array} changes - [{ field, oldValue, newValue }]
+ * @param {Object} meta - { actorId, proposalId? }
+ * @returns {Promise<void>}
+ */
+export async function recordGymChanges(db, gymId, changes, { actorId = null, proposalId = null } = {}) {
+  if (!changes || changes.length === 0) return;
+
+  await db.query(
+    `insert into gym_audit_log (gym_id, field, old_value, new_value, changed_by, proposal_id)
+     select $1, c.field, c.old_value, c.new_value, $5, $6
+     from unnest($2::text[], $3::text[], $4::text[]) as c(field, old_value, new_value)`,
+    [
+      gymId,
+      changes.map(c => c.field),
+      changes.map(c => toAuditValue(c.oldValue)),
+      changes.map(c => toAuditValue(c.newValue)),
+      actorId,
+      proposalId,
+    ]
+  );
+}
+
+/**
+ * Get a gym's change history, newest first
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @param {Object} options - { limit = 100 }
+ * @returns {Promise<Array>} [{ id, field, old_value, new_value, changed_by_username, proposal_id, created_at }]
+ */
+export async function getGymAuditLog(pool, gymId, { limit = AUDIT_LOG_DEFAULT_LIMIT } = {}) {
+  const { rows } = await pool.query(
+    `select a.id, a.field, a.old_value, a.new_value, u.username as changed_by_username,
+            a.proposal_id, a.created_at
+     from gym_audit_log a
+     left join users u on u.id = a.changed_by
+     where a.gym_id = $1
+     order by a.created_at desc, a.id desc
+     limit $2`,
+    [gymId, limit]
+  );
+  return rows;
+}
@@ -0,0 +1,236 @@
+// Gym edit proposals - field-level corrections to a gym's details, suggested by users
+//
+// A proposal stores { field: { from, to } } for each field the user changed, where `from` is
+// the value when the proposal was made. Moderators see it side by side with the gym's current
+// values and apply all or some of the fields; every applied field is written to the gym's
+// audit log (gym-audit.js).
+import { normalizeGymField, GYM_DETAIL_FIELDS } from './gym-submissions.js';
+import { recordGymChanges } from './gym-audit.js';
+
+export const EDIT_STATUSES = ['pending', 'applied', 'rejected'];
+export const EDIT_NOTE_MAX_LENGTH = 500;
+
+const GYM_DETAIL_COLUMNS = GYM_DETAIL_FIELDS.map(field => `g.${field}`).join(', ');
+
+/**
+ * Validate the changes in an edit proposal request
+ * @param {Object} changes - { field: newValue } for the fields the user changed
+ * @returns {{changes: Object|null, error: string|null}} Normalized { field: value }, or an error message for a 400
+ */
+export function validateEditChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { changes: null, error: 'changes must be an object of field: value' };
+  }
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    return { changes: null, error: 'changes must include at least one field' };
+  }
+
+  const normalized = {};
+  for (const field of fields) {
+    if (!GYM_DETAIL_FIELDS.includes(field)) {
+      return { changes: null, error: `${field} cannot be edited (editable: ${GYM_DETAIL_FIELDS.join(', ')})` };
+    }
+    const { value, error } = normalizeGymField(field, changes[field]);
+    if (error) return { changes: null, error };
+    normalized[field] = value;
+  }
+  return { changes: normalized, error: null };
+}
+
+/**
+ * Store an edit proposal for an approved gym
+ * Fields whose proposed value matches the current one are dropped.
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @param {string} userId - Proposing user
+ * @param {Object} proposal - { changes: output of validateEditChanges(), note? }
+ * @returns {Promise<{proposal: Object|null, error: string|null}>} error is 'not_found', 'no_changes' or 'already_pending'
+ */
+export async function createEditProposal(pool, gymId, userId, { changes, note = null }) {
+  const { rows: gyms } = await pool.query(
+    `select ${GYM_DETAIL_COLUMNS} from gyms g where g.id = $1 and g.moderation_status = 'approved'`,
+    [gymId]
+  );
+  if (gyms.length === 0) {
+    return { proposal: null, error: 'not_found' };
+  }
+
+  const current = gyms[0];
+  const diff = {};
+  for (const [field, value] of Object.entries(changes)) {
+    const from = current[field] ?? null;
+    if (from !== value) {
+      diff[field] = { from, to: value };
+    }
+  }
+  if (Object.keys(diff).length === 0) {
+    return { proposal: null, error: 'no_changes' };
+  }
+
+  // One open proposal per user and gym - they can wait for it to be reviewed
+  const { rows: pending } = await pool.query(
+    `select 1 from gym_edit_proposals where gym_id = $1 and user_id = $2 and status = 'pending'`,
+    [gymId, userId]
+  );
+  if (pending.length > 0) {
+    return { proposal: null, error: 'already_pending' };
+  }
+
+  const { rows } = await pool.query(
+    `insert into gym_edit_proposals (gym_id, user_id, changes, note)
+     values ($1, $2, $3, $4)
+     returning id, gym_id, changes, note, status, created_at`,
+    [gymId, userId, JSON.stringify(diff), note]
+  );
+  return { proposal: rows[0], error: null };
+}
+
+const PROPOSAL_COLUMNS = `
+       p.id, p.gym_id, g.name as gym_name, p.changes, p.note, p.status, p.applied_fields,
+       p.review_note, p.reviewed_at, p.created_at`;
+
+/**
+ * List edit proposals for the moderation queue, each with the gym's current values
+ * `stale_fields` lists fields that changed on the gym since the proposal was made.
+ * @param {Pool} pool - Database pool
+ * @param {Object} options - { status = 'pending', gymId = null, limit = 50 }
+ * @returns {Promise<Array>} Proposals, oldest first
+ */
+export async function listEditProposals(pool, { status = 'pending', gymId = null, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `select ${PROPOSAL_COLUMNS},
+            jsonb_build_object(${GYM_DETAIL_FIELDS.map(field => `'${field}', g.${field}`).join(', ')}) as current,
+            u.username as proposed_by_username,
+            r.username as reviewed_by_username
+     from gym_edit_proposals p
+     join gyms g on g.id = p.gym_id
+     left join users u on u.id = p.user_id
+     left join users r on r.id = p.reviewed_by
+     where p.status = $1 and ($2::uuid is null or p.gym_id = $2::uuid)
+     order by p.created_at
+     limit $3`,
+    [status, gymId, limit]
+  );
+  return rows.map(row => ({
+    ...row,
+    stale_fields: Object.entries(row.changes)
+      .filter(([field, change]) => (row.current[field] ?? null) !== change.from)
+      .map(([field]) => field),
+  }));
+}
+
+/**
+ * List a user's own edit proposals (any status), newest first
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - Proposing user
+ * @returns {Promise<Array>} Proposals
+ */
+export async function listUserEditProposals(pool, userId) {
+  const { rows } = await pool.query(
+    `select ${PROPOSAL_COLUMNS}
+     from gym_edit_proposals p
+     join gyms g on g.id = p.gym_id
+     where p.user_id = $1
+     order by p.created_at desc`,
+    [userId]
+  );
+  return rows;
+}
+
+// Lock a proposal and report why it can't be reviewed, if it can't
+async function lockPendingProposal(client, proposalId) {
+  const { rows } = await client.query(
+    `select id, gym_id, changes, status from gym_edit_proposals where id = $1 for update`,
+    [proposalId]
+  );
+  if (rows.length === 0) return { proposal: null, error: 'not_found' };
+  if (rows[0].status !== 'pending') return { proposal: null, error: 'already_reviewed' };
+  return { proposal: rows[0], error: null };
+}
+
+/**
+ * Apply an edit proposal (all of its fields, or only some) and record the changes in the audit log
+ * @param {Pool} pool - Database pool
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} review - { reviewerId, fields? (defaults to every proposed field), note? }
+ * @returns {Promise<{proposal: Object|null, error: string|null}>} error is 'not_found', 'already_reviewed' or 'invalid_fields'
+ */
+export async function applyEditProposal(pool, proposalId, { reviewerId, fields = null, note = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { proposal, error } = await lockPendingProposal(client, proposalId);
+    if (error) {
+      await client.query('ROLLBACK');
+      return { proposal: null, error };
+    }
+
+    const proposedFields = Object.keys(proposal.changes);
+    const appliedFields = fields || proposedFields;
+    if (appliedFields.length === 0 || appliedFields.some(field => !proposedFields.includes(field) || !GYM_DETAIL_FIELDS.includes(field))) {
+      await client.query('ROLLBACK');
+      return { proposal: null, error: 'invalid_fields' };
+    }
+
+    const { rows: gyms } = await client.query(
+      `select ${GYM_DETAIL_COLUMNS} from gyms g where g.id = $1 for update`,
+      [proposal.gym_id]
+    );
+    const current = gyms[0];
+
+    // Only fields that still differ count as changes (another edit may have got there first)
+    const changes = appliedFields
+      .map(field => ({ field, oldValue: current[field] ?? null, newValue: proposal.changes[field].to }))
+      .filter(change => change.oldValue !== change.newValue);
+
+    if (changes.length > 0) {
+      const assignments = changes.map((change, i) => `${change.field} = $${i + 2}`);
+      await client.query(
+        `update gyms set ${assignments.join(', ')}, updated_at = now() where id = $1`,
+        [proposal.gym_id, ...changes.map(change => change.newValue)]
+      );
+      await recordGymChanges(client, proposal.gym_id, changes, { actorId: reviewerId, proposalId });
+    }
+
+    const { rows } = await client.query(
+      `update gym_edit_proposals
+       set status = 'applied', applied_fields = $2, reviewed_by = $3, reviewed_at = now(), review_note = $4
+       where id = $1
+       returning id, gym_id, changes, note, status, applied_fields, review_note, reviewed_at, created_at`,
+      [proposalId, appliedFields, reviewerId, note]
+    );
+
+    await client.query('COMMIT');
+    return { proposal: rows[0], error: null };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reject an edit proposal without changing the gym
+ * @param {Pool} pool - Database pool
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} review - { reviewerId, note? }
+ * @returns {Promise<{proposal: Object|null, error: string|null}>} error is 'not_found' or 'already_reviewed'
+ */
+export async function rejectEditProposal(pool, proposalId, { reviewerId, note = null }) {
+  const { rows } = await pool.query(
+    `update gym_edit_proposals
+     set status = 'rejected', reviewed_by = $2, reviewed_at = now(), review_note = $3
+     where id = $1 and status = 'pending'
+     returning id, gym_id, changes, note, status, applied_fields, review_note, reviewed_at, created_at`,
+    [proposalId, reviewerId, note]
+  );
+  if (rows.length > 0) {
+    return { proposal: rows[0], error: null };
+  }
+
+  const { rows: existing } = await pool.query(`select status from gym_edit_proposals where id = $1`, [proposalId]);
+  return { proposal: null, error: existing.length > 0 ? 'already_reviewed' : 'not_found' };
+}
@@ -0,0 +1,241 @@
+// Gym duplicates - finds gyms listed twice (e.g. once from amap and once from Google) and merges them
+//
+// Candidate pairs are approved gyms within DUPLICATE_SCAN_RADIUS_M of each other whose names
+// are similar (pg_trgm) or whose phone numbers match. Each pair gets a confidence between 0
+// and 1 from name similarity, distance and the phone match. Merging moves the duplicate's
+// votes to the surviving gym (vote-transfer.js), fills the survivor's empty details from it,
+// records the duplicate's provider id in gym_aliases and deletes it.
+import { GYM_DETAIL_FIELDS } from './gym-submissions.js';
+import { recordGymChanges } from './gym-audit.js';
+import { refreshGymStats } from './gym-stats.js';
+import { transferGymVotes } from './vote-transfer.js';
+
+export const DUPLICATE_SCAN_RADIUS_M = 150;
+export const DUPLICATE_MIN_CONFIDENCE = 0.5;
+export const DUPLICATE_DEFAULT_LIMIT = 100;
+
+// Pairs need at least this name similarity, or a phone match, to be considered at all
+const MIN_NAME_SIMILARITY = 0.3;
+
+// Confidence weights (they add up to 1): identical names at the same spot score 0.7,
+// with the same phone number 1.0
+const NAME_WEIGHT = 0.5;
+const DISTANCE_WEIGHT = 0.2;
+const PHONE_WEIGHT = 0.3;
+
+// Phone numbers are compared on the last 8 digits of the first number, so country codes,
+// spacing and a second number (amap separates them with ';') don't matter
+const PHONE_DIGITS = 8;
+const MIN_PHONE_DIGITS = 7;
+const phoneDigits = (column) =>
+  `right(regexp_replace(split_part(coalesce(${column}, ''), ';', 1), '\\D', '', 'g'), ${PHONE_DIGITS})`;
+
+// Fields copied from the merged gym when the survivor has none
+const FILL_FIELDS = [...GYM_DETAIL_FIELDS.filter(field => field !== 'name'), 'image_primary_url'];
+
+const pairGymJson = (alias) => `jsonb_build_object(
+         'id', ${alias}.id, 'name', ${alias}.name, 'provider', ${alias}.provider,
+         'provider_poi_id', ${alias}.provider_poi_id, 'address', ${alias}.address, 'phone', ${alias}.phone,
+         'votes', coalesce(${alias}_st.smell_votes, 0), 'created_at', ${alias}.created_at)`;
+
+/**
+ * Find likely duplicate gyms
+ * @param {Pool} pool - Database pool
+ * @param {Object} options - { radiusM, minConfidence, countryCode?, gymId? (pairs including this gym), limit }
+ * @returns {Promise<Array>} [{ gym_a, gym_b, distance_m, name_similarity, phone_match, confidence }], most confident first;
+ *   gym_a/gym_b are { id, name, provider, provider_poi_id, address, phone, votes, created_at }
+ */
+export async function findDuplicateGyms(pool, {
+  radiusM = DUPLICATE_SCAN_RADIUS_M,
+  minConfidence = DUPLICATE_MIN_CONFIDENCE,
+  countryCode = null,
+  gymId = null,
+  limit = DUPLICATE_DEFAULT_LIMIT,
+} = {}) {
+  const { rows } = await pool.query(
+    `with pairs as (
+       select a.id as a_id, b.id as b_id,
+              ST_Distance(a.geom, b.geom) as distance_m,
+              similarity(a.name, b.name) as name_similarity,
+              (length(${phoneDigits('a.phone')}) >= ${MIN_PHONE_DIGITS}
+                and ${phoneDigits('a.phone')} = ${phoneDigits('b.phone')}) as phone_match
+       from gyms a
+       join gyms b on b.id > a.id and ST_DWithin(a.geom, b.geom, $1)
+       where a.moderation_status = 'approved'
+         and b.moderation_status = 'approved'
+         and ($2::text is null or a.country_code = $2 or b.country_code = $2)
+         and ($3::uuid is null or a.id = $3::uuid or b.id = $3::uuid)
+     ),
+     scored as (
+       select *,
+              ${NAME_WEIGHT} * name_similarity
+                + ${DISTANCE_WEIGHT} * greatest(0, 1 - distance_m / $1)
+                + ${PHONE_WEIGHT} * (case when phone_match then 1 else 0 end) as confidence
+       from pairs
+       where name_similarity >= ${MIN_NAME_SIMILARITY} or phone_match
+     )
+     select ${pairGymJson('a')} as gym_a,
+            ${pairGymJson('b')} as gym_b,
+            round(s.distance_m) as distance_m,
+            round(s.name_similarity::numeric, 3) as name_similarity,
+            s.phone_match,
+            round(s.confidence::numeric, 3) as confidence
+     from scored s
+     join gyms a on a.id = s.a_id
+     join gyms b on b.id = s.b_id
+     left join gym_stats a_st on a_st.gym_id = a.id
+     left join gym_stats b_st on b_st.gym_id = b.id
+     where s.confidence >= $4
+     order by s.confidence desc, s.distance_m
+     limit $5`,
+    [radiusM, countryCode, gymId, minConfidence, limit]
+  );
+  return rows.map(row => ({
+    ...row,
+    distance_m: Number(row.distance_m),
+    name_similarity: Number(row.name_similarity),
+    confidence: Number(row.confidence),
+  }));
+}
+
+/**
+ * Pick which gym of a duplicate pair to keep: the one with more votes, then the older one
+ * @param {Object} pair - A findDuplicateGyms() row
+ * @returns {{survivor: Object, merged: Object}} The gym to keep and the one to merge into it
+ */
+export function pickSurvivor({ gym_a: a, gym_b: b }) {
+  const keepA = a.votes !== b.votes
+    ? a.votes > b.votes
+    : new Date(a.created_at) <= new Date(b.created_at);
+  return keepA ? { survivor: a, merged: b } : { survivor: b, merged: a };
+}
+
+/**
+ * Merge a duplicate gym into the gym that survives
+ * Votes, status reports, edit proposals, photos, audit history and aliases move to the survivor;
+ * the duplicate's provider id becomes an alias of the survivor and the duplicate is deleted.
+ * @param {Pool} pool - Database pool
+ * @param {string} survivorId - Gym to keep
+ * @param {string} mergedId - Duplicate to merge into it
+ * @param {Object} options - { actorId } (null for scripts)
+ * @returns {Promise<{result: Object|null, error: string|null}>} error is 'same_gym' or 'not_found';
+ *   result is { survivor_id, merged: { id, name, provider, provider_poi_id }, filled_fields, transferred }
+ */
+export async function mergeGyms(pool, survivorId, mergedId, { actorId = null } = {}) {
+  if (survivorId === mergedId) {
+    return { result: null, error: 'same_gym' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: gyms } = await client.query(
+      `select id, provider, provider_poi_id, name, moved_to_gym_id, ${FILL_FIELDS.join(', ')}
+       from gyms where id = any($1::uuid[])
+       order by id
+       for update`,
+      [[survivorId, mergedId]]
+    );
+    const survivor = gyms.find(gym => gym.id === survivorId);
+    const merged = gyms.find(gym => gym.id === mergedId);
+    if (!survivor || !merged) {
+      await client.query('ROLLBACK');
+      return { result: null, error: 'not_found' };
+    }
+
+    const transferred = await transferGymVotes(client, mergedId, survivorId);
+
+    // Status reports (one per user and gym) and anything pointing at the duplicate
+    await client.query(
+      `update gym_status_reports r set gym_id = $2
+       where r.gym_id = $1
+         and not exists (select 1 from gym_status_reports t where t.gym_id = $2 and t.user_id = r.user_id)`,
+      [mergedId, survivorId]
+    );
+    await client.query(
+      `update gym_status_reports set moved_to_gym_id = $2 where moved_to_gym_id = $1 and gym_id <> $2`,
+      [mergedId, survivorId]
+    );
+    await client.query(
+      `update gyms set moved_to_gym_id = $2 where moved_to_gym_id = $1 and id <> $2`,
+      [mergedId, survivorId]
+    );
+    await client.query(`update gym_edit_proposals set gym_id = $2 where gym_id = $1`, [mergedId, survivorId]);
+    await client.query(`update gym_audit_log set gym_id = $2 where gym_id = $1`, [mergedId, survivorId]);
+    await client.query(`update gym_aliases set gym_id = $2 where gym_id = $1`, [mergedId, survivorId]);
+    await client.query(`update gym_photos set gym_id = $2 where gym_id = $1`, [mergedId, survivorId]);
+
+    // A gym reported as moved to its own duplicate hasn't really moved
+    const changes = [];
+    if (survivor.moved_to_gym_id === mergedId) {
+      await client.query(
+        `update gyms set status = 'open', moved_to_gym_id = null, status_updated_at = now() where id = $1`,
+        [survivorId]
+      );
+      changes.push({ field: 'status', oldValue: 'moved', newValue: 'open' });
+      changes.push({ field: 'moved_to_gym_id', oldValue: mergedId, newValue: null });
+    }
+
+    const filled = FILL_FIELDS.filter(field =>
+      (survivor[field] === null || survivor[field] === '') && merged[field] !== null && merged[field] !== '');
+    if (filled.length > 0) {
+      const assignments = filled.map((field, i) => `${field} = $${i + 2}`);
+      await client.query(
+        `update gyms set ${assignments.join(', ')}, updated_at = now() where id = $1`,
+        [survivorId, ...filled.map(field => merged[field])]
+      );
+      filled.forEach(field => changes.push({ field, oldValue: survivor[field], newValue: merged[field] }));
+    }
+    changes.push({
+      field: 'merged_gym',
+      oldValue: null,
+      newValue: `${merged.name} (${merged.provider}:${merged.provider_poi_id})`,
+    });
+    await recordGymChanges(client, survivorId, changes, { actorId });
+
+    await client.query(
+      `insert into gym_aliases (provider, provider_poi_id, gym_id, merged_gym_id, merged_by)
+       values ($1, $2, $3, $4, $5)
+       on conflict (provider, provider_poi_id) do update set
+         gym_id = excluded.gym_id, merged_gym_id = excluded.merged_gym_id,
+         merged_by = excluded.merged_by, created_at = now()`,
+      [merged.provider, merged.provider_poi_id, survivorId, mergedId, actorId]
+    );
+
+    // Votes still on the duplicate (from people who also voted on the survivor) are deleted with it,
+    // along with their vote history
+    await client.query(`delete from gyms where id = $1`, [mergedId]);
+    await refreshGymStats(client, [survivorId]);
+
+    await client.query('COMMIT');
+    return {
+      result: {
+        survivor_id: survivorId,
+        merged: { id: mergedId, name: merged.name, provider: merged.provider, provider_poi_id: merged.provider_poi_id },
+        filled_fields: filled,
+        transferred,
+      },
+      error: null,
+    };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Provider ids that were merged into other gyms, so imports can skip them
+ * @param {Pool} pool - Database pool
+ * @param {string} provider - Provider name ('amap', 'google', ...)
+ * @returns {Promise<Set<string>>} provider_poi_ids
+ */
+export async function getMergedProviderIds(pool, provider) {
+  const { rows } = await pool.query(
+    `select provider_poi_id from gym_aliases where provider = $1`,
+    [provider]
+  );
+  return new Set(rows.map(row => row.provider_poi_id));
+}
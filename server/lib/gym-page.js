@@ -0,0 +1,340 @@
+// Gym page - server-rendered HTML for one gym, for link previews and search engines
+//
+// The app itself only shows gym details in a MapLibre popup, which crawlers and chat apps
+// can't see. This page carries Open Graph / Twitter card tags and schema.org
+// SportsActivityLocation JSON-LD, and links into the map (/?lng=..&lat=..&z=..#/gym/<id>).
+
+// Same labels as public/components/map/PopupContent.js
+const UTILITY_NAMES = {
+  toprope: 'Toprope',
+  lead: 'Lead',
+  kilterboard: 'Kilterboard',
+  moon_board: 'Moon Board',
+  tension_board: 'Tension board',
+  spraywall: 'Spraywall',
+  sauna: 'Sauna',
+  shower: 'Shower',
+  bike_rack: 'Bike Rack',
+};
+
+const DIFFICULTY_LABELS = {
+  [-3]: 'Super Soft',
+  [-2]: 'Soft',
+  [-1]: 'Bit Soft',
+  [0]: 'Average',
+  [1]: 'Bit Hard',
+  [2]: 'Hard',
+  [3]: 'Super Hard',
+};
+
+const STYLE_NAMES = ['crimpy', 'dynos', 'overhang', 'slab'];
+
+const SITE_NAME = 'Your Shoe Smells';
+const TWITTER_SITE = '@boshenzh';
+const FALLBACK_IMAGE_PATH = '/gym_shoes.png'; // Same preview image as index.html
+const MAP_LINK_ZOOM = 15;
+const DESCRIPTION_MAX_LENGTH = 200;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON inside <script> - keep "</script>" and friends from closing the tag
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c').replace(/>/g, '\\u003e').replace(/&/g, '\\u0026');
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function ensureHttps(url) {
+  if (!url || typeof url !== 'string') return null;
+  return url.replace(/^http:\/\//, 'https://');
+}
+
+// Photo storage URLs can be root-relative ('/uploads/photos/...'); previews need absolute ones
+function absoluteUrl(url, baseUrl) {
+  if (!url) return null;
+  return url.startsWith('/') ? `${baseUrl}${url}` : ensureHttps(url);
+}
+
+function getSmellText(value) {
+  if (value <= 20) return 'Fresh';
+  if (value <= 40) return 'Slight Odor';
+  if (value <= 60) return 'Moderate Smell';
+  if (value <= 80) return 'Strong Odor';
+  return 'Cave of Despair';
+}
+
+function getDifficultyText(value) {
+  return DIFFICULTY_LABELS[Math.round(value)] || (value < 0 ? 'Bit Soft' : 'Bit Hard');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Map link that opens the gym's popup
+ * @param {Object} gym - Gym row
+ * @param {string} baseUrl - e.g. 'https://example.com'
+ * @returns {string}
+ */
+export function getGymMapUrl(gym, baseUrl) {
+  const params = new URLSearchParams();
+  const lng = toNumber(gym.lng);
+  const lat = toNumber(gym.lat);
+  if (lng !== null && lat !== null) {
+    params.set('lng', lng.toFixed(5));
+    params.set('lat', lat.toFixed(5));
+    params.set('z', String(MAP_LINK_ZOOM));
+  }
+  const query = params.toString();
+  return `${baseUrl}/${query ? `?${query}` : ''}#/gym/${encodeURIComponent(gym.id)}`;
+}
+
+// Score rows shown on the page, only for fields that have votes
+function getScores(gym) {
+  const scores = [];
+  const smell = toNumber(gym.smell_avg);
+  const smellVotes = toNumber(gym.smell_votes) || 0;
+  if (smell !== null && smellVotes > 0) {
+    scores.push({ label: 'Smell', value: `${Math.round(smell)}/100 · ${getSmellText(smell)}`, votes: smellVotes });
+  }
+  const difficulty = toNumber(gym.difficulty_avg);
+  const difficultyVotes = toNumber(gym.difficulty_votes) || 0;
+  if (difficulty !== null && difficultyVotes > 0) {
+    scores.push({ label: 'Grading', value: getDifficultyText(difficulty), votes: difficultyVotes });
+  }
+  const parking = toNumber(gym.parking_availability_avg);
+  const parkingVotes = toNumber(gym.parking_votes) || 0;
+  if (parking !== null && parkingVotes > 0) {
+    scores.push({ label: 'Parking', value: `${Math.round(parking)}/100`, votes: parkingVotes });
+  }
+  const pet = toNumber(gym.pet_friendly_avg);
+  const petVotes = toNumber(gym.pet_friendly_votes) || 0;
+  if (pet !== null && petVotes > 0) {
+    scores.push({ label: 'Pet friendly', value: `${Math.round(pet)}/100`, votes: petVotes });
+  }
+  return scores;
+}
+
+function getStyles(gym) {
+  const styles = gym.styles || {};
+  return STYLE_NAMES
+    .map(name => ({ name, percent: toNumber(styles[name]) }))
+    .filter(style => style.percent !== null && style.percent > 0)
+    .sort((a, b) => b.percent - a.percent);
+}
+
+function getUtilities(gym) {
+  return Object.keys(gym.utilities || {}).map(key => UTILITY_NAMES[key] || key.replace(/_/g, ' '));
+}
+
+function getLocationText(gym) {
+  return [gym.city, gym.state, gym.country_code].filter(Boolean).join(', ');
+}
+
+function getDescription(gym, scores, styles) {
+  const parts = [];
+  const location = gym.address || getLocationText(gym);
+  if (location) parts.push(`Climbing gym in ${location}.`);
+  if (scores.length > 0) {
+    parts.push(scores.map(score => `${score.label}: ${score.value}`).join(', ') + '.');
+  } else {
+    parts.push('No votes yet - be the first to rate it.');
+  }
+  if (styles.length > 0) {
+    parts.push(`Mostly ${styles[0].name}.`);
+  }
+  const text = parts.join(' ');
+  return text.length > DESCRIPTION_MAX_LENGTH ? `${text.slice(0, DESCRIPTION_MAX_LENGTH - 1)}…` : text;
+}
+
+function getJsonLd(gym, { pageUrl, mapUrl, image }) {
+  const lng = toNumber(gym.lng);
+  const lat = toNumber(gym.lat);
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'SportsActivityLocation',
+    '@id': pageUrl,
+    name: gym.name || 'Climbing Gym',
+    url: pageUrl,
+    hasMap: mapUrl,
+  };
+  if (gym.address || gym.city || gym.country_code) {
+    data.address = {
+      '@type': 'PostalAddress',
+      ...(gym.address ? { streetAddress: gym.address } : {}),
+      ...(gym.city ? { addressLocality: gym.city } : {}),
+      ...(gym.state ? { addressRegion: gym.state } : {}),
+      ...(gym.country_code ? { addressCountry: gym.country_code } : {}),
+    };
+  }
+  if (lng !== null && lat !== null) {
+    data.geo = { '@type': 'GeoCoordinates', latitude: lat, longitude: lng };
+  }
+  if (gym.phone) data.telephone = gym.phone;
+  if (image) data.image = image;
+  const utilities = getUtilities(gym);
+  if (utilities.length > 0) {
+    data.amenityFeature = utilities.map(name => ({
+      '@type': 'LocationFeatureSpecification',
+      name,
+      value: true,
+    }));
+  }
+  return data;
+}
+
+const PAGE_STYLES = `
+  body { margin: 0; font-family: system-ui, -apple-system, sans-serif; background: #fff7ed; color: #111827; }
+  main { max-width: 40rem; margin: 0 auto; padding: 1rem; }
+  .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 0.75rem; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.08); }
+  .photo { width: 100%; max-height: 16rem; object-fit: cover; display: block; background: #ffedd5; }
+  .body { padding: 1rem 1.25rem 1.25rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  h2 { font-size: 0.875rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin: 1.25rem 0 0.5rem; }
+  .muted { color: #4b5563; font-size: 0.875rem; margin: 0.125rem 0; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 0.375rem 1rem; margin: 0; font-size: 0.9375rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  .votes { color: #6b7280; font-size: 0.8125rem; }
+  .bar { display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem; margin: 0.25rem 0; text-transform: capitalize; }
+  .bar span:first-child { width: 5rem; }
+  .bar .track { flex: 1; height: 0.5rem; background: #f3f4f6; border-radius: 9999px; overflow: hidden; }
+  .bar .fill { height: 100%; background: #f97316; }
+  .tags { display: flex; flex-wrap: wrap; gap: 0.375rem; padding: 0; margin: 0; list-style: none; }
+  .tags li { background: #fae4d4; border: 1px solid #e5e7eb; border-radius: 0.375rem; padding: 0.25rem 0.5rem; font-size: 0.8125rem; }
+  .cta { display: inline-block; margin-top: 1.5rem; padding: 0.625rem 1rem; border-radius: 0.5rem; background: #f97316; color: #fff; font-weight: 600; text-decoration: none; }
+  .cta:hover { background: #ea580c; }
+`;
+
+function renderDocument({ title, head, body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="icon" type="image/x-icon" href="/favicon.ico" />
+${head}
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the page for a gym row (createGymQuery() columns)
+ * @param {Object} gym - Gym row
+ * @param {Object} options - { baseUrl (e.g. 'https://example.com'), photo (the latest approved upload
+ *   from listGymPhotos, shown instead of the provider image) }
+ * @returns {string} HTML
+ */
+export function renderGymPage(gym, { baseUrl, photo = null }) {
+  const name = gym.name || 'Climbing Gym';
+  const pageUrl = `${baseUrl}/gym/${encodeURIComponent(gym.id)}`;
+  const mapUrl = getGymMapUrl(gym, baseUrl);
+  const image = absoluteUrl(photo?.url, baseUrl) || ensureHttps(gym.image_primary_url);
+  const scores = getScores(gym);
+  const styles = getStyles(gym);
+  const utilities = getUtilities(gym);
+  const description = getDescription(gym, scores, styles);
+  const previewImage = image || `${baseUrl}${FALLBACK_IMAGE_PATH}`;
+  const title = `${name} · ${SITE_NAME}`;
+  const location = getLocationText(gym);
+
+  const meta = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'place'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', name],
+    ['property', 'og:description', description],
+    ['property', 'og:url', pageUrl],
+    ['property', 'og:locale', 'en_US'],
+    ['property', 'og:image', previewImage],
+    ['property', 'og:image:alt', name],
+    ...(toNumber(gym.lat) !== null ? [['property', 'place:location:latitude', String(toNumber(gym.lat))]] : []),
+    ...(toNumber(gym.lng) !== null ? [['property', 'place:location:longitude', String(toNumber(gym.lng))]] : []),
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:site', TWITTER_SITE],
+    ['name', 'twitter:title', name],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', previewImage],
+  ];
+
+  const head = [
+    ...meta.map(([attr, key, content]) => `  <meta ${attr}="${escapeHtml(key)}" content="${escapeHtml(content)}" />`),
+    `  <link rel="canonical" href="${escapeHtml(pageUrl)}" />`,
+    `  <script type="application/ld+json">${toScriptJson(getJsonLd(gym, { pageUrl, mapUrl, image }))}</script>`,
+  ].join('\n');
+
+  const sections = [];
+  sections.push(`<h1>${escapeHtml(name)}</h1>`);
+  if (gym.address) sections.push(`<p class="muted">📍 ${escapeHtml(gym.address)}</p>`);
+  if (location && location !== gym.address) sections.push(`<p class="muted">${escapeHtml(location)}</p>`);
+  if (gym.phone) sections.push(`<p class="muted">📞 ${escapeHtml(gym.phone)}</p>`);
+
+  sections.push('<h2>Scores</h2>');
+  if (scores.length > 0) {
+    sections.push(`<dl>${scores.map(score => `
+          <dt>${escapeHtml(score.label)}</dt>
+          <dd>${escapeHtml(score.value)} <span class="votes">(${plural(score.votes, 'vote')})</span></dd>`).join('')}
+        </dl>`);
+  } else {
+    sections.push('<p class="muted">No votes yet - be the first to rate it on the map.</p>');
+  }
+
+  if (styles.length > 0) {
+    sections.push('<h2>Styles</h2>');
+    sections.push(styles.map(style => `
+        <div class="bar"><span>${escapeHtml(style.name)}</span><span class="track"><span class="fill" style="display:block;width:${Math.min(100, Math.round(style.percent))}%"></span></span><span>${Math.round(style.percent)}%</span></div>`).join(''));
+  }
+
+  if (utilities.length > 0) {
+    sections.push('<h2>Utilities</h2>');
+    sections.push(`<ul class="tags">${utilities.map(utility => `<li>${escapeHtml(utility)}</li>`).join('')}</ul>`);
+  }
+
+  sections.push(`<a class="cta" href="${escapeHtml(mapUrl)}">Open on the map</a>`);
+
+  const body = `    <article class="card">
+      ${image ? `<img class="photo" src="${escapeHtml(image)}" alt="${escapeHtml(name)}" />` : ''}
+      <div class="body">
+        ${sections.join('\n        ')}
+      </div>
+    </article>`;
+
+  return renderDocument({ title, head, body });
+}
+
+/**
+ * Render the not-found page
+ * @param {Object} options - { baseUrl }
+ * @returns {string} HTML
+ */
+export function renderGymNotFoundPage({ baseUrl }) {
+  const head = `  <meta name="robots" content="noindex" />`;
+  const body = `    <article class="card">
+      <div class="body">
+        <h1>Gym not found</h1>
+        <p class="muted">This gym doesn't exist or was removed.</p>
+        <a class="cta" href="${escapeHtml(`${baseUrl}/`)}">Browse the map</a>
+      </div>
+    </article>`;
+  return renderDocument({ title: `Gym not found · ${SITE_NAME}`, head, body });
+}
@@ -0,0 +1,222 @@
+// Gym photos - user uploads, resized and held for moderation, plus the provider images from the seed data
+//
+// An upload is decoded with sharp, turned upright from its EXIF orientation and re-encoded as a
+// display-size JPEG and a thumbnail. Neither keeps any metadata (EXIF, GPS, camera details).
+// The files go to photo storage (photo-storage.js); the row in gym_photos starts out pending
+// and only approved photos are shown. Rejected photos keep their row, but their files are deleted.
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+export const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+export const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const PHOTO_CAPTION_MAX_LENGTH = 200;
+export const PHOTO_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Formats sharp must detect in the file itself (the upload's mime type is only a hint)
+const PHOTO_FORMATS = ['jpeg', 'png', 'webp'];
+// Refuse decompression bombs: 50 megapixels covers any phone camera
+const PHOTO_MAX_PIXELS = 50_000_000;
+const GYM_PHOTO_LIMIT = 20;
+
+// Display images fit inside 1600px; thumbnails are cropped to the popup carousel's 4:3 shape
+const DISPLAY_SIZE = { width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true };
+const THUMB_SIZE = { width: 480, height: 360, fit: 'cover' };
+const DISPLAY_QUALITY = 82;
+const THUMB_QUALITY = 75;
+
+const PHOTO_COLUMNS = `p.id, p.gym_id, p.display_key, p.thumb_key, p.width, p.height, p.caption,
+       p.moderation_status, p.review_note, p.created_at`;
+
+// Storage keys become URLs; rejected photos have no files left
+function toPhoto(storage, row) {
+  const { display_key: displayKey, thumb_key: thumbKey, ...photo } = row;
+  const hasFiles = row.moderation_status !== 'rejected';
+  return {
+    ...photo,
+    source: 'upload',
+    url: hasFiles ? storage.url(displayKey) : null,
+    thumb_url: hasFiles ? storage.url(thumbKey) : null,
+  };
+}
+
+/**
+ * Validate an upload's caption
+ * @param {Object} body - Multipart fields ({ caption? })
+ * @returns {{caption: string|null, error: string|null}} Trimmed caption, or an error message for a 400
+ */
+export function validatePhotoCaption(body) {
+  const caption = typeof body?.caption === 'string' ? body.caption.trim() || null : null;
+  if (caption && caption.length > PHOTO_CAPTION_MAX_LENGTH) {
+    return { caption: null, error: `caption must be at most ${PHOTO_CAPTION_MAX_LENGTH} characters` };
+  }
+  return { caption, error: null };
+}
+
+/**
+ * Resize an uploaded image into its display and thumbnail JPEGs, without metadata
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{photo: Object|null, error: string|null}>} error is 'invalid_image';
+ *   photo is { display, thumb (Buffers), width, height (of the display image) }
+ */
+export async function processPhoto(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: PHOTO_MAX_PIXELS }).metadata();
+  } catch {
+    return { photo: null, error: 'invalid_image' };
+  }
+  if (!PHOTO_FORMATS.includes(metadata.format)) {
+    return { photo: null, error: 'invalid_image' };
+  }
+
+  try {
+    // rotate() with no angle applies the EXIF orientation; sharp writes no metadata to the output
+    const source = sharp(buffer, { limitInputPixels: PHOTO_MAX_PIXELS }).rotate();
+    const [display, thumb] = await Promise.all([
+      source.clone().resize(DISPLAY_SIZE).jpeg({ quality: DISPLAY_QUALITY, mozjpeg: true }).toBuffer({ resolveWithObject: true }),
+      source.clone().resize(THUMB_SIZE).jpeg({ quality: THUMB_QUALITY, mozjpeg: true }).toBuffer(),
+    ]);
+    return {
+      photo: { display: display.data, thumb, width: display.info.width, height: display.info.height },
+      error: null,
+    };
+  } catch {
+    // Truncated or corrupt files pass metadata() but fail to decode
+    return { photo: null, error: 'invalid_image' };
+  }
+}
+
+/**
+ * Store an uploaded photo for a gym, pending moderation
+ * @param {Pool} pool - Database pool
+ * @param {Object} storage - Photo storage
+ * @param {string} gymId - Gym ID
+ * @param {string} userId - Uploading user
+ * @param {Object} upload - { buffer, caption }
+ * @returns {Promise<{photo: Object|null, error: string|null}>} error is 'not_found' or 'invalid_image'
+ */
+export async function createGymPhoto(pool, storage, gymId, userId, { buffer, caption = null }) {
+  const { rows: gyms } = await pool.query(
+    `select id from gyms where id = $1 and moderation_status = 'approved'`,
+    [gymId]
+  );
+  if (gyms.length === 0) {
+    return { photo: null, error: 'not_found' };
+  }
+
+  const { photo, error } = await processPhoto(buffer);
+  if (error) {
+    return { photo: null, error };
+  }
+
+  // Keys use the gym ID as Postgres formats it (lower case), whatever case the request used
+  const id = crypto.randomUUID();
+  const displayKey = `${gyms[0].id}/${id}-display.jpg`;
+  const thumbKey = `${gyms[0].id}/${id}-thumb.jpg`;
+  await storage.put(displayKey, photo.display, 'image/jpeg');
+  await storage.put(thumbKey, photo.thumb, 'image/jpeg');
+
+  try {
+    const { rows } = await pool.query(
+      `insert into gym_photos as p (id, gym_id, user_id, display_key, thumb_key, width, height, byte_size, caption)
+       values ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       returning ${PHOTO_COLUMNS}`,
+      [id, gyms[0].id, userId, displayKey, thumbKey, photo.width, photo.height, photo.display.length, caption]
+    );
+    return { photo: toPhoto(storage, rows[0]), error: null };
+  } catch (e) {
+    // Don't leave orphaned files behind (e.g. the gym was deleted meanwhile)
+    await Promise.all([storage.remove(displayKey), storage.remove(thumbKey)]).catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Approved photos of a gym, newest first
+ * @param {Pool} pool - Database pool
+ * @param {Object} storage - Photo storage
+ * @param {string} gymId - Gym ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} [{ id, url, thumb_url, width, height, caption, source: 'upload', created_at, ... }]
+ */
+export async function listGymPhotos(pool, storage, gymId, { limit = GYM_PHOTO_LIMIT } = {}) {
+  const { rows } = await pool.query(
+    `select ${PHOTO_COLUMNS}
+     from gym_photos p
+     where p.gym_id = $1 and p.moderation_status = 'approved'
+     order by p.created_at desc
+     limit $2`,
+    [gymId, limit]
+  );
+  return rows.map(row => toPhoto(storage, row));
+}
+
+/**
+ * Photo moderation queue, oldest first
+ * @param {Pool} pool - Database pool
+ * @param {Object} storage - Photo storage
+ * @param {Object} options - { status, limit }
+ * @returns {Promise<Array>} Photos with gym_name and uploaded_by_username
+ */
+export async function listPhotoQueue(pool, storage, { status = 'pending', limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `select ${PHOTO_COLUMNS},
+            g.name as gym_name,
+            u.username as uploaded_by_username
+     from gym_photos p
+     join gyms g on g.id = p.gym_id
+     left join users u on u.id = p.user_id
+     where p.moderation_status = $1
+     order by p.created_at
+     limit $2`,
+    [status, limit]
+  );
+  return rows.map(row => toPhoto(storage, row));
+}
+
+/**
+ * Approve or reject a pending photo; rejecting deletes its files
+ * @param {Pool} pool - Database pool
+ * @param {Object} storage - Photo storage
+ * @param {string} photoId - Photo ID
+ * @param {Object} review - { reviewerId, status: 'approved'|'rejected', note? }
+ * @returns {Promise<{photo: Object|null, error: string|null}>} error is 'not_found' or 'already_reviewed'
+ */
+export async function reviewGymPhoto(pool, storage, photoId, { reviewerId, status, note = null }) {
+  const { rows } = await pool.query(
+    `update gym_photos p
+     set moderation_status = $2, reviewed_by = $3, reviewed_at = now(), review_note = $4
+     where p.id = $1 and p.moderation_status = 'pending'
+     returning ${PHOTO_COLUMNS}`,
+    [photoId, status, reviewerId, note]
+  );
+  if (rows.length === 0) {
+    const { rows: existing } = await pool.query(`select 1 from gym_photos where id = $1`, [photoId]);
+    return { photo: null, error: existing.length > 0 ? 'already_reviewed' : 'not_found' };
+  }
+
+  if (status === 'rejected') {
+    await Promise.all([storage.remove(rows[0].display_key), storage.remove(rows[0].thumb_key)]);
+  }
+  return { photo: toPhoto(storage, rows[0]), error: null };
+}
+
+// Provider data stores images as URL strings or { url } / { src } objects under
+// raw.images, raw.photo or raw.photos depending on the source
+function rawImageUrls(raw) {
+  if (!raw || typeof raw !== 'object') return [];
+  const list = [raw.images, raw.photo, raw.photos].find(Array.isArray) || [];
+  return list.map(item => (typeof item === 'string' ? item : item?.url || item?.src)).filter(url => typeof url === 'string');
+}
+
+/**
+ * Images that came with the gym from its provider (image_primary_url first), as photo objects
+ * @param {Object} gym - Gym row with image_primary_url and raw
+ * @returns {Array} [{ url, thumb_url, source: 'provider' }]
+ */
+export function providerPhotos(gym) {
+  const urls = [gym.image_primary_url, ...rawImageUrls(gym.raw)]
+    .filter(Boolean)
+    .map(url => url.replace(/^http:\/\//, 'https://'));
+  return [...new Set(urls)].map(url => ({ url, thumb_url: url, source: 'provider' }));
+}
@@ -0,0 +1,278 @@
+// Gym query builder - composes gym listing queries from parameterized filter predicates
+//
+// Every route that lists gyms builds its SQL here, so a new filter is a new predicate
+// rather than string surgery on an existing query. A predicate is a function that gets
+// `param(value)` (which binds a value and returns its $n placeholder) and returns a
+// SQL condition over `g` (gyms) and `st` (gym_stats).
+//
+// Only approved gyms are ever returned - user submissions waiting for moderation (see
+// gym-submissions.js) stay out of every listing. Permanently closed and moved gyms
+// (see gym-status.js) are left out too unless the query asks for them.
+import { GYM_STATS_SELECT } from './gym-stats.js';
+import { HIDDEN_GYM_STATUSES } from './gym-status.js';
+
+// Filterable numeric attributes (from gym_stats) and the column each one reads
+export const FILTER_FIELDS = {
+  smell: 'st.smell_avg',
+  smell_score: 'st.smell_score',
+  difficulty: 'st.difficulty_avg',
+  difficulty_score: 'st.difficulty_score',
+  parking: 'st.parking_availability_avg',
+  pet_friendly: 'st.pet_friendly_avg',
+  votes: 'st.smell_votes',
+  style_votes: 'st.style_vote_count',
+  // Style percentages (0-100)
+  crimpy: "(st.styles->>'crimpy')::numeric",
+  dynos: "(st.styles->>'dynos')::numeric",
+  overhang: "(st.styles->>'overhang')::numeric",
+  slab: "(st.styles->>'slab')::numeric",
+};
+
+// Comparison operators accepted by attributeFilter
+export const FILTER_OPS = {
+  gte: '>=',
+  lte: '<=',
+  eq: '=',
+};
+
+// Query params parseGymFilters accepts at most this many utilities
+export const MAX_FILTER_UTILITIES = 10;
+// Utility names in the utilities= filter (the client checks the same pattern in public/lib/gym-filters.js)
+const UTILITY_NAME_PATTERN = /^[a-z0-9_]+$/;
+
+// ==================== Predicates ====================
+
+/**
+ * Gyms inside a bounding box
+ * @param {number[]} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Function} Predicate
+ */
+export function inBbox([minLng, minLat, maxLng, maxLat]) {
+  return (param) =>
+    `ST_Intersects(g.geom, ST_MakeEnvelope(${param(minLng)}, ${param(minLat)}, ${param(maxLng)}, ${param(maxLat)}, 4326)::geography)`;
+}
+
+/**
+ * Gyms in a country, optionally narrowed to a state and city
+ * @param {{country: string, state?: string, city?: string}} region
+ * @returns {Function} Predicate
+ */
+export function inRegion({ country, state = null, city = null }) {
+  return (param) => {
+    const conditions = [`g.country_code = ${param(country)}`];
+    if (state) conditions.push(`g.state = ${param(state)}`);
+    if (city) conditions.push(`g.city = ${param(city)}`);
+    return conditions.join(' AND ');
+  };
+}
+
+/**
+ * Gyms within a geodesic distance of a point
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {number} meters - Radius in meters
+ * @returns {Function} Predicate
+ */
+export function withinRadius(lng, lat, meters) {
+  return (param) =>
+    `ST_DWithin(g.geom, ST_SetSRID(ST_MakePoint(${param(lng)}, ${param(lat)}), 4326)::geography, ${param(meters)})`;
+}
+
+/**
+ * Gyms with the given ids
+ * @param {string[]} ids - Gym IDs
+ * @returns {Function} Predicate
+ */
+export function withIds(ids) {
+  return (param) => `g.id = any(${param(ids)}::uuid[])`;
+}
+
+/**
+ * LIKE pattern matching text anywhere, with the user's %, _ and \\ escaped
+ * @param {string} text - Search text
+ * @returns {string} Pattern
+ */
+export function containsPattern(text) {
+  return `%${text.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+/**
+ * Gyms whose name contains the given text (case-insensitive)
+ * @param {string} text - Search text
+ * @returns {Function} Predicate
+ */
+export function nameContains(text) {
+  return (param) => `g.name ILIKE ${param(containsPattern(text))}`;
+}
+
+/**
+ * Gyms whose aggregate attribute compares to a value, e.g. attributeFilter('smell', 'gte', 60)
+ * Gyms without votes for the attribute never match.
+ * @param {string} field - Key of FILTER_FIELDS
+ * @param {string} op - Key of FILTER_OPS
+ * @param {number} value - Value to compare against
+ * @returns {Function} Predicate
+ */
+export function attributeFilter(field, op, value) {
+  if (!FILTER_FIELDS[field]) {
+    throw new Error(`Unknown filter field: ${field}`);
+  }
+  if (!FILTER_OPS[op]) {
+    throw new Error(`Unknown filter operator: ${op}`);
+  }
+  return (param) => `${FILTER_FIELDS[field]} ${FILTER_OPS[op]} ${param(value)}`;
+}
+
+/**
+ * Gyms where a utility (showers, lockers, ...) has majority upvotes
+ * @param {string} utilityName - Utility name
+ * @returns {Function} Predicate
+ */
+export function hasUtility(utilityName) {
+  return (param) => `st.utilities ? ${param(utilityName)}`;
+}
+
+// ==================== Request Filters ====================
+
+/**
+ * Read attribute filters from request query params
+ *
+ *   utilities=kilterboard,shower    has all of these utilities
+ *   min_<field>=n, max_<field>=n    bounds on a FILTER_FIELDS attribute,
+ *                                   e.g. max_smell=40&min_slab=30&min_votes=5
+ *   include_closed=true             also list permanently closed and moved gyms
+ *
+ * @param {Object} query - req.query
+ * @returns {{predicates: Function[], includeClosed: boolean, error: string|null}} Predicates, or an error message for a 400
+ */
+export function parseGymFilters(query = {}) {
+  const predicates = [];
+  const includeClosed = query.include_closed === 'true';
+
+  const utilities = typeof query.utilities === 'string'
+    ? query.utilities.split(',').map(name => name.trim()).filter(Boolean)
+    : [];
+  if (utilities.length > MAX_FILTER_UTILITIES) {
+    return { predicates: [], error: `at most ${MAX_FILTER_UTILITIES} utilities can be filtered on` };
+  }
+  if (utilities.some(name => !UTILITY_NAME_PATTERN.test(name))) {
+    return { predicates: [], error: 'utilities must be a comma-separated list of utility names' };
+  }
+  utilities.forEach(name => predicates.push(hasUtility(name)));
+
+  for (const [key, raw] of Object.entries(query)) {
+    const match = /^(min|max)_(.+)$/.exec(key);
+    if (!match || !FILTER_FIELDS[match[2]]) continue;
+    const value = Number(raw);
+    if (typeof raw !== 'string' || raw.trim() === '' || !Number.isFinite(value)) {
+      return { predicates: [], error: `${key} must be a number` };
+    }
+    predicates.push(attributeFilter(match[2], match[1] === 'min' ? 'gte' : 'lte', value));
+  }
+
+  return { predicates, includeClosed, error: null };
+}
+
+// ==================== Builder ====================
+
+/**
+ * Create a gym listing query
+ *
+ *   const { text, values } = createGymQuery()
+ *     .where(inRegion({ country: 'US' }))
+ *     .where(attributeFilter('smell', 'gte', 60))
+ *     .build();
+ *
+ * Rows have the gym columns plus lng/lat and the gym_stats aggregates.
+ * @returns {Object} Builder with where(), includeRaw(), includeClosed(), nearestTo(), orderBy(), limit() and build()
+ */
+export function createGymQuery() {
+  const predicates = [];
+  let withRaw = false;
+  let withClosed = false;
+  let nearPoint = null;
+  let order = null;
+  let maxRows = null;
+
+  const builder = {
+    // Add a predicate; all predicates must match. Falsy values are skipped so
+    // optional filters can be passed inline.
+    where(predicate) {
+      if (predicate) predicates.push(predicate);
+      return builder;
+    },
+    // Include the provider's raw JSON (only the single-gym route needs it)
+    includeRaw() {
+      withRaw = true;
+      return builder;
+    },
+    // Also return permanently closed and moved gyms (hidden from listings by default)
+    includeClosed(include = true) {
+      withClosed = include;
+      return builder;
+    },
+    // Add a geodesic distance_m column and order nearest first (KNN on gyms_geom_gix)
+    nearestTo(lng, lat) {
+      nearPoint = [lng, lat];
+      return builder;
+    },
+    // Trusted SQL ordering expression, e.g. 'st.smell_score desc nulls last'
+    orderBy(expression) {
+      order = expression;
+      return builder;
+    },
+    limit(count) {
+      maxRows = count;
+      return builder;
+    },
+    build() {
+      const values = [];
+      const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+      };
+
+      const conditions = [
+        `g.moderation_status = 'approved'`,
+        ...predicates.map(predicate => `(${predicate(param)})`),
+      ];
+      if (!withClosed) {
+        conditions.push(`not (g.status = any(${param(HIDDEN_GYM_STATUSES)}::text[]))`);
+      }
+
+      let point = null;
+      if (nearPoint) {
+        point = `ST_SetSRID(ST_MakePoint(${param(nearPoint[0])}, ${param(nearPoint[1])}), 4326)::geography`;
+      }
+
+      let text = `
+      select g.id, g.provider, g.provider_poi_id, g.name, g.address, g.city, g.state, g.country_code, g.phone, g.type,
+             g.status, g.moved_to_gym_id, mg.name as moved_to_name,
+             ST_X(ST_AsText(g.geom::geometry)) as lng,
+             ST_Y(ST_AsText(g.geom::geometry)) as lat,
+             g.image_primary_url,${withRaw ? '\n             g.raw,' : ''}${point ? `\n             ST_Distance(g.geom, ${point}) as distance_m,` : ''}
+             ${GYM_STATS_SELECT}
+      from gyms g
+      left join gym_stats st on st.gym_id = g.id
+      left join gyms mg on mg.id = g.moved_to_gym_id`;
+
+      text += `
+      where ${conditions.join('\n        and ')}`;
+      if (order) {
+        text += `
+      order by ${order}`;
+      } else if (point) {
+        text += `
+      order by g.geom <-> ${point}`;
+      }
+      if (maxRows != null) {
+        text += `
+      limit ${param(maxRows)}`;
+      }
+
+      return { text, values };
+    },
+  };
+
+  return builder;
+}
@@ -0,0 +1,64 @@
+// Gym search - typo-tolerant matching on name, address, city and state using pg_trgm
+//
+// Matches use word similarity against one combined search document, backed by the
+// gyms_search_trgm expression index (SEARCH_DOCUMENT must stay identical to it).
+// Results are ranked by similarity, with a boost for gyms near an optional point.
+import { HIDDEN_GYM_STATUSES } from './gym-status.js';
+import { containsPattern } from './gym-query.js';
+
+export const SEARCH_MIN_LENGTH = 2;
+export const SEARCH_MAX_LENGTH = 100;
+export const SEARCH_DEFAULT_LIMIT = 10;
+export const SEARCH_MAX_LIMIT = 25;
+
+// Same expression as the gyms_search_trgm index in schema.sql
+const SEARCH_DOCUMENT = `(coalesce(g.name, '') || ' ' || coalesce(g.address, '') || ' ' || coalesce(g.city, '') || ' ' || coalesce(g.state, ''))`;
+
+// Name hits outrank address/city/state hits of the same similarity
+const DOCUMENT_MATCH_WEIGHT = 0.8;
+
+// Nearby gyms get up to DISTANCE_BOOST added to their rank, fading over DISTANCE_SCALE_METERS
+const DISTANCE_BOOST = 0.2;
+const DISTANCE_SCALE_METERS = 50000;
+
+/**
+ * Search gyms by (possibly misspelled) name or location text
+ * @param {Pool} pool - Database pool
+ * @param {Object} search - { q, lng?, lat?, limit?, includeClosed? (also match permanently closed and moved gyms) }
+ * @returns {Promise<Array>} Gyms ({ id, name, address, city, state, country_code, status, lng, lat, similarity, distance_m }), best first
+ */
+export async function searchGyms(pool, { q, lng = null, lat = null, limit = SEARCH_DEFAULT_LIMIT, includeClosed = false }) {
+  const hasPoint = Number.isFinite(lng) && Number.isFinite(lat);
+  const point = 'ST_SetSRID(ST_MakePoint($6, $7), 4326)::geography';
+  const distance = hasPoint ? `ST_Distance(g.geom, ${point})` : 'null::float8';
+  const boost = hasPoint ? `${DISTANCE_BOOST} * exp(-${distance} / ${DISTANCE_SCALE_METERS})` : '0';
+
+  const { rows } = await pool.query(
+    `with matches as (
+       select g.id, g.name, g.address, g.city, g.state, g.country_code, g.status,
+              ST_X(g.geom::geometry) as lng,
+              ST_Y(g.geom::geometry) as lat,
+              greatest(
+                word_similarity($1, g.name),
+                ${DOCUMENT_MATCH_WEIGHT} * word_similarity($1, ${SEARCH_DOCUMENT})
+              ) as similarity,
+              ${distance} as distance_m,
+              ${boost} as boost
+       from gyms g
+       where g.moderation_status = 'approved'
+         and ($3 or not (g.status = any($4::text[])))
+         and ($1 <% ${SEARCH_DOCUMENT}
+          or g.name ILIKE $5)
+     )
+     select id, name, address, city, state, country_code, status, lng, lat,
+            round(similarity::numeric, 3) as similarity,
+            round(distance_m) as distance_m
+     from matches
+     order by similarity + boost desc, name
+     limit $2`,
+    hasPoint
+      ? [q, limit, includeClosed, HIDDEN_GYM_STATUSES, containsPattern(q), lng, lat]
+      : [q, limit, includeClosed, HIDDEN_GYM_STATUSES, containsPattern(q)]
+  );
+  return rows;
+}
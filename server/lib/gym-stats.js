@@ -0,0 +1,257 @@
+// Gym stats - per-gym vote aggregates materialized in gym_stats
+//
+// The aggregations (recent-vote averages, style percentages, utility majorities and
+// confidence-weighted scores) are expensive window queries over every vote. Instead of
+// running them on each read, vote writes refresh the affected gym's row and the read
+// routes just join gym_stats. Each vote also refreshes the global score prior;
+// scripts/rebuild_gym_stats.js recomputes the regional priors (score_priors), which per-gym
+// refreshes only read, and then every row.
+import { hasStyleColumns } from './db-helpers.js';
+import { buildScoreCtes, refreshScorePriors, refreshGlobalScorePrior, SCORE_FIELDS } from './scoring.js';
+
+// Columns of gym_stats (besides gym_id and updated_at), in insert order
+const STATS_COLUMNS = [
+  'smell_avg', 'smell_votes',
+  'difficulty_avg', 'difficulty_votes',
+  'parking_availability_avg', 'parking_votes',
+  'pet_friendly_avg', 'pet_friendly_votes',
+  ...SCORE_FIELDS.map(({ score }) => score),
+  'styles', 'style_vote_count',
+  'utilities',
+];
+
+// Select list for reading gym_stats (joined as `st`) in the same shape the routes return
+export const GYM_STATS_SELECT = `st.smell_avg, st.smell_votes,
+             st.difficulty_avg, st.difficulty_votes,
+             st.parking_availability_avg, st.parking_votes,
+             st.pet_friendly_avg, st.pet_friendly_votes,
+             ${SCORE_FIELDS.map(({ score }) => `st.${score}`).join(', ')},
+             st.styles, st.style_vote_count,
+             coalesce(st.utilities, '{}'::jsonb) as utilities`;
+
+/**
+ * Build the aggregation query that upserts gym_stats rows
+ * @param {boolean} allGyms - true to aggregate every gym, false to aggregate the gym ids in $1
+ * @param {boolean} styleColumnsExist - Whether gym_votes has the style percentage columns
+ * @returns {string} SQL
+ */
+function buildStatsQuery(allGyms, styleColumnsExist) {
+  let q = `
+      with base as (
+        select id
+        from gyms
+        ${allGyms ? '' : 'where id = any($1::uuid[])'}
+      ),
+      recent_votes_raw as (
+        select gv.gym_id,
+               gv.user_id,
+               gv.username,
+               gv.smell,
+               gv.difficulty,
+               gv.parking_availability,
+               gv.pet_friendly,
+               coalesce(gv.updated_at, gv.created_at) as created_at,  -- time of the voter's latest revision
+               row_number() over (partition by gv.gym_id order by coalesce(gv.updated_at, gv.created_at) desc) as vote_rn
+        from gym_votes gv
+        where (gv.user_id IS NOT NULL OR gv.username IS NOT NULL)
+          and gv.gym_id in (select id from base)
+          and not exists (  -- Skip votes flagged by the anomaly detector
+            select 1 from vote_flags vf
+            where vf.gym_id = gv.gym_id and vf.user_id = gv.user_id and vf.cleared_at IS NULL
+          )
+      ),
+      recent_votes_100 as (
+        select *
+        from recent_votes_raw
+        where vote_rn <= 100  -- Limit to most recent 100 votes per gym
+      ),
+      last_by_user as (
+        select gym_id,
+               coalesce(user_id::text, username) as voter_key,
+               smell,
+               difficulty,
+               parking_availability,
+               pet_friendly,
+               row_number() over (partition by gym_id, coalesce(user_id::text, username) order by created_at desc) as rn
+        from recent_votes_100
+      ),
+      vote_stats as (
+        select gym_id,
+               avg(smell)::int as smell_avg,
+               count(*) filter (where smell IS NOT NULL) as smell_votes,
+               avg(difficulty)::numeric(3,1) as difficulty_avg,
+               count(*) filter (where difficulty IS NOT NULL) as difficulty_votes,
+               avg(parking_availability)::int as parking_availability_avg,
+               count(*) filter (where parking_availability IS NOT NULL) as parking_votes,
+               avg(pet_friendly)::int as pet_friendly_avg,
+               count(*) filter (where pet_friendly IS NOT NULL) as pet_friendly_votes
+        from last_by_user where rn = 1 group by gym_id
+      ),
+      utility_recent_votes as (
+        select uv.gym_id,
+               uv.utility_name,
+               uv.vote,
+               row_number() over (partition by uv.gym_id, uv.utility_name order by uv.created_at desc) as rn
+        from gym_utility_votes uv
+        where uv.gym_id in (select id from base)
+          and not exists (
+            select 1 from vote_flags vf
+            where vf.gym_id = uv.gym_id and vf.user_id = uv.user_id and vf.cleared_at IS NULL
+          )
+      ),
+      utility_top5_votes as (
+        select gym_id,
+               utility_name,
+               vote
+        from utility_recent_votes
+        where rn <= 5  -- Always consider only the 5 most recent votes (or fewer if less than 5 exist)
+      ),
+      utility_vote_stats as (
+        select gym_id,
+               utility_name,
+               count(*) filter (where vote = 1) as upvotes,
+               count(*) filter (where vote = -1) as downvotes,
+               count(*) as total_recent_votes
+        from utility_top5_votes
+        group by gym_id, utility_name
+      ),
+      utility_votes_agg as (
+        select gym_id,
+               jsonb_object_agg(utility_name, jsonb_build_object(
+                 'exists', true,
+                 'upvotes', upvotes,
+                 'downvotes', downvotes,
+                 'total_recent_votes', total_recent_votes
+               )) as utilities
+        from utility_vote_stats
+        where upvotes > downvotes  -- Simple majority: more upvotes than downvotes
+        group by gym_id
+      )${buildScoreCtes()}`;
+
+  if (styleColumnsExist) {
+    q += `,
+      -- Style percentage calculation (from most recent 100 votes, simple average)
+      style_votes_recent_100 as (
+        select gv.gym_id, gv.crimpy_pct, gv.dynos_pct, gv.overhang_pct, gv.slab_pct,
+               coalesce(gv.updated_at, gv.created_at) as created_at,
+               coalesce(gv.user_id::text, gv.username) as voter_key,
+               row_number() over (partition by gv.gym_id order by coalesce(gv.updated_at, gv.created_at) desc) as vote_rn
+        from gym_votes gv
+        where (gv.crimpy_pct IS NOT NULL
+          or gv.dynos_pct IS NOT NULL
+          or gv.overhang_pct IS NOT NULL
+          or gv.slab_pct IS NOT NULL)
+          and gv.gym_id in (select id from base)
+          and not exists (
+            select 1 from vote_flags vf
+            where vf.gym_id = gv.gym_id and vf.user_id = gv.user_id and vf.cleared_at IS NULL
+          )
+      ),
+      style_votes_filtered_raw as (
+        select *
+        from style_votes_recent_100
+        where vote_rn <= 100  -- Limit to most recent 100 votes per gym
+      ),
+      style_votes_filtered as (
+        select gym_id, crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at, voter_key,
+               row_number() over (partition by gym_id, voter_key order by created_at desc) as rn
+        from style_votes_filtered_raw
+      ),
+      style_votes_latest as (
+        select * from style_votes_filtered where rn = 1
+      ),
+      style_avg_weighted as (
+        select gym_id,
+               round(avg(coalesce(crimpy_pct, 0))) as crimpy_avg,
+               round(avg(coalesce(dynos_pct, 0))) as dynos_avg,
+               round(avg(coalesce(overhang_pct, 0))) as overhang_avg,
+               round(avg(coalesce(slab_pct, 0))) as slab_avg,
+               count(*) as style_vote_count
+        from style_votes_latest
+        group by gym_id
+      ),
+      style_agg as (
+        select gym_id,
+               jsonb_build_object(
+                 'crimpy', crimpy_avg,
+                 'dynos', dynos_avg,
+                 'overhang', overhang_avg,
+                 'slab', slab_avg
+               ) as styles,
+               style_vote_count
+        from style_avg_weighted
+      )`;
+  } else {
+    q += `,
+      style_agg as (
+        select null::uuid as gym_id, null::jsonb as styles, 0 as style_vote_count
+        where false
+      )`;
+  }
+
+  q += `
+      insert into gym_stats (gym_id, ${STATS_COLUMNS.join(', ')}, updated_at)
+      select b.id,
+             vs.smell_avg, vs.smell_votes,
+             vs.difficulty_avg, vs.difficulty_votes,
+             vs.parking_availability_avg, vs.parking_votes,
+             vs.pet_friendly_avg, vs.pet_friendly_votes,
+             ${SCORE_FIELDS.map(({ score }) => `gs.${score}`).join(', ')},
+             sa.styles, sa.style_vote_count,
+             coalesce(ua.utilities, '{}'::jsonb),
+             now()
+      from base b
+      left join vote_stats vs on vs.gym_id = b.id
+      left join gym_scores gs on gs.gym_id = b.id
+      left join style_agg sa on sa.gym_id = b.id
+      left join utility_votes_agg ua on ua.gym_id = b.id
+      on conflict (gym_id) do update set
+        ${STATS_COLUMNS.map(column => `${column} = excluded.${column}`).join(',\n        ')},
+        updated_at = excluded.updated_at`;
+
+  return q;
+}
+
+/**
+ * Recompute the gym_stats rows of the given gyms
+ * @param {Pool|PoolClient} pool - Database pool (or a client inside a transaction)
+ * @param {string[]} gymIds - Gyms whose votes changed
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function refreshGymStats(pool, gymIds) {
+  const ids = [...new Set(gymIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return 0;
+  }
+  const styleColumnsExist = await hasStyleColumns(pool);
+  const result = await pool.query(buildStatsQuery(false, styleColumnsExist), [ids]);
+  return result.rowCount;
+}
+
+/**
+ * Recompute the score priors, then gym_stats for every gym
+ * @param {Pool|PoolClient} pool - Database pool
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function rebuildGymStats(pool) {
+  await refreshScorePriors(pool);
+  const styleColumnsExist = await hasStyleColumns(pool);
+  const result = await pool.query(buildStatsQuery(true, styleColumnsExist));
+  return result.rowCount;
+}
+
+/**
+ * Refresh the global score prior and a gym's stats after a vote without letting a failure
+ * affect the vote itself (the row stays stale until the next vote or rebuild)
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @returns {Promise<void>}
+ */
+export async function syncGymStats(pool, gymId) {
+  try {
+    await refreshGlobalScorePrior(pool);
+    await refreshGymStats(pool, [gymId]);
+  } catch (e) {
+    console.error(`[GymStats] Refresh failed for gym ${gymId}:`, e);
+  }
+}
@@ -0,0 +1,307 @@
+// Gym status - open, temporarily closed, permanently closed, or moved to another gym
+//
+// Users report a gym's status (one current report per user, like utility votes). The gym's
+// status is the consensus of the most recent unflagged reports; it goes back to 'open' when
+// reports disagree. Permanently closed and moved gyms are hidden from listings by default
+// (gym-query.js). A move carries the gym's votes over to the gym it moved to
+// (vote-transfer.js), so an agreed move only queues a move proposal; the gym is marked
+// moved once a moderator applies it, and after that reports no longer change its status.
+import { recordGymChanges } from './gym-audit.js';
+import { refreshGymStats } from './gym-stats.js';
+import { transferGymVotes } from './vote-transfer.js';
+
+export const GYM_STATUSES = ['open', 'temporarily_closed', 'permanently_closed', 'moved'];
+
+// Statuses hidden from the map, lists and search unless include_closed is requested
+export const HIDDEN_GYM_STATUSES = ['permanently_closed', 'moved'];
+
+export const MOVE_STATUSES = ['pending', 'applied', 'rejected', 'withdrawn'];
+
+// Consensus is taken over this many of the most recent reports
+const STATUS_RECENT_REPORTS = 5;
+// A single report can't close or move a gym
+const STATUS_MIN_REPORTS = 2;
+
+/**
+ * Validate a status report request
+ * @param {Object} body - { status, moved_to_gym_id? }
+ * @returns {{report: Object|null, error: string|null}} { status, movedToGymId }, or an error message for a 400
+ */
+export function validateStatusReport(body) {
+  const status = body?.status;
+  if (!GYM_STATUSES.includes(status)) {
+    return { report: null, error: `status must be one of: ${GYM_STATUSES.join(', ')}` };
+  }
+
+  const movedToGymId = body.moved_to_gym_id || null;
+  if (status === 'moved' && !movedToGymId) {
+    return { report: null, error: 'moved_to_gym_id is required when status is moved' };
+  }
+  if (status !== 'moved' && movedToGymId) {
+    return { report: null, error: 'moved_to_gym_id is only allowed when status is moved' };
+  }
+  return { report: { status, movedToGymId }, error: null };
+}
+
+// Consensus of the most recent unflagged reports: a status (and move target) backed by more
+// than half of them wins; anything other than 'open' also needs STATUS_MIN_REPORTS reports
+async function computeStatusConsensus(client, gymId) {
+  const { rows } = await client.query(
+    `with recent as (
+       select r.status, r.moved_to_gym_id
+       from gym_status_reports r
+       where r.gym_id = $1
+         and not exists (
+           select 1 from vote_flags vf
+           where vf.gym_id = r.gym_id and vf.user_id = r.user_id and vf.cleared_at IS NULL
+         )
+       order by r.updated_at desc
+       limit $2
+     )
+     select status, moved_to_gym_id, count(*)::int as reports, sum(count(*)) over ()::int as total
+     from recent
+     group by status, moved_to_gym_id
+     order by reports desc
+     limit 1`,
+    [gymId, STATUS_RECENT_REPORTS]
+  );
+
+  const top = rows[0];
+  if (!top || top.reports * 2 <= top.total || (top.status !== 'open' && top.reports < STATUS_MIN_REPORTS)) {
+    return { status: 'open', movedToGymId: null };
+  }
+  return { status: top.status, movedToGymId: top.moved_to_gym_id };
+}
+
+// Keep the gym's pending move proposal in step with the consensus: withdraw one the reports
+// no longer back and queue the agreed move (unless a moderator already rejected that move)
+async function syncMoveProposal(client, gymId, movedToGymId) {
+  await client.query(
+    `update gym_move_proposals set status = 'withdrawn'
+     where gym_id = $1 and status = 'pending' and moved_to_gym_id is distinct from $2::uuid`,
+    [gymId, movedToGymId]
+  );
+  if (!movedToGymId) return null;
+
+  await client.query(
+    `insert into gym_move_proposals (gym_id, moved_to_gym_id)
+     select $1, $2
+     where not exists (
+       select 1 from gym_move_proposals
+       where gym_id = $1 and moved_to_gym_id = $2 and status in ('pending', 'rejected')
+     )`,
+    [gymId, movedToGymId]
+  );
+  const { rows } = await client.query(
+    `select id, moved_to_gym_id, status, created_at from gym_move_proposals
+     where gym_id = $1 and status = 'pending'`,
+    [gymId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Record a user's status report for a gym and update the gym's status if the consensus changed
+ * An agreed move is queued for moderators (move_proposal) instead of changing the status.
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @param {string} userId - Reporting user
+ * @param {Object} report - Output of validateStatusReport()
+ * @returns {Promise<{result: Object|null, error: string|null}>} error is 'not_found' or 'invalid_target';
+ *   result is { status, moved_to_gym_id, changed, move_proposal }
+ */
+export async function reportGymStatus(pool, gymId, userId, { status, movedToGymId }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: gyms } = await client.query(
+      `select id, status, moved_to_gym_id from gyms where id = $1 and moderation_status = 'approved' for update`,
+      [gymId]
+    );
+    if (gyms.length === 0) {
+      await client.query('ROLLBACK');
+      return { result: null, error: 'not_found' };
+    }
+    const gym = gyms[0];
+
+    // A gym can only move to another listed gym that hasn't closed or moved itself
+    if (movedToGymId) {
+      const { rows: targets } = await client.query(
+        `select 1 from gyms
+         where id = $1 and id <> $2 and moderation_status = 'approved' and not (status = any($3::text[]))`,
+        [movedToGymId, gymId, HIDDEN_GYM_STATUSES]
+      );
+      if (targets.length === 0) {
+        await client.query('ROLLBACK');
+        return { result: null, error: 'invalid_target' };
+      }
+    }
+
+    await client.query(
+      `insert into gym_status_reports (gym_id, user_id, status, moved_to_gym_id)
+       values ($1, $2, $3, $4)
+       on conflict (gym_id, user_id) do update set
+         status = excluded.status,
+         moved_to_gym_id = excluded.moved_to_gym_id,
+         updated_at = now()`,
+      [gymId, userId, status, movedToGymId]
+    );
+
+    // A moved gym's votes are already on the new gym; only a moderator can change it now
+    let next = { status: gym.status, movedToGymId: gym.moved_to_gym_id };
+    let moveProposal = null;
+    if (gym.status !== 'moved') {
+      const consensus = await computeStatusConsensus(client, gymId);
+      moveProposal = await syncMoveProposal(client, gymId, consensus.movedToGymId);
+      if (consensus.status !== 'moved') {
+        next = consensus;
+      }
+    }
+    const changed = next.status !== gym.status || next.movedToGymId !== gym.moved_to_gym_id;
+
+    if (changed) {
+      await client.query(
+        `update gyms set status = $2, moved_to_gym_id = $3, status_updated_at = now(), updated_at = now() where id = $1`,
+        [gymId, next.status, next.movedToGymId]
+      );
+      // Status changes come from the community rather than one user, so the audit rows have no actor
+      await recordGymChanges(client, gymId, [
+        { field: 'status', oldValue: gym.status, newValue: next.status },
+        { field: 'moved_to_gym_id', oldValue: gym.moved_to_gym_id, newValue: next.movedToGymId },
+      ].filter(change => change.oldValue !== change.newValue));
+    }
+
+    await client.query('COMMIT');
+    return {
+      result: { status: next.status, moved_to_gym_id: next.movedToGymId, changed, move_proposal: moveProposal },
+      error: null,
+    };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+
+const MOVE_PROPOSAL_COLUMNS = `
+       p.id, p.gym_id, p.moved_to_gym_id, p.status, p.transferred, p.review_note, p.reviewed_at, p.created_at`;
+
+/**
+ * List move proposals for the moderation queue, with both gyms' names and how far apart they are
+ * @param {Pool} pool - Database pool
+ * @param {Object} options - { status = 'pending', limit = 50 }
+ * @returns {Promise<Array>} Proposals, oldest first
+ */
+export async function listMoveProposals(pool, { status = 'pending', limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `select ${MOVE_PROPOSAL_COLUMNS},
+            g.name as gym_name, g.status as gym_status,
+            t.name as moved_to_name, t.status as moved_to_status,
+            round(ST_Distance(g.geom, t.geom)) as distance_m,
+            (select count(*)::int from gym_status_reports sr
+             where sr.gym_id = p.gym_id and sr.moved_to_gym_id = p.moved_to_gym_id) as reports,
+            r.username as reviewed_by_username
+     from gym_move_proposals p
+     join gyms g on g.id = p.gym_id
+     join gyms t on t.id = p.moved_to_gym_id
+     left join users r on r.id = p.reviewed_by
+     where p.status = $1
+     order by p.created_at
+     limit $2`,
+    [status, limit]
+  );
+  return rows;
+}
+
+/**
+ * Apply a move proposal: mark the gym moved and carry its votes over to the new gym
+ * @param {Pool} pool - Database pool
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} review - { reviewerId, note? }
+ * @returns {Promise<{proposal: Object|null, error: string|null}>} error is 'not_found', 'already_reviewed'
+ *   or 'invalid_target' (the new gym has closed, moved or been removed since)
+ */
+export async function applyMoveProposal(pool, proposalId, { reviewerId, note = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: proposals } = await client.query(
+      `select id, gym_id, moved_to_gym_id, status from gym_move_proposals where id = $1 for update`,
+      [proposalId]
+    );
+    if (proposals.length === 0 || proposals[0].status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { proposal: null, error: proposals.length === 0 ? 'not_found' : 'already_reviewed' };
+    }
+    const { gym_id: gymId, moved_to_gym_id: movedToGymId } = proposals[0];
+
+    const { rows: gyms } = await client.query(
+      `select id, status, moved_to_gym_id, moderation_status from gyms
+       where id = any($1::uuid[])
+       order by id
+       for update`,
+      [[gymId, movedToGymId]]
+    );
+    const gym = gyms.find(row => row.id === gymId);
+    const target = gyms.find(row => row.id === movedToGymId);
+    if (!target || target.moderation_status !== 'approved' || HIDDEN_GYM_STATUSES.includes(target.status)) {
+      await client.query('ROLLBACK');
+      return { proposal: null, error: 'invalid_target' };
+    }
+
+    await client.query(
+      `update gyms set status = 'moved', moved_to_gym_id = $2, status_updated_at = now(), updated_at = now() where id = $1`,
+      [gymId, movedToGymId]
+    );
+    await recordGymChanges(client, gymId, [
+      { field: 'status', oldValue: gym.status, newValue: 'moved' },
+      { field: 'moved_to_gym_id', oldValue: gym.moved_to_gym_id, newValue: movedToGymId },
+    ].filter(change => change.oldValue !== change.newValue), { actorId: reviewerId });
+
+    const transferred = await transferGymVotes(client, gymId, movedToGymId);
+    await refreshGymStats(client, [gymId, movedToGymId]);
+
+    const { rows } = await client.query(
+      `update gym_move_proposals
+       set status = 'applied', transferred = $2, reviewed_by = $3, reviewed_at = now(), review_note = $4
+       where id = $1
+       returning id, gym_id, moved_to_gym_id, status, transferred, review_note, reviewed_at, created_at`,
+      [proposalId, JSON.stringify(transferred), reviewerId, note]
+    );
+
+    await client.query('COMMIT');
+    return { proposal: rows[0], error: null };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reject a move proposal without changing the gym; the same move isn't queued again
+ * @param {Pool} pool - Database pool
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} review - { reviewerId, note? }
+ * @returns {Promise<{proposal: Object|null, error: string|null}>} error is 'not_found' or 'already_reviewed'
+ */
+export async function rejectMoveProposal(pool, proposalId, { reviewerId, note = null }) {
+  const { rows } = await pool.query(
+    `update gym_move_proposals
+     set status = 'rejected', reviewed_by = $2, reviewed_at = now(), review_note = $3
+     where id = $1 and status = 'pending'
+     returning id, gym_id, moved_to_gym_id, status, transferred, review_note, reviewed_at, created_at`,
+    [proposalId, reviewerId, note]
+  );
+  if (rows.length > 0) {
+    return { proposal: rows[0], error: null };
+  }
+
+  const { rows: existing } = await pool.query(`select status from gym_move_proposals where id = $1`, [proposalId]);
+  return { proposal: null, error: existing.length > 0 ? 'already_reviewed' : 'not_found' };
+}
@@ -0,0 +1,257 @@
+// Gym submissions - new gyms proposed by users, held for moderation
+//
+// A submission is a row in `gyms` with provider = 'user' and moderation_status = 'pending';
+// listings, tiles, search and gym pages only ever return approved gyms (see gym-query.js).
+// Moderators approve or reject pending rows; rejected rows are kept so the submitter can
+// see the outcome.
+import crypto from 'crypto';
+import { recordGymChanges } from './gym-audit.js';
+
+export const SUBMISSION_PROVIDER = 'user';
+export const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+export const GYM_TYPES = ['bouldering', 'rope', 'bouldering_and_rope', 'training'];
+
+export const NAME_MAX_LENGTH = 120;
+export const ADDRESS_MAX_LENGTH = 300;
+export const PHONE_MAX_LENGTH = 40;
+export const REVIEW_NOTE_MAX_LENGTH = 500;
+
+// Possible duplicates: an existing (or pending) gym within DUPLICATE_RADIUS_M whose name
+// is similar, or any gym within DUPLICATE_SAME_SPOT_M regardless of name
+const DUPLICATE_RADIUS_M = 500;
+const DUPLICATE_SAME_SPOT_M = 30;
+const DUPLICATE_NAME_SIMILARITY = 0.3;
+const DUPLICATE_LIMIT = 5;
+
+// A missing country is copied from the nearest approved gym this close by
+const COUNTRY_FALLBACK_RADIUS_M = 25000;
+
+const POINT = 'ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isValidGymId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+// Gym detail fields users can set (on submissions and edit proposals) and their limits
+export const GYM_TEXT_FIELDS = {
+  name: NAME_MAX_LENGTH,
+  address: ADDRESS_MAX_LENGTH,
+  phone: PHONE_MAX_LENGTH,
+  city: NAME_MAX_LENGTH,
+  state: NAME_MAX_LENGTH,
+};
+export const GYM_DETAIL_FIELDS = [...Object.keys(GYM_TEXT_FIELDS), 'type', 'country_code'];
+
+/**
+ * Validate and normalize one gym detail field
+ * Empty values become null (clearing the field), except for the name, which is required.
+ * @param {string} field - One of GYM_DETAIL_FIELDS
+ * @param {*} value - Raw value from the request
+ * @returns {{value: string|null, error: string|null}}
+ */
+export function normalizeGymField(field, value) {
+  const empty = value === undefined || value === null || value === '';
+
+  if (field === 'type') {
+    if (empty) return { value: null, error: null };
+    if (!GYM_TYPES.includes(value)) return { value: null, error: `type must be one of: ${GYM_TYPES.join(', ')}` };
+    return { value, error: null };
+  }
+
+  if (field === 'country_code') {
+    if (empty) return { value: null, error: null };
+    if (typeof value !== 'string' || !/^[A-Za-z]{2}$/.test(value)) {
+      return { value: null, error: 'country_code must be a two-letter ISO country code' };
+    }
+    return { value: value.toUpperCase(), error: null };
+  }
+
+  const maxLength = GYM_TEXT_FIELDS[field];
+  if (!maxLength) return { value: null, error: `${field} is not an editable field` };
+
+  if (field === 'name') {
+    const name = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+    if (name.length < 2 || name.length > maxLength) {
+      return { value: null, error: `name must be 2-${maxLength} characters` };
+    }
+    return { value: name, error: null };
+  }
+
+  if (empty) return { value: null, error: null };
+  if (typeof value !== 'string') return { value: null, error: `${field} must be a string` };
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) return { value: null, error: `${field} must be at most ${maxLength} characters` };
+  if (field === 'phone' && trimmed && !/^[0-9+()\-.\s]+$/.test(trimmed)) {
+    return { value: null, error: 'phone may only contain digits, spaces and + ( ) - .' };
+  }
+  return { value: trimmed || null, error: null };
+}
+
+/**
+ * Validate a gym submission from a request body
+ * @param {Object} body - { name, lng, lat, address?, phone?, type?, city?, state?, country_code? }
+ * @returns {{gym: Object|null, error: string|null}} Normalized gym, or an error message for a 400
+ */
+export function validateGymSubmission(body = {}) {
+  const gym = {};
+  for (const field of GYM_DETAIL_FIELDS) {
+    const { value, error } = normalizeGymField(field, body[field]);
+    if (error) return { gym: null, error };
+    gym[field] = value;
+  }
+
+  const lng = Number(body.lng);
+  const lat = Number(body.lat);
+  if (body.lng === null || body.lat === null || !Number.isFinite(lng) || !Number.isFinite(lat)
+      || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    return { gym: null, error: 'lng and lat are required and must be valid coordinates' };
+  }
+
+  return { gym: { ...gym, lng, lat }, error: null };
+}
+
+/**
+ * Find gyms that a submission probably duplicates (approved or still pending)
+ * @param {Pool} pool - Database pool
+ * @param {Object} gym - { name, lng, lat }
+ * @param {string|null} excludeId - Gym to leave out (the submission itself when reviewing)
+ * @returns {Promise<Array>} [{ id, name, address, city, moderation_status, distance_m, name_similarity }], most similar first
+ */
+export async function findDuplicateCandidates(pool, { name, lng, lat }, excludeId = null) {
+  const { rows } = await pool.query(
+    `select g.id, g.name, g.address, g.city, g.moderation_status,
+            round(ST_Distance(g.geom, ${POINT})) as distance_m,
+            round(similarity(g.name, $3)::numeric, 3) as name_similarity
+     from gyms g
+     where g.moderation_status <> 'rejected'
+       and ST_DWithin(g.geom, ${POINT}, $4)
+       and (ST_DWithin(g.geom, ${POINT}, $5) or similarity(g.name, $3) >= $6)
+       and ($7::uuid is null or g.id <> $7::uuid)
+     order by name_similarity desc, distance_m
+     limit $8`,
+    [lng, lat, name, DUPLICATE_RADIUS_M, DUPLICATE_SAME_SPOT_M, DUPLICATE_NAME_SIMILARITY, excludeId, DUPLICATE_LIMIT]
+  );
+  return rows.map(row => ({
+    ...row,
+    distance_m: Number(row.distance_m),
+    name_similarity: Number(row.name_similarity),
+  }));
+}
+
+/**
+ * Store a submission as a pending gym
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - Submitting user
+ * @param {Object} gym - Output of validateGymSubmission()
+ * @returns {Promise<Object>} The pending gym ({ id, name, moderation_status, created_at, ... })
+ */
+export async function createGymSubmission(pool, userId, gym) {
+  // Region lists need at least the country; city and state are left for
+  // scripts/enrich_local_db.js, which geocodes gyms that are missing them
+  let countryCode = gym.country_code;
+  if (!countryCode) {
+    const { rows } = await pool.query(
+      `select g.country_code
+       from gyms g
+       where g.moderation_status = 'approved'
+         and g.country_code is not null
+         and ST_DWithin(g.geom, ${POINT}, $3)
+       order by g.geom <-> ${POINT}
+       limit 1`,
+      [gym.lng, gym.lat, COUNTRY_FALLBACK_RADIUS_M]
+    );
+    countryCode = rows[0]?.country_code || null;
+  }
+
+  const { rows } = await pool.query(
+    `insert into gyms (provider, provider_poi_id, name, address, city, state, country_code, phone, type, geom,
+                       moderation_status, submitted_by)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9, ST_SetSRID(ST_MakePoint($10, $11), 4326)::geography,
+             'pending', $12)
+     returning id, name, address, city, state, country_code, phone, type, moderation_status, created_at`,
+    [
+      SUBMISSION_PROVIDER, crypto.randomUUID(), gym.name, gym.address, gym.city, gym.state, countryCode,
+      gym.phone, gym.type, gym.lng, gym.lat, userId,
+    ]
+  );
+  return { ...rows[0], lng: gym.lng, lat: gym.lat };
+}
+
+const SUBMISSION_COLUMNS = `
+       g.id, g.name, g.address, g.city, g.state, g.country_code, g.phone, g.type,
+       ST_X(g.geom::geometry) as lng,
+       ST_Y(g.geom::geometry) as lat,
+       g.moderation_status, g.review_note, g.reviewed_at, g.created_at`;
+
+/**
+ * List submissions for the moderation queue, each with its possible duplicates
+ * @param {Pool} pool - Database pool
+ * @param {Object} options - { status = 'pending', limit = 50 }
+ * @returns {Promise<Array>} Submissions, oldest first
+ */
+export async function listGymSubmissions(pool, { status = 'pending', limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `select ${SUBMISSION_COLUMNS},
+            u.username as submitted_by_username,
+            r.username as reviewed_by_username
+     from gyms g
+     left join users u on u.id = g.submitted_by
+     left join users r on r.id = g.reviewed_by
+     where g.provider = $1 and g.moderation_status = $2
+     order by g.created_at
+     limit $3`,
+    [SUBMISSION_PROVIDER, status, limit]
+  );
+  return Promise.all(rows.map(async (row) => ({
+    ...row,
+    duplicates: status === 'pending' ? await findDuplicateCandidates(pool, row, row.id) : [],
+  })));
+}
+
+/**
+ * List a user's own submissions (any status), newest first
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - Submitting user
+ * @returns {Promise<Array>} Submissions
+ */
+export async function listUserGymSubmissions(pool, userId) {
+  const { rows } = await pool.query(
+    `select ${SUBMISSION_COLUMNS}
+     from gyms g
+     where g.provider = $1 and g.submitted_by = $2
+     order by g.created_at desc`,
+    [SUBMISSION_PROVIDER, userId]
+  );
+  return rows;
+}
+
+/**
+ * Approve or reject a pending submission
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Submission (gym) ID
+ * @param {Object} review - { reviewerId, status: 'approved' | 'rejected', note? }
+ * @returns {Promise<{gym: Object|null, error: string|null}>} error is 'not_found' or 'already_reviewed'
+ */
+export async function reviewGymSubmission(pool, gymId, { reviewerId, status, note = null }) {
+  const { rows } = await pool.query(
+    `update gyms g
+     set moderation_status = $2, reviewed_by = $3, reviewed_at = now(), review_note = $4, updated_at = now()
+     where g.id = $1 and g.provider = $5 and g.moderation_status = 'pending'
+     returning ${SUBMISSION_COLUMNS}`,
+    [gymId, status, reviewerId, note, SUBMISSION_PROVIDER]
+  );
+  if (rows.length > 0) {
+    await recordGymChanges(pool, gymId, [{ field: 'moderation_status', oldValue: 'pending', newValue: status }], {
+      actorId: reviewerId,
+    });
+    return { gym: rows[0], error: null };
+  }
+
+  const { rows: existing } = await pool.query(
+    `select moderation_status from gyms where id = $1 and provider = $2`,
+    [gymId, SUBMISSION_PROVIDER]
+  );
+  return { gym: null, error: existing.length > 0 ? 'already_reviewed' : 'not_found' };
+}
@@ -0,0 +1,56 @@
+// Password reset tokens - issued by an admin, handed to the user out of band, single use
+import crypto from 'crypto';
+
+const RESET_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a reset token for a user (any earlier unused tokens stop working)
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - User the token resets
+ * @param {string|null} issuedBy - Admin user ID
+ * @returns {Promise<{token: string, expiresAt: Date}>} Plain-text token and its expiry
+ */
+export async function issueResetToken(pool, userId, issuedBy = null) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_SECONDS * 1000);
+
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = now() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, issued_by, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, hashToken(token), issuedBy, expiresAt]
+  );
+
+  return { token, expiresAt };
+}
+
+/**
+ * Mark a reset token as used and return its user
+ * @param {Pool} pool - Database pool
+ * @param {string} username - Username the token was issued for
+ * @param {string} token - Plain-text token
+ * @returns {Promise<{id: string, username: string}|null>} User, or null if the token is invalid, used or expired
+ */
+export async function consumeResetToken(pool, username, token) {
+  if (!username || !token) return null;
+
+  const { rows } = await pool.query(
+    `UPDATE password_reset_tokens t SET used_at = now()
+     FROM users u
+     WHERE t.user_id = u.id
+       AND u.username = $1
+       AND t.token_hash = $2
+       AND t.used_at IS NULL
+       AND t.expires_at > now()
+     RETURNING u.id, u.username`,
+    [username, hashToken(token)]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
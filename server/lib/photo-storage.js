@@ -0,0 +1,68 @@
+// Photo storage - where uploaded gym photos (server/lib/gym-photos.js) are kept, with pluggable backends
+//
+// A storage implements put(key, buffer, contentType), remove(key) and url(key) -> public URL.
+// Keys look like '<gym id>/<photo id>-display.jpg'. The local disk backend suits the long-running
+// server (server.js serves the directory); serverless deployments (api/index.js) have no
+// persistent disk and need an object storage backend instead.
+import { mkdir, writeFile, unlink } from 'fs/promises';
+import path from 'path';
+
+// Keys are generated by gym-photos.js, but never let one escape the storage directory
+const KEY_PATTERN = /^[0-9a-f-]+\/[0-9a-f-]+-[a-z]+\.[a-z]+$/;
+
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid photo storage key: ${key}`);
+  }
+}
+
+/**
+ * Local disk storage
+ * @param {Object} options - { dir (absolute directory for the files), baseUrl (URL path the directory is served at) }
+ * @returns {{put: Function, remove: Function, url: Function, dir: string, baseUrl: string}} Storage
+ */
+export function createLocalPhotoStorage({ dir, baseUrl = '/uploads/photos' }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  return {
+    dir,
+    baseUrl: base,
+
+    async put(key, buffer) {
+      assertValidKey(key);
+      const file = path.join(dir, key);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, buffer);
+    },
+
+    async remove(key) {
+      assertValidKey(key);
+      try {
+        await unlink(path.join(dir, key));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    },
+
+    url(key) {
+      return `${base}/${key}`;
+    },
+  };
+}
+
+/**
+ * Create the storage configured by PHOTO_STORAGE ('local' is the only backend for now),
+ * PHOTO_STORAGE_DIR and PHOTO_BASE_URL
+ * @param {string} rootDir - Directory PHOTO_STORAGE_DIR is relative to (the project root)
+ * @returns {Object} Storage
+ */
+export function createPhotoStorageFromEnv(rootDir = process.cwd()) {
+  const backend = process.env.PHOTO_STORAGE || 'local';
+  if (backend === 'local') {
+    return createLocalPhotoStorage({
+      dir: path.resolve(rootDir, process.env.PHOTO_STORAGE_DIR || 'uploads/photos'),
+      baseUrl: process.env.PHOTO_BASE_URL || '/uploads/photos',
+    });
+  }
+  throw new Error(`Unknown PHOTO_STORAGE backend: ${backend}`);
+}
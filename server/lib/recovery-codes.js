@@ -0,0 +1,68 @@
+// Recovery codes - one-time codes that prove ownership of a password-less account
+import crypto from 'crypto';
+
+// Crockford base32 (no I, L, O, U) so codes are easy to read back and type
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 16; // 80 bits
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Uppercase and strip separators/whitespace so "abcd-efgh ..." matches "ABCDEFGH..."
+function normalizeCode(code) {
+  return code.toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += ALPHABET[bytes[i] % ALPHABET.length];
+  }
+  // Group as XXXX-XXXX-XXXX-XXXX for display
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Generate a new recovery code for a user, replacing any previous one
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Plain-text code (only ever returned once)
+ */
+export async function issueRecoveryCode(pool, userId) {
+  const code = generateCode();
+  await pool.query(
+    'UPDATE users SET recovery_code_hash = $1, updated_at = now() WHERE id = $2',
+    [hashCode(normalizeCode(code)), userId]
+  );
+  return code;
+}
+
+/**
+ * Check a recovery code against the user's stored hash
+ * @param {{recovery_code_hash: string|null}} user - User row
+ * @param {string|null} code - Code supplied by the client
+ * @returns {boolean} True if the code matches
+ */
+export function verifyRecoveryCode(user, code) {
+  if (!user?.recovery_code_hash || !code || typeof code !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(user.recovery_code_hash);
+  const actual = Buffer.from(hashCode(normalizeCode(code)));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Remove a user's recovery code (e.g. once a password is set)
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function clearRecoveryCode(pool, userId) {
+  await pool.query(
+    'UPDATE users SET recovery_code_hash = NULL, updated_at = now() WHERE id = $1',
+    [userId]
+  );
+}
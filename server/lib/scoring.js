@@ -0,0 +1,144 @@
+// Gym scoring - confidence-weighted ratings that are harder to skew than plain averages
+//
+// Each vote is weighted by exp(-age / SCORE_DECAY_DAYS), so stale ratings fade out, and the
+// weighted average is pulled toward the regional (country) mean by SCORE_PRIOR_WEIGHT
+// "virtual votes". A gym with one vote lands near its region's mean; a gym with many
+// recent votes lands near its own average. The regional means live in score_priors, which
+// scripts/rebuild_gym_stats.js recomputes, so refreshing one gym only reads that gym's votes.
+// Regions without a row use the global row, which every vote refreshes, and before any votes
+// exist the global row holds the neutral middle of each scale (seeded by schema.sql).
+//
+//   score = (SCORE_PRIOR_WEIGHT * regional_mean + sum(w * value)) / (SCORE_PRIOR_WEIGHT + sum(w))
+
+// How many days it takes a vote's weight to drop to 1/e (~37%)
+export const SCORE_DECAY_DAYS = 365;
+
+// Strength of the regional prior, in fully-weighted votes
+export const SCORE_PRIOR_WEIGHT = 5;
+
+// Scored gym_votes columns, the result column each one produces and the middle of the
+// column's scale (the prior when score_priors has no row to use)
+export const SCORE_FIELDS = [
+  { column: 'smell', score: 'smell_score', neutral: 50 },
+  { column: 'difficulty', score: 'difficulty_score', neutral: 0 },
+  { column: 'parking_availability', score: 'parking_score', neutral: 50 },
+  { column: 'pet_friendly', score: 'pet_friendly_score', neutral: 50 },
+];
+
+// Region key of the global prior row in score_priors (country regions use their country code,
+// and '' for gyms without one)
+export const GLOBAL_PRIOR_REGION = '*';
+
+// Votes that count toward scores, with their decay weight; `where` narrows the gyms
+function scoreVotesCte(where = '') {
+  return `score_votes as (
+        select gv.gym_id,
+               g.country_code,
+               gv.smell,
+               gv.difficulty,
+               gv.parking_availability,
+               gv.pet_friendly,
+               exp(-extract(epoch from (now() - coalesce(gv.updated_at, gv.created_at))) / (86400.0 * ${SCORE_DECAY_DAYS})) as w
+        from gym_votes gv
+        join gyms g on g.id = gv.gym_id
+        where (gv.user_id IS NOT NULL OR gv.username IS NOT NULL)${where}
+          and not exists (  -- Skip votes flagged by the anomaly detector
+            select 1 from vote_flags vf
+            where vf.gym_id = gv.gym_id and vf.user_id = gv.user_id and vf.cleared_at IS NULL
+          )
+      )`;
+}
+
+/**
+ * Build the CTEs that compute per-gym scores, ending in `gym_scores (gym_id, <score columns>)`
+ *
+ * Only the votes of the gyms in `base` are read; the regional means come from score_priors
+ * (refreshScorePriors), falling back to the global mean and then to the neutral middle of the
+ * scale, never to the gym's own votes. Expects a `base` CTE with an `id` column to be defined
+ * earlier in the query; the returned text starts with a comma.
+ * @returns {string} SQL CTE fragment
+ */
+export function buildScoreCtes() {
+  const scores = SCORE_FIELDS.map(({ column, score, neutral }) =>
+    `case when count(sv.${column}) = 0 then null
+               else round(((
+                 ${SCORE_PRIOR_WEIGHT} * coalesce(rp.${column}_mean, gp.${column}_mean, ${neutral})
+                 + coalesce(sum(sv.w * sv.${column}), 0)
+               ) / (${SCORE_PRIOR_WEIGHT} + coalesce(sum(sv.w) filter (where sv.${column} IS NOT NULL), 0)))::numeric, 1)
+               end as ${score}`
+  ).join(',\n               ');
+
+  return `,
+      ${scoreVotesCte('\n          and gv.gym_id in (select id from base)')},
+      gym_scores as (
+        select sv.gym_id,
+               ${scores}
+        from score_votes sv
+        left join score_priors rp on rp.region = coalesce(sv.country_code, '')
+        left join score_priors gp on gp.region = '${GLOBAL_PRIOR_REGION}'
+        group by sv.gym_id, ${SCORE_FIELDS.map(({ column }) => `rp.${column}_mean, gp.${column}_mean`).join(', ')}
+      )`;
+}
+
+const PRIOR_COLUMNS = SCORE_FIELDS.map(({ column }) => `${column}_mean`);
+
+// Decay-weighted mean of each scored field over score_votes; a field without votes keeps
+// its neutral value so the global row never goes back to null
+function priorMeans(keepNeutral) {
+  return SCORE_FIELDS.map(({ column, neutral }) => {
+    const mean = `sum(w * ${column}) / nullif(sum(w) filter (where ${column} IS NOT NULL), 0)`;
+    return `${keepNeutral ? `coalesce(${mean}, ${neutral})` : mean} as ${column}_mean`;
+  }).join(',\n               ');
+}
+
+const UPSERT_PRIORS = `
+      insert into score_priors (region, ${PRIOR_COLUMNS.join(', ')}, updated_at)
+      select region, ${PRIOR_COLUMNS.join(', ')}, now()
+      from priors
+      on conflict (region) do update set
+        ${PRIOR_COLUMNS.map(column => `${column} = excluded.${column}`).join(',\n        ')},
+        updated_at = excluded.updated_at`;
+
+/**
+ * Recompute the global score prior from every vote
+ * A single aggregate, cheap enough for syncGymStats to run after each vote, so countries
+ * without a regional row yet still get a current prior.
+ * @param {Pool|PoolClient} pool - Database pool
+ * @returns {Promise<void>}
+ */
+export async function refreshGlobalScorePrior(pool) {
+  await pool.query(
+    `with ${scoreVotesCte()},
+      priors as (
+        select '${GLOBAL_PRIOR_REGION}' as region,
+               ${priorMeans(true)}
+        from score_votes
+      )${UPSERT_PRIORS}`
+  );
+}
+
+/**
+ * Recompute the regional (per country) and global score priors from every vote
+ * Groups all of gym_votes by country, so it runs from scripts/rebuild_gym_stats.js rather than per vote.
+ * @param {Pool|PoolClient} pool - Database pool
+ * @returns {Promise<number>} Number of regions written (including the global row)
+ */
+export async function refreshScorePriors(pool) {
+  const result = await pool.query(
+    `with ${scoreVotesCte()},
+      priors as (
+        select coalesce(country_code, '') as region,
+               ${priorMeans(false)}
+        from score_votes
+        group by 1
+        union all
+        select '${GLOBAL_PRIOR_REGION}',
+               ${priorMeans(true)}
+        from score_votes
+      ),
+      removed as (  -- Countries whose votes are all gone
+        delete from score_priors where region not in (select region from priors)
+      )${UPSERT_PRIORS}`
+  );
+  return result.rowCount;
+}
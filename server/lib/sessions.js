@@ -0,0 +1,231 @@
+// Session helpers - signed access tokens and rotating refresh tokens
+import crypto from 'crypto';
+
+// Access tokens are short-lived and verified on every authenticated request;
+// refresh tokens are long-lived, stored hashed, and rotated on every use
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let generatedSecret = null;
+
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (secret && secret.length > 0) {
+    return secret;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  // Development fallback - tokens will not survive a server restart
+  if (!generatedSecret) {
+    console.warn('[Sessions] SESSION_SECRET not set, using a random secret for this process');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSessionSecret()).update(data).digest('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a signed access token for a session
+ * @param {string} userId - User ID (token subject)
+ * @param {string} sessionId - Session ID the token belongs to
+ * @returns {{token: string, expiresAt: Date}} Signed token and its expiry
+ */
+export function signAccessToken(userId, sessionId) {
+  const exp = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+  const payload = base64url(JSON.stringify({ sub: userId, sid: sessionId, exp, typ: 'access' }));
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} token - Token from the Authorization header
+ * @returns {{sub: string, sid: string, exp: number}|null} Payload, or null if invalid or expired
+ */
+export function verifyAccessToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.typ !== 'access' || !data.sub || !data.sid) return null;
+    if (typeof data.exp !== 'number' || data.exp * 1000 <= Date.now()) return null;
+    return data;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Refresh tokens are "<session id>.<random secret>"; only the secret's hash is stored
+function createRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function parseRefreshToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const index = token.indexOf('.');
+  if (index <= 0) return null;
+  const sessionId = token.slice(0, index);
+  if (!UUID_PATTERN.test(sessionId)) return null;
+  return { sessionId, secret: token.slice(index + 1) };
+}
+
+function buildSessionResponse(sessionId, userId, refreshToken, refreshExpiresAt) {
+  const access = signAccessToken(userId, sessionId);
+  return {
+    access_token: access.token,
+    access_token_expires_at: access.expiresAt.toISOString(),
+    refresh_token: refreshToken,
+    refresh_token_expires_at: refreshExpiresAt.toISOString(),
+  };
+}
+
+/**
+ * Start a new session for a user
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - User ID
+ * @param {Object} meta - Optional request metadata ({ userAgent, ip })
+ * @returns {Promise<Object>} Token bundle for the client
+ */
+export async function createSession(pool, userId, meta = {}) {
+  const sessionId = crypto.randomUUID();
+  const refresh = createRefreshToken(sessionId);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+
+  await pool.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [sessionId, userId, refresh.hash, meta.userAgent || null, meta.ip || null, expiresAt]
+  );
+
+  return buildSessionResponse(sessionId, userId, refresh.token, expiresAt);
+}
+
+/**
+ * Exchange a refresh token for a new token bundle (rotates the refresh token)
+ * @param {Pool} pool - Database pool
+ * @param {string} refreshToken - Refresh token issued by createSession/refreshSession
+ * @returns {Promise<Object|null>} New token bundle plus user, or null if the token is invalid
+ */
+export async function refreshSession(pool, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const { rows } = await pool.query(
+    `SELECT s.id, s.user_id, s.refresh_token_hash, u.username, u.password_hash
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > now()`,
+    [parsed.sessionId]
+  );
+  if (rows.length === 0) return null;
+
+  const session = rows[0];
+  const expected = Buffer.from(session.refresh_token_hash);
+  const actual = Buffer.from(hashToken(parsed.secret));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    // A stale refresh token was replayed - assume it leaked and kill the session
+    await revokeSession(pool, session.id);
+    return null;
+  }
+
+  const refresh = createRefreshToken(session.id);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000);
+  await pool.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $2, expires_at = $3, last_used_at = now()
+     WHERE id = $1`,
+    [session.id, refresh.hash, expiresAt]
+  );
+
+  return {
+    user: { id: session.user_id, username: session.username, password_hash: session.password_hash },
+    tokens: buildSessionResponse(session.id, session.user_id, refresh.token, expiresAt),
+  };
+}
+
+/**
+ * Look up the active session and user behind a verified access token payload
+ * @param {Pool} pool - Database pool
+ * @param {{sub: string, sid: string}} payload - Payload from verifyAccessToken
+ * @returns {Promise<Object|null>} User row ({ id, username, password_hash, role }) or null if revoked
+ */
+export async function getSessionUser(pool, payload) {
+  const { rows } = await pool.query(
+    `SELECT u.id, u.username, u.password_hash, u.role
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > now()`,
+    [payload.sid, payload.sub]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Revoke a single session
+ * @param {Pool} pool - Database pool
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(pool, sessionId) {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+}
+
+/**
+ * Revoke every session belonging to a user
+ * @param {Pool} pool - Database pool
+ * @param {string} userId - User ID
+ * @param {string|null} exceptSessionId - Optional session to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(pool, userId, exceptSessionId = null) {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = now()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)`,
+    [userId, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Revoke the session a refresh token belongs to (the token must still be valid)
+ * @param {Pool} pool - Database pool
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export async function revokeSessionByRefreshToken(pool, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = now()
+     WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [parsed.sessionId, hashToken(parsed.secret)]
+  );
+  return result.rowCount > 0;
+}
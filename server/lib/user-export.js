@@ -0,0 +1,175 @@
+// Personal data export - everything stored about a user, as JSON or CSV
+import { hasStyleColumns } from './db-helpers.js';
+import { hasPassword } from '../../lib/password.js';
+
+/**
+ * Collect a user's profile and full history
+ * @param {Pool} pool - Database pool
+ * @param {{id: string, username: string}} user - User to export
+ * @returns {Promise<Object>} { exported_at, profile, votes, vote_history, style_votes, utility_votes, status_reports, gym_submissions, gym_edits, gym_photos, feedback, sessions }
+ */
+export async function collectUserData(pool, user) {
+  const styleColumnsExist = await hasStyleColumns(pool);
+  const styleSelect = styleColumnsExist
+    ? 'gv.crimpy_pct, gv.dynos_pct, gv.overhang_pct, gv.slab_pct,'
+    : '';
+
+  const [profile, votes, voteHistory, styleVotes, utilityVotes, statusReports, gymSubmissions, gymEdits, gymPhotos, feedback, sessions] = await Promise.all([
+    pool.query(
+      `SELECT id, username, email, display_name, preferences, role, password_hash, created_at, updated_at
+       FROM users WHERE id = $1`,
+      [user.id]
+    ),
+    pool.query(
+      `SELECT gv.gym_id, g.name as gym_name, g.city, g.country_code,
+              gv.smell, gv.difficulty, gv.parking_availability, gv.pet_friendly,
+              ${styleSelect}
+              gv.created_at, gv.updated_at
+       FROM gym_votes gv
+       JOIN gyms g ON g.id = gv.gym_id
+       WHERE gv.user_id = $1 OR gv.username = $2
+       ORDER BY gv.created_at`,
+      [user.id, user.username]
+    ),
+    // Every revision, including values that were later changed
+    pool.query(
+      `SELECT e.gym_id, g.name as gym_name, g.city, g.country_code,
+              e.smell, e.difficulty, e.parking_availability, e.pet_friendly,
+              e.crimpy_pct, e.dynos_pct, e.overhang_pct, e.slab_pct,
+              e.created_at
+       FROM gym_vote_events e
+       JOIN gyms g ON g.id = e.gym_id
+       WHERE e.user_id = $1 OR e.username = $2
+       ORDER BY e.created_at`,
+      [user.id, user.username]
+    ),
+    pool.query(
+      `SELECT sv.gym_id, g.name as gym_name, sv.style, sv.created_at
+       FROM gym_style_votes sv
+       JOIN gyms g ON g.id = sv.gym_id
+       WHERE sv.user_id = $1 OR sv.username = $2
+       ORDER BY sv.created_at`,
+      [user.id, user.username]
+    ),
+    pool.query(
+      `SELECT uv.gym_id, g.name as gym_name, uv.utility_name, uv.vote, uv.created_at, uv.updated_at
+       FROM gym_utility_votes uv
+       JOIN gyms g ON g.id = uv.gym_id
+       WHERE uv.user_id = $1 OR uv.username = $2
+       ORDER BY uv.created_at`,
+      [user.id, user.username]
+    ),
+    pool.query(
+      `SELECT r.gym_id, g.name as gym_name, r.status, r.moved_to_gym_id, r.created_at, r.updated_at
+       FROM gym_status_reports r
+       JOIN gyms g ON g.id = r.gym_id
+       WHERE r.user_id = $1
+       ORDER BY r.created_at`,
+      [user.id]
+    ),
+    pool.query(
+      `SELECT id as gym_id, name as gym_name, address, city, country_code, phone, type,
+              moderation_status, review_note, created_at, updated_at
+       FROM gyms WHERE submitted_by = $1
+       ORDER BY created_at`,
+      [user.id]
+    ),
+    pool.query(
+      `SELECT p.gym_id, g.name as gym_name, p.changes, p.note, p.status, p.applied_fields,
+              p.review_note, p.created_at
+       FROM gym_edit_proposals p
+       JOIN gyms g ON g.id = p.gym_id
+       WHERE p.user_id = $1
+       ORDER BY p.created_at`,
+      [user.id]
+    ),
+    pool.query(
+      `SELECT p.gym_id, g.name as gym_name, p.caption, p.width, p.height, p.moderation_status,
+              p.review_note, p.created_at
+       FROM gym_photos p
+       JOIN gyms g ON g.id = p.gym_id
+       WHERE p.user_id = $1
+       ORDER BY p.created_at`,
+      [user.id]
+    ),
+    pool.query(
+      `SELECT id, feedback_type, message, user_name, user_email, timestamp, created_at
+       FROM feedback WHERE user_id = $1
+       ORDER BY created_at`,
+      [user.id]
+    ),
+    pool.query(
+      `SELECT created_at, last_used_at, expires_at, revoked_at, user_agent, ip
+       FROM user_sessions WHERE user_id = $1
+       ORDER BY created_at`,
+      [user.id]
+    ),
+  ]);
+
+  // Never export the password hash itself - only whether one is set
+  const { password_hash, ...profileRow } = profile.rows[0] || {};
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: { ...profileRow, has_password: hasPassword(password_hash) },
+    votes: votes.rows,
+    vote_history: voteHistory.rows,
+    style_votes: styleVotes.rows,
+    utility_votes: utilityVotes.rows,
+    status_reports: statusReports.rows,
+    gym_submissions: gymSubmissions.rows,
+    gym_edits: gymEdits.rows,
+    gym_photos: gymPhotos.rows,
+    feedback: feedback.rows,
+    sessions: sessions.rows,
+  };
+}
+
+// Columns of the flat CSV export; each record only fills the columns that apply to it
+const CSV_COLUMNS = [
+  'record_type', 'gym_id', 'gym_name', 'city', 'country_code',
+  'smell', 'difficulty', 'parking_availability', 'pet_friendly',
+  'crimpy_pct', 'dynos_pct', 'overhang_pct', 'slab_pct',
+  'style', 'utility_name', 'vote', 'moderation_status',
+  'feedback_type', 'message',
+  'created_at', 'updated_at',
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Free text starting with =, +, - or @ would be run as a formula by spreadsheet apps
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten collected user data into a single CSV (one row per vote/submission/edit/feedback record)
+ * @param {Object} data - Result of collectUserData
+ * @returns {string} CSV text
+ */
+export function userDataToCsv(data) {
+  const records = [
+    ...data.votes.map(r => ({ record_type: 'vote', ...r })),
+    ...data.vote_history.map(r => ({ record_type: 'vote_revision', ...r })),
+    ...data.style_votes.map(r => ({ record_type: 'style_vote', ...r })),
+    ...data.utility_votes.map(r => ({ record_type: 'utility_vote', ...r })),
+    ...data.status_reports.map(r => ({
+      record_type: 'status_report', ...r, message: r.moved_to_gym_id ? `${r.status}: ${r.moved_to_gym_id}` : r.status,
+    })),
+    ...data.gym_submissions.map(r => ({ record_type: 'gym_submission', ...r })),
+    ...data.gym_edits.map(r => ({
+      record_type: 'gym_edit', ...r, moderation_status: r.status, message: JSON.stringify(r.changes),
+    })),
+    ...data.gym_photos.map(r => ({ record_type: 'gym_photo', ...r, message: r.caption })),
+    ...data.feedback.map(r => ({ record_type: 'feedback', ...r })),
+  ];
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
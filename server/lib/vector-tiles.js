@@ -0,0 +1,79 @@
+// Vector tiles - gyms as Mapbox Vector Tiles, rendered by PostGIS
+//
+// Tiles hold one point layer (TILE_LAYER) with the gym fields the map styles, popups
+// and attribute filters need; the full gym is still fetched from /api/gyms/:id when
+// clicked. MVT properties can't be nested, so utilities and styles are flattened into
+// utility_keys ('kilterboard,shower') and style_<name> percentages.
+// Permanently closed and moved gyms are left out (as in the listings) unless asked for.
+import { HIDDEN_GYM_STATUSES } from './gym-status.js';
+
+export const TILE_LAYER = 'gyms';
+export const TILE_MAX_ZOOM = 22;
+
+// Tile coordinate space (4096 is the MVT default) and buffer so edge circles aren't clipped
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+
+/**
+ * Check z/x/y are integers inside the tile pyramid
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {boolean}
+ */
+export function isValidTile(z, x, y) {
+  if (![z, x, y].every(Number.isInteger)) return false;
+  if (z < 0 || z > TILE_MAX_ZOOM) return false;
+  const size = 2 ** z;
+  return x >= 0 && x < size && y >= 0 && y < size;
+}
+
+/**
+ * Render the gyms inside a tile, with their vote aggregates from gym_stats
+ * @param {Pool} pool - Database pool
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {Object} options - { includeClosed } also render permanently closed and moved gyms
+ * @returns {Promise<Buffer>} MVT-encoded tile (empty buffer when the tile has no gyms)
+ */
+export async function getGymTile(pool, z, x, y, { includeClosed = false } = {}) {
+  const { rows } = await pool.query(
+    `with bounds as (
+       select ST_TileEnvelope($1, $2, $3) as geom
+     ),
+     tile_gyms as (
+       select ST_AsMVTGeom(ST_Transform(g.geom::geometry, 3857), b.geom, $4, $5, true) as geom,
+              g.id::text as id,
+              g.name,
+              g.city,
+              g.state,
+              g.country_code,
+              g.status,
+              st.smell_avg,
+              st.smell_votes,
+              st.difficulty_avg::float8 as difficulty_avg,
+              st.difficulty_votes,
+              st.smell_score::float8 as smell_score,
+              st.difficulty_score::float8 as difficulty_score,
+              st.parking_availability_avg,
+              st.pet_friendly_avg,
+              st.style_vote_count,
+              (st.styles->>'crimpy')::float8 as style_crimpy,
+              (st.styles->>'dynos')::float8 as style_dynos,
+              (st.styles->>'overhang')::float8 as style_overhang,
+              (st.styles->>'slab')::float8 as style_slab,
+              (select string_agg(k, ',') from jsonb_object_keys(st.utilities) k) as utility_keys
+       from gyms g
+       cross join bounds b
+       left join gym_stats st on st.gym_id = g.id
+       where g.geom::geometry && ST_Transform(b.geom, 4326)
+         and g.moderation_status = 'approved'
+         and ($7 or not (g.status = any($8::text[])))
+     )
+     select ST_AsMVT(tile_gyms.*, $6, $4, 'geom') as tile
+     from tile_gyms`,
+    [z, x, y, TILE_EXTENT, TILE_BUFFER, TILE_LAYER, includeClosed, HIDDEN_GYM_STATUSES]
+  );
+  return rows[0]?.tile || Buffer.alloc(0);
+}
@@ -0,0 +1,115 @@
+// Vote anomaly detection - flags bursts of brand-new accounts voting on the same gym
+//
+// Flagged (gym, user) pairs are stored in vote_flags; the gym aggregations skip any
+// vote with an uncleared flag, so stuffed votes stop counting as soon as they're caught.
+
+// A burst is BURST_MIN_ACCOUNTS or more accounts younger than NEW_ACCOUNT_HOURS
+// voting the same gym within BURST_WINDOW_MINUTES
+const BURST_WINDOW_MINUTES = 60;
+const NEW_ACCOUNT_HOURS = 24;
+const BURST_MIN_ACCOUNTS = 5;
+
+/**
+ * Check a gym for a burst of new-account votes and flag them
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym that just received a vote
+ * @returns {Promise<number>} Number of newly flagged votes
+ */
+export async function detectVoteBurst(pool, gymId) {
+  const { rows } = await pool.query(
+    `with recent_voters as (
+       select user_id, coalesce(updated_at, created_at) as voted_at
+       from gym_votes
+       where gym_id = $1 and user_id is not null
+       union all
+       select user_id, coalesce(updated_at, created_at) as voted_at
+       from gym_utility_votes
+       where gym_id = $1 and user_id is not null
+     )
+     select distinct rv.user_id
+     from recent_voters rv
+     join users u on u.id = rv.user_id
+     where rv.voted_at > now() - ($2 || ' minutes')::interval
+       and u.created_at > now() - ($3 || ' hours')::interval`,
+    [gymId, String(BURST_WINDOW_MINUTES), String(NEW_ACCOUNT_HOURS)]
+  );
+
+  if (rows.length < BURST_MIN_ACCOUNTS) {
+    return 0;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO vote_flags (gym_id, user_id, reason)
+     SELECT $1, unnest($2::uuid[]), 'new_account_burst'
+     ON CONFLICT (gym_id, user_id) DO NOTHING`,
+    [gymId, rows.map(r => r.user_id)]
+  );
+
+  if (result.rowCount > 0) {
+    console.warn(`[VoteAnomalies] Flagged ${result.rowCount} votes on gym ${gymId} (${rows.length} new accounts in ${BURST_WINDOW_MINUTES}m)`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Run burst detection without letting a failure affect the vote that triggered it
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @returns {Promise<void>}
+ */
+export async function checkVoteAnomalies(pool, gymId) {
+  try {
+    await detectVoteBurst(pool, gymId);
+  } catch (e) {
+    console.error('[VoteAnomalies] Detection failed:', e);
+  }
+}
+
+/**
+ * Flagged votes for moderator review, newest first
+ * @param {Pool} pool - Database pool
+ * @param {Object} options - { status: 'open'|'cleared', limit }
+ * @returns {Promise<Array>} Flags with gym_name, username and the account's created_at
+ */
+export async function listVoteFlags(pool, { status = 'open', limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `select f.gym_id, g.name as gym_name, f.user_id, u.username, u.created_at as user_created_at,
+            f.reason, f.created_at, f.cleared_at, cu.username as cleared_by_username
+     from vote_flags f
+     join gyms g on g.id = f.gym_id
+     join users u on u.id = f.user_id
+     left join users cu on cu.id = f.cleared_by
+     where (f.cleared_at is null) = $1
+     order by f.created_at desc
+     limit $2`,
+    [status === 'open', limit]
+  );
+  return rows;
+}
+
+/**
+ * Clear a flag so the vote counts again (refresh the gym's stats afterwards)
+ * A cleared flag stays in place, so later burst checks don't flag the same vote again.
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @param {string} userId - Flagged voter
+ * @param {string} moderatorId - Moderator clearing the flag
+ * @returns {Promise<{flag: Object|null, error: string|null}>} error is 'not_found' or 'already_cleared'
+ */
+export async function clearVoteFlag(pool, gymId, userId, moderatorId) {
+  const { rows } = await pool.query(
+    `update vote_flags
+     set cleared_at = now(), cleared_by = $3
+     where gym_id = $1 and user_id = $2 and cleared_at is null
+     returning gym_id, user_id, reason, created_at, cleared_at`,
+    [gymId, userId, moderatorId]
+  );
+  if (rows.length === 0) {
+    const { rows: existing } = await pool.query(
+      `select 1 from vote_flags where gym_id = $1 and user_id = $2`,
+      [gymId, userId]
+    );
+    return { flag: null, error: existing.length > 0 ? 'already_cleared' : 'not_found' };
+  }
+  return { flag: rows[0], error: null };
+}
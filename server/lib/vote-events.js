@@ -0,0 +1,117 @@
+// Vote events - append-only history of every vote submission
+//
+// gym_vote_events keeps every revision so a gym's ratings can be shown over time.
+// Each event stores only the fields submitted in that revision (others are NULL).
+// gym_votes holds each voter's latest state per gym (what the aggregations read); it is
+// derived from the events by a trigger (schema.sql), so votes are written here and only here.
+
+export const TIMELINE_INTERVALS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Append a vote revision to the event log (the trigger folds it into gym_votes)
+ * @param {Pool|PoolClient} pool - Database pool, or a client inside a transaction
+ * @param {Object} vote - { gymId, userId, username, smell, difficulty, parkingAvailability,
+ *   petFriendly, crimpyPct, dynosPct, overhangPct, slabPct, votedAt } (omitted fields are stored as NULL;
+ *   votedAt is when a replayed offline vote was cast, and defaults to now)
+ * @returns {Promise<void>}
+ */
+export async function recordVoteEvent(pool, vote) {
+  await pool.query(
+    `INSERT INTO gym_vote_events
+       (gym_id, user_id, username, smell, difficulty, parking_availability, pet_friendly,
+        crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, coalesce($12, now()))`,
+    [
+      vote.gymId,
+      vote.userId || null,
+      vote.userId ? null : vote.username || null,
+      vote.smell ?? null,
+      vote.difficulty ?? null,
+      vote.parkingAvailability ?? null,
+      vote.petFriendly ?? null,
+      vote.crimpyPct ?? null,
+      vote.dynosPct ?? null,
+      vote.overhangPct ?? null,
+      vote.slabPct ?? null,
+      vote.votedAt || null,
+    ]
+  );
+}
+
+/**
+ * Record a vote, along with the legacy gym_style_votes rows when styles are given, in one transaction
+ * @param {Pool} pool - Database pool
+ * @param {Object} vote - As for recordVoteEvent (userId required)
+ * @param {string[]} styles - Legacy style names that replace the voter's previous ones (empty to leave them)
+ * @returns {Promise<void>}
+ */
+export async function submitVote(pool, vote, styles = []) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await recordVoteEvent(client, vote);
+
+    if (styles.length > 0) {
+      await client.query(`DELETE FROM gym_style_votes WHERE gym_id = $1 AND user_id = $2`, [vote.gymId, vote.userId]);
+      const uniqueStyles = [...new Set(styles.map(s => s.trim()).filter(s => s.length > 0))];
+      for (const style of uniqueStyles) {
+        await client.query(
+          `INSERT INTO gym_style_votes (gym_id, user_id, style) VALUES ($1, $2, $3)`,
+          [vote.gymId, vote.userId, style]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// The voter's last value of an event column in the period (events leave unsubmitted fields NULL)
+function latestValue(column) {
+  return `(array_agg(e.${column} order by e.created_at desc) filter (where e.${column} is not null))[1] as ${column}`;
+}
+
+/**
+ * Get a gym's rating timeline: per period, the average of each voter's latest value
+ * (so a voter who revises their vote several times in a period still counts once)
+ * @param {Pool} pool - Database pool
+ * @param {string} gymId - Gym ID
+ * @param {string} interval - One of TIMELINE_INTERVALS
+ * @returns {Promise<Array>} Rows ordered by period
+ */
+export async function getGymTimeline(pool, gymId, interval = 'month') {
+  const { rows } = await pool.query(
+    `with voter_periods as (
+       select date_trunc($2, e.created_at) as period,
+              coalesce(e.user_id::text, e.username) as voter,
+              ${['smell', 'difficulty', 'parking_availability', 'pet_friendly'].map(latestValue).join(',\n              ')}
+       from gym_vote_events e
+       where e.gym_id = $1
+         and not exists (  -- Skip votes flagged by the anomaly detector
+           select 1 from vote_flags vf
+           where vf.gym_id = e.gym_id and vf.user_id = e.user_id and vf.cleared_at IS NULL
+         )
+       group by 1, 2
+     )
+     select period,
+            avg(smell)::int as smell_avg,
+            count(smell) as smell_votes,
+            avg(difficulty)::numeric(3,1) as difficulty_avg,
+            count(difficulty) as difficulty_votes,
+            avg(parking_availability)::int as parking_availability_avg,
+            count(parking_availability) as parking_votes,
+            avg(pet_friendly)::int as pet_friendly_avg,
+            count(pet_friendly) as pet_friendly_votes,
+            count(*) as voters
+     from voter_periods
+     group by period
+     order by period`,
+    [gymId, interval]
+  );
+  return rows;
+}
@@ -0,0 +1,67 @@
+// Vote transfer - moves every vote on one gym to another (e.g. when a gym relocates)
+//
+// A voter who has already voted on the target keeps their vote there; their vote on the
+// source gym is left where it was rather than overwriting it. The vote history moves with
+// the votes it belongs to, so the target's timeline covers the old location too and
+// gym_votes (derived from the events) still matches each gym's events.
+
+// Current-vote tables and the columns (besides the voter) that make a vote unique per gym
+const VOTE_TABLE_KEYS = {
+  gym_votes: [],
+  gym_style_votes: ['style'],
+  gym_utility_votes: ['utility_name'],
+};
+
+/**
+ * Move votes (and their anomaly flags) from one gym to another
+ * Call inside a transaction and refresh both gyms' stats afterwards.
+ * @param {PoolClient} client - Client inside the caller's transaction
+ * @param {string} fromGymId - Gym the votes are on now
+ * @param {string} toGymId - Gym that takes them over
+ * @returns {Promise<Object>} Moved row counts per table
+ */
+export async function transferGymVotes(client, fromGymId, toGymId) {
+  const counts = {};
+
+  // Before gym_votes moves, while the target's rows are still only its own voters'
+  const events = await client.query(
+    `update gym_vote_events e
+     set gym_id = $2
+     where e.gym_id = $1
+       and not exists (
+         select 1 from gym_votes t
+         where t.gym_id = $2
+           and (t.user_id = e.user_id or t.username = e.username)
+       )`,
+    [fromGymId, toGymId]
+  );
+  counts.gym_vote_events = events.rowCount;
+
+  for (const [table, keys] of Object.entries(VOTE_TABLE_KEYS)) {
+    const sameKey = keys.map(key => ` and t.${key} = v.${key}`).join('');
+    const result = await client.query(
+      `update ${table} v
+       set gym_id = $2
+       where v.gym_id = $1
+         and not exists (
+           select 1 from ${table} t
+           where t.gym_id = $2
+             and (t.user_id = v.user_id or t.username = v.username)${sameKey}
+         )`,
+      [fromGymId, toGymId]
+    );
+    counts[table] = result.rowCount;
+  }
+
+  // Flags follow the votes so flagged votes stay excluded from the target's averages
+  const flags = await client.query(
+    `update vote_flags f
+     set gym_id = $2
+     where f.gym_id = $1
+       and not exists (select 1 from vote_flags t where t.gym_id = $2 and t.user_id = f.user_id)`,
+    [fromGymId, toGymId]
+  );
+  counts.vote_flags = flags.rowCount;
+
+  return counts;
+}
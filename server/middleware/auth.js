@@ -0,0 +1,64 @@
+// Authentication middleware - resolves the session behind a Bearer access token
+import { verifyAccessToken, getSessionUser } from '../lib/sessions.js';
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header
+ * @param {Request} req - Express request
+ * @returns {string|null} Token or null if absent
+ */
+export function getBearerToken(req) {
+  const header = req.get('authorization');
+  if (!header) return null;
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+/**
+ * Create middleware that requires a valid access token.
+ * On success sets req.user ({ id, username, password_hash, role }) and req.sessionId.
+ * @param {Pool} pool - Database pool
+ * @returns {Function} Express middleware
+ */
+export function createRequireAuth(pool) {
+  return async function requireAuth(req, res, next) {
+    try {
+      const token = getBearerToken(req);
+      if (!token) {
+        return res.status(401).json({ error: 'authentication required' });
+      }
+
+      const payload = verifyAccessToken(token);
+      if (!payload) {
+        return res.status(401).json({ error: 'invalid or expired token' });
+      }
+
+      const user = await getSessionUser(pool, payload);
+      if (!user) {
+        return res.status(401).json({ error: 'session has been revoked' });
+      }
+
+      req.user = user;
+      req.sessionId = payload.sid;
+      next();
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  };
+}
+
+/**
+ * Create middleware that requires req.user to have one of the given roles.
+ * Must run after requireAuth.
+ * @param {...string} roles - Allowed roles (e.g. 'admin', 'moderator')
+ * @returns {Function} Express middleware
+ */
+export function requireRole(...roles) {
+  return function checkRole(req, res, next) {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,124 @@
+// Rate limiting middleware - fixed-window counters with pluggable stores
+//
+// A store implements increment(key, windowMs) -> { count, resetAt } where resetAt is a Date.
+// Use the in-memory store for the long-running server (server.js) and the Postgres store
+// for serverless deployments (api/index.js) where each instance has its own memory.
+
+/**
+ * In-memory store (single process only)
+ * @param {Object} options - { maxKeys } upper bound before expired keys are swept
+ * @returns {{increment: Function}} Store
+ */
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  function sweep(now) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        if (hits.size >= maxKeys) sweep(now);
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+  };
+}
+
+/**
+ * Postgres-backed store (shared across serverless instances; needs the rate_limits table)
+ * @param {Pool} pool - Database pool
+ * @returns {{increment: Function}} Store
+ */
+export function createPostgresStore(pool) {
+  return {
+    async increment(key, windowMs) {
+      const { rows } = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, now() + ($2 || ' milliseconds')::interval)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= now() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= now() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, String(windowMs)]
+      );
+
+      // Occasionally clear out expired windows so the table doesn't grow forever
+      if (Math.random() < 0.01) {
+        pool.query(`DELETE FROM rate_limits WHERE reset_at < now() - interval '1 hour'`)
+          .catch(e => console.error('[RateLimit] Cleanup failed:', e));
+      }
+
+      return { count: rows[0].count, resetAt: new Date(rows[0].reset_at) };
+    },
+  };
+}
+
+/**
+ * Express 'trust proxy' setting from TRUST_PROXY, which keyByIp depends on
+ * TRUST_PROXY is the number of proxies in front of the app (req.ip is then the address the
+ * outermost one saw), 'false', or a comma-separated list of proxy addresses/subnets ('loopback').
+ * 'true' is refused: it trusts the leftmost X-Forwarded-For entry, which any client can set.
+ * @param {number|string|boolean} defaultValue - Setting when TRUST_PROXY is unset
+ * @returns {number|string|boolean} Value for app.set('trust proxy', ...)
+ */
+export function getTrustProxySetting(defaultValue = false) {
+  const value = process.env.TRUST_PROXY?.trim();
+  if (!value) return defaultValue;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'false') return false;
+  if (value === 'true') {
+    throw new Error('TRUST_PROXY=true lets clients spoof their IP; set the number of proxies instead');
+  }
+  return value;
+}
+
+// Common key generators - return null to skip limiting for a request
+export const keyByIp = (req) => req.ip || null;
+export const keyByUser = (req) => (req.user?.id ? req.user.id : req.ip || null);
+export const keyByGym = (req) => req.params?.id || null;
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used to namespace keys (e.g. 'vote:user')
+ * @param {Object} options.store - Store from createMemoryStore/createPostgresStore
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} options.keyGenerator - (req) => key string, or null to skip
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ name, store, windowMs, max, keyGenerator = keyByIp }) {
+  return async function rateLimit(req, res, next) {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    let result;
+    try {
+      result = await store.increment(`${name}:${key}`, windowMs);
+    } catch (e) {
+      // Fail open - a broken limiter store shouldn't take the API down with it
+      console.error(`[RateLimit] ${name} store error:`, e);
+      return next();
+    }
+
+    const retryAfter = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - result.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (result.count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests, please try again later', retry_after: retryAfter });
+    }
+    next();
+  };
+}
@@ -2,15 +2,69 @@
 import express from 'express';
 import { hashPassword, verifyPassword, hasPassword } from '../../lib/password.js';
 import { getOrCreateUser } from '../lib/db-helpers.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionByRefreshToken,
+  verifyAccessToken,
+  getSessionUser,
+} from '../lib/sessions.js';
+import { issueRecoveryCode, verifyRecoveryCode, clearRecoveryCode } from '../lib/recovery-codes.js';
+import { issueResetToken, consumeResetToken } from '../lib/password-reset.js';
+import { deleteUserAccount, DELETION_POLICIES } from '../lib/account-deletion.js';
+import { collectUserData, userDataToCsv } from '../lib/user-export.js';
+import { createRequireAuth, requireRole, getBearerToken } from '../middleware/auth.js';
+import { createRateLimiter, createMemoryStore, keyByIp } from '../middleware/rate-limit.js';
 
 const router = express.Router();
 
-export function createAuthRouter(pool) {
+function getSessionMeta(req) {
+  return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+// options.rateLimitStore - store for the auth limiters (defaults to in-memory)
+// options.photoStorage - storage of uploaded photos, removed along with deleted accounts
+export function createAuthRouter(pool, options = {}) {
+  const requireAuth = createRequireAuth(pool);
+  const rateLimitStore = options.rateLimitStore || createMemoryStore();
+
+  // Registration creates accounts, so it gets the tightest limit
+  const registerLimit = createRateLimiter({ name: 'auth:register', store: rateLimitStore, windowMs: 60 * 60 * 1000, max: 20, keyGenerator: keyByIp });
+  const loginLimit = createRateLimiter({ name: 'auth:login', store: rateLimitStore, windowMs: 15 * 60 * 1000, max: 20, keyGenerator: keyByIp });
+  const refreshLimit = createRateLimiter({ name: 'auth:refresh', store: rateLimitStore, windowMs: 15 * 60 * 1000, max: 60, keyGenerator: keyByIp });
+
+  // Work out how the caller proves they own an existing password-less account.
+  // Returns 'session' (signed in as that user on this device), 'recovery_code'
+  // (including an admin-issued claim code) or null (no proof).
+  async function getClaimProof(req, user, recoveryCode) {
+    const payload = verifyAccessToken(getBearerToken(req));
+    if (payload && payload.sub === user.id && await getSessionUser(pool, payload)) {
+      return 'session';
+    }
+    // Accounts created before recovery codes existed have no code to check; their owner
+    // signs in from the original device or asks an admin for a claim code
+    if (verifyRecoveryCode(user, recoveryCode)) {
+      return 'recovery_code';
+    }
+    return null;
+  }
+
+  function sendClaimRequired(res) {
+    return res.status(403).json({
+      error: 'This username is already in use. Enter its recovery code to claim it.',
+      claim_required: true,
+    });
+  }
+
   // POST /api/auth/register - Register user or set password (password is optional)
-  router.post('/register', async (req, res) => {
+  // Existing password-less accounts require a recovery_code or a session for that user
+  router.post('/register', registerLimit, async (req, res) => {
     try {
       const username = typeof (req.body && req.body.username) === 'string' ? req.body.username.trim() : null;
       const password = typeof (req.body && req.body.password) === 'string' ? req.body.password.trim() : null;
+      const recoveryCode = typeof req.body?.recovery_code === 'string' ? req.body.recovery_code.trim() : null;
       
       if (!username || username.length === 0) {
         return res.status(400).json({ error: 'username is required' });
@@ -36,15 +90,22 @@ export function createAuthRouter(pool) {
         if (userHasPassword) {
           const isValid = await verifyPassword(password, user.password_hash);
           if (isValid) {
-            return res.json({ ok: true, user_id: user.id, username: user.username, message: 'Login successful' });
+            const session = await createSession(pool, user.id, getSessionMeta(req));
+            return res.json({ ok: true, user_id: user.id, username: user.username, has_password: true, ...session, message: 'Login successful' });
           }
           return res.status(401).json({ error: 'Username already exists with a different password. Please use the login endpoint or provide the correct password.' });
         }
         
-        // User exists but has no password - set password for the first time
+        // User exists but has no password - only its owner may set the first password
+        if (!user.created && !(await getClaimProof(req, user, recoveryCode))) {
+          return sendClaimRequired(res);
+        }
         const passwordHash = await hashPassword(password);
         await pool.query('UPDATE users SET password_hash = $1, updated_at = now() WHERE id = $2', [passwordHash, user.id]);
-        return res.json({ ok: true, user_id: user.id, username: user.username, message: 'Password set successfully' });
+        // The password replaces the recovery code
+        await clearRecoveryCode(pool, user.id);
+        const session = await createSession(pool, user.id, getSessionMeta(req));
+        return res.json({ ok: true, user_id: user.id, username: user.username, has_password: true, ...session, message: 'Password set successfully' });
       }
       
       // No password provided during registration
@@ -53,8 +114,26 @@ export function createAuthRouter(pool) {
         return res.status(400).json({ error: 'User already exists with a password. Please use the login endpoint or provide the password to set/update it.' });
       }
       
-      // User exists but has no password, or is new user - allow registration without password
-      return res.json({ ok: true, user_id: user.id, username: user.username, message: 'User registered (password optional)' });
+      // New user - register without password and hand out the account's recovery code
+      if (user.created) {
+        const newRecoveryCode = await issueRecoveryCode(pool, user.id);
+        const session = await createSession(pool, user.id, getSessionMeta(req));
+        return res.json({ ok: true, user_id: user.id, username: user.username, has_password: false, recovery_code: newRecoveryCode, ...session, message: 'User registered (password optional)' });
+      }
+      
+      // Existing password-less user - signing in requires proof of ownership
+      const proof = await getClaimProof(req, user, recoveryCode);
+      if (!proof) {
+        return sendClaimRequired(res);
+      }
+      
+      // Recovery codes are one-time: a used code is replaced
+      const response = { ok: true, user_id: user.id, username: user.username, has_password: false };
+      if (proof !== 'session') {
+        response.recovery_code = await issueRecoveryCode(pool, user.id);
+      }
+      const session = await createSession(pool, user.id, getSessionMeta(req));
+      return res.json({ ...response, ...session, message: 'Logged in (password optional)' });
     } catch (e) {
       console.error(e);
       if (e.code === '23505') { // unique_violation
@@ -66,7 +145,7 @@ export function createAuthRouter(pool) {
   });
 
   // POST /api/auth/login - Login with username and password
-  router.post('/login', async (req, res) => {
+  router.post('/login', loginLimit, async (req, res) => {
     try {
       const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
       const password = typeof req.body?.password === 'string' ? req.body.password : null;
@@ -93,7 +172,254 @@ export function createAuthRouter(pool) {
         return res.status(401).json({ error: 'Invalid username or password' });
       }
       
-      return res.json({ ok: true, user_id: user.id, username: user.username });
+      const session = await createSession(pool, user.id, getSessionMeta(req));
+      return res.json({ ok: true, user_id: user.id, username: user.username, has_password: true, ...session });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/refresh - Exchange a refresh token for new tokens (refresh token is rotated)
+  router.post('/refresh', refreshLimit, async (req, res) => {
+    try {
+      const refreshToken = typeof req.body?.refresh_token === 'string' ? req.body.refresh_token.trim() : null;
+      if (!refreshToken) {
+        return res.status(400).json({ error: 'refresh_token is required' });
+      }
+
+      const result = await refreshSession(pool, refreshToken);
+      if (!result) {
+        return res.status(401).json({ error: 'invalid or expired refresh token' });
+      }
+
+      return res.json({
+        ok: true,
+        user_id: result.user.id,
+        username: result.user.username,
+        has_password: hasPassword(result.user.password_hash),
+        ...result.tokens,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/logout - Revoke the current session (by access token or refresh token)
+  router.post('/logout', async (req, res) => {
+    try {
+      const payload = verifyAccessToken(getBearerToken(req));
+      if (payload) {
+        await revokeSession(pool, payload.sid);
+        return res.json({ ok: true });
+      }
+
+      const refreshToken = typeof req.body?.refresh_token === 'string' ? req.body.refresh_token.trim() : null;
+      if (refreshToken) {
+        await revokeSessionByRefreshToken(pool, refreshToken);
+      }
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET /api/auth/me - The current user, including their role (the client shows moderator tools by it)
+  router.get('/me', requireAuth, async (req, res) => {
+    try {
+      return res.json({
+        user_id: req.user.id,
+        username: req.user.username,
+        role: req.user.role,
+        has_password: hasPassword(req.user.password_hash),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/revoke - Revoke every session for the current user (log out everywhere)
+  router.post('/revoke', requireAuth, async (req, res) => {
+    try {
+      const revoked = await revokeAllSessions(pool, req.user.id);
+      return res.json({ ok: true, revoked });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/password - Change password (current password required if one is set)
+  router.post('/password', loginLimit, requireAuth, async (req, res) => {
+    try {
+      const currentPassword = typeof req.body?.current_password === 'string' ? req.body.current_password : null;
+      const newPassword = typeof req.body?.new_password === 'string' ? req.body.new_password.trim() : null;
+      
+      if (!newPassword || newPassword.length < 6) {
+        return res.status(400).json({ error: 'new_password must be at least 6 characters' });
+      }
+      
+      // Password-less accounts can set a first password here - the session is the proof
+      if (hasPassword(req.user.password_hash)) {
+        if (!currentPassword) {
+          return res.status(400).json({ error: 'current_password is required' });
+        }
+        const isValid = await verifyPassword(currentPassword, req.user.password_hash);
+        // 403, not 401: the client refreshes the session and retries on 401
+        if (!isValid) {
+          return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+      }
+      
+      const passwordHash = await hashPassword(newPassword);
+      await pool.query('UPDATE users SET password_hash = $1, updated_at = now() WHERE id = $2', [passwordHash, req.user.id]);
+      await clearRecoveryCode(pool, req.user.id);
+      
+      // Sign out every other device; this one stays logged in
+      const revoked = await revokeAllSessions(pool, req.user.id, req.sessionId);
+      return res.json({ ok: true, has_password: true, sessions_revoked: revoked, message: 'Password changed' });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/admin/reset-tokens - Issue a one-time password reset token (admin only)
+  // The admin passes the token to the user out of band; it expires after an hour
+  router.post('/admin/reset-tokens', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+      const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
+      if (!username) {
+        return res.status(400).json({ error: 'username is required' });
+      }
+      
+      const userResult = await pool.query('SELECT id, username FROM users WHERE username = $1', [username]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      const user = userResult.rows[0];
+      const { token, expiresAt } = await issueResetToken(pool, user.id, req.user.id);
+      return res.json({ ok: true, username: user.username, reset_token: token, expires_at: expiresAt.toISOString() });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/admin/claim-codes - Issue a claim code for a password-less account (admin only)
+  // For legacy accounts that never got a recovery code (or lost it): the code is the account's
+  // new recovery code, which the admin passes to the owner out of band
+  router.post('/admin/claim-codes', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+      const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
+      if (!username) {
+        return res.status(400).json({ error: 'username is required' });
+      }
+      
+      const userResult = await pool.query('SELECT id, username, password_hash FROM users WHERE username = $1', [username]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      const user = userResult.rows[0];
+      if (hasPassword(user.password_hash)) {
+        return res.status(400).json({ error: 'User has a password - issue a reset token instead' });
+      }
+      const claimCode = await issueRecoveryCode(pool, user.id);
+      return res.json({ ok: true, username: user.username, claim_code: claimCode });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/auth/password/reset - Set a new password using an admin-issued reset token
+  router.post('/password/reset', loginLimit, async (req, res) => {
+    try {
+      const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
+      const resetToken = typeof req.body?.reset_token === 'string' ? req.body.reset_token.trim() : null;
+      const newPassword = typeof req.body?.new_password === 'string' ? req.body.new_password.trim() : null;
+      
+      if (!username) {
+        return res.status(400).json({ error: 'username is required' });
+      }
+      if (!resetToken) {
+        return res.status(400).json({ error: 'reset_token is required' });
+      }
+      if (!newPassword || newPassword.length < 6) {
+        return res.status(400).json({ error: 'new_password must be at least 6 characters' });
+      }
+      
+      const user = await consumeResetToken(pool, username, resetToken);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid or expired reset token' });
+      }
+      
+      const passwordHash = await hashPassword(newPassword);
+      await pool.query('UPDATE users SET password_hash = $1, updated_at = now() WHERE id = $2', [passwordHash, user.id]);
+      await clearRecoveryCode(pool, user.id);
+      
+      // Whoever was signed in before the reset is signed out
+      await revokeAllSessions(pool, user.id);
+      const session = await createSession(pool, user.id, getSessionMeta(req));
+      return res.json({ ok: true, user_id: user.id, username: user.username, has_password: true, ...session, message: 'Password reset successfully' });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // DELETE /api/auth/account - Delete the current user's account
+  // Body: { policy: 'delete' | 'anonymize', password? } - password required if one is set
+  router.delete('/account', loginLimit, requireAuth, async (req, res) => {
+    try {
+      const policy = typeof req.body?.policy === 'string' ? req.body.policy.trim() : null;
+      const password = typeof req.body?.password === 'string' ? req.body.password : null;
+      
+      if (!policy || !DELETION_POLICIES.includes(policy)) {
+        return res.status(400).json({ error: `policy must be one of: ${DELETION_POLICIES.join(', ')}` });
+      }
+      
+      if (hasPassword(req.user.password_hash)) {
+        if (!password) {
+          return res.status(400).json({ error: 'password is required' });
+        }
+        const isValid = await verifyPassword(password, req.user.password_hash);
+        // 403, not 401 (see /password)
+        if (!isValid) {
+          return res.status(403).json({ error: 'Password is incorrect' });
+        }
+      }
+      
+      const counts = await deleteUserAccount(pool, req.user, policy, { photoStorage: options.photoStorage });
+      return res.json({ ok: true, policy, ...counts });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET /api/auth/account/export?format=json|csv - Download everything stored about the current user
+  router.get('/account/export', requireAuth, async (req, res) => {
+    try {
+      const format = typeof req.query?.format === 'string' ? req.query.format.trim().toLowerCase() : 'json';
+      if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'format must be json or csv' });
+      }
+      
+      const data = await collectUserData(pool, req.user);
+      const filename = `stinky-shoes-${req.user.username}-${data.exported_at.slice(0, 10)}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.set('Cache-Control', 'no-store');
+      
+      if (format === 'csv') {
+        return res.type('text/csv').send(userDataToCsv(data));
+      }
+      return res.json(data);
     } catch (e) {
       console.error(e);
       res.status(500).json({ error: 'server_error' });
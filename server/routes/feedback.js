@@ -1,11 +1,15 @@
 // Feedback routes
 import express from 'express';
+import { createRateLimiter, createMemoryStore, keyByIp } from '../middleware/rate-limit.js';
 
-export function createFeedbackRouter(pool) {
+// options.rateLimitStore - store for the submission limiter (defaults to in-memory)
+export function createFeedbackRouter(pool, options = {}) {
   const router = express.Router();
+  const rateLimitStore = options.rateLimitStore || createMemoryStore();
+  const feedbackLimit = createRateLimiter({ name: 'feedback', store: rateLimitStore, windowMs: 60 * 60 * 1000, max: 10, keyGenerator: keyByIp });
 
   // POST /api/feedback - Receive feedback from feedbackfin widget
-  router.post('/', async (req, res) => {
+  router.post('/', feedbackLimit, async (req, res) => {
     try {
       const { feedbackType, message, timestamp, ...userData } = req.body;
 
@@ -0,0 +1,65 @@
+// Gym page routes - server-rendered HTML pages (GET /gym/:id) for link previews
+import express from 'express';
+import { createGymQuery, withIds } from '../lib/gym-query.js';
+import { renderGymPage, renderGymNotFoundPage } from '../lib/gym-page.js';
+import { listGymPhotos } from '../lib/gym-photos.js';
+import { createPhotoStorageFromEnv } from '../lib/photo-storage.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Crawlers re-fetch previews rarely; votes show up within a few minutes
+const PAGE_CACHE_CONTROL = 'public, max-age=300, s-maxage=300';
+
+// Hosts whose Host header may stand in for PUBLIC_BASE_URL (local development only)
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Origin for absolute URLs in the page (og:url, canonical, JSON-LD), or null if none is configured.
+// Pages are cached by shared caches, so a client-supplied Host header must never end up in them.
+function getBaseUrl(req) {
+  const configured = process.env.PUBLIC_BASE_URL;
+  if (configured) return configured.replace(/\/+$/, '');
+  if (LOCAL_HOSTNAMES.includes(req.hostname)) return `${req.protocol}://${req.get('host')}`;
+  return null;
+}
+
+// options.photoStorage - storage of uploaded photos (defaults to the one configured by PHOTO_STORAGE)
+export function createGymPagesRouter(pool, options = {}) {
+  const router = express.Router();
+  const photoStorage = options.photoStorage || createPhotoStorageFromEnv();
+
+  // GET /gym/:id - gym page with Open Graph tags and JSON-LD, linking into the map
+  router.get('/:id', async (req, res) => {
+    const baseUrl = getBaseUrl(req);
+    if (!baseUrl) {
+      console.error('[GymPages] PUBLIC_BASE_URL is not set; refusing to build page URLs from the Host header');
+      return res.status(500).type('text').send('Something went wrong loading this gym.');
+    }
+    try {
+      const id = typeof req.params?.id === 'string' ? req.params.id.trim() : '';
+      if (!UUID_PATTERN.test(id)) {
+        return res.status(404).type('html').send(renderGymNotFoundPage({ baseUrl }));
+      }
+
+      const { text, values } = createGymQuery()
+        .where(withIds([id]))
+        .includeClosed()
+        .limit(1)
+        .build();
+      const { rows } = await pool.query(text, values);
+      if (rows.length === 0) {
+        return res.status(404).type('html').send(renderGymNotFoundPage({ baseUrl }));
+      }
+
+      // The newest approved upload is the page's photo and preview image
+      const [photo] = await listGymPhotos(pool, photoStorage, rows[0].id, { limit: 1 });
+
+      res.set('Cache-Control', PAGE_CACHE_CONTROL);
+      return res.type('html').send(renderGymPage(rows[0], { baseUrl, photo }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).type('text').send('Something went wrong loading this gym.');
+    }
+  });
+
+  return router;
+}
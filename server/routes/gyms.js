@@ -1,366 +1,113 @@
 // Gym routes - handles gym CRUD and voting endpoints
 import express from 'express';
-import { hasStyleColumns, getOrCreateUser } from '../lib/db-helpers.js';
+import multer from 'multer';
+import { hasStyleColumns } from '../lib/db-helpers.js';
+import { createRequireAuth, requireRole } from '../middleware/auth.js';
+import { createRateLimiter, createMemoryStore, keyByIp, keyByUser, keyByGym } from '../middleware/rate-limit.js';
+import { checkVoteAnomalies, listVoteFlags, clearVoteFlag } from '../lib/vote-anomalies.js';
+import { submitVote, getGymTimeline, TIMELINE_INTERVALS } from '../lib/vote-events.js';
+import { syncGymStats } from '../lib/gym-stats.js';
+import {
+  createGymQuery, inBbox, inRegion, withIds, withinRadius, attributeFilter, hasUtility, parseGymFilters,
+} from '../lib/gym-query.js';
+import { getGymTile, isValidTile } from '../lib/vector-tiles.js';
+import { searchGyms, SEARCH_MIN_LENGTH, SEARCH_MAX_LENGTH, SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT } from '../lib/gym-search.js';
+import {
+  validateGymSubmission, findDuplicateCandidates, createGymSubmission, listGymSubmissions, listUserGymSubmissions,
+  reviewGymSubmission, isValidGymId, MODERATION_STATUSES, REVIEW_NOTE_MAX_LENGTH,
+} from '../lib/gym-submissions.js';
+import {
+  validateEditChanges, createEditProposal, listEditProposals, listUserEditProposals, applyEditProposal,
+  rejectEditProposal, EDIT_STATUSES, EDIT_NOTE_MAX_LENGTH,
+} from '../lib/gym-edits.js';
+import { getGymAuditLog } from '../lib/gym-audit.js';
+import {
+  validateStatusReport, reportGymStatus, listMoveProposals, applyMoveProposal, rejectMoveProposal, MOVE_STATUSES,
+} from '../lib/gym-status.js';
+import {
+  findDuplicateGyms, mergeGyms, DUPLICATE_SCAN_RADIUS_M, DUPLICATE_MIN_CONFIDENCE, DUPLICATE_DEFAULT_LIMIT,
+} from '../lib/gym-merge.js';
+import {
+  validatePhotoCaption, createGymPhoto, listGymPhotos, listPhotoQueue, reviewGymPhoto, providerPhotos,
+  PHOTO_MAX_BYTES, PHOTO_MIME_TYPES, PHOTO_STATUSES,
+} from '../lib/gym-photos.js';
+import { createPhotoStorageFromEnv } from '../lib/photo-storage.js';
 
 const router = express.Router();
 
-// Helper function to build gym query with style support
-function buildGymQuery(bbox, styleColumnsExist) {
-  let q, params;
-  
-  if (bbox && Array.isArray(bbox) && bbox.length === 4) {
-    const [minLng, minLat, maxLng, maxLat] = bbox;
-    q = `
-      with box as (
-        select ST_MakeEnvelope($1,$2,$3,$4,4326)::geography as g
-      ),
-      base as (
-        select id, provider, provider_poi_id, name, address, city, state, country_code, phone, type,
-               ST_X(ST_AsText(geom::geometry)) as lng,
-               ST_Y(ST_AsText(geom::geometry)) as lat,
-               image_primary_url
-        from gyms, box
-        where ST_Intersects(geom, box.g)
-      ),
-      recent_votes_raw as (
-        select gv.gym_id,
-               gv.user_id,
-               gv.username,
-               gv.smell,
-               gv.difficulty,
-               gv.parking_availability,
-               gv.pet_friendly,
-               gv.created_at,
-               row_number() over (partition by gv.gym_id order by gv.created_at desc) as vote_rn
-        from gym_votes gv
-        where gv.user_id IS NOT NULL OR gv.username IS NOT NULL
-      ),
-      recent_votes_100 as (
-        select *
-        from recent_votes_raw
-        where vote_rn <= 100  -- Limit to most recent 100 votes per gym
-      ),
-      last_by_user as (
-        select gym_id,
-               coalesce(user_id::text, username) as voter_key,
-               smell,
-               difficulty,
-               parking_availability,
-               pet_friendly,
-               row_number() over (partition by gym_id, coalesce(user_id::text, username) order by created_at desc) as rn
-        from recent_votes_100
-      ),
-      vote_stats as (
-        select gym_id,
-               avg(smell)::int as smell_avg,
-               count(*) filter (where smell IS NOT NULL) as smell_votes,
-               avg(difficulty)::numeric(3,1) as difficulty_avg,
-               count(*) filter (where difficulty IS NOT NULL) as difficulty_votes,
-               avg(parking_availability)::int as parking_availability_avg,
-               count(*) filter (where parking_availability IS NOT NULL) as parking_votes,
-               avg(pet_friendly)::int as pet_friendly_avg,
-               count(*) filter (where pet_friendly IS NOT NULL) as pet_friendly_votes
-        from last_by_user where rn = 1 group by gym_id
-      ),
-      utility_recent_votes as (
-        select gym_id,
-               utility_name,
-               vote,
-               row_number() over (partition by gym_id, utility_name order by created_at desc) as rn
-        from gym_utility_votes
-      ),
-      utility_top5_votes as (
-        select gym_id,
-               utility_name,
-               vote
-        from utility_recent_votes
-        where rn <= 5  -- Always consider only the 5 most recent votes (or fewer if less than 5 exist)
-      ),
-      utility_vote_stats as (
-        select gym_id,
-               utility_name,
-               count(*) filter (where vote = 1) as upvotes,
-               count(*) filter (where vote = -1) as downvotes,
-               count(*) as total_recent_votes
-        from utility_top5_votes
-        group by gym_id, utility_name
-      ),
-      utility_votes_agg as (
-        select gym_id,
-               jsonb_object_agg(utility_name, jsonb_build_object(
-                 'exists', true,
-                 'upvotes', upvotes,
-                 'downvotes', downvotes,
-                 'total_recent_votes', total_recent_votes
-               )) as utilities
-        from utility_vote_stats
-        where upvotes > downvotes  -- Simple majority: more upvotes than downvotes
-        group by gym_id
-      )`;
-      
-      if (styleColumnsExist) {
-        q += `,
-      -- Style percentage calculation (from most recent 100 votes, simple average)
-      style_votes_recent_100 as (
-        select gv.gym_id, gv.crimpy_pct, gv.dynos_pct, gv.overhang_pct, gv.slab_pct, gv.created_at,
-               coalesce(gv.user_id::text, gv.username) as voter_key,
-               row_number() over (partition by gv.gym_id order by gv.created_at desc) as vote_rn
-        from gym_votes gv
-        where (gv.crimpy_pct IS NOT NULL 
-          or gv.dynos_pct IS NOT NULL 
-          or gv.overhang_pct IS NOT NULL 
-          or gv.slab_pct IS NOT NULL)
-      ),
-      style_votes_filtered_raw as (
-        select *
-        from style_votes_recent_100
-        where vote_rn <= 100  -- Limit to most recent 100 votes per gym
-      ),
-      style_votes_filtered as (
-        select gym_id, crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at, voter_key,
-               row_number() over (partition by gym_id, voter_key order by created_at desc) as rn
-        from style_votes_filtered_raw
-      ),
-      style_votes_latest as (
-        select * from style_votes_filtered where rn = 1
-      ),
-      style_avg_weighted as (
-        select gym_id,
-               round(avg(coalesce(crimpy_pct, 0))) as crimpy_avg,
-               round(avg(coalesce(dynos_pct, 0))) as dynos_avg,
-               round(avg(coalesce(overhang_pct, 0))) as overhang_avg,
-               round(avg(coalesce(slab_pct, 0))) as slab_avg,
-               count(*) as style_vote_count
-        from style_votes_latest
-        group by gym_id
-      ),
-      style_agg as (
-        select gym_id, 
-               jsonb_build_object(
-                 'crimpy', crimpy_avg,
-                 'dynos', dynos_avg,
-                 'overhang', overhang_avg,
-                 'slab', slab_avg
-               ) as styles,
-               style_vote_count
-        from style_avg_weighted
-      )`;
-      }
-      
-      q += `
-      select b.*,
-             vs.smell_avg, vs.smell_votes,
-             vs.difficulty_avg, vs.difficulty_votes,
-             vs.parking_availability_avg, vs.parking_votes,
-             vs.pet_friendly_avg, vs.pet_friendly_votes`;
-      
-      if (styleColumnsExist) {
-        q += `,
-             sa.styles,
-             sa.style_vote_count`;
-      } else {
-        q += `,
-             null::jsonb as styles,
-             0 as style_vote_count`;
-      }
-      
-      q += `,
-             coalesce(ua.utilities, '{}'::jsonb) as utilities`;
-      
-      q += `
-      from base b
-      left join vote_stats vs on vs.gym_id = b.id`;
-      
-      if (styleColumnsExist) {
-        q += `
-      left join style_agg sa on sa.gym_id = b.id`;
-      } else {
-        q += `
-      left join (select gym_id, null::jsonb as styles, 0 as style_vote_count from base where false) sa on sa.gym_id = b.id`;
-      }
-      
-      q += `
-      left join utility_votes_agg ua on ua.gym_id = b.id`;
-      
-      params = [minLng, minLat, maxLng, maxLat];
-    } else {
-      // Fetch all gyms
-      q = `
-      with base as (
-        select id, provider, provider_poi_id, name, address, city, state, country_code, phone, type,
-               ST_X(ST_AsText(geom::geometry)) as lng,
-               ST_Y(ST_AsText(geom::geometry)) as lat,
-               image_primary_url
-        from gyms
-      ),
-      recent_votes_raw as (
-        select gv.gym_id,
-               gv.user_id,
-               gv.username,
-               gv.smell,
-               gv.difficulty,
-               gv.parking_availability,
-               gv.pet_friendly,
-               gv.created_at,
-               row_number() over (partition by gv.gym_id order by gv.created_at desc) as vote_rn
-        from gym_votes gv
-        where gv.user_id IS NOT NULL OR gv.username IS NOT NULL
-      ),
-      recent_votes_100 as (
-        select *
-        from recent_votes_raw
-        where vote_rn <= 100  -- Limit to most recent 100 votes per gym
-      ),
-      last_by_user as (
-        select gym_id,
-               coalesce(user_id::text, username) as voter_key,
-               smell,
-               difficulty,
-               parking_availability,
-               pet_friendly,
-               row_number() over (partition by gym_id, coalesce(user_id::text, username) order by created_at desc) as rn
-        from recent_votes_100
-      ),
-      vote_stats as (
-        select gym_id,
-               avg(smell)::int as smell_avg,
-               count(*) filter (where smell IS NOT NULL) as smell_votes,
-               avg(difficulty)::numeric(3,1) as difficulty_avg,
-               count(*) filter (where difficulty IS NOT NULL) as difficulty_votes,
-               avg(parking_availability)::int as parking_availability_avg,
-               count(*) filter (where parking_availability IS NOT NULL) as parking_votes,
-               avg(pet_friendly)::int as pet_friendly_avg,
-               count(*) filter (where pet_friendly IS NOT NULL) as pet_friendly_votes
-        from last_by_user where rn = 1 group by gym_id
-      ),
-      utility_recent_votes as (
-        select gym_id,
-               utility_name,
-               vote,
-               row_number() over (partition by gym_id, utility_name order by created_at desc) as rn
-        from gym_utility_votes
-      ),
-      utility_top5_votes as (
-        select gym_id,
-               utility_name,
-               vote
-        from utility_recent_votes
-        where rn <= 5  -- Always consider only the 5 most recent votes (or fewer if less than 5 exist)
-      ),
-      utility_vote_stats as (
-        select gym_id,
-               utility_name,
-               count(*) filter (where vote = 1) as upvotes,
-               count(*) filter (where vote = -1) as downvotes,
-               count(*) as total_recent_votes
-        from utility_top5_votes
-        group by gym_id, utility_name
-      ),
-      utility_votes_agg as (
-        select gym_id,
-               jsonb_object_agg(utility_name, jsonb_build_object(
-                 'exists', true,
-                 'upvotes', upvotes,
-                 'downvotes', downvotes,
-                 'total_recent_votes', total_recent_votes
-               )) as utilities
-        from utility_vote_stats
-        where upvotes > downvotes  -- Simple majority: more upvotes than downvotes
-        group by gym_id
-      )`;
-      
-      // Add style percentage calculation if columns exist
-      if (styleColumnsExist) {
-        q += `,
-      -- Style percentage calculation (from most recent 100 votes, simple average)
-      style_votes_recent_100 as (
-        select gv.gym_id, gv.crimpy_pct, gv.dynos_pct, gv.overhang_pct, gv.slab_pct, gv.created_at,
-               coalesce(gv.user_id::text, gv.username) as voter_key,
-               row_number() over (partition by gv.gym_id order by gv.created_at desc) as vote_rn
-        from gym_votes gv
-        where (gv.crimpy_pct IS NOT NULL 
-          or gv.dynos_pct IS NOT NULL 
-          or gv.overhang_pct IS NOT NULL 
-          or gv.slab_pct IS NOT NULL)
-      ),
-      style_votes_filtered_raw as (
-        select *
-        from style_votes_recent_100
-        where vote_rn <= 100  -- Limit to most recent 100 votes per gym
-      ),
-      style_votes_filtered as (
-        select gym_id, crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at, voter_key,
-               row_number() over (partition by gym_id, voter_key order by created_at desc) as rn
-        from style_votes_filtered_raw
-      ),
-      style_votes_latest as (
-        select * from style_votes_filtered where rn = 1
-      ),
-      style_avg_weighted as (
-        select gym_id,
-               round(avg(coalesce(crimpy_pct, 0))) as crimpy_avg,
-               round(avg(coalesce(dynos_pct, 0))) as dynos_avg,
-               round(avg(coalesce(overhang_pct, 0))) as overhang_avg,
-               round(avg(coalesce(slab_pct, 0))) as slab_avg,
-               count(*) as style_vote_count
-        from style_votes_latest
-        group by gym_id
-      ),
-      style_agg as (
-        select gym_id, 
-               jsonb_build_object(
-                 'crimpy', crimpy_avg,
-                 'dynos', dynos_avg,
-                 'overhang', overhang_avg,
-                 'slab', slab_avg
-               ) as styles,
-               style_vote_count
-        from style_avg_weighted
-      )`;
-      }
-      
-      q += `
-      select b.*,
-             vs.smell_avg, vs.smell_votes,
-             vs.difficulty_avg, vs.difficulty_votes,
-             vs.parking_availability_avg, vs.parking_votes,
-             vs.pet_friendly_avg, vs.pet_friendly_votes`;
-      
-      if (styleColumnsExist) {
-        q += `,
-             sa.styles,
-             sa.style_vote_count`;
-      } else {
-        q += `,
-             null::jsonb as styles,
-             0 as style_vote_count`;
+// /nearby result size and search radius limits
+const NEARBY_DEFAULT_LIMIT = 10;
+const NEARBY_MAX_LIMIT = 50;
+const NEARBY_MAX_RADIUS_M = 1000000; // 1000 km
+
+// Votes replayed from the client's offline outbox carry voted_at (when the user voted), which
+// is stored as the vote's time. Future timestamps are clamped to now.
+function parseVotedAt(value) {
+  if (value === undefined || value === null) return { votedAt: null, error: null };
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return { votedAt: null, error: 'voted_at must be an ISO 8601 timestamp' };
+  }
+  const now = new Date();
+  return { votedAt: date > now ? now : date, error: null };
+}
+
+// options.rateLimitStore - store for the vote limiters (defaults to in-memory)
+// options.photoStorage - storage for uploaded photos (defaults to the one configured by PHOTO_STORAGE)
+export function createGymsRouter(pool, options = {}) {
+  const requireAuth = createRequireAuth(pool);
+  const rateLimitStore = options.rateLimitStore || createMemoryStore();
+  const photoStorage = options.photoStorage || createPhotoStorageFromEnv();
+
+  // Vote limiters: per IP runs before auth (cheap), per user/gym after it
+  const voteLimiters = [
+    createRateLimiter({ name: 'vote:ip', store: rateLimitStore, windowMs: 10 * 60 * 1000, max: 120, keyGenerator: keyByIp }),
+    requireAuth,
+    createRateLimiter({ name: 'vote:user', store: rateLimitStore, windowMs: 10 * 60 * 1000, max: 30, keyGenerator: keyByUser }),
+    createRateLimiter({ name: 'vote:gym', store: rateLimitStore, windowMs: 60 * 60 * 1000, max: 200, keyGenerator: keyByGym }),
+  ];
+
+  // New gym submissions: a handful per user per day
+  const submitLimiters = [
+    createRateLimiter({ name: 'gym-submit:ip', store: rateLimitStore, windowMs: 60 * 60 * 1000, max: 20, keyGenerator: keyByIp }),
+    requireAuth,
+    createRateLimiter({ name: 'gym-submit:user', store: rateLimitStore, windowMs: 24 * 60 * 60 * 1000, max: 10, keyGenerator: keyByUser }),
+  ];
+  // Edit proposals: cheaper to review than new gyms, so a few more per day
+  const editLimiters = [
+    createRateLimiter({ name: 'gym-edit:ip', store: rateLimitStore, windowMs: 60 * 60 * 1000, max: 30, keyGenerator: keyByIp }),
+    requireAuth,
+    createRateLimiter({ name: 'gym-edit:user', store: rateLimitStore, windowMs: 24 * 60 * 60 * 1000, max: 20, keyGenerator: keyByUser }),
+  ];
+  // Photo uploads: each one is resized on the server, so fewer than votes
+  const photoLimiters = [
+    createRateLimiter({ name: 'gym-photo:ip', store: rateLimitStore, windowMs: 60 * 60 * 1000, max: 30, keyGenerator: keyByIp }),
+    requireAuth,
+    createRateLimiter({ name: 'gym-photo:user', store: rateLimitStore, windowMs: 24 * 60 * 60 * 1000, max: 20, keyGenerator: keyByUser }),
+  ];
+  const requireModerator = [requireAuth, requireRole('moderator', 'admin')];
+  const requireAdmin = [requireAuth, requireRole('admin')];
+
+  // Multipart parser for photo uploads: one file in the 'photo' field, kept in memory for sharp.
+  // Files that aren't JPEG, PNG or WebP are dropped (req.file stays unset)
+  const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: PHOTO_MAX_BYTES, files: 1, fields: 5 },
+    fileFilter: (req, file, cb) => cb(null, PHOTO_MIME_TYPES.includes(file.mimetype)),
+  }).single('photo');
+
+  function parsePhotoUpload(req, res, next) {
+    photoUpload(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `photo must be at most ${PHOTO_MAX_BYTES / (1024 * 1024)} MB` });
       }
-      
-      q += `,
-             coalesce(ua.utilities, '{}'::jsonb) as utilities`;
-      
-      q += `
-      from base b
-      left join vote_stats vs on vs.gym_id = b.id`;
-      
-      if (styleColumnsExist) {
-        q += `
-      left join style_agg sa on sa.gym_id = b.id`;
-      } else {
-        q += `
-      left join (select gym_id, null::jsonb as styles, 0 as style_vote_count from base where false) sa on sa.gym_id = b.id`;
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.message });
       }
-      
-      q += `
-      left join utility_votes_agg ua on ua.gym_id = b.id`;
-      
-      params = [];
-    }
-    
-    return { q, params };
-}
+      next(err);
+    });
+  }
 
-export function createGymsRouter(pool, hasPassword, verifyPassword) {
   // ============================================================================
   // IMPORTANT: ROUTE ORDER MATTERS IN EXPRESS!
   // 
@@ -378,17 +125,6 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
   //   3. Catch-all parameterized LAST: /:id
   // ============================================================================
   
-  // Helper function to verify user password
-  async function verifyUserPassword(user, password) {
-    if (!hasPassword(user.password_hash)) {
-      return true; // No password set, allow access
-    }
-    if (!password) {
-      return false; // Password required but not provided
-    }
-    return verifyPassword(password, user.password_hash);
-  }
-  
   // GET user account stats (regions, farthest gyms, etc.) - uses user_id as source of truth
   router.get('/user/:user_id/stats', async (req, res) => {
     try {
@@ -563,26 +299,26 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
     try {
       const bboxStr = String(req.query.bbox || '').trim();
       const hasBbox = bboxStr.length > 0;
-      const styleColumnsExist = await hasStyleColumns(pool);
-      
-      let q, params;
+      const query = createGymQuery();
       
       if (hasBbox) {
         const bbox = bboxStr.split(',').map(Number);
         if (bbox.length !== 4 || bbox.some(n => Number.isNaN(n))) {
           return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
         }
-        const queryResult = buildGymQuery(bbox, styleColumnsExist);
-        q = queryResult.q;
-        params = queryResult.params;
-      } else {
-        const queryResult = buildGymQuery(null, styleColumnsExist);
-        q = queryResult.q;
-        params = queryResult.params;
+        query.where(inBbox(bbox));
       }
+
+      const filters = parseGymFilters(req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+      }
+      filters.predicates.forEach(predicate => query.where(predicate));
+      query.includeClosed(filters.includeClosed);
       
-      const { rows } = await pool.query(q, params);
-      // c  onsole.log(`[API] Fetched ${rows.length} gyms (bbox: ${hasBbox}, styleColumns: ${styleColumnsExist})`);
+      const { text, values } = query.build();
+      const { rows } = await pool.query(text, values);
+      // c  onsole.log(`[API] Fetched ${rows.length} gyms (bbox: ${hasBbox})`);
       return res.json(rows);
     } catch (e) {
       console.error('[API] Error fetching gyms:', e);
@@ -591,6 +327,536 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
     }
   });
 
+  // GET vector tile: /api/gyms/tiles/:z/:x/:y.mvt?include_closed= (gyms layer with smell/difficulty aggregates)
+  router.get('/tiles/:z/:x/:y.mvt', async (req, res) => {
+    try {
+      const z = Number(req.params.z);
+      const x = Number(req.params.x);
+      const y = Number(req.params.y);
+      if (!isValidTile(z, x, y)) {
+        return res.status(400).json({ error: 'invalid tile coordinates' });
+      }
+
+      const tile = await getGymTile(pool, z, x, y, { includeClosed: req.query.include_closed === 'true' });
+      res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+      // Aggregates change with each vote, so keep tiles short-lived
+      res.set('Cache-Control', 'public, max-age=60');
+      return res.send(tile);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST new gym: { name, lng, lat, address?, phone?, type?, city?, state?, country_code?, confirm_not_duplicate? }
+  // Stored as a pending user submission; it appears on the map once a moderator approves it.
+  // Returns 409 { error: 'possible_duplicate', duplicates } when a similar gym is nearby,
+  // unless the user has confirmed it's a different gym.
+  router.post('/', submitLimiters, async (req, res) => {
+    try {
+      const { gym, error } = validateGymSubmission(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const duplicates = await findDuplicateCandidates(pool, gym);
+      if (duplicates.length > 0 && req.body?.confirm_not_duplicate !== true) {
+        return res.status(409).json({ error: 'possible_duplicate', duplicates });
+      }
+
+      const submission = await createGymSubmission(pool, req.user.id, gym);
+      return res.status(201).json(submission);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET the current user's submissions and their moderation status
+  router.get('/submissions/mine', requireAuth, async (req, res) => {
+    try {
+      const submissions = await listUserGymSubmissions(pool, req.user.id);
+      return res.json(submissions);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET moderation queue: /api/gyms/submissions?status=pending (moderators only)
+  // Pending submissions include their possible duplicates
+  router.get('/submissions', requireModerator, async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : 'pending';
+      if (!MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+      }
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 200) : 50;
+
+      const submissions = await listGymSubmissions(pool, { status, limit });
+      return res.json(submissions);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/submissions/:id/approve and /reject: { note? } (moderators only)
+  for (const [action, status] of [['approve', 'approved'], ['reject', 'rejected']]) {
+    router.post(`/submissions/:id/${action}`, requireModerator, async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!isValidGymId(id)) {
+          return res.status(404).json({ error: 'Submission not found' });
+        }
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim() || null : null;
+        if (note && note.length > REVIEW_NOTE_MAX_LENGTH) {
+          return res.status(400).json({ error: `note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters` });
+        }
+
+        const result = await reviewGymSubmission(pool, id, { reviewerId: req.user.id, status, note });
+        if (result.error === 'not_found') {
+          return res.status(404).json({ error: 'Submission not found' });
+        }
+        if (result.error === 'already_reviewed') {
+          return res.status(409).json({ error: 'Submission has already been reviewed' });
+        }
+
+        return res.json(result.gym);
+      } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'server_error' });
+      }
+    });
+  }
+
+  // GET the current user's edit proposals and their status
+  router.get('/edits/mine', requireAuth, async (req, res) => {
+    try {
+      const proposals = await listUserEditProposals(pool, req.user.id);
+      return res.json(proposals);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET edit review queue: /api/gyms/edits?status=pending&gym_id= (moderators only)
+  // Each proposal includes the gym's current values and any fields that changed since it was made
+  router.get('/edits', requireModerator, async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : 'pending';
+      if (!EDIT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${EDIT_STATUSES.join(', ')}` });
+      }
+      const gymId = typeof req.query.gym_id === 'string' && req.query.gym_id ? req.query.gym_id : null;
+      if (gymId && !isValidGymId(gymId)) {
+        return res.status(400).json({ error: 'gym_id must be a gym ID' });
+      }
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 200) : 50;
+
+      const proposals = await listEditProposals(pool, { status, gymId, limit });
+      return res.json(proposals);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/edits/:id/apply: { fields?, note? } (moderators only)
+  // fields picks which proposed fields to apply; all of them by default
+  router.post('/edits/:id/apply', requireModerator, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Edit proposal not found' });
+      }
+      const fields = req.body?.fields ?? null;
+      if (fields !== null && (!Array.isArray(fields) || !fields.every(field => typeof field === 'string'))) {
+        return res.status(400).json({ error: 'fields must be an array of field names' });
+      }
+      const note = typeof req.body?.note === 'string' ? req.body.note.trim() || null : null;
+      if (note && note.length > REVIEW_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters` });
+      }
+
+      const result = await applyEditProposal(pool, id, { reviewerId: req.user.id, fields, note });
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Edit proposal not found' });
+      }
+      if (result.error === 'already_reviewed') {
+        return res.status(409).json({ error: 'Edit proposal has already been reviewed' });
+      }
+      if (result.error === 'invalid_fields') {
+        return res.status(400).json({ error: 'fields must be a non-empty subset of the proposed fields' });
+      }
+
+      return res.json(result.proposal);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/edits/:id/reject: { note? } (moderators only)
+  router.post('/edits/:id/reject', requireModerator, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Edit proposal not found' });
+      }
+      const note = typeof req.body?.note === 'string' ? req.body.note.trim() || null : null;
+      if (note && note.length > REVIEW_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters` });
+      }
+
+      const result = await rejectEditProposal(pool, id, { reviewerId: req.user.id, note });
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Edit proposal not found' });
+      }
+      if (result.error === 'already_reviewed') {
+        return res.status(409).json({ error: 'Edit proposal has already been reviewed' });
+      }
+
+      return res.json(result.proposal);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET move review queue: /api/gyms/moves?status=pending (moderators only)
+  // Moves agreed by status reports, with both gyms and the distance between them
+  router.get('/moves', requireModerator, async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : 'pending';
+      if (!MOVE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${MOVE_STATUSES.join(', ')}` });
+      }
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 200) : 50;
+
+      const proposals = await listMoveProposals(pool, { status, limit });
+      return res.json(proposals);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/moves/:id/apply and /reject: { note? } (moderators only)
+  // Applying marks the gym moved and carries its votes over to the new gym
+  for (const [action, review] of [['apply', applyMoveProposal], ['reject', rejectMoveProposal]]) {
+    router.post(`/moves/:id/${action}`, requireModerator, async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!isValidGymId(id)) {
+          return res.status(404).json({ error: 'Move proposal not found' });
+        }
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim() || null : null;
+        if (note && note.length > REVIEW_NOTE_MAX_LENGTH) {
+          return res.status(400).json({ error: `note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters` });
+        }
+
+        const result = await review(pool, id, { reviewerId: req.user.id, note });
+        if (result.error === 'not_found') {
+          return res.status(404).json({ error: 'Move proposal not found' });
+        }
+        if (result.error === 'already_reviewed') {
+          return res.status(409).json({ error: 'Move proposal has already been reviewed' });
+        }
+        if (result.error === 'invalid_target') {
+          return res.status(409).json({ error: 'The new gym is no longer open' });
+        }
+
+        return res.json(result.proposal);
+      } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'server_error' });
+      }
+    });
+  }
+
+  // GET photo moderation queue: /api/gyms/photos?status=pending (moderators only)
+  router.get('/photos', requireModerator, async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : 'pending';
+      if (!PHOTO_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${PHOTO_STATUSES.join(', ')}` });
+      }
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 200) : 50;
+
+      const photos = await listPhotoQueue(pool, photoStorage, { status, limit });
+      return res.json(photos);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/photos/:id/approve and /reject: { note? } (moderators only)
+  // Rejecting a photo deletes its files
+  for (const [action, status] of [['approve', 'approved'], ['reject', 'rejected']]) {
+    router.post(`/photos/:id/${action}`, requireModerator, async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!isValidGymId(id)) {
+          return res.status(404).json({ error: 'Photo not found' });
+        }
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim() || null : null;
+        if (note && note.length > REVIEW_NOTE_MAX_LENGTH) {
+          return res.status(400).json({ error: `note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters` });
+        }
+
+        const result = await reviewGymPhoto(pool, photoStorage, id, { reviewerId: req.user.id, status, note });
+        if (result.error === 'not_found') {
+          return res.status(404).json({ error: 'Photo not found' });
+        }
+        if (result.error === 'already_reviewed') {
+          return res.status(409).json({ error: 'Photo has already been reviewed' });
+        }
+
+        return res.json(result.photo);
+      } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'server_error' });
+      }
+    });
+  }
+
+  // GET duplicate candidates: /api/gyms/duplicates?min_confidence=0.5&radius_m=150&country=&gym_id=&limit= (admins only)
+  // Pairs of nearby gyms with similar names or the same phone number, most confident first
+  router.get('/duplicates', requireAdmin, async (req, res) => {
+    try {
+      const minConfidence = req.query.min_confidence !== undefined
+        ? parseFloat(req.query.min_confidence)
+        : DUPLICATE_MIN_CONFIDENCE;
+      if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        return res.status(400).json({ error: 'min_confidence must be between 0 and 1' });
+      }
+      const radiusM = req.query.radius_m !== undefined ? parseFloat(req.query.radius_m) : DUPLICATE_SCAN_RADIUS_M;
+      if (!Number.isFinite(radiusM) || radiusM <= 0 || radiusM > 1000) {
+        return res.status(400).json({ error: 'radius_m must be between 0 and 1000' });
+      }
+      const countryCode = typeof req.query.country === 'string' && req.query.country
+        ? req.query.country.toUpperCase()
+        : null;
+      const gymId = typeof req.query.gym_id === 'string' && req.query.gym_id ? req.query.gym_id : null;
+      if (gymId && !isValidGymId(gymId)) {
+        return res.status(400).json({ error: 'gym_id must be a gym ID' });
+      }
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0
+        ? Math.min(requestedLimit, 200)
+        : DUPLICATE_DEFAULT_LIMIT;
+
+      const pairs = await findDuplicateGyms(pool, { radiusM, minConfidence, countryCode, gymId, limit });
+      return res.json(pairs);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/duplicates/merge: { survivor_id, merged_id } (admins only)
+  // Moves the duplicate's votes and history to the survivor and deletes the duplicate
+  router.post('/duplicates/merge', requireAdmin, async (req, res) => {
+    try {
+      const survivorId = req.body?.survivor_id;
+      const mergedId = req.body?.merged_id;
+      if (!isValidGymId(survivorId) || !isValidGymId(mergedId)) {
+        return res.status(400).json({ error: 'survivor_id and merged_id must be gym IDs' });
+      }
+
+      const result = await mergeGyms(pool, survivorId, mergedId, { actorId: req.user.id });
+      if (result.error === 'same_gym') {
+        return res.status(400).json({ error: 'survivor_id and merged_id must be different gyms' });
+      }
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+
+      return res.json(result.result);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET flagged votes: /api/gyms/vote-flags?status=open|cleared&limit= (moderators only)
+  // Votes with an open flag are left out of gym averages until a moderator clears the flag
+  router.get('/vote-flags', requireModerator, async (req, res) => {
+    try {
+      const status = typeof req.query.status === 'string' ? req.query.status : 'open';
+      if (status !== 'open' && status !== 'cleared') {
+        return res.status(400).json({ error: 'status must be open or cleared' });
+      }
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 200) : 50;
+
+      const flags = await listVoteFlags(pool, { status, limit });
+      return res.json(flags);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST /api/gyms/vote-flags/:gymId/:userId/clear (moderators only)
+  // The vote counts again, so the gym's stats are refreshed
+  router.post('/vote-flags/:gymId/:userId/clear', requireModerator, async (req, res) => {
+    try {
+      const { gymId, userId } = req.params;
+      if (!isValidGymId(gymId) || !isValidGymId(userId)) {
+        return res.status(404).json({ error: 'Flag not found' });
+      }
+
+      const result = await clearVoteFlag(pool, gymId, userId, req.user.id);
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Flag not found' });
+      }
+      if (result.error === 'already_cleared') {
+        return res.status(409).json({ error: 'Flag has already been cleared' });
+      }
+
+      await syncGymStats(pool, gymId);
+      return res.json(result.flag);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST an edit proposal for a gym: { changes: { field: value }, note? }
+  // Only fields that differ from the gym's current values are kept; a moderator applies them
+  router.post('/:id/edits', editLimiters, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      const { changes, error } = validateEditChanges(req.body?.changes);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const note = typeof req.body?.note === 'string' ? req.body.note.trim() || null : null;
+      if (note && note.length > EDIT_NOTE_MAX_LENGTH) {
+        return res.status(400).json({ error: `note must be at most ${EDIT_NOTE_MAX_LENGTH} characters` });
+      }
+
+      const result = await createEditProposal(pool, id, req.user.id, { changes, note });
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      if (result.error === 'no_changes') {
+        return res.status(400).json({ error: 'no_changes' });
+      }
+      if (result.error === 'already_pending') {
+        return res.status(409).json({ error: 'already_pending' });
+      }
+
+      return res.status(201).json(result.proposal);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET a gym's change history: /api/gyms/:id/audit-log
+  router.get('/:id/audit-log', async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      const entries = await getGymAuditLog(pool, id);
+      return res.json({ gym_id: id, entries });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST a status report: { status: open|temporarily_closed|permanently_closed|moved, moved_to_gym_id? }
+  // The gym's status follows the consensus of recent reports; an agreed move waits for a moderator
+  router.post('/:id/status', voteLimiters, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      const { report, error } = validateStatusReport(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (report.movedToGymId && !isValidGymId(report.movedToGymId)) {
+        return res.status(400).json({ error: 'moved_to_gym_id must be a gym id' });
+      }
+
+      const result = await reportGymStatus(pool, id, req.user.id, report);
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      if (result.error === 'invalid_target') {
+        return res.status(400).json({ error: 'moved_to_gym_id must be another open gym' });
+      }
+
+      return res.json({ gym_id: id, ...result.result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // POST a photo: multipart/form-data with a 'photo' file (JPEG, PNG or WebP) and an optional caption
+  // The photo is resized, stripped of metadata and held for moderation
+  router.post('/:id/photos', photoLimiters, parsePhotoUpload, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'photo must be a JPEG, PNG or WebP image' });
+      }
+      const { caption, error } = validatePhotoCaption(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await createGymPhoto(pool, photoStorage, id, req.user.id, { buffer: req.file.buffer, caption });
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      if (result.error === 'invalid_image') {
+        return res.status(400).json({ error: 'photo could not be read as an image' });
+      }
+
+      return res.status(201).json(result.photo);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET a gym's approved photos, newest first
+  router.get('/:id/photos', async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!isValidGymId(id)) {
+        return res.status(404).json({ error: 'Gym not found' });
+      }
+      const photos = await listGymPhotos(pool, photoStorage, id);
+      return res.json(photos);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
   // GET user's utility votes for a gym
   router.get('/:id/my-utility-votes', async (req, res) => {
     try {
@@ -631,35 +897,24 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
     }
   });
 
-  // POST utility vote
-  router.post('/:id/utility-vote', async (req, res) => {
+  // POST utility vote (requires a session - user comes from the access token)
+  router.post('/:id/utility-vote', voteLimiters, async (req, res) => {
     try {
       const id = req.params.id;
-      const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
-      const password = typeof req.body?.password === 'string' ? req.body.password : null;
+      const user = req.user;
+      const username = user.username;
       const utilityName = typeof req.body?.utility_name === 'string' ? req.body.utility_name.trim() : null;
       const vote = req.body?.vote !== undefined ? Number(req.body.vote) : null;
       
-      if (!username || username.length === 0) {
-        return res.status(400).json({ error: 'username is required' });
-      }
       if (!utilityName || utilityName.length === 0) {
         return res.status(400).json({ error: 'utility_name is required' });
       }
       if (vote !== 1 && vote !== -1) {
         return res.status(400).json({ error: 'vote must be 1 (upvote) or -1 (downvote)' });
       }
-      if (!/^[a-zA-Z0-9_-]{3,20}$/.test(username)) {
-        return res.status(400).json({ error: 'username must be 3-20 alphanumeric characters, underscore, or hyphen' });
-      }
-
-      // Get or create user
-      const user = await getOrCreateUser(pool, username);
-      
-      // Verify password if user has one set
-      const passwordValid = await verifyUserPassword(user, password);
-      if (!passwordValid) {
-        return res.status(401).json({ error: 'Password required for this account' });
+      const { votedAt, error: votedAtError } = parseVotedAt(req.body?.voted_at);
+      if (votedAtError) {
+        return res.status(400).json({ error: votedAtError });
       }
 
       // Check if using user_id (normalized) or username (backwards compatibility)
@@ -668,40 +923,56 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
         WHERE table_name = 'gym_utility_votes' AND column_name = 'user_id'
       `).then(r => r.rows.length > 0);
 
+      // A replayed offline vote loses to a newer one already stored (e.g. from another device)
+      if (votedAt) {
+        const { rows: newerVotes } = await pool.query(
+          `SELECT 1 FROM gym_utility_votes
+           WHERE gym_id = $1 AND ${hasUserId ? 'user_id' : 'username'} = $2 AND utility_name = $3 AND updated_at > $4
+           LIMIT 1`,
+          [id, hasUserId ? user.id : username, utilityName, votedAt]
+        );
+        if (newerVotes.length > 0) {
+          return res.status(409).json({ error: 'newer_vote_exists' });
+        }
+      }
+
       if (hasUserId) {
         // Use normalized user_id approach - upsert
         const updateResult = await pool.query(
           `UPDATE gym_utility_votes 
-           SET vote = $3, updated_at = now()
+           SET vote = $3, updated_at = coalesce($5, now())
            WHERE gym_id = $1 AND user_id = $2 AND utility_name = $4`,
-          [id, user.id, vote, utilityName]
+          [id, user.id, vote, utilityName, votedAt]
         );
         
         if (updateResult.rowCount === 0) {
           await pool.query(
-            `INSERT INTO gym_utility_votes (gym_id, user_id, utility_name, vote)
-             VALUES ($1, $2, $3, $4)`,
-            [id, user.id, utilityName, vote]
+            `INSERT INTO gym_utility_votes (gym_id, user_id, utility_name, vote, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, coalesce($5, now()), coalesce($5, now()))`,
+            [id, user.id, utilityName, vote, votedAt]
           );
         }
       } else {
         // Fallback to username approach - upsert
         const updateResult = await pool.query(
           `UPDATE gym_utility_votes 
-           SET vote = $3, updated_at = now()
+           SET vote = $3, updated_at = coalesce($5, now())
            WHERE gym_id = $1 AND username = $2 AND utility_name = $4`,
-          [id, username, vote, utilityName]
+          [id, username, vote, utilityName, votedAt]
         );
         
         if (updateResult.rowCount === 0) {
           await pool.query(
-            `INSERT INTO gym_utility_votes (gym_id, username, utility_name, vote)
-             VALUES ($1, $2, $3, $4)`,
-            [id, username, utilityName, vote]
+            `INSERT INTO gym_utility_votes (gym_id, username, utility_name, vote, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, coalesce($5, now()), coalesce($5, now()))`,
+            [id, username, utilityName, vote, votedAt]
           );
         }
       }
 
+      await checkVoteAnomalies(pool, id);
+      await syncGymStats(pool, id);
+
       return res.json({ ok: true, user_id: user.id });
     } catch (e) {
       console.error(e);
@@ -713,6 +984,24 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
     }
   });
 
+  // GET a gym's rating timeline: /api/gyms/:id/timeline?interval=month
+  // Averages of the vote revisions submitted in each period (day, week, month or year)
+  router.get('/:id/timeline', async (req, res) => {
+    try {
+      const id = req.params.id;
+      const interval = typeof req.query?.interval === 'string' ? req.query.interval.trim() : 'month';
+      if (!TIMELINE_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `interval must be one of: ${TIMELINE_INTERVALS.join(', ')}` });
+      }
+      
+      const rows = await getGymTimeline(pool, id, interval);
+      return res.json({ gym_id: id, interval, points: rows });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
   // GET user's previous vote for a gym (MUST be before /api/gyms/:id to match correctly)
   router.get('/:id/my-vote', async (req, res) => {
     try {
@@ -794,6 +1083,101 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
   // SPECIFIC ROUTES - Must come BEFORE parameterized routes like /:id
   // ============================================================================
   
+  // GET search: /api/gyms/search?q=boulder&lat=..&lng=..&limit=10
+  // Typo-tolerant match on name/address/city/state; lat/lng (optional) favours nearby gyms;
+  // include_closed=true also matches permanently closed and moved gyms
+  router.get('/search', async (req, res) => {
+    try {
+      const q = typeof req.query?.q === 'string' ? req.query.q.trim() : '';
+      if (q.length < SEARCH_MIN_LENGTH) {
+        return res.status(400).json({ error: `q must be at least ${SEARCH_MIN_LENGTH} characters` });
+      }
+      if (q.length > SEARCH_MAX_LENGTH) {
+        return res.status(400).json({ error: `q must be at most ${SEARCH_MAX_LENGTH} characters` });
+      }
+
+      const hasPoint = req.query.lat !== undefined || req.query.lng !== undefined;
+      const lat = Number(req.query.lat);
+      const lng = Number(req.query.lng);
+      if (hasPoint && (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180)) {
+        return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+      }
+
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0
+        ? Math.min(requestedLimit, SEARCH_MAX_LIMIT)
+        : SEARCH_DEFAULT_LIMIT;
+
+      const rows = await searchGyms(pool, {
+        q,
+        lat: hasPoint ? lat : null,
+        lng: hasPoint ? lng : null,
+        limit,
+        includeClosed: req.query.include_closed === 'true',
+      });
+      return res.json(rows);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // GET nearest gyms: /api/gyms/nearby?lat=..&lng=..&limit=10&radius_m=50000&min_smell_votes=1&utility=showers
+  // Nearest first (KNN on the geography index); distance_m is the geodesic distance
+  router.get('/nearby', async (req, res) => {
+    try {
+      const lat = Number(req.query.lat);
+      const lng = Number(req.query.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return res.status(400).json({ error: 'lat and lng are required and must be valid coordinates' });
+      }
+
+      const requestedLimit = parseInt(req.query.limit, 10);
+      const limit = Number.isInteger(requestedLimit) && requestedLimit > 0
+        ? Math.min(requestedLimit, NEARBY_MAX_LIMIT)
+        : NEARBY_DEFAULT_LIMIT;
+
+      let radius = null;
+      if (req.query.radius_m !== undefined) {
+        radius = Number(req.query.radius_m);
+        if (!Number.isFinite(radius) || radius <= 0 || radius > NEARBY_MAX_RADIUS_M) {
+          return res.status(400).json({ error: `radius_m must be between 0 and ${NEARBY_MAX_RADIUS_M}` });
+        }
+      }
+
+      let minSmellVotes = null;
+      if (req.query.min_smell_votes !== undefined) {
+        minSmellVotes = parseInt(req.query.min_smell_votes, 10);
+        if (!Number.isInteger(minSmellVotes) || minSmellVotes < 0) {
+          return res.status(400).json({ error: 'min_smell_votes must be a non-negative integer' });
+        }
+      }
+
+      const utility = typeof req.query?.utility === 'string' ? req.query.utility.trim() : null;
+
+      const filters = parseGymFilters(req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+      }
+
+      const query = createGymQuery()
+        .where(radius && withinRadius(lng, lat, radius))
+        .where(minSmellVotes && attributeFilter('votes', 'gte', minSmellVotes))
+        .where(utility && hasUtility(utility))
+        .includeClosed(filters.includeClosed);
+      filters.predicates.forEach(predicate => query.where(predicate));
+      const { text, values } = query
+        .nearestTo(lng, lat)
+        .limit(limit)
+        .build();
+      const { rows } = await pool.query(text, values);
+      return res.json(rows);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
   // GET gyms by region: /api/gyms/by-region?country=CN&state=Beijing&city=Beijing
   // Parameters are optional and filter progressively (country -> state -> city)
   router.get('/by-region', async (req, res) => {
@@ -801,80 +1185,22 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
       const country = typeof req.query?.country === 'string' ? req.query.country.trim() : null;
       const state = typeof req.query?.state === 'string' ? req.query.state.trim() : null;
       const city = typeof req.query?.city === 'string' ? req.query.city.trim() : null;
-      const styleColumnsExist = await hasStyleColumns(pool);
       
       if (!country) {
         return res.status(400).json({ error: 'country parameter is required' });
       }
-      
-      // Build query with region filters
-      // The base query uses CTEs, so we need to add WHERE to the base CTE
-      const baseQuery = buildGymQuery(null, styleColumnsExist);
-      let q = baseQuery.q; // Get base query without bbox
-      const params = [];
-      
-      // Build WHERE conditions for region filtering
-      let whereConditions = [];
-      
-      // Filter by country
-      whereConditions.push(`country_code = $${params.length + 1}`);
-      params.push(country);
-      
-      // Filter by state if provided
-      if (state) {
-        whereConditions.push(`state = $${params.length + 1}`);
-        params.push(state);
-      }
-      
-      // Filter by city if provided
-      if (city) {
-        whereConditions.push(`city = $${params.length + 1}`);
-        params.push(city);
-      }
-      
-      // Add WHERE clause to the base CTE
-      // The base CTE structure is: "base as (select ... from gyms\n),"
-      // We need to add WHERE after "from gyms" but before the closing parenthesis
-      const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
-      
-      // Find "from gyms" in the base CTE and add WHERE clause after it
-      // The query structure: "from gyms\n      ),"
-      // Match "from gyms" followed by any whitespace/newlines, then closing paren and comma
-      let originalQ = q;
-      
-      // Pattern: Match "from gyms" followed by whitespace/newlines, then "),"
-      // Use non-greedy matching to stop at the first closing paren
-      q = q.replace(/(from gyms)([\s\S]*?\)\s*,)/i, (match, p1, p2) => {
-        // p1 = "from gyms"
-        // p2 = whitespace/newlines + "),"
-        // Insert WHERE clause right after "from gyms" and before the closing paren
-        return `${p1} ${whereClause}${p2}`;
-      });
-      
-      if (q === originalQ) {
-        // Fallback: Try matching without the comma requirement
-        q = q.replace(/(from gyms)([\s\S]*?\))/i, (match, p1, p2) => {
-          return `${p1} ${whereClause}${p2}`;
-        });
-      }
-      
-      if (q === originalQ) {
-        console.error('Failed to add WHERE clause to query. Query structure (first 1000 chars):', q.substring(0, 1000));
-        console.error('Looking for pattern: from gyms');
-        return res.status(500).json({ error: 'Failed to build query', details: 'Could not inject WHERE clause' });
-      }
-      
-      // Validate the query has proper syntax before executing
-      // Check that we didn't accidentally create duplicate "from" keywords or malformed SQL
-      if (q.match(/from\s+from/i)) {
-        console.error('Query has duplicate "from" keywords. Query (first 500 chars):', q.substring(0, 500));
-        return res.status(500).json({ error: 'Failed to build query', details: 'Invalid query structure' });
+
+      const filters = parseGymFilters(req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
       }
       
-      // Log the modified query for debugging (first 500 chars)
-      console.log('Modified query (first 500 chars):', q.substring(0, 500));
-      
-      const { rows } = await pool.query(q, params);
+      const query = createGymQuery()
+        .where(inRegion({ country, state, city }))
+        .includeClosed(filters.includeClosed);
+      filters.predicates.forEach(predicate => query.where(predicate));
+      const { text, values } = query.build();
+      const { rows } = await pool.query(text, values);
       return res.json(rows);
     } catch (e) {
       console.error('Error fetching gyms by region:', e);
@@ -934,249 +1260,33 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
   router.get('/:id', async (req, res) => {
     try {
       const id = req.params.id;
-      const styleColumnsExist = await hasStyleColumns(pool);
-      let q = `
-        with base as (
-          select id, provider, provider_poi_id, name, address, city, state, country_code, phone, type,
-                 ST_X(ST_AsText(geom::geometry)) as lng,
-                 ST_Y(ST_AsText(geom::geometry)) as lat,
-                 image_primary_url,
-                 raw
-          from gyms
-          where id = $1
-        ),
-        recent_votes_raw as (
-          select gv.gym_id,
-                 gv.user_id,
-                 gv.username,
-                 gv.smell,
-                 gv.difficulty,
-                 gv.parking_availability,
-                 gv.pet_friendly,
-                 gv.created_at,
-                 row_number() over (partition by gv.gym_id order by gv.created_at desc) as vote_rn
-          from gym_votes gv
-          where (gv.user_id IS NOT NULL OR gv.username IS NOT NULL) AND gv.gym_id = $1
-        ),
-        recent_votes_100 as (
-          select *
-          from recent_votes_raw
-          where vote_rn <= 100  -- Limit to most recent 100 votes per gym
-        ),
-        last_by_user as (
-          select gym_id,
-                 coalesce(user_id::text, username) as voter_key,
-                 smell,
-                 difficulty,
-                 parking_availability,
-                 pet_friendly,
-                 row_number() over (partition by gym_id, coalesce(user_id::text, username) order by created_at desc) as rn
-          from recent_votes_100
-        ),
-        vote_stats as (
-          select gym_id,
-                 avg(smell)::int as smell_avg,
-                 count(*) filter (where smell IS NOT NULL) as smell_votes,
-                 avg(difficulty)::numeric(3,1) as difficulty_avg,
-                 count(*) filter (where difficulty IS NOT NULL) as difficulty_votes,
-                 avg(parking_availability)::int as parking_availability_avg,
-                 count(*) filter (where parking_availability IS NOT NULL) as parking_votes,
-                 avg(pet_friendly)::int as pet_friendly_avg,
-                 count(*) filter (where pet_friendly IS NOT NULL) as pet_friendly_votes
-          from last_by_user where rn = 1 group by gym_id
-        ),
-        utility_recent_votes as (
-          select gym_id,
-                 utility_name,
-                 vote,
-                 row_number() over (partition by gym_id, utility_name order by created_at desc) as rn
-          from gym_utility_votes
-          where gym_id = $1
-        ),
-        utility_top5_votes as (
-          select gym_id,
-                 utility_name,
-                 vote
-          from utility_recent_votes
-          where rn <= 5  -- Always consider only the 5 most recent votes (or fewer if less than 5 exist)
-        ),
-        utility_vote_stats as (
-          select gym_id,
-                 utility_name,
-                 count(*) filter (where vote = 1) as upvotes,
-                 count(*) filter (where vote = -1) as downvotes,
-                 count(*) as total_recent_votes
-          from utility_top5_votes
-          group by gym_id, utility_name
-        ),
-        utility_votes_agg as (
-          select gym_id,
-                 jsonb_object_agg(utility_name, jsonb_build_object(
-                   'exists', true,
-                   'upvotes', upvotes,
-                   'downvotes', downvotes,
-                   'total_recent_votes', total_recent_votes
-                 )) as utilities
-          from utility_vote_stats
-          where upvotes > downvotes  -- Simple majority: more upvotes than downvotes
-          group by gym_id
-        )`;
-        
-        // Add style percentage calculation if columns exist
-        if (styleColumnsExist) {
-          q += `,
-        style_votes_recent_100 as (
-          select gv.gym_id, gv.crimpy_pct, gv.dynos_pct, gv.overhang_pct, gv.slab_pct, gv.created_at,
-                 coalesce(gv.user_id::text, gv.username) as voter_key,
-                 row_number() over (partition by gv.gym_id order by gv.created_at desc) as vote_rn
-          from gym_votes gv
-          where (gv.crimpy_pct IS NOT NULL 
-            or gv.dynos_pct IS NOT NULL 
-            or gv.overhang_pct IS NOT NULL 
-            or gv.slab_pct IS NOT NULL)
-            AND gv.gym_id = $1
-        ),
-        style_votes_filtered_raw as (
-          select *
-          from style_votes_recent_100
-          where vote_rn <= 100  -- Limit to most recent 100 votes per gym
-        ),
-        style_votes_filtered as (
-          select gym_id, crimpy_pct, dynos_pct, overhang_pct, slab_pct, created_at, voter_key,
-                 row_number() over (partition by gym_id, voter_key order by created_at desc) as rn
-          from style_votes_filtered_raw
-        ),
-        style_votes_latest as (
-          select * from style_votes_filtered where rn = 1
-        ),
-        style_vote_counts as (
-          select gym_id, count(*) as total_votes
-          from style_votes_latest
-          group by gym_id
-        ),
-        style_votes_with_age as (
-          select sv.*, svc.total_votes,
-                 extract(epoch from (now() - sv.created_at)) / 86400.0 as age_days,
-                 exp(-extract(epoch from (now() - sv.created_at)) / (86400.0 * 365.0)) as recency_weight
-          from style_votes_latest sv
-          join style_vote_counts svc on svc.gym_id = sv.gym_id
-        ),
-        style_votes_filtered_by_age as (
-          select *
-          from style_votes_with_age
-          where total_votes < 50 
-             or age_days <= 180
-        ),
-        style_avg_weighted as (
-          select gym_id,
-                 case 
-                   when sum(recency_weight) > 0 
-                   then round(sum(coalesce(crimpy_pct, 0) * recency_weight) / sum(recency_weight))
-                   else 0
-                 end as crimpy_avg,
-                 case 
-                   when sum(recency_weight) > 0 
-                   then round(sum(coalesce(dynos_pct, 0) * recency_weight) / sum(recency_weight))
-                   else 0
-                 end as dynos_avg,
-                 case 
-                   when sum(recency_weight) > 0 
-                   then round(sum(coalesce(overhang_pct, 0) * recency_weight) / sum(recency_weight))
-                   else 0
-                 end as overhang_avg,
-                 case 
-                   when sum(recency_weight) > 0 
-                   then round(sum(coalesce(slab_pct, 0) * recency_weight) / sum(recency_weight))
-                   else 0
-                 end as slab_avg,
-                 count(*) as style_vote_count
-          from style_votes_filtered_by_age
-          group by gym_id
-        ),
-        style_agg as (
-          select gym_id, 
-                 jsonb_build_object(
-                   'crimpy', crimpy_avg,
-                   'dynos', dynos_avg,
-                   'overhang', overhang_avg,
-                   'slab', slab_avg
-                 ) as styles,
-                 style_vote_count
-          from style_avg_weighted
-        )`;
-        }
-        
-        q += `
-        select b.*,
-               vs.smell_avg, vs.smell_votes,
-               vs.difficulty_avg, vs.difficulty_votes,
-               vs.parking_availability_avg, vs.parking_votes,
-               vs.pet_friendly_avg, vs.pet_friendly_votes`;
-        
-        if (styleColumnsExist) {
-          q += `,
-               sa.styles,
-               sa.style_vote_count`;
-        } else {
-          q += `,
-               null::jsonb as styles,
-               0 as style_vote_count`;
-        }
-        
-        q += `,
-               coalesce(ua.utilities, '{}'::jsonb) as utilities`;
-        
-        q += `
-        from base b
-        left join vote_stats vs on vs.gym_id = b.id`;
-        
-        if (styleColumnsExist) {
-          q += `
-        left join style_agg sa on sa.gym_id = b.id`;
-        } else {
-          q += `
-        left join (select gym_id, null::jsonb as styles, 0 as style_vote_count from base where false) sa on sa.gym_id = b.id`;
-        }
-        
-        q += `
-        left join utility_votes_agg ua on ua.gym_id = b.id
-        limit 1
-      `;
-      
-      const { rows } = await pool.query(q, [id]);
+      const { text, values } = createGymQuery()
+        .where(withIds([id]))
+        .includeRaw()
+        .includeClosed()
+        .limit(1)
+        .build();
+      
+      const { rows } = await pool.query(text, values);
       if (rows.length === 0) {
         return res.status(404).json({ error: 'Gym not found' });
       }
-      return res.json(rows[0]);
+      // Approved uploads first, then the images that came with the provider data
+      const photos = await listGymPhotos(pool, photoStorage, rows[0].id);
+      return res.json({ ...rows[0], photos: [...photos, ...providerPhotos(rows[0])] });
     } catch (e) {
       console.error(e);
       res.status(500).json({ error: 'server_error' });
     }
   });
 
-  // POST vote: { smell?, difficulty?, parking_availability?, pet_friendly?, styles?: string[], username, password? }
-  router.post('/:id/vote', async (req, res) => {
+  // POST vote: { smell?, difficulty?, parking_availability?, pet_friendly?, styles?: string[] }
+  // Requires a session - the voter comes from the access token, not the body
+  router.post('/:id/vote', voteLimiters, async (req, res) => {
     try {
       const id = req.params.id;
-      const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
-      const password = typeof req.body?.password === 'string' ? req.body.password : null;
-      
-      if (!username || username.length === 0) {
-        return res.status(400).json({ error: 'username is required' });
-      }
-      // Validate username: alphanumeric, underscore, hyphen, 3-20 chars
-      if (!/^[a-zA-Z0-9_-]{3,20}$/.test(username)) {
-        return res.status(400).json({ error: 'username must be 3-20 alphanumeric characters, underscore, or hyphen' });
-      }
-
-      // Get or create user
-      const user = await getOrCreateUser(pool, username);
-      
-      // Verify password if user has one set
-      const passwordValid = await verifyUserPassword(user, password);
-      if (!passwordValid) {
-        return res.status(401).json({ error: 'Password required for this account' });
-      }
+      const user = req.user;
+      const username = user.username;
 
       // Validate and extract vote fields
       const smell = req.body?.smell !== undefined ? Number(req.body.smell) : null;
@@ -1229,140 +1339,40 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
       // Backwards compatibility: also accept styles array and convert to percentages
       const styles = Array.isArray(req.body?.styles) ? req.body.styles.filter(s => typeof s === 'string') : [];
 
-      // Check if using user_id (normalized) or username (backwards compatibility)
-      const hasUserId = await pool.query(`
-        SELECT column_name FROM information_schema.columns 
-        WHERE table_name = 'gym_votes' AND column_name = 'user_id'
-      `).then(r => r.rows.length > 0);
+      const { votedAt, error: votedAtError } = parseVotedAt(req.body?.voted_at);
+      if (votedAtError) {
+        return res.status(400).json({ error: votedAtError });
+      }
 
-      if (hasUserId) {
-        // Use normalized user_id approach
-        // For partial unique indexes, we need to use upsert pattern
-        // First try to update existing vote
-        let updateQuery = `UPDATE gym_votes 
-           SET smell = COALESCE($3, smell),
-               difficulty = COALESCE($4, difficulty),
-               parking_availability = COALESCE($5, parking_availability),
-               pet_friendly = COALESCE($6, pet_friendly)`;
-        
-        let updateParams = [id, user.id, smell, difficulty, parkingAvailability, petFriendly];
-        let paramIndex = 7;
-        
-        if (styleColumnsExist) {
-          updateQuery += `,
-               crimpy_pct = COALESCE($${paramIndex++}, crimpy_pct),
-               dynos_pct = COALESCE($${paramIndex++}, dynos_pct),
-               overhang_pct = COALESCE($${paramIndex++}, overhang_pct),
-               slab_pct = COALESCE($${paramIndex++}, slab_pct)`;
-          updateParams.push(crimpyPct, dynosPct, overhangPct, slabPct);
-        }
-        
-        updateQuery += `,
-               updated_at = now()
-           WHERE gym_id = $1 AND user_id = $2`;
-        
-        const updateResult = await pool.query(updateQuery, updateParams);
-        
-        // If no rows updated, insert new vote
-        if (updateResult.rowCount === 0) {
-          let insertColumns = '(gym_id, user_id, smell, difficulty, parking_availability, pet_friendly';
-          let insertValues = '($1, $2, $3, $4, $5, $6';
-          let insertParams = [id, user.id, smell, difficulty, parkingAvailability, petFriendly];
-          let insertIndex = 7;
-          
-          if (styleColumnsExist) {
-            insertColumns += ', crimpy_pct, dynos_pct, overhang_pct, slab_pct';
-            insertValues += `, $${insertIndex++}, $${insertIndex++}, $${insertIndex++}, $${insertIndex++}`;
-            insertParams.push(crimpyPct, dynosPct, overhangPct, slabPct);
-          }
-          
-          insertColumns += ')';
-          insertValues += ')';
-          
-          await pool.query(
-            `INSERT INTO gym_votes ${insertColumns} VALUES ${insertValues}`,
-            insertParams
-          );
+      // A replayed offline vote loses to a newer one already stored (e.g. from another device)
+      if (votedAt) {
+        const { rows: newerVotes } = await pool.query(
+          `SELECT 1 FROM gym_votes WHERE gym_id = $1 AND user_id = $2 AND updated_at > $3 LIMIT 1`,
+          [id, user.id, votedAt]
+        );
+        if (newerVotes.length > 0) {
+          return res.status(409).json({ error: 'newer_vote_exists' });
         }
+      }
 
-        // Backwards compatibility: also store in gym_style_votes if styles array provided
-        if (styles.length > 0) {
-          // Delete all existing style votes for this user/gym
-          await pool.query(`DELETE FROM gym_style_votes WHERE gym_id = $1 AND user_id = $2`, [id, user.id]);
-          
-          // Deduplicate styles and insert unique ones
-          const uniqueStyles = [...new Set(styles.map(s => s.trim()).filter(s => s.length > 0))];
-          for (const style of uniqueStyles) {
-            await pool.query(
-              `INSERT INTO gym_style_votes (gym_id, user_id, style) VALUES ($1, $2, $3)`,
-              [id, user.id, style]
-            );
-          }
-        }
-      } else {
-        // Fallback to username approach (backwards compatibility)
-        // Use upsert pattern: try UPDATE first, then INSERT if needed
-        let updateQuery = `UPDATE gym_votes 
-           SET smell = COALESCE($3, smell),
-               difficulty = COALESCE($4, difficulty),
-               parking_availability = COALESCE($5, parking_availability),
-               pet_friendly = COALESCE($6, pet_friendly)`;
-        
-        let updateParams = [id, username, smell, difficulty, parkingAvailability, petFriendly];
-        let paramIndex = 7;
-        
-        if (styleColumnsExist) {
-          updateQuery += `,
-               crimpy_pct = COALESCE($${paramIndex++}, crimpy_pct),
-               dynos_pct = COALESCE($${paramIndex++}, dynos_pct),
-               overhang_pct = COALESCE($${paramIndex++}, overhang_pct),
-               slab_pct = COALESCE($${paramIndex++}, slab_pct)`;
-          updateParams.push(crimpyPct, dynosPct, overhangPct, slabPct);
-        }
-        
-        updateQuery += `,
-               updated_at = now()
-           WHERE gym_id = $1 AND username = $2`;
-        
-        const updateResult = await pool.query(updateQuery, updateParams);
-        
-        // If no rows updated, insert new vote
-        if (updateResult.rowCount === 0) {
-          let insertColumns = '(gym_id, username, smell, difficulty, parking_availability, pet_friendly';
-          let insertValues = '($1, $2, $3, $4, $5, $6';
-          let insertParams = [id, username, smell, difficulty, parkingAvailability, petFriendly];
-          let insertIndex = 7;
-          
-          if (styleColumnsExist) {
-            insertColumns += ', crimpy_pct, dynos_pct, overhang_pct, slab_pct';
-            insertValues += `, $${insertIndex++}, $${insertIndex++}, $${insertIndex++}, $${insertIndex++}`;
-            insertParams.push(crimpyPct, dynosPct, overhangPct, slabPct);
-          }
-          
-          insertColumns += ')';
-          insertValues += ')';
-          
-          await pool.query(
-            `INSERT INTO gym_votes ${insertColumns} VALUES ${insertValues}`,
-            insertParams
-          );
-        }
+      // The event is the vote: gym_votes (the latest state) is derived from it in the database
+      await submitVote(pool, {
+        gymId: id,
+        userId: user.id,
+        username,
+        smell,
+        difficulty,
+        parkingAvailability,
+        petFriendly,
+        crimpyPct,
+        dynosPct,
+        overhangPct,
+        slabPct,
+        votedAt, // The vote's real time, for later conflict checks, the timeline and score decay
+      }, styles);
 
-        // Backwards compatibility: also store in gym_style_votes if styles array provided
-        if (styles.length > 0) {
-          // Delete all existing style votes for this username/gym
-          await pool.query(`DELETE FROM gym_style_votes WHERE gym_id = $1 AND username = $2`, [id, username]);
-          
-          // Deduplicate styles and insert unique ones
-          const uniqueStyles = [...new Set(styles.map(s => s.trim()).filter(s => s.length > 0))];
-          for (const style of uniqueStyles) {
-            await pool.query(
-              `INSERT INTO gym_style_votes (gym_id, username, style) VALUES ($1, $2, $3)`,
-              [id, username, style]
-            );
-          }
-        }
-      }
+      await checkVoteAnomalies(pool, id);
+      await syncGymStats(pool, id);
 
       return res.json({ ok: true, user_id: user.id });
     } catch (e) {
@@ -1376,36 +1386,16 @@ export function createGymsRouter(pool, hasPassword, verifyPassword) {
   });
 
   // Keep old endpoint for backwards compatibility
-  router.post('/:id/smell', async (req, res) => {
+  router.post('/:id/smell', voteLimiters, async (req, res) => {
     try {
       const id = req.params.id;
       const smell = Number(req.body?.smell);
       if (!Number.isFinite(smell) || smell < 0 || smell > 100) {
         return res.status(400).json({ error: 'smell must be 0..100' });
       }
-      const username = typeof req.body?.username === 'string' ? req.body.username.trim() : null;
-      if (!username || username.length === 0) {
-        return res.status(400).json({ error: 'username is required' });
-      }
-      if (!/^[a-zA-Z0-9_-]{3,20}$/.test(username)) {
-        return res.status(400).json({ error: 'username must be 3-20 alphanumeric characters, underscore, or hyphen' });
-      }
-      // Use upsert pattern: try UPDATE first, then INSERT if needed
-      const updateResult = await pool.query(
-        `UPDATE gym_votes 
-         SET smell = $2, updated_at = now()
-         WHERE gym_id = $1 AND username = $3`,
-        [id, smell, username]
-      );
-      
-      // If no rows updated, insert new vote
-      if (updateResult.rowCount === 0) {
-        await pool.query(
-          `INSERT INTO gym_votes (gym_id, smell, username)
-           VALUES ($1, $2, $3)`,
-          [id, smell, username]
-        );
-      }
+      await submitVote(pool, { gymId: id, userId: req.user.id, username: req.user.username, smell });
+      await checkVoteAnomalies(pool, id);
+      await syncGymStats(pool, id);
       return res.json({ ok: true });
     } catch (e) {
       console.error(e);
@@ -7,6 +7,8 @@ const __dirname = path.dirname(__filename);
 
 export default defineConfig({
   root: './public',
+  // Copied as-is to the site root: web app manifest and icons (public/static/icons/)
+  publicDir: 'static',
   server: {
     port: 5173,
     proxy: {
@@ -20,6 +22,16 @@ export default defineConfig({
         target: 'http://localhost:3000',
         changeOrigin: true,
       },
+      // Proxy server-rendered gym pages (a regex, so /gym.png and /gym_shoes.png stay with Vite)
+      '^/gym/': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+      },
+      // Proxy uploaded gym photos (local photo storage)
+      '/uploads': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+      },
     },
   },
   build: {
@@ -28,6 +40,11 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: path.resolve(__dirname, 'public/index.html'),
+        // Service worker - must be served from the root (/sw.js) to control the whole app
+        sw: path.resolve(__dirname, 'public/sw.js'),
+      },
+      output: {
+        entryFileNames: (chunk) => chunk.name === 'sw' ? 'sw.js' : 'assets/[name]-[hash].js',
       },
     },
     // Optimize for production